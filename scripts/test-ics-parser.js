@@ -0,0 +1,143 @@
+// Check the .ics parser against calendar exports in fixtures/calendar
+//
+// Each case parses one export within a date window and lists the occurrences it
+// should produce. Timed events are compared as UTC instants; all-day events as the
+// local date they start and end on, whatever the machine's time zone. Every export is
+// parsed twice, once with LF and once with CRLF line endings as RFC 5545 specifies.
+//
+// Usage: node scripts/test-ics-parser.js
+//        TZ=Asia/Tokyo node scripts/test-ics-parser.js
+
+const fs = require('fs');
+const path = require('path');
+const IcsParser = require('../src/ics-parser');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'calendar');
+const AUTUMN_2026 = { rangeStart: new Date(2026, 9, 1), rangeEnd: new Date(2026, 11, 1) };
+
+const cases = [
+  {
+    name: 'weekly RRULE with EXDATE, a moved instance and a DST change',
+    file: 'weekly-standup.ics',
+    range: AUTUMN_2026,
+    // 09:30 in Los Angeles is 16:30Z in PDT and 17:30Z in PST; the 26th is excluded and the
+    // 28th moved to 14:00. The organizer and the room are not participants.
+    expected: [
+      { title: 'Team standup', start: '2026-10-19T16:30:00.000Z', end: '2026-10-19T17:00:00.000Z', participants: ['sam@example.com'] },
+      { title: 'Team standup', start: '2026-10-21T16:30:00.000Z', end: '2026-10-21T17:00:00.000Z', participants: ['sam@example.com'] },
+      { title: 'Team standup (moved)', start: '2026-10-28T21:00:00.000Z', end: '2026-10-28T21:30:00.000Z', participants: ['sam@example.com'] },
+      { title: 'Team standup', start: '2026-11-02T17:30:00.000Z', end: '2026-11-02T18:00:00.000Z', participants: ['sam@example.com'] },
+      { title: 'Team standup', start: '2026-11-04T17:30:00.000Z', end: '2026-11-04T18:00:00.000Z', participants: ['sam@example.com'] }
+    ]
+  },
+  {
+    name: 'recurrence limited to the date window',
+    file: 'weekly-standup.ics',
+    range: { rangeStart: new Date('2026-10-20T00:00:00Z'), rangeEnd: new Date('2026-11-02T00:00:00Z') },
+    expected: [
+      { title: 'Team standup', start: '2026-10-21T16:30:00.000Z' },
+      { title: 'Team standup (moved)', start: '2026-10-28T21:00:00.000Z' }
+    ]
+  },
+  {
+    name: 'all-day events, multi-day and recurring with a date EXDATE',
+    file: 'all-day.ics',
+    range: AUTUMN_2026,
+    expected: [
+      { title: 'Team offsite', allDay: true, startDate: '2026-10-23', endDate: '2026-10-24' },
+      { title: 'Design conference', allDay: true, startDate: '2026-10-26', endDate: '2026-10-29' },
+      { title: 'Planning days', allDay: true, startDate: '2026-11-02', endDate: '2026-11-03' },
+      { title: 'Planning days', allDay: true, startDate: '2026-11-04', endDate: '2026-11-05' }
+    ]
+  },
+  {
+    name: 'Windows TZID against UTC times, DURATION and a cancelled event',
+    file: 'outlook-timezones.ics',
+    range: AUTUMN_2026,
+    // Berlin is UTC+2 until the clocks change on 25 October, UTC+1 after
+    expected: [
+      { title: 'Quarterly review', start: '2026-10-20T08:00:00.000Z', end: '2026-10-20T09:00:00.000Z', participants: ['ana.silva@example.com'] },
+      { title: 'Vendor call', start: '2026-10-20T15:00:00.000Z', end: '2026-10-20T15:45:00.000Z', participants: [] },
+      { title: 'Sync after the clocks change', start: '2026-10-26T09:00:00.000Z', end: '2026-10-26T09:30:00.000Z' }
+    ]
+  },
+  {
+    name: 'folded lines, escaped text, quoted parameters and a nested VALARM',
+    file: 'folded.ics',
+    range: AUTUMN_2026,
+    expected: [
+      {
+        title: 'Roadmap review: Q1 priorities, hiring plan; and the long-running discussion about moving the data pipeline to the new cluster',
+        start: '2026-10-22T17:00:00.000Z',
+        end: '2026-10-22T18:00:00.000Z',
+        allDay: false,
+        participants: ['chidi.okafor@example.org', 'mei.tanaka@example.org']
+      }
+    ]
+  }
+];
+
+function localDate(date) {
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// The fields of an occurrence that an expectation names, in the same form
+function describe(occurrence, expected) {
+  const actual = {
+    title: occurrence.title,
+    start: occurrence.start.toISOString(),
+    end: occurrence.end.toISOString(),
+    allDay: occurrence.allDay,
+    startDate: localDate(occurrence.start),
+    endDate: localDate(occurrence.end),
+    participants: occurrence.participants
+  };
+  return Object.fromEntries(Object.keys(expected).map(key => [key, actual[key]]));
+}
+
+function runCase(testCase, lineEnding) {
+  const text = fs.readFileSync(path.join(FIXTURES_DIR, testCase.file), 'utf8').replace(/\r?\n/g, lineEnding);
+  const occurrences = new IcsParser(testCase.range).parse(text);
+  const problems = [];
+
+  if (occurrences.length !== testCase.expected.length) {
+    problems.push(`expected ${testCase.expected.length} occurrences, got ${occurrences.length}: ` +
+      occurrences.map(o => `${o.title} @ ${o.start.toISOString()}`).join(', '));
+  }
+
+  testCase.expected.forEach((expected, index) => {
+    const actual = occurrences[index] ? describe(occurrences[index], expected) : null;
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      problems.push(`occurrence ${index + 1}\n--- expected\n${JSON.stringify(expected)}\n--- actual\n${JSON.stringify(actual)}`);
+    }
+  });
+
+  return problems;
+}
+
+function main() {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  console.log(`📅 Checking ${cases.length} calendar cases from ${path.join('scripts', 'fixtures', 'calendar')} (local time zone ${timeZone})\n`);
+
+  let failed = 0;
+  for (const testCase of cases) {
+    const problems = [
+      ...runCase(testCase, '\n'),
+      ...runCase(testCase, '\r\n').map(problem => `CRLF: ${problem}`)
+    ];
+
+    if (problems.length === 0) {
+      console.log(`✅ ${testCase.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${testCase.name}`);
+      problems.forEach(problem => console.log(`   ${problem.replace(/\n/g, '\n   ')}`));
+    }
+  }
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${cases.length - failed}/${cases.length} cases passed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,77 @@
+// Check the notes Markdown serializer and parser against the fixture corpus
+//
+// Each fixture in fixtures/quill-markdown.json is a Quill Delta and the Markdown it
+// should export as. The Markdown must also import back into the Delta (or into
+// "roundTrip", where GFM can't keep something) and export again unchanged.
+//
+// Usage: node scripts/test-markdown-conversion.js [name filter]
+
+const path = require('path');
+const { quillDeltaToMarkdown, getRecordingSessionOrder } = require('../src/quill-to-markdown');
+const { markdownToQuillDelta } = require('../src/markdown-to-quill');
+const fixtures = require('./fixtures/quill-markdown.json');
+
+// Compare Deltas as Quill stores them: neighbouring inserts with the same formats
+// joined, attribute order ignored
+function normalizeOps(ops) {
+  const sortKeys = (attributes) => Object.keys(attributes || {}).sort()
+    .reduce((sorted, key) => ({ ...sorted, [key]: attributes[key] }), {});
+  const merged = [];
+  ops.forEach((op) => {
+    const attributes = sortKeys(op.attributes);
+    const previous = merged[merged.length - 1];
+    if (previous && typeof previous.insert === 'string' && typeof op.insert === 'string' &&
+        JSON.stringify(previous.attributes) === JSON.stringify(attributes)) {
+      previous.insert += op.insert;
+    } else {
+      merged.push({ insert: op.insert, attributes });
+    }
+  });
+  return JSON.stringify(merged);
+}
+
+function runFixture(fixture) {
+  const problems = [];
+
+  const markdown = quillDeltaToMarkdown(fixture.delta);
+  if (markdown !== fixture.markdown) {
+    problems.push(`export differs\n--- expected\n${fixture.markdown}\n--- actual\n${markdown}`);
+  }
+
+  const recordingSessions = getRecordingSessionOrder(fixture.delta);
+  const imported = markdownToQuillDelta(fixture.markdown, { recordingSessions });
+  const expectedOps = fixture.roundTrip || fixture.delta.ops;
+  if (normalizeOps(imported.ops) !== normalizeOps(expectedOps)) {
+    problems.push(`import differs\n--- expected\n${normalizeOps(expectedOps)}\n--- actual\n${normalizeOps(imported.ops)}`);
+  }
+
+  const reexported = quillDeltaToMarkdown(imported);
+  if (reexported !== fixture.markdown) {
+    problems.push(`re-export differs\n--- expected\n${fixture.markdown}\n--- actual\n${reexported}`);
+  }
+
+  return problems;
+}
+
+function main() {
+  const filter = process.argv[2];
+  const selected = fixtures.filter(fixture => !filter || fixture.name.includes(filter));
+  console.log(`📝 Checking ${selected.length} Markdown fixtures from ${path.join('scripts', 'fixtures', 'quill-markdown.json')}\n`);
+
+  let failed = 0;
+  selected.forEach((fixture) => {
+    const problems = runFixture(fixture);
+    if (problems.length === 0) {
+      console.log(`✅ ${fixture.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${fixture.name}`);
+      problems.forEach(problem => console.log(`   ${problem.replace(/\n/g, '\n   ')}`));
+    }
+  });
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${selected.length - failed}/${selected.length} fixtures passed`);
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { app } = require('electron');
+const SMBMountService = require('../src/smb-mount-service');
+const FileUtils = require('../src/file-utils');
+
+/**
+ * Archive test for the SMB mount service against a local Samba stand-in:
+ * connect, status, archive a meeting folder, re-archive (nothing copied),
+ * archive after an edit (one file copied), disconnect.
+ *
+ * Runs under Electron because the service uses safeStorage and app paths.
+ * Test settings live in memory only; nothing is written to the app's config.
+ *
+ * Usage:
+ *   docker run -p 445:445 dperson/samba -u "test;test" -s "granular;/share;yes;no;no;test"
+ *
+ *   # Let the service mount the share (mount_smbfs on macOS, gio on Linux)
+ *   SMB_SERVER=localhost SMB_SHARE=granular SMB_USERNAME=test SMB_PASSWORD=test \
+ *   npx electron scripts/test-smb-archive.js
+ *
+ *   # Or point it at a share you mounted yourself
+ *   SMB_LOCAL_PATH=/Volumes/granular npx electron scripts/test-smb-archive.js
+ */
+
+function createMemoryStore(initial) {
+  const values = { ...initial };
+  return {
+    get: (key) => values[key],
+    set: (key, value) => { values[key] = value; }
+  };
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function main() {
+  const store = createMemoryStore({
+    smbConfig: {
+      server: process.env.SMB_SERVER || null,
+      share: process.env.SMB_SHARE || null,
+      localPath: process.env.SMB_LOCAL_PATH || null,
+      remotePath: 'granular-smb-test',
+      archiveEnabled: true
+    }
+  });
+  const service = new SMBMountService(store);
+  const username = process.env.SMB_USERNAME || null;
+  const password = process.env.SMB_PASSWORD || null;
+
+  console.log('🧪 Testing SMB archive target...');
+
+  const test = await service.testConnection(username, password);
+  assert(test.success, `Connection test failed: ${test.error}`);
+  console.log('✅ Connection test passed');
+
+  const connection = await service.connect(username, password);
+  assert(connection.success, `Connect failed: ${connection.error}`);
+  console.log(`✅ Connected at ${connection.mountPoint}`);
+
+  if (password) {
+    const saved = store.get('smbConfig');
+    assert(saved.encryptedPassword && !saved.encryptedPassword.includes(password), 'Password was not stored encrypted');
+    console.log('✅ Password stored encrypted');
+  }
+
+  const status = await service.getConnectionStatus();
+  assert(status.connected, `Status reports disconnected: ${status.lastError}`);
+  console.log('✅ Status reports connected');
+
+  const sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'granular-smb-test-'));
+  const notesPath = path.join(sourceDir, 'smb-test-notes.md');
+  fs.writeFileSync(notesPath, `# SMB test\n\nWritten ${new Date().toISOString()}\n`);
+  fs.writeFileSync(path.join(sourceDir, 'smb-test-recording.opus'), Buffer.alloc(3 * 1024 * 1024, 7));
+  fs.mkdirSync(path.join(sourceDir, 'attachments'));
+  fs.writeFileSync(path.join(sourceDir, 'attachments', 'slides.pdf'), 'not really a pdf');
+
+  const meetingFolder = { meetingId: 0, dateStr: '2025-01-01', folderName: 'smb-test-meeting', sourceDir };
+
+  try {
+    const first = await service.archiveMeetingFolder(meetingFolder);
+    assert(first.copied === 3 && first.skipped === 0, `Expected 3 copied, got ${first.copied} copied / ${first.skipped} skipped`);
+    for (const relativePath of ['smb-test-notes.md', 'smb-test-recording.opus', path.join('attachments', 'slides.pdf')]) {
+      const archived = path.join(first.destination, relativePath);
+      assert(await FileUtils.computeMd5(archived) === await FileUtils.computeMd5(path.join(sourceDir, relativePath)),
+        `Archived ${relativePath} differs from the source`);
+    }
+    console.log(`✅ Archived meeting folder to ${first.destination}`);
+
+    const second = await service.archiveMeetingFolder(meetingFolder);
+    assert(second.copied === 0 && second.skipped === 3, 'Unchanged files were copied again');
+    console.log('✅ Re-archive skips unchanged files');
+
+    fs.appendFileSync(notesPath, '\nUpdated.\n');
+    const third = await service.archiveMeetingFolder(meetingFolder);
+    assert(third.copied === 1 && third.skipped === 2, 'Edited notes were not the only file copied');
+    console.log('✅ Re-archive copies only the edited file');
+
+    fs.rmSync(path.join(service.getArchiveRoot(connection.mountPoint, service.getConfig())), { recursive: true, force: true });
+  } finally {
+    fs.rmSync(sourceDir, { recursive: true, force: true });
+  }
+
+  const disconnect = await service.disconnect();
+  assert(disconnect.success, `Disconnect failed: ${disconnect.error}`);
+  service.stop();
+  console.log('✅ Disconnected');
+
+  console.log('🎉 All SMB archive checks passed');
+}
+
+app.whenReady()
+  .then(main)
+  .then(() => app.exit(0))
+  .catch(error => {
+    console.error('❌ SMB archive test failed:', error.message);
+    app.exit(1);
+  });
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const S3Provider = require('../src/s3-provider');
+const WebDavProvider = require('../src/webdav-provider');
+
+/**
+ * Round-trip test for the S3 and WebDAV storage providers against a local
+ * stand-in server: connection test, folder creation, upload, re-upload, delete.
+ *
+ * Usage:
+ *   # MinIO: docker run -p 9000:9000 minio/minio server /data  (create bucket "granular-test" first)
+ *   S3_ENDPOINT=http://localhost:9000 S3_BUCKET=granular-test \
+ *   S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin \
+ *   node scripts/test-storage-provider.js s3
+ *
+ *   # WebDAV: docker run -p 8080:80 -e USERNAME=test -e PASSWORD=test bytemark/webdav
+ *   WEBDAV_URL=http://localhost:8080 WEBDAV_USERNAME=test WEBDAV_PASSWORD=test \
+ *   node scripts/test-storage-provider.js webdav
+ */
+
+function createProvider(providerId) {
+  if (providerId === 's3') {
+    return new S3Provider({
+      config: {
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: 'granular-provider-test'
+      }
+    });
+  }
+
+  if (providerId === 'webdav') {
+    return new WebDavProvider({
+      config: {
+        url: process.env.WEBDAV_URL,
+        username: process.env.WEBDAV_USERNAME,
+        password: process.env.WEBDAV_PASSWORD,
+        basePath: 'granular-provider-test'
+      }
+    });
+  }
+
+  throw new Error(`Unknown provider "${providerId}" - use s3 or webdav`);
+}
+
+async function main() {
+  const providerId = process.argv[2];
+  const provider = createProvider(providerId);
+
+  console.log(`🧪 Testing ${provider.constructor.displayName}...`);
+
+  const connection = await provider.testConnection();
+  if (!connection.success) {
+    throw new Error(`Connection test failed: ${connection.error}`);
+  }
+  console.log('✅ Connection test passed');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'granular-provider-test-'));
+  const notesPath = path.join(workDir, 'provider-test-notes.md');
+  fs.writeFileSync(notesPath, `# Provider test\n\nWritten ${new Date().toISOString()}\n`);
+
+  try {
+    await provider.connect();
+    const folderRef = await provider.ensureMeetingFolder('2025-01-01', 'provider-test meeting');
+    console.log(`✅ Meeting folder ready: ${folderRef}`);
+
+    // Second call must find the existing folder rather than fail
+    await provider.ensureMeetingFolder('2025-01-01', 'provider-test meeting');
+    console.log('✅ Folder creation is idempotent');
+
+    const file = { name: path.basename(notesPath), path: notesPath, type: 'markdown' };
+    const first = await provider.uploadFile(file, folderRef);
+    console.log(`✅ Uploaded ${first.name} (${first.size} bytes) as ${first.id}`);
+
+    fs.appendFileSync(notesPath, '\nUpdated.\n');
+    const second = await provider.uploadFile(file, folderRef);
+    console.log(`✅ Re-uploaded ${second.name} (${second.size} bytes)`);
+
+    await provider.deleteFolder(folderRef);
+    console.log('✅ Meeting folder deleted');
+
+    console.log('🎉 All storage provider checks passed');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Storage provider test failed:', error.message);
+  process.exit(1);
+});
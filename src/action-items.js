@@ -0,0 +1,121 @@
+// Action items in meeting notes
+//
+// A checklist line becomes an action item when it's marked in the editor, which gives
+// it an 'action-item' line format holding a key that identifies it across edits. The
+// owner is the first @mention on the line and the due date a "due 2026-10-25" (or
+// "due:2026-10-25") anywhere in it; the rest of the line is the item's text. Ticking
+// the checkbox completes it.
+
+const OWNER_MENTION = /(^|[\s(])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/;
+const DUE_DATE = /\bdue:?\s*(\d{4}-\d{2}-\d{2})\b/i;
+
+/**
+ * Action items in a notes Delta, in the order they appear
+ * @param {Object} delta - Quill Delta { ops }
+ * @param {Array<string>} [participants] - Meeting participants, to resolve @mentions to
+ * @returns {Array<Object>} [{ key, text, owner, dueDate, status, position }]
+ */
+function extractActionItems(delta, participants = []) {
+  const items = [];
+  forEachActionLine(delta, (line) => {
+    const text = line.text.replace(/\s+/g, ' ').trim();
+    const mention = text.match(OWNER_MENTION);
+    const due = text.match(DUE_DATE);
+    const description = text
+      .replace(DUE_DATE, '')
+      .replace(OWNER_MENTION, '$1')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s,;:–—-]+|[\s,;:–—-]+$/g, '');
+
+    if (!description && !mention) {
+      return;
+    }
+    items.push({
+      key: line.key,
+      text: description,
+      owner: mention ? resolveOwner(mention[2], participants) : null,
+      dueDate: due ? due[1] : null,
+      status: line.attributes.list === 'checked' ? 'done' : 'open',
+      position: items.length
+    });
+  });
+  return items;
+}
+
+/**
+ * Tick or untick an action item's checkbox
+ * @param {Object} delta - Quill Delta { ops }, not modified
+ * @param {string} key - The item's key, as returned by extractActionItems
+ * @param {boolean} done - Checked or not
+ * @returns {Object|null} The new Delta, or null if the notes no longer have the item
+ */
+function setActionItemDone(delta, key, done) {
+  let found = false;
+  const ops = forEachActionLine(delta, (line) => {
+    if (line.key === key) {
+      line.attributes.list = done ? 'checked' : 'unchecked';
+      found = true;
+    }
+  });
+  return found ? { ops } : null;
+}
+
+/**
+ * Call back for every checklist line marked as an action item. Enter and copy-paste
+ * carry a line's formats along, so a key can repeat; repeats get "-2", "-3"... in order.
+ * @param {Function} callback - Called with { key, text, attributes }; may change attributes
+ * @returns {Array} The Delta's ops with one op per newline, including any changes
+ */
+function forEachActionLine(delta, callback) {
+  const ops = [];
+  const seen = new Map();
+  let text = '';
+
+  ((delta && delta.ops) || []).forEach((op) => {
+    if (typeof op.insert !== 'string') {
+      ops.push(op);
+      return;
+    }
+
+    op.insert.split(/(\n)/).forEach((part) => {
+      if (part !== '\n') {
+        if (part) {
+          ops.push({ ...op, insert: part });
+          text += part;
+        }
+        return;
+      }
+
+      const attributes = { ...(op.attributes || {}) };
+      const key = attributes['action-item'];
+      if (key && (attributes.list === 'checked' || attributes.list === 'unchecked')) {
+        const count = (seen.get(key) || 0) + 1;
+        seen.set(key, count);
+        callback({ key: count > 1 ? `${key}-${count}` : key, text, attributes });
+      }
+      ops.push(Object.keys(attributes).length > 0 ? { insert: '\n', attributes } : { insert: '\n' });
+      text = '';
+    });
+  });
+
+  return ops;
+}
+
+// "@alice" -> "alice@example.com" when a participant matches; as written otherwise
+function resolveOwner(mention, participants) {
+  const name = mention.toLowerCase();
+  const candidates = (participant) => {
+    const value = String(participant).toLowerCase();
+    const local = value.split('@')[0];
+    return [value, local, local.split(/[._\s-]/)[0]];
+  };
+  const match = participants.find(participant => candidates(participant)[0] === name) ||
+    participants.find(participant => candidates(participant)[1] === name) ||
+    participants.find(participant => candidates(participant)[2] === name);
+  return match || mention;
+}
+
+module.exports = {
+  extractActionItems,
+  setActionItemDone
+};
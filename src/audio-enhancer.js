@@ -0,0 +1,234 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const log = require('./utils/logger');
+
+// Suffix of a processed copy kept next to its recording, see FileUtils.isEnhancedFile
+const ENHANCED_EXTENSION = '.enhanced.opus';
+
+// loudnorm's loudness range target; speech rarely needs more
+const LOUDNESS_RANGE = 11;
+
+/**
+ * Audio Enhancer
+ *
+ * Optional processing chain for finished recordings, run by post-processing after any
+ * silence split:
+ *
+ *   high-pass  -> removes rumble and handling noise below highpassHz
+ *   denoise    -> FFT noise reduction (afftdn) by denoiseStrength dB
+ *   compressor -> evens out near and distant speakers
+ *   loudnorm   -> two-pass EBU R128 normalization to targetLufs
+ *
+ * The result is kept next to the recording (<name>.enhanced.opus) or replaces it,
+ * per the output setting. The settings used, the ffmpeg filter chain and the
+ * measured loudness are stored per session in audio_processing.
+ */
+class AudioEnhancer {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.bitrate = options.bitrate || 32000;
+  }
+
+  static enhancedPathFor(filePath) {
+    return path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}${ENHANCED_EXTENSION}`);
+  }
+
+  /**
+   * ffmpeg filters for everything before loudness normalization
+   * @param {Object} settings - audioProcessing setting
+   * @returns {Array<string>}
+   */
+  buildFilters(settings) {
+    const filters = [];
+    if (settings.highpassHz > 0) {
+      filters.push(`highpass=f=${settings.highpassHz}`);
+    }
+    if (settings.denoise) {
+      filters.push(`afftdn=nr=${settings.denoiseStrength || 12}`);
+    }
+    if (settings.compression) {
+      filters.push(`acompressor=threshold=${settings.compressionThreshold || -20}dB:ratio=${settings.compressionRatio || 3}:attack=20:release=250`);
+    }
+    return filters;
+  }
+
+  loudnormFilter(settings, measured = null) {
+    const options = [
+      `I=${settings.targetLufs}`,
+      `TP=${settings.truePeak}`,
+      `LRA=${LOUDNESS_RANGE}`
+    ];
+    if (measured) {
+      options.push(
+        `measured_I=${measured.input_i}`,
+        `measured_TP=${measured.input_tp}`,
+        `measured_LRA=${measured.input_lra}`,
+        `measured_thresh=${measured.input_thresh}`,
+        `offset=${measured.target_offset}`,
+        'linear=true'
+      );
+    }
+    options.push('print_format=json');
+    return `loudnorm=${options.join(':')}`;
+  }
+
+  /**
+   * Run the chain on one recording and record what was done
+   * @param {number} sessionId - Recording session ID
+   * @param {string} filePath - Recording to process
+   * @param {Object} settings - audioProcessing setting
+   * @returns {Promise<Object>} { processed, reason?, processedPath, mode, parameters, measurements }
+   */
+  async processRecording(sessionId, filePath, settings) {
+    const filters = this.buildFilters(settings);
+    if (filters.length === 0 && !settings.normalize) {
+      return { processed: false, reason: 'No processing steps enabled' };
+    }
+
+    const mode = settings.output === 'replace' ? 'replace' : 'alongside';
+    const outputPath = mode === 'replace' ? filePath : AudioEnhancer.enhancedPathFor(filePath);
+    const tempPath = `${outputPath}.tmp`;
+    const parameters = {
+      highpassHz: settings.highpassHz || 0,
+      denoise: !!settings.denoise,
+      denoiseStrength: settings.denoise ? settings.denoiseStrength || 12 : null,
+      compression: !!settings.compression,
+      compressionThreshold: settings.compression ? settings.compressionThreshold || -20 : null,
+      compressionRatio: settings.compression ? settings.compressionRatio || 3 : null,
+      normalize: !!settings.normalize,
+      targetLufs: settings.normalize ? settings.targetLufs : null,
+      truePeak: settings.normalize ? settings.truePeak : null,
+      bitrate: this.bitrate
+    };
+
+    const startedAt = Date.now();
+    console.log(`🎚️ Processing audio for session ${sessionId}: ${filters.concat(settings.normalize ? ['loudnorm'] : []).join(' → ')}`);
+    await this.database.saveAudioProcessing(sessionId, { status: 'processing', mode, parameters });
+
+    try {
+      const measurements = {};
+      let chain = filters;
+
+      if (settings.normalize) {
+        // First pass measures the filtered audio so the second can normalize it linearly
+        const analysis = await this.runFfmpeg([
+          '-hide_banner', '-nostats',
+          '-i', filePath,
+          '-af', [...filters, this.loudnormFilter(settings)].join(','),
+          '-f', 'null', '-'
+        ], `FFmpeg loudness analysis ${path.basename(filePath)}`);
+        const measured = this.parseLoudnorm(analysis);
+        measurements.inputLufs = Number(measured.input_i);
+        measurements.inputTruePeak = Number(measured.input_tp);
+        measurements.inputLoudnessRange = Number(measured.input_lra);
+
+        // Silence measures as -inf and can't be normalized
+        if (!isFinite(measurements.inputLufs)) {
+          chain = filters;
+        } else {
+          chain = [...filters, this.loudnormFilter(settings, measured)];
+        }
+      }
+
+      if (chain.length === 0) {
+        await this.database.saveAudioProcessing(sessionId, { status: 'skipped', mode, parameters, measurements, error: 'Recording is silent' });
+        return { processed: false, reason: 'Recording is silent' };
+      }
+      parameters.filterChain = chain.join(',');
+
+      const output = await this.runFfmpeg([
+        '-y',
+        '-hide_banner', '-nostats',
+        '-i', filePath,
+        '-af', parameters.filterChain,
+        // loudnorm works at 192kHz; Opus wants 48kHz
+        '-ar', '48000',
+        '-c:a', 'libopus',
+        '-b:a', String(this.bitrate),
+        '-application', 'voip',
+        '-f', 'ogg',
+        tempPath
+      ], `FFmpeg enhance ${path.basename(filePath)}`);
+
+      if (settings.normalize && chain.some(filter => filter.startsWith('loudnorm'))) {
+        const result = this.parseLoudnorm(output);
+        measurements.outputLufs = Number(result.output_i);
+        measurements.outputTruePeak = Number(result.output_tp);
+      }
+
+      const stats = await fs.stat(tempPath);
+      if (stats.size === 0) {
+        throw new Error('Processed recording is empty');
+      }
+      await fs.rename(tempPath, outputPath);
+
+      await this.database.saveAudioProcessing(sessionId, {
+        status: 'completed',
+        mode,
+        processedPath: outputPath,
+        parameters,
+        measurements
+      });
+
+      console.log(`✅ Audio processed for session ${sessionId} → ${path.basename(outputPath)}`);
+      log.info('[RECORDING] Audio processed', {
+        sessionId,
+        mode,
+        outputPath,
+        filterChain: parameters.filterChain,
+        measurements,
+        elapsedMs: Date.now() - startedAt,
+        timestamp: Date.now()
+      });
+
+      return { processed: true, processedPath: outputPath, mode, parameters, measurements };
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      await this.database.saveAudioProcessing(sessionId, { status: 'failed', mode, parameters, error: error.message });
+      throw error;
+    }
+  }
+
+  // loudnorm prints its JSON summary as the last brace block on stderr
+  parseLoudnorm(stderr) {
+    const start = stderr.lastIndexOf('{');
+    const end = stderr.lastIndexOf('}');
+    if (start === -1 || end < start) {
+      throw new Error('No loudness measurement in ffmpeg output');
+    }
+    return JSON.parse(stderr.slice(start, end + 1));
+  }
+
+  /**
+   * @returns {Promise<string>} ffmpeg's stderr
+   */
+  runFfmpeg(args, description) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+      if (global.trackProcess) {
+        global.trackProcess(ffmpeg, description);
+      }
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve(stderr);
+        } else {
+          reject(new Error(`FFmpeg failed with code ${code}. Error: ${stderr.slice(-2000)}`));
+        }
+      });
+
+      ffmpeg.on('error', (error) => {
+        reject(new Error(`FFmpeg spawn error: ${error.message}`));
+      });
+    });
+  }
+}
+
+module.exports = AudioEnhancer;
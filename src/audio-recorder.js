@@ -1,17 +1,35 @@
-const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs').promises;
-const { app } = require('electron');
+const { app, Notification } = require('electron');
 const log = require('./utils/logger');
 const PostRecordingAnalyzer = require('./post-recording-analyzer');
+const RecordingMerger = require('./recording-merger');
+const AudioEnhancer = require('./audio-enhancer');
+const MeetingEndDetector = require('./meeting-end-detector');
 const { getLocalDateString } = require('./utils/date-utils');
 const audioDebug = require('./utils/audio-debug');
 const AudioDiagnostics = require('./utils/audio-diagnostics');
+const SwiftCaptureBackend = require('./swift-capture-backend');
+const PulseCaptureBackend = require('./pulse-capture-backend');
+const SyntheticCaptureBackend = require('./synthetic-capture-backend');
+
+// Capture backends by id; the captureBackend setting picks one, 'auto' goes by platform
+const CAPTURE_BACKENDS = new Map([
+  [SwiftCaptureBackend.id, SwiftCaptureBackend],
+  [PulseCaptureBackend.id, PulseCaptureBackend],
+  [SyntheticCaptureBackend.id, SyntheticCaptureBackend]
+]);
+
+const PLATFORM_BACKENDS = {
+  darwin: SwiftCaptureBackend.id,
+  linux: PulseCaptureBackend.id
+};
 
 class AudioRecorder {
-  constructor(database, mainWindow = null) {
+  constructor(database, mainWindow = null, store = null) {
     this.database = database;
     this.mainWindow = mainWindow;
+    this.store = store; // Source of the meetingEndDetection defaults and capture backend settings
     this.activeRecordings = new Map(); // meetingId -> recording session
     this.binaryPath = path.join(__dirname, 'native', 'audio-capture', '.build', 'release', 'audio-capture');
     this.assetsPath = path.join(__dirname, '..', 'assets'); // Save in project assets folder
@@ -25,6 +43,14 @@ class AudioRecorder {
       bufferTime: 120 // 2 minutes buffer
     });
 
+    this.merger = new RecordingMerger(database);
+    this.enhancer = new AudioEnhancer(database);
+    this.postProcessing = new Map(); // sessionId -> promise of the running post-processing
+
+    // Optional transcription service, attached once the store is available
+    this.transcriptionService = null;
+    this.diarizationService = null;
+
     // Initialize diagnostics
     this.diagnostics = new AudioDiagnostics(this.binaryPath);
 
@@ -33,6 +59,40 @@ class AudioRecorder {
     audioDebug.logAudioDevices();
   }
 
+  static registerCaptureBackend(id, BackendClass) {
+    CAPTURE_BACKENDS.set(id, BackendClass);
+  }
+
+  /**
+   * Capture backend for the next recording
+   *
+   * GRANULAR_CAPTURE_BACKEND overrides the captureBackend setting, so CI can run the
+   * synthetic backend without touching the user's settings.
+   */
+  createCaptureBackend() {
+    const setting = (key, fallback) => (this.store ? this.store.get(key, fallback) : fallback);
+
+    let backendId = process.env.GRANULAR_CAPTURE_BACKEND || setting('captureBackend', 'auto');
+    if (backendId === 'auto') {
+      backendId = PLATFORM_BACKENDS[process.platform];
+      if (!backendId) {
+        throw new Error(`No audio capture backend for platform ${process.platform}`);
+      }
+    }
+
+    const BackendClass = CAPTURE_BACKENDS.get(backendId);
+    if (!BackendClass) {
+      throw new Error(`Unknown audio capture backend: ${backendId}`);
+    }
+
+    return new BackendClass({
+      binaryPath: this.binaryPath,
+      bitrate: 32000,
+      sources: setting('linuxCaptureSources', []),
+      pattern: process.env.GRANULAR_SYNTHETIC_PATTERN || setting('syntheticCapturePattern', 'tone')
+    });
+  }
+
   /**
    * Start recording for a meeting with retry mechanism for macOS 26 audio session issues
    * @param {number} meetingId - The meeting ID
@@ -95,8 +155,14 @@ class AudioRecorder {
       const recordingDir = await this.createRecordingDirectory(meeting);
       audioDebug.logFileIO('Created recording directory', { path: recordingDir });
 
-      // Run pre-recording diagnostics
-      if (attempt === 1) {
+      const backend = this.createCaptureBackend();
+      const availability = await backend.isAvailable();
+      if (!availability.available) {
+        throw new Error(`Audio capture backend ${backend.constructor.id} unavailable: ${availability.reason}`);
+      }
+
+      // Run pre-recording diagnostics (they check the native binary)
+      if (attempt === 1 && backend instanceof SwiftCaptureBackend) {
         await this.diagnostics.runPreRecordingDiagnostics(recordingDir);
       }
 
@@ -106,12 +172,12 @@ class AudioRecorder {
       audioDebug.logFileIO('Generated recording path', { filename, finalPath });
 
       // Create recording session in database
-      const sessionResult = await this.database.startRecordingSession(meetingId, finalPath);
+      const partNumber = await this.getNextPartNumber(meetingId);
+      const sessionResult = await this.database.startRecordingSession(meetingId, finalPath, partNumber);
       const sessionId = sessionResult.lastID;
 
       // Log session created
       const dirExists = await require('fs-extra').pathExists(recordingDir);
-      const partNumber = await this.getNextPartNumber(meetingId);
       log.info('[RECORDING] Session created', {
         meetingId,
         sessionId,
@@ -121,9 +187,9 @@ class AudioRecorder {
         timestamp: Date.now()
       });
 
-      // Start native audio capture process
+      // Start audio capture
       console.log(`🎯 [AUDIO DEBUG] Starting capture process with path: ${finalPath}`);
-      const captureProcess = await this.startCaptureProcess(finalPath);
+      const capture = await this.startCapture(backend, finalPath);
 
       // Create recording session object
       const recordingSession = {
@@ -135,8 +201,8 @@ class AudioRecorder {
         isPaused: false,
         startTime: new Date(),
         duration: 0,
-        partNumber: await this.getNextPartNumber(meetingId),
-        process: captureProcess,
+        partNumber,
+        capture,
         error: null
       };
 
@@ -149,6 +215,9 @@ class AudioRecorder {
       // Start duration timer
       this.startDurationTimer(recordingSession);
 
+      // Watch for the meeting ending while the recording keeps running
+      await this.startEndDetection(recordingSession, meeting);
+
       console.log(`✅ [AUDIO DEBUG] Recording started for meeting ${meetingId}, session ${sessionId}`);
       console.log(`📁 [AUDIO DEBUG] Recording to file: ${finalPath}`);
 
@@ -199,12 +268,12 @@ class AudioRecorder {
     }
 
     try {
-      // Send pause signal to native process
-      if (recording.process && !recording.process.killed) {
-        recording.process.kill('SIGUSR1'); // Use signal for pause
+      if (recording.capture && recording.capture.isRunning()) {
+        recording.capture.pause();
       }
 
       recording.isPaused = true;
+      this.stopEndDetection(recording);
       console.log(`Paused recording for meeting ${meetingId}`);
       
       return this.getRecordingStatus(meetingId);
@@ -226,12 +295,12 @@ class AudioRecorder {
     }
 
     try {
-      // Send resume signal to native process
-      if (recording.process && !recording.process.killed) {
-        recording.process.kill('SIGUSR2'); // Use signal for resume
+      if (recording.capture && recording.capture.isRunning()) {
+        recording.capture.resume();
       }
 
       recording.isPaused = false;
+      await this.startEndDetection(recording);
       console.log(`Resumed recording for meeting ${meetingId}`);
       
       return this.getRecordingStatus(meetingId);
@@ -256,33 +325,20 @@ class AudioRecorder {
     console.log(`🛑 [AUDIO DEBUG] Stopping recording for meeting ${meetingId}`);
 
     try {
-      // Stop the native process
-      if (recording.process && !recording.process.killed) {
-        console.log(`💫 [AUDIO DEBUG] Sending SIGTERM to process ${recording.process.pid}`);
-        recording.process.kill('SIGTERM');
-      }
-
-      // Wait for process to fully terminate (macOS 26 audio session cleanup)
-      if (recording.process && !recording.process.killed) {
-        console.log('⏱️ [AUDIO DEBUG] Waiting for audio capture process to terminate...');
-        await new Promise((resolve) => {
-          const timeout = setTimeout(() => {
-            console.log('⚠️ Audio process termination timeout, proceeding anyway');
-            resolve();
-          }, 3000); // 3 second max wait
-
-          recording.process.on('exit', () => {
-            console.log('✅ Audio capture process terminated cleanly');
-            clearTimeout(timeout);
-            resolve();
-          });
-        });
+      // Stop capture and wait for the file to be finished (macOS 26 audio session cleanup)
+      if (recording.capture && recording.capture.isRunning()) {
+        console.log(`💫 [AUDIO DEBUG] Stopping audio capture process ${recording.capture.pid}`);
+        await recording.capture.stop(3000); // 3 second max wait
+        if (!recording.capture.isRunning()) {
+          console.log('✅ Audio capture process terminated cleanly');
+        }
       }
 
       // Clear duration timer
       if (recording.durationTimer) {
         clearInterval(recording.durationTimer);
       }
+      this.stopEndDetection(recording);
 
       // Get final file stats before updating database
       const fs = require('fs').promises;
@@ -375,7 +431,8 @@ class AudioRecorder {
       duration: recording.duration,
       fileName: recording.filename,
       partNumber: recording.partNumber,
-      error: recording.error
+      error: recording.error,
+      meetingEnd: recording.meetingEnd || null
     };
   }
 
@@ -385,7 +442,292 @@ class AudioRecorder {
    * @returns {Promise<Array>} Array of recording sessions
    */
   async getRecordingSessions(meetingId) {
-    return await this.database.getCompletedRecordings(meetingId);
+    const sessions = await this.database.getCompletedRecordings(meetingId);
+
+    // Merged recordings list the parts they contain, so timestamps taken while a part was recording still play
+    return Promise.all(sessions.map(async (session) => {
+      const parts = await this.database.getMergedRecordingParts(session.id);
+      const processing = await this.database.getAudioProcessing(session.id);
+      return {
+        ...session,
+        mergedParts: parts.map(part => ({
+          id: part.id,
+          partNumber: part.part_number,
+          offset: part.merged_offset,
+          duration: part.duration
+        })),
+        // A processed copy kept next to the original, for the player to offer
+        enhancedPath: processing && processing.status === 'completed' && processing.mode === 'alongside'
+          ? processing.processed_path
+          : null
+      };
+    }));
+  }
+
+  /**
+   * Merge a meeting's recorded parts into one chaptered file
+   * @param {number} meetingId - Meeting ID
+   * @returns {Promise<Object>} RecordingMerger result
+   */
+  async mergeRecordingParts(meetingId) {
+    const active = this.activeRecordings.get(meetingId);
+    if (active && active.isRecording) {
+      return { merged: false, reason: 'Recording in progress' };
+    }
+
+    // Post-processing may still be splitting a part or measuring it
+    const sessions = await this.database.getCompletedRecordings(meetingId);
+    await Promise.all(sessions.map(session => this.postProcessing.get(session.id)).filter(Boolean));
+
+    // Parts are merged from their originals; processed copies kept alongside go with them
+    const enhancedPaths = [];
+    for (const session of sessions) {
+      const processing = await this.database.getAudioProcessing(session.id);
+      if (processing && processing.mode === 'alongside' && processing.processed_path) {
+        enhancedPaths.push(processing.processed_path);
+      }
+    }
+
+    const meeting = await this.database.getMeetingById(meetingId);
+    if (!meeting) {
+      throw new Error('Meeting not found');
+    }
+    const recordingDir = await this.createRecordingDirectory(meeting);
+    const outputPath = path.join(recordingDir, `${this.generateFilename(meetingId)}-merged.opus`);
+
+    const result = await this.merger.mergeMeetingRecordings(meetingId, outputPath);
+    if (!result.merged) {
+      return result;
+    }
+
+    for (const enhancedPath of enhancedPaths) {
+      await fs.unlink(enhancedPath).catch(() => {});
+    }
+
+    // Redo what is per file for the merged recording, like post-processing does for a new one
+    await this.enhanceRecording(result.sessionId);
+    try {
+      await this.postAnalyzer.buildLevelProfile(result.sessionId, result.finalPath);
+    } catch (error) {
+      console.warn(`⚠️ Level profile failed for session ${result.sessionId}:`, error.message);
+    }
+    if (this.transcriptionService && !result.transcriptComplete) {
+      this.transcriptionService.queueSession(result.sessionId);
+    }
+    if (this.diarizationService) {
+      this.diarizationService.queueSession(result.sessionId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Run the audioProcessing chain on a finished recording, if it is enabled
+   * @param {number} sessionId - Recording session ID
+   * @param {Object} options - { force } to process even when the setting is off
+   * @returns {Promise<Object>} AudioEnhancer result
+   */
+  async enhanceRecording(sessionId, options = {}) {
+    const settings = (this.store && this.store.get('audioProcessing')) || {};
+    if (!settings.enabled && !options.force) {
+      return { processed: false, reason: 'Audio processing is disabled' };
+    }
+
+    try {
+      const session = await this.database.getRecordingSession(sessionId);
+      if (!session || !session.final_path) {
+        return { processed: false, reason: 'Recording file not available' };
+      }
+
+      // Processing a replaced file again would stack the filters
+      const existing = await this.database.getAudioProcessing(sessionId);
+      if (existing && existing.status === 'completed' && existing.mode === 'replace') {
+        return { processed: false, reason: 'Recording was already processed in place' };
+      }
+
+      return await this.enhancer.processRecording(sessionId, session.final_path, settings);
+    } catch (error) {
+      console.warn(`⚠️ Audio processing failed for session ${sessionId}:`, error.message);
+      return { processed: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Get the level profile and skippable silences of a recording
+   * Recordings made before level profiles existed are measured on first request
+   * @param {number} sessionId - Recording session ID
+   * @returns {Promise<Object>} { bucketMs, levels, duration, silences }
+   */
+  async getRecordingLevels(sessionId) {
+    let profile = await this.database.getRecordingLevels(sessionId);
+    if (!profile) {
+      const session = await this.database.getRecordingSession(sessionId);
+      const fileExists = session && session.final_path
+        ? await fs.access(session.final_path).then(() => true).catch(() => false)
+        : false;
+      if (!fileExists) {
+        throw new Error('Recording file not available');
+      }
+      profile = await this.postAnalyzer.buildLevelProfile(sessionId, session.final_path);
+    }
+
+    return { ...profile, silences: this.postAnalyzer.findSilentStretches(profile) };
+  }
+
+  /**
+   * Meeting end detection settings for a meeting: the global defaults with its overrides applied
+   * @param {number} meetingId - The meeting ID
+   * @returns {Promise<Object>} { enabled, silenceThreshold, minSilenceDuration, sampleInterval, autoStop, autoStopDelay }
+   */
+  async getEndDetectionSettings(meetingId) {
+    const defaults = (this.store && this.store.get('meetingEndDetection')) || {};
+    const overrides = await this.database.getMeetingEndDetectionSettings(meetingId);
+    return { ...defaults, ...overrides };
+  }
+
+  /**
+   * Start monitoring an active recording for sustained silence after the scheduled end
+   * @param {Object} recordingSession - Recording session object
+   * @param {Object} [meeting] - Meeting row; looked up when not given
+   */
+  async startEndDetection(recordingSession, meeting = null) {
+    this.stopEndDetection(recordingSession);
+
+    try {
+      const settings = await this.getEndDetectionSettings(recordingSession.meetingId);
+      if (!settings.enabled) {
+        return;
+      }
+
+      meeting = meeting || await this.database.getMeetingById(recordingSession.meetingId);
+      const scheduledEnd = meeting && meeting.end_time ? new Date(meeting.end_time).getTime() : 0;
+
+      const detector = new MeetingEndDetector({
+        silenceThreshold: settings.silenceThreshold,
+        minSilenceDuration: settings.minSilenceDuration,
+        sampleInterval: settings.sampleInterval,
+        notBefore: scheduledEnd
+      });
+      recordingSession.endDetector = detector;
+      await detector.startMonitoring(recordingSession.finalPath, {
+        onMeetingEndDetected: (data) => this.handleMeetingEndDetected(recordingSession, settings, data)
+      });
+    } catch (error) {
+      console.warn(`⚠️ Meeting end detection unavailable for meeting ${recordingSession.meetingId}:`, error.message);
+    }
+  }
+
+  /**
+   * Stop end detection and cancel any pending automatic stop
+   * @param {Object} recordingSession - Recording session object
+   */
+  stopEndDetection(recordingSession) {
+    if (recordingSession.endDetector) {
+      recordingSession.endDetector.stopMonitoring();
+      recordingSession.endDetector = null;
+    }
+    if (recordingSession.autoStopTimer) {
+      clearTimeout(recordingSession.autoStopTimer);
+      recordingSession.autoStopTimer = null;
+    }
+    recordingSession.meetingEnd = null;
+  }
+
+  /**
+   * Ask the user whether the meeting is over, and stop on their behalf if autoStop is set
+   * @param {Object} recordingSession - Recording session object
+   * @param {Object} settings - Effective end detection settings
+   * @param {Object} data - { silenceDuration, timestamp, estimatedMeetingEndTime } from the detector
+   */
+  handleMeetingEndDetected(recordingSession, settings, data) {
+    const { meetingId, sessionId } = recordingSession;
+    const autoStopAt = settings.autoStop ? Date.now() + (settings.autoStopDelay || 0) * 1000 : null;
+
+    // Read by the notes page through the recording status
+    recordingSession.meetingEnd = {
+      silenceDuration: data.silenceDuration,
+      silenceStartedAt: data.estimatedMeetingEndTime,
+      autoStopAt
+    };
+
+    log.info('[RECORDING] Meeting end detected', {
+      meetingId,
+      sessionId,
+      silenceDuration: data.silenceDuration,
+      silenceStartedAt: data.estimatedMeetingEndTime,
+      autoStop: !!settings.autoStop,
+      autoStopAt,
+      timestamp: Date.now()
+    });
+
+    if (Notification.isSupported()) {
+      const minutes = Math.round(data.silenceDuration / 60);
+      const notification = new Notification({
+        title: 'Meeting may have ended',
+        body: autoStopAt
+          ? `No audio for ${minutes} minutes. Recording will stop unless you keep it going.`
+          : `No audio for ${minutes} minutes. Stop the recording?`
+      });
+      notification.on('click', () => {
+        if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+          this.mainWindow.show();
+          this.mainWindow.focus();
+        }
+      });
+      notification.show();
+    }
+
+    if (autoStopAt) {
+      recordingSession.autoStopTimer = setTimeout(async () => {
+        recordingSession.autoStopTimer = null;
+        console.log(`🏁 Automatically stopping recording for meeting ${meetingId} after sustained silence`);
+        try {
+          await this.stopRecording(meetingId);
+          log.info('[RECORDING] Recording auto-stopped after meeting end', { meetingId, sessionId, timestamp: Date.now() });
+        } catch (error) {
+          console.error(`Error auto-stopping recording for meeting ${meetingId}:`, error);
+        }
+      }, autoStopAt - Date.now());
+    }
+  }
+
+  /**
+   * The user says the meeting is still going: drop the prompt and start watching again
+   * @param {number} meetingId - The meeting ID
+   * @returns {Promise<Object>} Recording status
+   */
+  async dismissMeetingEnd(meetingId) {
+    const recording = this.activeRecordings.get(meetingId);
+    if (!recording || !recording.isRecording) {
+      throw new Error('No active recording');
+    }
+
+    log.info('[RECORDING] Meeting end prompt dismissed', {
+      meetingId,
+      sessionId: recording.sessionId,
+      timestamp: Date.now()
+    });
+
+    if (!recording.isPaused) {
+      await this.startEndDetection(recording);
+    }
+    return this.getRecordingStatus(meetingId);
+  }
+
+  /**
+   * Save a meeting's end detection overrides and apply them to its active recording
+   * @param {number} meetingId - The meeting ID
+   * @param {Object|null} overrides - Settings that differ from the defaults; null resets to the defaults
+   * @returns {Promise<Object>} Effective settings
+   */
+  async updateEndDetectionSettings(meetingId, overrides) {
+    await this.database.updateMeetingEndDetectionSettings(meetingId, overrides);
+
+    const recording = this.activeRecordings.get(meetingId);
+    if (recording && recording.isRecording && !recording.isPaused) {
+      await this.startEndDetection(recording);
+    }
+    return this.getEndDetectionSettings(meetingId);
   }
 
   /**
@@ -401,15 +743,16 @@ class AudioRecorder {
     }
 
     try {
-      // Stop the native process
-      if (recording.process && !recording.process.killed) {
-        recording.process.kill('SIGTERM');
+      // Ask capture to finish; it completes the file after we return
+      if (recording.capture && recording.capture.isRunning()) {
+        recording.capture.stop();
       }
 
       // Clear duration timer
       if (recording.durationTimer) {
         clearInterval(recording.durationTimer);
       }
+      this.stopEndDetection(recording);
 
       // Mark as stopped
       recording.isRecording = false;
@@ -472,76 +815,32 @@ class AudioRecorder {
    * @returns {Promise<number>} Next part number
    */
   async getNextPartNumber(meetingId) {
-    const sessions = await this.database.getCompletedRecordings(meetingId);
-    const partNumbers = sessions
-      .map(s => s.part_number || 1)
-      .filter(p => p > 0);
-    
-    return partNumbers.length > 0 ? Math.max(...partNumbers) + 1 : 1;
+    return (await this.database.getLastPartNumber(meetingId)) + 1;
   }
 
   /**
-   * Start native audio capture process
+   * Start audio capture with a backend
+   * @param {Object} backend - From createCaptureBackend
    * @param {string} outputPath - Output file path
-   * @returns {Promise<ChildProcess>} Spawned process
+   * @returns {Promise<Object>} Capture handle (see capture-handles.js)
    */
-  async startCaptureProcess(outputPath) {
-    return new Promise((resolve, reject) => {
-      // Use the built Swift binary for real audio recording
-      console.log(`Starting audio capture process: ${this.binaryPath}`);
-      console.log(`Output path: ${outputPath}`);
-      
-      const process = spawn(this.binaryPath, [
-        'start',
-        '--output', outputPath,
-        '--bitrate', '32000'
-      ], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        detached: false
-      });
-
-      // Track the process globally for cleanup
-      if (global.trackProcess) {
-        global.trackProcess(process, `Audio capture for ${path.basename(outputPath)}`);
-      }
-
-      // Log stdout from the binary
-      process.stdout.on('data', (data) => {
-        const output = data.toString().trim();
-        if (output) {
-          console.log(`📢 [AUDIO CAPTURE OUTPUT]: ${output}`);
-        }
-      });
-
-      // Log stderr from the binary
-      process.stderr.on('data', (data) => {
-        const error = data.toString().trim();
-        if (error) {
-          console.error(`⚠️ [AUDIO CAPTURE STDERR]: ${error}`);
-        }
-      });
-
-      process.on('error', (error) => {
-        console.error('Audio capture process error:', error);
-        reject(new Error(`Failed to start audio capture: ${error.message}`));
-      });
-
-      process.on('spawn', () => {
-        console.log(`🚀 [AUDIO DEBUG] Audio capture process spawned with PID: ${process.pid}`);
-        console.log(`📋 [AUDIO DEBUG] Process command: ${this.binaryPath} start --output ${outputPath} --bitrate 32000`);
-
-        // Log native process spawned
-        log.info('[RECORDING] Native process spawned', {
-          meetingId: null, // Will be added by caller context
-          sessionId: null, // Will be added by caller context
-          pid: process.pid,
-          command: `${this.binaryPath} start --output ${outputPath} --bitrate 32000`,
-          timestamp: Date.now()
-        });
-
-        resolve(process);
-      });
+  async startCapture(backend, outputPath) {
+    const command = backend.describe(outputPath);
+    console.log(`Starting audio capture (${backend.constructor.id}): ${command}`);
+
+    const capture = await backend.start(outputPath);
+    console.log(`🚀 [AUDIO DEBUG] Audio capture process spawned with PID: ${capture.pid}`);
+
+    log.info('[RECORDING] Native process spawned', {
+      meetingId: null, // Will be added by caller context
+      sessionId: null, // Will be added by caller context
+      backend: backend.constructor.id,
+      pid: capture.pid,
+      command,
+      timestamp: Date.now()
     });
+
+    return capture;
   }
 
   /**
@@ -549,9 +848,9 @@ class AudioRecorder {
    * @param {Object} recordingSession - Recording session object
    */
   setupProcessHandlers(recordingSession) {
-    const { process } = recordingSession;
+    const { capture } = recordingSession;
 
-    process.on('exit', (code) => {
+    capture.on('exit', (code) => {
       console.log(`🛑 [AUDIO DEBUG] Audio capture process exited with code ${code} for meeting ${recordingSession.meetingId}`);
       recordingSession.isRecording = false;
 
@@ -559,12 +858,6 @@ class AudioRecorder {
         clearInterval(recordingSession.durationTimer);
       }
     });
-
-    process.on('error', (error) => {
-      console.error(`❌ [AUDIO DEBUG] Audio capture process error for meeting ${recordingSession.meetingId}:`, error);
-      recordingSession.error = error.message;
-      recordingSession.isRecording = false;
-    });
   }
 
   /**
@@ -692,7 +985,7 @@ class AudioRecorder {
    */
   startPostProcessing(sessionId, filePath, duration) {
     // Run asynchronously to not block the UI
-    setImmediate(async () => {
+    const run = new Promise(resolve => setImmediate(resolve)).then(async () => {
       try {
         console.log(`🔍 Starting post-processing analysis for session ${sessionId}`);
         console.log(`📏 Duration: ${Math.round(duration/3600*100)/100} hours`);
@@ -730,8 +1023,46 @@ class AudioRecorder {
             error: error.message
           });
         }
+      } finally {
+        // Enhance what remains after any split, before anything measures or transcribes it
+        await this.enhanceRecording(sessionId);
+
+        // Levels feed the player's waveform and silence skipping; measure what remains after any split
+        try {
+          const session = await this.database.getRecordingSession(sessionId);
+          await this.postAnalyzer.buildLevelProfile(sessionId, (session && session.final_path) || filePath);
+        } catch (error) {
+          console.warn(`⚠️ Level profile failed for session ${sessionId}:`, error.message);
+        }
+
+        // Transcribe and diarize after any split so only the meeting portion is processed
+        if (this.transcriptionService) {
+          this.transcriptionService.queueSession(sessionId);
+        }
+        if (this.diarizationService) {
+          this.diarizationService.queueSession(sessionId);
+        }
       }
     });
+
+    this.postProcessing.set(sessionId, run);
+    run.finally(() => this.postProcessing.delete(sessionId));
+  }
+
+  /**
+   * Attach the transcription service that runs after post-processing
+   * @param {TranscriptionService} transcriptionService - Service instance
+   */
+  setTranscriptionService(transcriptionService) {
+    this.transcriptionService = transcriptionService;
+  }
+
+  /**
+   * Attach the diarization service that runs after post-processing
+   * @param {DiarizationService} diarizationService - Service instance
+   */
+  setDiarizationService(diarizationService) {
+    this.diarizationService = diarizationService;
   }
 
   /**
@@ -759,13 +1090,14 @@ class AudioRecorder {
 
     for (const [meetingId, recording] of this.activeRecordings.entries()) {
       try {
-        if (recording.process && !recording.process.killed) {
-          console.log(`Force killing audio process for meeting ${meetingId} (PID: ${recording.process.pid})`);
-          recording.process.kill('SIGKILL');
+        if (recording.capture && recording.capture.isRunning()) {
+          console.log(`Force killing audio process for meeting ${meetingId} (PID: ${recording.capture.pid})`);
+          recording.capture.kill();
         }
         if (recording.durationTimer) {
           clearInterval(recording.durationTimer);
         }
+        this.stopEndDetection(recording);
       } catch (error) {
         console.error(`Error force stopping recording ${meetingId}:`, error);
       }
@@ -780,10 +1112,10 @@ class AudioRecorder {
   getActiveProcesses() {
     const processes = [];
     for (const [meetingId, recording] of this.activeRecordings.entries()) {
-      if (recording.process && !recording.process.killed) {
+      if (recording.capture && recording.capture.isRunning()) {
         processes.push({
           meetingId,
-          pid: recording.process.pid,
+          pid: recording.capture.pid,
           sessionId: recording.sessionId
         });
       }
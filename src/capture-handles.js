@@ -0,0 +1,231 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const path = require('path');
+
+// Raw PCM between a capture source and the Opus encoder
+const PCM_SAMPLE_RATE = 48000;
+const PCM_CHANNELS = 1;
+
+/**
+ * Capture handles
+ *
+ * A capture backend's start() resolves to a handle for the running capture. Handles
+ * are EventEmitters with:
+ *
+ *   pid            - Process ID of the process writing the output file
+ *   isRunning()    - false once the capture has exited
+ *   pause()        - Stop writing audio; the output has no gap for the paused time
+ *   resume()
+ *   stop(timeout)  - Finish the output file; resolves when it is complete or after timeout ms
+ *   kill()         - Stop immediately, for emergency shutdown
+ *
+ * and emit 'exit' (code) when the capture ends, including on its own.
+ */
+
+/**
+ * One process that records to the output file and is driven by signals
+ */
+class SignalCaptureHandle extends EventEmitter {
+  constructor(process, signals) {
+    super();
+    this.process = process;
+    this.signals = signals; // { pause, resume, stop }
+    this.exited = false;
+
+    process.on('exit', (code) => {
+      this.exited = true;
+      this.emit('exit', code);
+    });
+  }
+
+  get pid() {
+    return this.process.pid;
+  }
+
+  isRunning() {
+    return !this.exited;
+  }
+
+  pause() {
+    this.signal(this.signals.pause);
+  }
+
+  resume() {
+    this.signal(this.signals.resume);
+  }
+
+  stop(timeout = 3000) {
+    if (this.exited) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        console.log('⚠️ Audio process termination timeout, proceeding anyway');
+        resolve();
+      }, timeout);
+
+      this.process.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      this.signal(this.signals.stop);
+    });
+  }
+
+  kill() {
+    this.signal('SIGKILL');
+  }
+
+  signal(name) {
+    if (!this.exited) {
+      this.process.kill(name);
+    }
+  }
+}
+
+/**
+ * Raw PCM from a source, gated by pause/resume, encoded to Ogg/Opus by ffmpeg
+ *
+ * Dropping audio at the gate (rather than suspending the source) keeps the encoder's
+ * timestamps continuous, so a paused stretch is simply absent from the file.
+ */
+class EncoderCaptureHandle extends EventEmitter {
+  /**
+   * @param {Readable} source - s16le PCM at PCM_SAMPLE_RATE / PCM_CHANNELS
+   * @param {Function} stopSource - Ends the source; the stream must end afterwards
+   * @param {ChildProcess} encoder - From spawnOpusEncoder
+   */
+  constructor(source, stopSource, encoder) {
+    super();
+    this.source = source;
+    this.stopSource = stopSource;
+    this.encoder = encoder;
+    this.paused = false;
+    this.exited = false;
+
+    source.on('data', (chunk) => {
+      if (this.paused || this.exited || !this.encoder.stdin.writable) {
+        return;
+      }
+      if (!this.encoder.stdin.write(chunk)) {
+        source.pause();
+        this.encoder.stdin.once('drain', () => source.resume());
+      }
+    });
+
+    // The encoder finishes the file once its input ends, however the source stopped
+    source.on('end', () => this.encoder.stdin.end());
+    source.on('error', (error) => {
+      console.error('❌ Capture source error:', error.message);
+      this.encoder.stdin.end();
+    });
+    this.encoder.stdin.on('error', () => {}); // EPIPE if the encoder dies first; 'exit' reports it
+
+    encoder.on('exit', (code) => {
+      this.exited = true;
+      this.stopSource();
+      this.emit('exit', code);
+    });
+  }
+
+  get pid() {
+    return this.encoder.pid;
+  }
+
+  isRunning() {
+    return !this.exited;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  stop(timeout = 3000) {
+    if (this.exited) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        console.log('⚠️ Audio encoder did not finish in time, proceeding anyway');
+        resolve();
+      }, timeout);
+
+      this.encoder.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      this.stopSource();
+    });
+  }
+
+  kill() {
+    this.stopSource();
+    if (!this.exited) {
+      this.encoder.kill('SIGKILL');
+    }
+  }
+}
+
+/**
+ * Start ffmpeg encoding raw PCM on stdin to an Ogg/Opus file
+ * @param {string} outputPath - File to write
+ * @param {number} bitrate - Bits per second
+ * @returns {Promise<ChildProcess>} Resolves once spawned
+ */
+function spawnOpusEncoder(outputPath, bitrate) {
+  return spawnProcess('ffmpeg', [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-f', 's16le',
+    '-ar', String(PCM_SAMPLE_RATE),
+    '-ac', String(PCM_CHANNELS),
+    '-i', 'pipe:0',
+    '-c:a', 'libopus',
+    '-b:a', String(bitrate),
+    '-application', 'voip',
+    // Write each Ogg page as it is produced so the file grows while recording
+    '-flush_packets', '1',
+    '-f', 'ogg',
+    '-y',
+    outputPath
+  ], `Opus encoder for ${path.basename(outputPath)}`);
+}
+
+/**
+ * Spawn a process, track it for cleanup, and resolve once it is running
+ * @returns {Promise<ChildProcess>}
+ */
+function spawnProcess(command, args, description) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'], detached: false });
+
+    if (global.trackProcess) {
+      global.trackProcess(child, description);
+    }
+
+    child.stderr.on('data', (data) => {
+      const output = data.toString().trim();
+      if (output) {
+        console.error(`⚠️ [AUDIO CAPTURE STDERR] ${description}: ${output}`);
+      }
+    });
+
+    child.once('error', (error) => reject(new Error(`Failed to start ${command}: ${error.message}`)));
+    child.once('spawn', () => resolve(child));
+  });
+}
+
+module.exports = {
+  SignalCaptureHandle,
+  EncoderCaptureHandle,
+  spawnOpusEncoder,
+  spawnProcess,
+  PCM_SAMPLE_RATE,
+  PCM_CHANNELS
+};
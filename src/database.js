@@ -1,159 +1,243 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const fs = require('fs-extra');
 const log = require('./utils/logger');
 const { getLocalDateString } = require('./utils/date-utils');
 const { app, shell } = require('electron');
 const { dateOverride } = require('./date-override');
-const { generateMarkdownDocument } = require('./quill-to-markdown');
+const { generateMarkdownDocument, quillDeltaToPlainText } = require('./quill-to-markdown');
+const { extractActionItems, setActionItemDone } = require('./action-items');
+const FileUtils = require('./file-utils');
+const { MIGRATIONS, LATEST_SCHEMA_VERSION } = require('./migrations');
+
+// Pre-migration snapshots kept in userData/backups
+const DATABASE_BACKUPS_TO_KEEP = 5;
+const backupStamp = (name) => name.replace(/^granular-captureonly-v\d+-/, '');
+
+// The transaction a statement runs in, so its own statements are not held back by it
+const transactionScope = new AsyncLocalStorage();
 
 class Database {
   constructor() {
     this.db = null;
     this.dbPath = null;
+    // Transactions wait their turn on this chain; openTransaction settles when the current one ends
+    this.transactionLock = Promise.resolve();
+    this.openTransaction = null;
   }
 
   async initialize() {
     const userDataPath = app.getPath('userData');
     await fs.ensureDir(userDataPath);
     this.dbPath = path.join(userDataPath, 'granular-captureonly.db');
-    
+
+    const isExistingDatabase = (await fs.pathExists(this.dbPath)) && (await fs.stat(this.dbPath)).size > 0;
+
     this.db = new sqlite3.Database(this.dbPath);
-    await this.createTables();
-  }
-
-  async createTables() {
-    const createTablesSQL = `
-      -- Core meeting data
-      CREATE TABLE IF NOT EXISTS meetings (
-        id INTEGER PRIMARY KEY,
-        title TEXT NOT NULL,
-        folder_name TEXT UNIQUE NOT NULL,
-        start_time TEXT NOT NULL,        -- ISO 8601 UTC
-        end_time TEXT NOT NULL,          -- ISO 8601 UTC
-        participants TEXT,               -- JSON array
-        notes_content TEXT,              -- Live-edited content
-        created_at TEXT DEFAULT (datetime('now')),
-        updated_at TEXT DEFAULT (datetime('now'))
-      );
+    await this.runMigrations(isExistingDatabase);
 
-      -- Recording tracking with crash recovery
-      CREATE TABLE IF NOT EXISTS recording_sessions (
-        id INTEGER PRIMARY KEY,
-        meeting_id INTEGER NOT NULL,
-        temp_path TEXT,                  -- Path to .tmp file during recording
-        final_path TEXT,                 -- Path after successful completion
-        started_at TEXT NOT NULL,        -- ISO 8601 UTC
-        ended_at TEXT,                   -- ISO 8601 UTC, NULL if in progress
-        duration INTEGER,                -- Duration in seconds
-        completed BOOLEAN DEFAULT 0,
-        FOREIGN KEY (meeting_id) REFERENCES meetings(id)
-      );
+    // FTS5 may be missing from the SQLite build; search then falls back to LIKE queries
+    this.searchEnabled = await this.tableExists('meeting_search');
+  }
 
-      CREATE TABLE IF NOT EXISTS attachments (
-        id INTEGER PRIMARY KEY,
-        meeting_id INTEGER NOT NULL,
-        filename TEXT NOT NULL,
-        original_name TEXT NOT NULL,
-        uploaded_at TEXT DEFAULT (datetime('now')),
-        FOREIGN KEY (meeting_id) REFERENCES meetings(id)
-      );
+  /**
+   * Apply pending schema migrations (see migrations.js)
+   * @param {boolean} isExistingDatabase - Back up the database file before migrating it
+   */
+  async runMigrations(isExistingDatabase) {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    const currentVersion = await this.getSchemaVersion();
 
-      -- Track export history
-      CREATE TABLE IF NOT EXISTS export_history (
-        id INTEGER PRIMARY KEY,
-        export_date TEXT NOT NULL,       -- Date being exported
-        started_at TEXT NOT NULL,        -- ISO 8601 UTC
-        completed_at TEXT,               -- ISO 8601 UTC
-        status TEXT CHECK(status IN ('pending', 'uploading', 'completed', 'failed')),
-        google_drive_file_id TEXT,
-        error_message TEXT
+    // A newer build has migrated this database; running against it could corrupt data
+    if (currentVersion > LATEST_SCHEMA_VERSION) {
+      const error = new Error(
+        `Database schema version ${currentVersion} is newer than this version of the app supports ` +
+        `(${LATEST_SCHEMA_VERSION}). Please install the latest version of Granular CaptureOnly.`
       );
+      error.code = 'SCHEMA_TOO_NEW';
+      throw error;
+    }
+
+    const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+    if (pending.length === 0) {
+      console.log(`Database schema is up to date (v${currentVersion})`);
+      return;
+    }
+
+    if (isExistingDatabase) {
+      await this.backupDatabase(currentVersion);
+    }
+
+    console.log(`Migrating database schema v${currentVersion} → v${LATEST_SCHEMA_VERSION}...`);
+
+    for (const migration of pending) {
+      const startedAt = Date.now();
+
+      try {
+        await this.transaction(async () => {
+          await migration.up(this);
+          await this.run(
+            'INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)',
+            [migration.version, migration.name, new Date().toISOString()]
+          );
+        });
+      } catch (error) {
+        log.error('[MIGRATION] Migration failed, rolled back', {
+          version: migration.version,
+          name: migration.name,
+          error: error.message,
+          timestamp: Date.now()
+        });
+        throw new Error(`Database migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+
+      log.info('[MIGRATION] Migration applied', {
+        version: migration.version,
+        name: migration.name,
+        duration: Date.now() - startedAt,
+        timestamp: Date.now()
+      });
+    }
+
+    console.log('Database migrations completed successfully');
+  }
+
+  async getSchemaVersion() {
+    const row = await this.get('SELECT MAX(version) AS version FROM schema_version');
+    return (row && row.version) || 0;
+  }
+
+  /**
+   * Snapshot the database into userData/backups before it is migrated.
+   * Keeps the most recent DATABASE_BACKUPS_TO_KEEP snapshots.
+   * @param {number} fromVersion - Schema version being migrated from
+   * @returns {Promise<string>} Backup file path
+   */
+  async backupDatabase(fromVersion) {
+    const backupDir = path.join(path.dirname(this.dbPath), 'backups');
+    await fs.ensureDir(backupDir);
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `granular-captureonly-v${fromVersion}-${stamp}.db`);
+
+    // VACUUM INTO writes a consistent copy through the open connection
+    await this.run('VACUUM INTO ?', [backupPath]);
+
+    log.info('[MIGRATION] Database backed up before migrating', {
+      fromVersion,
+      backupPath,
+      timestamp: Date.now()
+    });
+
+    const backups = (await fs.readdir(backupDir))
+      .filter(name => /^granular-captureonly-v\d+-.*\.db$/.test(name))
+      .sort((a, b) => backupStamp(a).localeCompare(backupStamp(b)));
+    const stale = backups.slice(0, Math.max(0, backups.length - DATABASE_BACKUPS_TO_KEEP));
+    for (const name of stale) {
+      await fs.remove(path.join(backupDir, name)).catch(() => {});
+    }
+
+    return backupPath;
+  }
+
+  /**
+   * Run work in a transaction on the shared connection. SQLite has one transaction per
+   * connection, so transactions take turns, and statements issued from outside wait until
+   * the open one has committed or rolled back instead of landing in it.
+   * @param {Function} work - async () => result, using run/get/all as usual
+   * @returns {Promise<*>} What work returned, once committed
+   */
+  async transaction(work) {
+    const previous = this.transactionLock;
+    let release;
+    this.transactionLock = new Promise(resolve => { release = resolve; });
+    await previous;
+
+    let finish;
+    const current = new Promise(resolve => { finish = resolve; });
+    this.openTransaction = current;
+
+    try {
+      return await transactionScope.run(current, async () => {
+        await this.run('BEGIN TRANSACTION');
+        try {
+          const result = await work();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK').catch(() => {});
+          throw error;
+        }
+      });
+    } finally {
+      this.openTransaction = null;
+      finish();
+      release();
+    }
+  }
 
-      -- Create indexes for performance
-      CREATE INDEX IF NOT EXISTS idx_meetings_start_time ON meetings(start_time);
-      CREATE INDEX IF NOT EXISTS idx_meetings_folder_name ON meetings(folder_name);
-      CREATE INDEX IF NOT EXISTS idx_recording_sessions_meeting_id ON recording_sessions(meeting_id);
-      CREATE INDEX IF NOT EXISTS idx_attachments_meeting_id ON attachments(meeting_id);
-      CREATE INDEX IF NOT EXISTS idx_export_history_date ON export_history(export_date);
-      CREATE INDEX IF NOT EXISTS idx_export_history_status ON export_history(status);
-    `;
+  // Hold a statement back while another caller's transaction is open
+  async waitForOpenTransaction() {
+    while (this.openTransaction && transactionScope.getStore() !== this.openTransaction) {
+      await this.openTransaction;
+    }
+  }
 
+  async exec(sql) {
+    if (this.openTransaction) {
+      await this.waitForOpenTransaction();
+    }
     return new Promise((resolve, reject) => {
-      this.db.exec(createTablesSQL, async (err) => {
+      this.db.exec(sql, (err) => {
         if (err) {
-          console.error('Error creating tables:', err);
           reject(err);
         } else {
-          console.log('Database tables created successfully');
-          
-          // Run migrations for new columns
-          try {
-            await this.runMigrations();
-            console.log('Database migrations completed successfully');
-            resolve();
-          } catch (migrationError) {
-            console.error('Error running migrations:', migrationError);
-            reject(migrationError);
-          }
+          resolve();
         }
       });
     });
   }
 
-  async runMigrations() {
-    try {
-      // Migration 1: Check if upload_status column exists
-      const columnExists = await this.checkColumnExists('meetings', 'upload_status');
-      if (!columnExists) {
-        console.log('Adding upload status columns to meetings table...');
-        
-        // Add the new columns
-        await this.run('ALTER TABLE meetings ADD COLUMN upload_status TEXT DEFAULT "pending"');
-        await this.run('ALTER TABLE meetings ADD COLUMN uploaded_at TEXT');
-        await this.run('ALTER TABLE meetings ADD COLUMN gdrive_folder_id TEXT');
-        
-        console.log('Upload status columns added successfully');
-      } else {
-        console.log('Upload status columns already exist');
-      }
-
-      // Migration 2: Update folder_name to include date prefix for existing meetings
-      await this.migrateFolderNamesToDatePrefix();
-
-      // Migration 3: Add markdown export tracking columns
-      const markdownExportedExists = await this.checkColumnExists('meetings', 'markdown_exported');
-      if (!markdownExportedExists) {
-        console.log('Adding markdown export tracking columns...');
-        
-        await this.run('ALTER TABLE meetings ADD COLUMN markdown_exported INTEGER DEFAULT 0');
-        await this.run('ALTER TABLE meetings ADD COLUMN last_export_attempt TEXT');
-        await this.run('ALTER TABLE meetings ADD COLUMN export_retry_count INTEGER DEFAULT 0');
-        
-        console.log('Markdown export tracking columns added successfully');
-      }
+  async tableExists(tableName) {
+    const row = await this.get(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [tableName]
+    );
+    return !!row;
+  }
 
-      // Migration 4: Create upload queue table
+  async createSearchIndex() {
+    try {
       await this.run(`
-        CREATE TABLE IF NOT EXISTS upload_queue (
-          id INTEGER PRIMARY KEY,
-          meeting_id INTEGER NOT NULL,
-          status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'processing', 'completed', 'failed')),
-          attempts INTEGER DEFAULT 0,
-          created_at TEXT DEFAULT (datetime('now')),
-          processed_at TEXT,
-          error_message TEXT,
-          FOREIGN KEY (meeting_id) REFERENCES meetings(id),
-          UNIQUE(meeting_id)
+        CREATE VIRTUAL TABLE IF NOT EXISTS meeting_search USING fts5(
+          title,
+          participants,
+          notes,
+          transcript,
+          tokenize = 'unicode61 remove_diacritics 2'
         )
       `);
-
-      // Create index for upload queue
-      await this.run('CREATE INDEX IF NOT EXISTS idx_upload_queue_status ON upload_queue(status)');
-
+      this.searchEnabled = true;
     } catch (error) {
-      console.error('Migration error:', error);
-      throw error;
+      // SQLite built without FTS5 - search falls back to LIKE queries
+      console.warn('Full-text search unavailable:', error.message);
+      this.searchEnabled = false;
+      return;
+    }
+
+    const indexed = await this.get('SELECT COUNT(*) AS count FROM meeting_search');
+    const meetings = await this.get('SELECT COUNT(*) AS count FROM meetings');
+    if (indexed.count === 0 && meetings.count > 0) {
+      console.log(`Building search index for ${meetings.count} meetings...`);
+      await this.rebuildSearchIndex();
     }
   }
 
@@ -226,6 +310,9 @@ class Database {
   }
 
   async run(sql, params = []) {
+    if (this.openTransaction) {
+      await this.waitForOpenTransaction();
+    }
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) {
@@ -238,6 +325,9 @@ class Database {
   }
 
   async get(sql, params = []) {
+    if (this.openTransaction) {
+      await this.waitForOpenTransaction();
+    }
     return new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) {
@@ -250,6 +340,9 @@ class Database {
   }
 
   async all(sql, params = []) {
+    if (this.openTransaction) {
+      await this.waitForOpenTransaction();
+    }
     return new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) {
@@ -276,6 +369,19 @@ class Database {
     );
   }
 
+  /**
+   * Meetings starting in [from, to). start_time is a UTC ISO string, so bounds given as
+   * instants work in any time zone, unlike comparing date(start_time) to a local date.
+   * @param {Date} from - Inclusive
+   * @param {Date} to - Exclusive
+   */
+  async getMeetingsStartingBetween(from, to) {
+    return this.all(
+      'SELECT * FROM meetings WHERE start_time >= ? AND start_time < ? ORDER BY start_time',
+      [from.toISOString(), to.toISOString()]
+    );
+  }
+
   async upsertMeeting(meeting) {
     // Check if meeting already exists
     const existing = await this.get(
@@ -285,7 +391,7 @@ class Database {
     
     if (existing) {
       // Update existing meeting but preserve notes
-      return this.run(`
+      const result = await this.run(`
         UPDATE meetings 
         SET title = ?, start_time = ?, end_time = ?, participants = ?, updated_at = ?
         WHERE folder_name = ?
@@ -297,9 +403,11 @@ class Database {
         new Date().toISOString(),
         meeting.folderName
       ]);
+      await this.indexMeetingForSearch(existing.id);
+      return result;
     } else {
       // Insert new meeting
-      return this.run(`
+      const result = await this.run(`
         INSERT INTO meetings (title, folder_name, start_time, end_time, participants, updated_at)
         VALUES (?, ?, ?, ?, ?, ?)
       `, [
@@ -310,20 +418,25 @@ class Database {
         JSON.stringify(meeting.participants || []),
         new Date().toISOString()
       ]);
+      await this.indexMeetingForSearch(result.lastID);
+      return result;
     }
   }
 
   async updateMeetingNotes(meetingId, content) {
-    return this.run(
+    const result = await this.run(
       'UPDATE meetings SET notes_content = ?, updated_at = ? WHERE id = ?',
       [content, new Date().toISOString(), meetingId]
     );
+    await this.indexMeetingForSearch(meetingId);
+    await this.syncActionItems(meetingId);
+    return result;
   }
 
-  async startRecordingSession(meetingId, tempPath) {
+  async startRecordingSession(meetingId, tempPath, partNumber = null) {
     return this.run(
-      'INSERT INTO recording_sessions (meeting_id, temp_path, started_at) VALUES (?, ?, ?)',
-      [meetingId, tempPath, new Date().toISOString()]
+      'INSERT INTO recording_sessions (meeting_id, temp_path, started_at, part_number) VALUES (?, ?, ?, ?)',
+      [meetingId, tempPath, new Date().toISOString(), partNumber]
     );
   }
 
@@ -355,17 +468,27 @@ class Database {
     );
   }
 
+  // Parts merged into a consolidated recording are left out; the merged recording stands in for them
   async getCompletedRecordings(meetingId) {
     return this.all(
-      'SELECT * FROM recording_sessions WHERE meeting_id = ? AND completed = 1',
+      'SELECT * FROM recording_sessions WHERE meeting_id = ? AND completed = 1 AND merged_into IS NULL ORDER BY started_at, id',
+      [meetingId]
+    );
+  }
+
+  async getLastPartNumber(meetingId) {
+    const row = await this.get(
+      'SELECT MAX(part_number) AS part_number FROM recording_sessions WHERE meeting_id = ?',
       [meetingId]
     );
+    return (row && row.part_number) || 0;
   }
 
-  async createExportRecord(exportDate) {
+  // trigger is 'manual' (File > Export) or 'scheduled' (ExportScheduler)
+  async createExportRecord(exportDate, trigger = 'manual') {
     return this.run(
-      'INSERT INTO export_history (export_date, started_at, status) VALUES (?, ?, ?)',
-      [exportDate, new Date().toISOString(), 'pending']
+      'INSERT INTO export_history (export_date, started_at, status, trigger) VALUES (?, ?, ?, ?)',
+      [exportDate, new Date().toISOString(), 'pending', trigger]
     );
   }
 
@@ -384,6 +507,14 @@ class Database {
     );
   }
 
+  // Manual exports are left out; one taken mid-day does not cover the rest of that day
+  async getLastScheduledExportDate() {
+    const row = await this.get(
+      "SELECT MAX(export_date) AS export_date FROM export_history WHERE status = 'completed' AND trigger = 'scheduled'"
+    );
+    return row ? row.export_date : null;
+  }
+
   async getMeetingById(meetingId) {
     return this.get(
       'SELECT * FROM meetings WHERE id = ?',
@@ -392,17 +523,44 @@ class Database {
   }
 
   async updateMeetingParticipants(meetingId, participants) {
-    return this.run(
+    const result = await this.run(
       'UPDATE meetings SET participants = ?, updated_at = ? WHERE id = ?',
       [JSON.stringify(participants), new Date().toISOString(), meetingId]
     );
+    await this.indexMeetingForSearch(meetingId);
+    return result;
   }
 
   async updateMeetingTitle(meetingId, title) {
-    return this.run(
+    const result = await this.run(
       'UPDATE meetings SET title = ?, updated_at = ? WHERE id = ?',
       [title, new Date().toISOString(), meetingId]
     );
+    await this.indexMeetingForSearch(meetingId);
+    return result;
+  }
+
+  async updateMeetingRecordingPolicy(meetingId, policy) {
+    return this.run(
+      'UPDATE meetings SET recording_policy = ?, updated_at = ? WHERE id = ?',
+      [policy, new Date().toISOString(), meetingId]
+    );
+  }
+
+  async getMeetingEndDetectionSettings(meetingId) {
+    const row = await this.get('SELECT end_detection_settings FROM meetings WHERE id = ?', [meetingId]);
+    try {
+      return row && row.end_detection_settings ? JSON.parse(row.end_detection_settings) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async updateMeetingEndDetectionSettings(meetingId, settings) {
+    return this.run(
+      'UPDATE meetings SET end_detection_settings = ?, updated_at = ? WHERE id = ?',
+      [settings ? JSON.stringify(settings) : null, new Date().toISOString(), meetingId]
+    );
   }
 
   async updateMeetingFolderName(meetingId, folderName) {
@@ -487,7 +645,7 @@ class Database {
   }
 
   async createNewMeeting(meetingData) {
-    return this.run(`
+    const result = await this.run(`
       INSERT INTO meetings (title, folder_name, start_time, end_time, participants, updated_at)
       VALUES (?, ?, ?, ?, ?, ?)
     `, [
@@ -498,13 +656,20 @@ class Database {
       JSON.stringify(meetingData.participants || []),
       new Date().toISOString()
     ]);
+    await this.indexMeetingForSearch(result.lastID);
+    return result;
   }
 
   updateMeetingNotesSync(meetingId, content) {
     // Synchronous version for page unload
     return this.db.run(
       'UPDATE meetings SET notes_content = ?, updated_at = ? WHERE id = ?',
-      [content, new Date().toISOString(), meetingId]
+      [content, new Date().toISOString(), meetingId],
+      () => {
+        // Re-index once the write lands; the caller doesn't wait for it
+        this.indexMeetingForSearch(meetingId);
+        this.syncActionItems(meetingId);
+      }
     );
   }
 
@@ -651,7 +816,11 @@ class Database {
     }
   }
 
-  async exportMeetingNotesAsMarkdown(meetingId) {
+  /**
+   * @param {number} meetingId - Meeting ID
+   * @param {Object} [options] - { force } to overwrite edits made to the file outside the app
+   */
+  async exportMeetingNotesAsMarkdown(meetingId, options = {}) {
     try {
       // Get meeting data
       const meeting = await this.getMeetingById(meetingId);
@@ -672,8 +841,20 @@ class Database {
       const filename = `${meeting.folder_name}-notes.md`;
       const filePath = path.join(meetingDir, filename);
 
+      // Never overwrite edits made in another editor that haven't been imported yet
+      if (!options.force && await this.hasExternalMarkdownChanges(meetingId, filePath)) {
+        return {
+          success: false,
+          conflict: true,
+          filePath,
+          filename,
+          error: 'The notes file was edited outside the app; import or resolve those changes first'
+        };
+      }
+
       // Write markdown file
       await fs.writeFile(filePath, markdownContent, 'utf8');
+      await this.saveMarkdownSync(meetingId, filePath, markdownContent, meeting.notes_content);
 
       return { 
         success: true, 
@@ -715,6 +896,10 @@ class Database {
       const filename = `${meeting.folder_name}-notes.md`;
       const filePath = path.join(projectRoot, 'assets', dateStr, meeting.folder_name, filename);
 
+      if (await this.hasExternalMarkdownChanges(meetingId, filePath)) {
+        return { success: false, conflict: true, error: 'The notes file was edited outside the app' };
+      }
+
       // Check if file exists and delete it
       if (await fs.pathExists(filePath)) {
         await fs.remove(filePath);
@@ -728,6 +913,71 @@ class Database {
     }
   }
 
+  /**
+   * Record the notes file as just written or imported
+   * @param {number} meetingId - Meeting ID
+   * @param {string} filePath - The .md file
+   * @param {string} markdownContent - What the file now holds
+   * @param {string|null} notesContent - notes_content it corresponds to
+   */
+  async saveMarkdownSync(meetingId, filePath, markdownContent, notesContent) {
+    await this.run(
+      `INSERT INTO markdown_sync (meeting_id, file_path, markdown_hash, notes_hash, synced_at, conflict_hash, conflict_detected_at)
+       VALUES (?, ?, ?, ?, ?, NULL, NULL)
+       ON CONFLICT(meeting_id) DO UPDATE SET
+         file_path = excluded.file_path,
+         markdown_hash = excluded.markdown_hash,
+         notes_hash = excluded.notes_hash,
+         synced_at = excluded.synced_at,
+         conflict_hash = NULL,
+         conflict_detected_at = NULL`,
+      [
+        meetingId,
+        filePath,
+        FileUtils.computeContentMd5(markdownContent),
+        FileUtils.computeContentMd5(notesContent),
+        new Date().toISOString()
+      ]
+    );
+  }
+
+  async setMarkdownSyncConflict(meetingId, conflictHash) {
+    await this.run(
+      'UPDATE markdown_sync SET conflict_hash = ?, conflict_detected_at = ? WHERE meeting_id = ?',
+      [conflictHash, new Date().toISOString(), meetingId]
+    );
+  }
+
+  async getMarkdownSync(meetingId) {
+    return this.get('SELECT * FROM markdown_sync WHERE meeting_id = ?', [meetingId]);
+  }
+
+  async getMarkdownSyncByPath(filePath) {
+    return this.get('SELECT * FROM markdown_sync WHERE file_path = ?', [filePath]);
+  }
+
+  async getAllMarkdownSyncs() {
+    return this.all('SELECT * FROM markdown_sync');
+  }
+
+  /**
+   * Whether the notes file holds something the app neither wrote nor imported
+   * Files exported before sync tracking have no record and count as unchanged.
+   */
+  async hasExternalMarkdownChanges(meetingId, filePath) {
+    const sync = await this.getMarkdownSync(meetingId);
+    if (!sync) {
+      return false;
+    }
+    if (sync.conflict_hash) {
+      return true;
+    }
+    if (sync.file_path !== filePath || !(await fs.pathExists(filePath))) {
+      return false;
+    }
+    return (await FileUtils.computeMd5(filePath)) !== sync.markdown_hash;
+  }
+
   async close() {
     return new Promise((resolve) => {
       if (this.db) {
@@ -744,14 +994,15 @@ class Database {
   }
 
   // Upload status management methods
-  async setMeetingUploadStatus(meetingId, status, gdriveFileId = null) {
+  async setMeetingUploadStatus(meetingId, status, gdriveFileId = null, storageProvider = null) {
     try {
       const updateData = [status];
       let sql = 'UPDATE meetings SET upload_status = ?';
       
+      // gdrive_folder_id holds the remote folder reference of whichever provider uploaded it
       if (status === 'completed') {
-        sql += ', uploaded_at = ?, gdrive_folder_id = ?';
-        updateData.push(new Date().toISOString(), gdriveFileId);
+        sql += ', uploaded_at = ?, gdrive_folder_id = ?, storage_provider = ?';
+        updateData.push(new Date().toISOString(), gdriveFileId, storageProvider);
       }
       
       sql += ' WHERE id = ?';
@@ -803,7 +1054,7 @@ class Database {
       });
       
       const recordings = await this.all(
-        'SELECT final_path, started_at, duration FROM recording_sessions WHERE meeting_id = ? AND completed = 1',
+        'SELECT final_path, started_at, duration FROM recording_sessions WHERE meeting_id = ? AND completed = 1 AND merged_into IS NULL',
         [meetingId]
       );
       console.log(`✅ Completed recordings for meeting ${meetingId}:`, recordings.length);
@@ -869,8 +1120,22 @@ class Database {
   async deleteMeeting(meetingId) {
     try {
       // Delete related records first (due to foreign key constraints)
+      if (this.searchEnabled) {
+        await this.run('DELETE FROM meeting_search WHERE rowid = ?', [meetingId]);
+      }
+      await this.run('DELETE FROM transcript_segments WHERE meeting_id = ?', [meetingId]);
+      await this.run('DELETE FROM transcriptions WHERE meeting_id = ?', [meetingId]);
+      await this.run('DELETE FROM speaker_assignments WHERE meeting_id = ?', [meetingId]);
+      await this.run('DELETE FROM speaker_turns WHERE meeting_id = ?', [meetingId]);
+      await this.run('DELETE FROM diarizations WHERE meeting_id = ?', [meetingId]);
+      await this.run('DELETE FROM uploaded_files WHERE meeting_id = ?', [meetingId]);
+      await this.run('DELETE FROM retention_removals WHERE meeting_id = ?', [meetingId]);
+      await this.run('DELETE FROM recording_levels WHERE session_id IN (SELECT id FROM recording_sessions WHERE meeting_id = ?)', [meetingId]);
+      await this.run('DELETE FROM audio_processing WHERE session_id IN (SELECT id FROM recording_sessions WHERE meeting_id = ?)', [meetingId]);
       await this.run('DELETE FROM recording_sessions WHERE meeting_id = ?', [meetingId]);
       await this.run('DELETE FROM attachments WHERE meeting_id = ?', [meetingId]);
+      await this.run('DELETE FROM markdown_sync WHERE meeting_id = ?', [meetingId]);
+      await this.run('DELETE FROM action_items WHERE meeting_id = ?', [meetingId]);
       
       // Delete the meeting itself
       const result = await this.run('DELETE FROM meetings WHERE id = ?', [meetingId]);
@@ -964,10 +1229,16 @@ class Database {
   // Upload queue methods
   async addToUploadQueue(meetingId) {
     try {
+      // Upsert rather than replace so an in-progress resumable upload session survives re-queueing
       await this.run(
-        `INSERT OR REPLACE INTO upload_queue 
+        `INSERT INTO upload_queue 
          (meeting_id, status, attempts, created_at) 
-         VALUES (?, 'pending', 0, datetime('now'))`,
+         VALUES (?, 'pending', 0, datetime('now'))
+         ON CONFLICT(meeting_id) DO UPDATE SET
+           status = 'pending',
+           attempts = 0,
+           created_at = datetime('now'),
+           error_message = NULL`,
         [meetingId]
       );
       console.log(`Meeting ${meetingId} added to upload queue`);
@@ -1003,6 +1274,183 @@ class Database {
     }
   }
 
+  /**
+   * Resumable upload checkpoint for a meeting's in-flight file.
+   * Only one file per meeting uploads at a time, so the queue row holds it.
+   */
+  async getUploadSession(meetingId) {
+    return await this.get(
+      `SELECT upload_file_path, upload_session_uri, upload_offset, upload_file_size
+       FROM upload_queue
+       WHERE meeting_id = ? AND upload_session_uri IS NOT NULL`,
+      [meetingId]
+    );
+  }
+
+  async saveUploadSession(meetingId, filePath, sessionUri, offset, fileSize) {
+    await this.run(
+      `UPDATE upload_queue
+       SET upload_file_path = ?,
+           upload_session_uri = ?,
+           upload_offset = ?,
+           upload_file_size = ?,
+           upload_session_updated_at = ?
+       WHERE meeting_id = ?`,
+      [filePath, sessionUri, offset, fileSize, new Date().toISOString(), meetingId]
+    );
+  }
+
+  async clearUploadSession(meetingId) {
+    await this.run(
+      `UPDATE upload_queue
+       SET upload_file_path = NULL,
+           upload_session_uri = NULL,
+           upload_offset = 0,
+           upload_file_size = NULL,
+           upload_session_updated_at = NULL
+       WHERE meeting_id = ?`,
+      [meetingId]
+    );
+  }
+
+  // Per-file sync state for incremental uploads
+  async getUploadedFiles(meetingId, provider, remoteFolderId) {
+    return await this.all(
+      'SELECT * FROM uploaded_files WHERE meeting_id = ? AND provider = ? AND remote_folder_id = ? ORDER BY file_name',
+      [meetingId, provider, remoteFolderId]
+    );
+  }
+
+  async recordUploadedFile(meetingId, provider, remoteFolderId, file) {
+    await this.run(
+      `INSERT INTO uploaded_files
+       (meeting_id, provider, remote_folder_id, file_name, local_path, remote_file_id, content_hash, file_size, uploaded_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(meeting_id, provider, remote_folder_id, file_name) DO UPDATE SET
+         local_path = excluded.local_path,
+         remote_file_id = excluded.remote_file_id,
+         content_hash = excluded.content_hash,
+         file_size = excluded.file_size,
+         uploaded_at = excluded.uploaded_at,
+         local_missing_at = NULL`,
+      [
+        meetingId,
+        provider,
+        remoteFolderId,
+        file.name,
+        file.path,
+        file.remoteFileId,
+        file.contentHash,
+        file.size,
+        new Date().toISOString()
+      ]
+    );
+  }
+
+  async markUploadedFileLocalMissing(uploadedFileId) {
+    await this.run(
+      'UPDATE uploaded_files SET local_missing_at = ? WHERE id = ? AND local_missing_at IS NULL',
+      [new Date().toISOString(), uploadedFileId]
+    );
+  }
+
+  async removeUploadedFile(uploadedFileId) {
+    await this.run('DELETE FROM uploaded_files WHERE id = ?', [uploadedFileId]);
+  }
+
+  async saveRecordingLevels(sessionId, profile) {
+    await this.run(
+      `INSERT INTO recording_levels (session_id, bucket_ms, levels, duration, created_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(session_id) DO UPDATE SET
+         bucket_ms = excluded.bucket_ms,
+         levels = excluded.levels,
+         duration = excluded.duration,
+         created_at = excluded.created_at`,
+      [sessionId, profile.bucketMs, JSON.stringify(profile.levels), profile.duration, new Date().toISOString()]
+    );
+  }
+
+  async getRecordingLevels(sessionId) {
+    const row = await this.get('SELECT * FROM recording_levels WHERE session_id = ?', [sessionId]);
+    return row ? { bucketMs: row.bucket_ms, levels: JSON.parse(row.levels), duration: row.duration } : null;
+  }
+
+  /**
+   * @param {number} sessionId - Recording session ID
+   * @param {Object} record - { status, mode, processedPath, parameters, measurements, error }
+   */
+  async saveAudioProcessing(sessionId, record) {
+    await this.run(
+      `INSERT INTO audio_processing (session_id, status, mode, processed_path, parameters, measurements, error_message, completed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(session_id) DO UPDATE SET
+         status = excluded.status,
+         mode = excluded.mode,
+         processed_path = COALESCE(excluded.processed_path, processed_path),
+         parameters = excluded.parameters,
+         measurements = COALESCE(excluded.measurements, measurements),
+         error_message = excluded.error_message,
+         completed_at = excluded.completed_at`,
+      [
+        sessionId,
+        record.status,
+        record.mode,
+        record.processedPath || null,
+        JSON.stringify(record.parameters),
+        record.measurements ? JSON.stringify(record.measurements) : null,
+        record.error || null,
+        record.status === 'completed' ? new Date().toISOString() : null
+      ]
+    );
+  }
+
+  async getAudioProcessing(sessionId) {
+    const row = await this.get('SELECT * FROM audio_processing WHERE session_id = ?', [sessionId]);
+    if (!row) {
+      return null;
+    }
+    return {
+      ...row,
+      parameters: JSON.parse(row.parameters),
+      measurements: row.measurements ? JSON.parse(row.measurements) : null
+    };
+  }
+
+  async getMeetingUploadedFiles(meetingId) {
+    return await this.all(
+      'SELECT * FROM uploaded_files WHERE meeting_id = ? ORDER BY uploaded_at',
+      [meetingId]
+    );
+  }
+
+  async recordRetentionRemoval(removal) {
+    await this.run(
+      `INSERT INTO retention_removals
+       (meeting_id, session_id, category, file_path, file_size, action, offload_path, remote_provider, remote_file_id, removed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        removal.meetingId,
+        removal.sessionId || null,
+        removal.category,
+        removal.filePath,
+        removal.fileSize || null,
+        removal.action,
+        removal.offloadPath || null,
+        removal.remoteProvider || null,
+        removal.remoteFileId || null,
+        new Date().toISOString()
+      ]
+    );
+  }
+
+  async getRetentionRemovals(meetingId) {
+    return await this.all(
+      'SELECT * FROM retention_removals WHERE meeting_id = ? ORDER BY removed_at',
+      [meetingId]
+    );
+  }
+
   // Find meetings with missing markdown or failed uploads
   async getMeetingsNeedingMarkdown() {
     return await this.all(`
@@ -1033,40 +1481,11 @@ class Database {
 
   // Post-recording analysis and splitting methods
 
-  /**
-   * Add columns for tracking split recordings if they don't exist
-   */
-  async addSplitTrackingColumns() {
-    const columns = [
-      'ALTER TABLE recording_sessions ADD COLUMN was_split BOOLEAN DEFAULT 0',
-      'ALTER TABLE recording_sessions ADD COLUMN original_duration REAL',
-      'ALTER TABLE recording_sessions ADD COLUMN split_at_time REAL',
-      'ALTER TABLE recording_sessions ADD COLUMN silence_file_path TEXT',
-      'ALTER TABLE recording_sessions ADD COLUMN space_saved_bytes INTEGER'
-    ];
-
-    for (const sql of columns) {
-      try {
-        await this.run(sql);
-        console.log(`✅ Added column: ${sql.split(' ADD COLUMN ')[1]}`);
-      } catch (error) {
-        if (error.message.includes('duplicate column name')) {
-          // Column already exists, skip
-        } else {
-          console.error('Error adding column:', error);
-        }
-      }
-    }
-  }
-
   /**
    * Record that a recording session was split
    */
   async recordSplit(sessionId, splitData) {
     try {
-      // Ensure split tracking columns exist
-      await this.addSplitTrackingColumns();
-
       await this.run(`
         UPDATE recording_sessions
         SET was_split = 1,
@@ -1096,8 +1515,6 @@ class Database {
    */
   async getSplitRecordings() {
     try {
-      await this.addSplitTrackingColumns();
-
       return await this.all(`
         SELECT
           rs.*,
@@ -1121,8 +1538,6 @@ class Database {
    */
   async getSplitStatistics() {
     try {
-      await this.addSplitTrackingColumns();
-
       const stats = await this.get(`
         SELECT
           COUNT(*) as total_splits,
@@ -1164,8 +1579,6 @@ class Database {
    */
   async isRecordingSplit(sessionId) {
     try {
-      await this.addSplitTrackingColumns();
-
       const result = await this.get(
         'SELECT was_split, silence_file_path FROM recording_sessions WHERE id = ?',
         [sessionId]
@@ -1186,8 +1599,6 @@ class Database {
    */
   async getRecordingsNeedingPostProcessing() {
     try {
-      await this.addSplitTrackingColumns();
-
       return await this.all(`
         SELECT
           rs.*,
@@ -1233,15 +1644,561 @@ class Database {
     }
   }
 
-  async updateMeetingFolderName(meetingId, newFolderName) {
+  // Recorded parts inside a merged recording, in playback order
+  async getMergedRecordingParts(sessionId) {
+    return this.all(
+      'SELECT * FROM recording_sessions WHERE merged_into = ? AND part_number IS NOT NULL ORDER BY merged_offset',
+      [sessionId]
+    );
+  }
+
+  // File names of every part that now lives on in a merged recording
+  async getMergedRecordingPaths(meetingId) {
+    const rows = await this.all(
+      'SELECT final_path FROM recording_sessions WHERE meeting_id = ? AND merged_into IS NOT NULL AND final_path IS NOT NULL',
+      [meetingId]
+    );
+    return rows.map(row => row.final_path);
+  }
+
+  /**
+   * Record a merged recording in place of the recordings it was made from
+   *
+   * Inputs that were themselves merged hand their parts on to the new recording. Transcript
+   * segments move across with their offsets; the transcription only counts as complete if
+   * every input's was. Diarization and levels are per file, so the inputs' rows are dropped
+   * for the caller to redo on the merged file.
+   *
+   * @param {number} meetingId - Meeting ID
+   * @param {Object} merged - { finalPath, startedAt, endedAt, duration }
+   * @param {Array} inputs - [{ id, offset }] - Recordings in the merged file, offset in seconds
+   * @returns {Promise<Object>} { sessionId, transcriptComplete }
+   */
+  async saveMergedRecording(meetingId, merged, inputs) {
+    const inputIds = inputs.map(input => input.id);
+    const placeholders = inputIds.map(() => '?').join(', ');
+
     try {
-      const result = await this.run(
-        'UPDATE meetings SET folder_name = ? WHERE id = ?',
-        [newFolderName, meetingId]
+      const saved = await this.transaction(async () => {
+        const result = await this.run(
+          `INSERT INTO recording_sessions (meeting_id, final_path, started_at, ended_at, duration, completed)
+           VALUES (?, ?, ?, ?, ?, 1)`,
+          [meetingId, merged.finalPath, merged.startedAt, merged.endedAt, Math.round(merged.duration)]
+        );
+        const sessionId = result.lastID;
+
+        for (const input of inputs) {
+          await this.run(
+            'UPDATE recording_sessions SET merged_into = ?, merged_offset = merged_offset + ? WHERE merged_into = ?',
+            [sessionId, input.offset, input.id]
+          );
+          await this.run(
+            'UPDATE recording_sessions SET merged_into = ?, merged_offset = ? WHERE id = ?',
+            [sessionId, input.offset, input.id]
+          );
+          await this.run(
+            'UPDATE transcript_segments SET session_id = ?, start_ms = start_ms + ?, end_ms = end_ms + ? WHERE session_id = ?',
+            [sessionId, Math.round(input.offset * 1000), Math.round(input.offset * 1000), input.id]
+          );
+        }
+
+        const completed = await this.get(
+          `SELECT COUNT(*) AS count, MIN(engine) AS engine, MIN(language) AS language FROM transcriptions
+           WHERE session_id IN (${placeholders}) AND status = 'completed'`,
+          inputIds
+        );
+        const transcriptComplete = completed.count === inputIds.length;
+        if (transcriptComplete) {
+          await this.run(
+            `INSERT INTO transcriptions (session_id, meeting_id, engine, language, status, completed_at)
+             VALUES (?, ?, ?, ?, 'completed', ?)`,
+            [sessionId, meetingId, completed.engine, completed.language, new Date().toISOString()]
+          );
+        } else {
+          // Part of the meeting has no transcript; transcribing the merged file redoes it all
+          await this.run('DELETE FROM transcript_segments WHERE session_id = ?', [sessionId]);
+        }
+
+        await this.run(`DELETE FROM transcriptions WHERE session_id IN (${placeholders})`, inputIds);
+        await this.run(`DELETE FROM speaker_assignments WHERE session_id IN (${placeholders})`, inputIds);
+        await this.run(`DELETE FROM speaker_turns WHERE session_id IN (${placeholders})`, inputIds);
+        await this.run(`DELETE FROM diarizations WHERE session_id IN (${placeholders})`, inputIds);
+        await this.run(`DELETE FROM recording_levels WHERE session_id IN (${placeholders})`, inputIds);
+        await this.run(`DELETE FROM audio_processing WHERE session_id IN (${placeholders})`, inputIds);
+
+        return { sessionId, transcriptComplete };
+      });
+      await this.indexMeetingForSearch(meetingId);
+      return saved;
+    } catch (error) {
+      console.error('Error saving merged recording:', error);
+      throw error;
+    }
+  }
+
+  async setTranscriptionStatus(sessionId, meetingId, status, details = {}) {
+    try {
+      await this.run(
+        `INSERT INTO transcriptions (session_id, meeting_id, engine, language, status, error_message, completed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(session_id) DO UPDATE SET
+           engine = COALESCE(excluded.engine, engine),
+           language = COALESCE(excluded.language, language),
+           status = excluded.status,
+           error_message = excluded.error_message,
+           completed_at = excluded.completed_at`,
+        [
+          sessionId,
+          meetingId,
+          details.engine || null,
+          details.language || null,
+          status,
+          details.error || null,
+          status === 'completed' ? new Date().toISOString() : null
+        ]
+      );
+    } catch (error) {
+      console.error('Error setting transcription status:', error);
+      throw error;
+    }
+  }
+
+  async getTranscriptionsByStatus(status) {
+    try {
+      return await this.all(
+        'SELECT * FROM transcriptions WHERE status = ? ORDER BY created_at',
+        [status]
+      );
+    } catch (error) {
+      console.error('Error getting transcriptions by status:', error);
+      return [];
+    }
+  }
+
+  async getMeetingTranscriptions(meetingId) {
+    try {
+      return await this.all(
+        `SELECT t.*, rs.final_path, rs.started_at, rs.duration
+         FROM transcriptions t
+         JOIN recording_sessions rs ON rs.id = t.session_id
+         WHERE t.meeting_id = ?
+         ORDER BY rs.started_at`,
+        [meetingId]
+      );
+    } catch (error) {
+      console.error('Error getting meeting transcriptions:', error);
+      return [];
+    }
+  }
+
+  // Replace all segments for a session in one transaction so a re-run never leaves duplicates
+  async saveTranscriptSegments(sessionId, meetingId, segments) {
+    try {
+      await this.transaction(async () => {
+        await this.run('DELETE FROM transcript_segments WHERE session_id = ?', [sessionId]);
+        for (const segment of segments) {
+          await this.run(
+            'INSERT INTO transcript_segments (session_id, meeting_id, start_ms, end_ms, text) VALUES (?, ?, ?, ?, ?)',
+            [sessionId, meetingId, Math.round(segment.startMs), Math.round(segment.endMs), segment.text]
+          );
+        }
+      });
+      await this.indexMeetingForSearch(meetingId);
+    } catch (error) {
+      console.error('Error saving transcript segments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh the search index row for a meeting from its current title,
+   * participants, notes (as plain text) and transcript
+   */
+  async indexMeetingForSearch(meetingId) {
+    if (!this.searchEnabled) {
+      return;
+    }
+
+    try {
+      const meeting = await this.get(
+        'SELECT id, title, participants, notes_content FROM meetings WHERE id = ?',
+        [meetingId]
+      );
+      await this.run('DELETE FROM meeting_search WHERE rowid = ?', [meetingId]);
+      if (!meeting) {
+        return;
+      }
+
+      let participants = [];
+      try {
+        participants = meeting.participants ? JSON.parse(meeting.participants) : [];
+      } catch (e) {
+        participants = [];
+      }
+
+      const segments = await this.all(
+        'SELECT text FROM transcript_segments WHERE meeting_id = ? ORDER BY session_id, start_ms',
+        [meetingId]
+      );
+
+      await this.run(
+        'INSERT INTO meeting_search (rowid, title, participants, notes, transcript) VALUES (?, ?, ?, ?, ?)',
+        [
+          meeting.id,
+          meeting.title || '',
+          participants.join(' '),
+          quillDeltaToPlainText(meeting.notes_content),
+          segments.map(segment => segment.text).join(' ')
+        ]
+      );
+    } catch (error) {
+      // Search is best-effort; never fail the edit that triggered it
+      console.error(`Error indexing meeting ${meetingId} for search:`, error);
+    }
+  }
+
+  async rebuildSearchIndex() {
+    if (!this.searchEnabled) {
+      return;
+    }
+
+    await this.run('DELETE FROM meeting_search');
+    const meetings = await this.all('SELECT id FROM meetings');
+    for (const meeting of meetings) {
+      await this.indexMeetingForSearch(meeting.id);
+    }
+  }
+
+  /**
+   * Search meetings by title, participants, notes and transcript
+   * @param {string} query - Free text typed by the user; empty lists every meeting in the date range
+   * @param {Object} filters - { fromDate, toDate } as local YYYY-MM-DD, and limit
+   * @returns {Promise<Array>} Meetings with a snippet; matches are wrapped in \u0002 / \u0003
+   */
+  async searchMeetings(query, filters = {}) {
+    const terms = (query || '')
+      .split(/\s+/)
+      .map(term => term.replace(/["*^:()]/g, '').trim())
+      .filter(term => term.length > 0);
+
+    if (terms.length === 0 && !filters.fromDate && !filters.toDate) {
+      return [];
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (filters.fromDate) {
+      conditions.push('m.start_time >= ?');
+      params.push(new Date(`${filters.fromDate}T00:00:00`).toISOString());
+    }
+    if (filters.toDate) {
+      const toDate = new Date(`${filters.toDate}T00:00:00`);
+      toDate.setDate(toDate.getDate() + 1);
+      conditions.push('m.start_time < ?');
+      params.push(toDate.toISOString());
+    }
+
+    const limit = filters.limit || 50;
+    const dateClause = conditions.length > 0 ? `AND ${conditions.join(' AND ')}` : '';
+
+    if (terms.length === 0) {
+      const rows = await this.all(
+        `SELECT m.id, m.title, m.start_time, m.end_time, m.participants, m.upload_status
+         FROM meetings m
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY m.start_time DESC
+         LIMIT ?`,
+        [...params, limit]
+      );
+      return rows.map(row => ({ ...row, snippet: null }));
+    }
+
+    if (!this.searchEnabled) {
+      // Fallback without FTS5: every term must appear in title, participants, notes or transcript
+      const likeClauses = terms.map(() => `(m.title LIKE ? OR m.participants LIKE ? OR m.notes_content LIKE ?
+        OR EXISTS (SELECT 1 FROM transcript_segments ts WHERE ts.meeting_id = m.id AND ts.text LIKE ?))`);
+      const likeParams = terms.flatMap(term => Array(4).fill(`%${term}%`));
+      const rows = await this.all(
+        `SELECT m.id, m.title, m.start_time, m.end_time, m.participants, m.upload_status
+         FROM meetings m
+         WHERE ${likeClauses.join(' AND ')} ${dateClause}
+         ORDER BY m.start_time DESC
+         LIMIT ?`,
+        [...likeParams, ...params, limit]
+      );
+      return rows.map(row => ({ ...row, snippet: null }));
+    }
+
+    // Quote each term and prefix-match it so punctuation can't break the FTS5 syntax
+    const matchExpression = terms.map(term => `"${term}"*`).join(' ');
+
+    return this.all(
+      `SELECT m.id, m.title, m.start_time, m.end_time, m.participants, m.upload_status,
+              snippet(meeting_search, -1, char(2), char(3), '…', 12) AS snippet
+       FROM meeting_search
+       JOIN meetings m ON m.id = meeting_search.rowid
+       WHERE meeting_search MATCH ? ${dateClause}
+       ORDER BY bm25(meeting_search), m.start_time DESC
+       LIMIT ?`,
+      [matchExpression, ...params, limit]
+    );
+  }
+
+  /**
+   * Bring action_items in line with a meeting's notes: add new items, update changed
+   * ones and drop those no longer in the notes
+   */
+  async syncActionItems(meetingId) {
+    try {
+      const meeting = await this.get('SELECT id, participants, notes_content FROM meetings WHERE id = ?', [meetingId]);
+      let items = [];
+      if (meeting && meeting.notes_content) {
+        let participants = [];
+        try {
+          participants = meeting.participants ? JSON.parse(meeting.participants) : [];
+        } catch (e) {
+          participants = [];
+        }
+        try {
+          items = extractActionItems(JSON.parse(meeting.notes_content), participants);
+        } catch (e) {
+          items = []; // Legacy plain-text notes have no action items
+        }
+      }
+
+      const now = new Date().toISOString();
+      for (const item of items) {
+        await this.run(
+          `INSERT INTO action_items (meeting_id, item_key, text, owner, due_date, status, position, created_at, updated_at, completed_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT(meeting_id, item_key) DO UPDATE SET
+             text = excluded.text,
+             owner = excluded.owner,
+             due_date = excluded.due_date,
+             status = excluded.status,
+             position = excluded.position,
+             updated_at = excluded.updated_at,
+             completed_at = CASE WHEN excluded.status = 'done' THEN COALESCE(completed_at, excluded.updated_at) END
+           WHERE text IS NOT excluded.text OR owner IS NOT excluded.owner OR due_date IS NOT excluded.due_date
+             OR status IS NOT excluded.status OR position IS NOT excluded.position`,
+          [meetingId, item.key, item.text, item.owner, item.dueDate, item.status, item.position, now, now, item.status === 'done' ? now : null]
+        );
+      }
+
+      const keys = items.map(item => item.key);
+      await this.run(
+        `DELETE FROM action_items WHERE meeting_id = ? AND item_key NOT IN (${keys.map(() => '?').join(', ')})`,
+        [meetingId, ...keys]
+      );
+    } catch (error) {
+      // Like search, action items are derived; never fail the edit that triggered it
+      console.error(`Error syncing action items for meeting ${meetingId}:`, error);
+    }
+  }
+
+  /**
+   * Action items across all meetings
+   * @param {Object} filters - { owner, status } where status is 'open', 'done' or 'all'
+   *   (default 'open') and owner '' means items nobody was named for
+   * @returns {Promise<Array>} Items with their meeting's title and start time, soonest due first
+   */
+  async getActionItems(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const status = filters.status || 'open';
+    if (status !== 'all') {
+      conditions.push('a.status = ?');
+      params.push(status);
+    }
+    if (filters.owner === '') {
+      conditions.push('a.owner IS NULL');
+    } else if (filters.owner) {
+      conditions.push('a.owner = ?');
+      params.push(filters.owner);
+    }
+
+    return this.all(
+      `SELECT a.*, m.title AS meeting_title, m.start_time AS meeting_start_time
+       FROM action_items a
+       JOIN meetings m ON m.id = a.meeting_id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY a.due_date IS NULL, a.due_date, m.start_time DESC, a.position`,
+      params
+    );
+  }
+
+  /**
+   * @returns {Promise<Array>} [{ owner, open_count }] for every owner with items; owner is null for unassigned
+   */
+  async getActionItemOwners() {
+    return this.all(
+      `SELECT owner, SUM(status = 'open') AS open_count
+       FROM action_items
+       GROUP BY owner
+       ORDER BY owner IS NULL, owner COLLATE NOCASE`
+    );
+  }
+
+  /**
+   * Complete or reopen an action item by ticking its checkbox in the meeting's notes
+   * @param {number} itemId - action_items ID
+   * @param {boolean} done - Completed or not
+   * @returns {Promise<Object>} The updated item
+   */
+  async setActionItemStatus(itemId, done) {
+    const item = await this.get('SELECT * FROM action_items WHERE id = ?', [itemId]);
+    if (!item) {
+      throw new Error('Action item not found');
+    }
+
+    const meeting = await this.getMeetingById(item.meeting_id);
+    let notes = null;
+    try {
+      notes = setActionItemDone(JSON.parse(meeting.notes_content), item.item_key, done);
+    } catch (e) {
+      notes = null;
+    }
+    if (!notes) {
+      await this.syncActionItems(item.meeting_id);
+      throw new Error('Action item is no longer in the meeting notes');
+    }
+
+    await this.updateMeetingNotes(item.meeting_id, JSON.stringify(notes));
+    log.info('[NOTES] Action item status changed', { itemId, meetingId: item.meeting_id, status: done ? 'done' : 'open', timestamp: Date.now() });
+    return this.get('SELECT * FROM action_items WHERE id = ?', [itemId]);
+  }
+
+  async getTranscriptSegments(meetingId) {
+    try {
+      return await this.all(
+        'SELECT * FROM transcript_segments WHERE meeting_id = ? ORDER BY session_id, start_ms',
+        [meetingId]
+      );
+    } catch (error) {
+      console.error('Error getting transcript segments:', error);
+      return [];
+    }
+  }
+
+  async setDiarizationStatus(sessionId, meetingId, status, details = {}) {
+    try {
+      await this.run(
+        `INSERT INTO diarizations (session_id, meeting_id, engine, status, speaker_count, error_message, completed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(session_id) DO UPDATE SET
+           engine = COALESCE(excluded.engine, engine),
+           status = excluded.status,
+           speaker_count = COALESCE(excluded.speaker_count, speaker_count),
+           error_message = excluded.error_message,
+           completed_at = excluded.completed_at`,
+        [
+          sessionId,
+          meetingId,
+          details.engine || null,
+          status,
+          details.speakerCount !== undefined ? details.speakerCount : null,
+          details.error || null,
+          status === 'completed' ? new Date().toISOString() : null
+        ]
+      );
+    } catch (error) {
+      console.error('Error setting diarization status:', error);
+      throw error;
+    }
+  }
+
+  async getDiarizationsByStatus(status) {
+    try {
+      return await this.all(
+        'SELECT * FROM diarizations WHERE status = ? ORDER BY created_at',
+        [status]
+      );
+    } catch (error) {
+      console.error('Error getting diarizations by status:', error);
+      return [];
+    }
+  }
+
+  async getMeetingDiarizations(meetingId) {
+    try {
+      return await this.all(
+        `SELECT d.*, rs.final_path, rs.started_at, rs.duration
+         FROM diarizations d
+         JOIN recording_sessions rs ON rs.id = d.session_id
+         WHERE d.meeting_id = ?
+         ORDER BY rs.started_at`,
+        [meetingId]
+      );
+    } catch (error) {
+      console.error('Error getting meeting diarizations:', error);
+      return [];
+    }
+  }
+
+  // Replace a session's turns; labels from an earlier run mean different voices, so their mapping goes too
+  async saveSpeakerTurns(sessionId, meetingId, turns) {
+    try {
+      await this.transaction(async () => {
+        await this.run('DELETE FROM speaker_turns WHERE session_id = ?', [sessionId]);
+        await this.run('DELETE FROM speaker_assignments WHERE session_id = ?', [sessionId]);
+        for (const turn of turns) {
+          await this.run(
+            'INSERT INTO speaker_turns (session_id, meeting_id, speaker_label, start_ms, end_ms) VALUES (?, ?, ?, ?, ?)',
+            [sessionId, meetingId, turn.speaker, Math.round(turn.startMs), Math.round(turn.endMs)]
+          );
+        }
+      });
+    } catch (error) {
+      console.error('Error saving speaker turns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Talk time per detected speaker with the participant it is mapped to (if any)
+   * @param {number} meetingId - Meeting ID
+   * @returns {Promise<Array>} [{ session_id, speaker_label, participant, talk_ms, turn_count }]
+   */
+  async getSpeakerTalkTime(meetingId) {
+    try {
+      return await this.all(
+        `SELECT st.session_id, st.speaker_label, sa.participant,
+                SUM(st.end_ms - st.start_ms) AS talk_ms,
+                COUNT(*) AS turn_count,
+                MIN(st.start_ms) AS first_spoke_ms
+         FROM speaker_turns st
+         LEFT JOIN speaker_assignments sa ON sa.session_id = st.session_id AND sa.speaker_label = st.speaker_label
+         WHERE st.meeting_id = ?
+         GROUP BY st.session_id, st.speaker_label
+         ORDER BY st.session_id, first_spoke_ms`,
+        [meetingId]
+      );
+    } catch (error) {
+      console.error('Error getting speaker talk time:', error);
+      return [];
+    }
+  }
+
+  // Map a detected speaker to a participant; an empty participant clears the mapping
+  async setSpeakerParticipant(sessionId, meetingId, speakerLabel, participant) {
+    try {
+      if (!participant) {
+        await this.run(
+          'DELETE FROM speaker_assignments WHERE session_id = ? AND speaker_label = ?',
+          [sessionId, speakerLabel]
+        );
+        return;
+      }
+
+      await this.run(
+        `INSERT INTO speaker_assignments (session_id, meeting_id, speaker_label, participant)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(session_id, speaker_label) DO UPDATE SET participant = excluded.participant`,
+        [sessionId, meetingId, speakerLabel, participant]
       );
-      return result.changes;
     } catch (error) {
-      console.error('Error updating meeting folder name:', error);
+      console.error('Error setting speaker participant:', error);
       throw error;
     }
   }
@@ -0,0 +1,184 @@
+const path = require('path');
+const log = require('./utils/logger');
+const SessionQueueService = require('./session-queue-service');
+const SpeakerDiarizer = require('./speaker-diarizer');
+
+// Diarization engines by id; the diarizationEngine setting picks one
+const ENGINES = new Map([
+  [SpeakerDiarizer.id, SpeakerDiarizer]
+]);
+
+/**
+ * Diarization Service
+ *
+ * Splits finished recordings into speaker turns one at a time and stores them
+ * per recording session. Detected speakers are anonymous (SPEAKER_1...) until the
+ * user maps them to meeting participants, which turns them into talk-time stats.
+ */
+class DiarizationService extends SessionQueueService {
+  constructor(database, store, mainWindow = null) {
+    super(database, store, mainWindow, {
+      name: 'Diarization',
+      verb: 'diarize',
+      icon: '🗣️',
+      enabledSetting: 'diarizationEnabled',
+      statusChannel: 'diarization-status-changed',
+      setStatus: (...args) => database.setDiarizationStatus(...args),
+      getByStatus: (status) => database.getDiarizationsByStatus(status)
+    });
+  }
+
+  static registerEngine(id, EngineClass) {
+    ENGINES.set(id, EngineClass);
+  }
+
+  createEngine() {
+    const engineId = this.store.get('diarizationEngine') || SpeakerDiarizer.id;
+    const EngineClass = ENGINES.get(engineId);
+    if (!EngineClass) {
+      throw new Error(`Unknown diarization engine: ${engineId}`);
+    }
+
+    return new EngineClass({
+      maxSpeakers: this.store.get('diarizationMaxSpeakers')
+    });
+  }
+
+  /**
+   * Detect speaker turns in one recording session
+   * @param {number} sessionId - Recording session ID
+   * @returns {Promise<Object>} { success, skipped, speakerCount }
+   */
+  async diarizeSession(sessionId) {
+    const { session, engine, result: skipped } = await this.prepareSession(sessionId);
+    if (skipped) {
+      return skipped;
+    }
+    const meetingId = session.meeting_id;
+
+    const startedAt = Date.now();
+    log.info('[DIARIZE] Diarization started', {
+      meetingId,
+      sessionId,
+      engine: engine.constructor.id,
+      file: path.basename(session.final_path),
+      timestamp: startedAt
+    });
+
+    await this.database.setDiarizationStatus(sessionId, meetingId, 'processing', { engine: engine.constructor.id });
+    this.notifyStatusChange(meetingId, sessionId, 'processing');
+
+    try {
+      const maxSpeakers = await this.getMaxSpeakers(meetingId);
+      const result = await engine.diarize(session.final_path, { maxSpeakers });
+
+      if (await this.wasMergedMeanwhile(sessionId)) {
+        return { success: true, skipped: true };
+      }
+
+      await this.database.saveSpeakerTurns(sessionId, meetingId, result.turns);
+      await this.database.setDiarizationStatus(sessionId, meetingId, 'completed', {
+        engine: engine.constructor.id,
+        speakerCount: result.speakerCount
+      });
+
+      log.info('[DIARIZE] Diarization completed', {
+        meetingId,
+        sessionId,
+        speakerCount: result.speakerCount,
+        turns: result.turns.length,
+        maxSpeakers,
+        duration: Date.now() - startedAt,
+        timestamp: Date.now()
+      });
+
+      this.notifyStatusChange(meetingId, sessionId, 'completed');
+      return { success: true, skipped: false, speakerCount: result.speakerCount };
+
+    } catch (error) {
+      log.error('[DIARIZE] Diarization failed', {
+        meetingId,
+        sessionId,
+        error: error.message,
+        duration: Date.now() - startedAt,
+        timestamp: Date.now()
+      });
+
+      await this.database.setDiarizationStatus(sessionId, meetingId, 'failed', { error: error.message });
+      this.notifyStatusChange(meetingId, sessionId, 'failed', error.message);
+      throw error;
+    }
+  }
+
+  // The invite list bounds the speaker count; people often join unlisted, so allow one extra
+  async getMaxSpeakers(meetingId) {
+    const configured = this.store.get('diarizationMaxSpeakers') || 6;
+    const meeting = await this.database.getMeetingById(meetingId);
+
+    let participants = [];
+    try {
+      participants = meeting && meeting.participants ? JSON.parse(meeting.participants) : [];
+    } catch (error) {
+      participants = [];
+    }
+
+    return participants.length > 0 ? Math.min(configured, participants.length + 1) : configured;
+  }
+
+  processSession(sessionId) {
+    return this.diarizeSession(sessionId);
+  }
+
+  /**
+   * Queue every completed recording of a meeting (manual re-run)
+   * @param {number} meetingId - Meeting ID
+   */
+  async diarizeMeeting(meetingId) {
+    return this.queueMeeting(meetingId);
+  }
+
+  /**
+   * Talk time per speaker, merged across recordings for mapped participants
+   * @param {number} meetingId - Meeting ID
+   * @returns {Promise<Object>} { totalMs, speakers: [{ sessionId, speakerLabel, participant, talkMs }], participants: [{ name, talkMs, percent }] }
+   */
+  async getTalkTime(meetingId) {
+    const rows = await this.database.getSpeakerTalkTime(meetingId);
+    const totalMs = rows.reduce((sum, row) => sum + row.talk_ms, 0);
+    const sessionIds = [...new Set(rows.map(row => row.session_id))];
+
+    const speakers = rows.map(row => ({
+      sessionId: row.session_id,
+      speakerLabel: row.speaker_label,
+      displayName: this.formatSpeakerLabel(row.speaker_label, sessionIds.length > 1 ? sessionIds.indexOf(row.session_id) + 1 : null),
+      participant: row.participant || null,
+      talkMs: row.talk_ms,
+      turnCount: row.turn_count
+    }));
+
+    // Unmapped speakers stay separate; mapped ones are summed per participant
+    const totals = new Map();
+    for (const speaker of speakers) {
+      const name = speaker.participant || speaker.displayName;
+      totals.set(name, (totals.get(name) || 0) + speaker.talkMs);
+    }
+
+    const participants = [...totals.entries()]
+      .map(([name, talkMs]) => ({
+        name,
+        talkMs,
+        percent: totalMs > 0 ? Math.round(talkMs / totalMs * 1000) / 10 : 0
+      }))
+      .sort((a, b) => b.talkMs - a.talkMs);
+
+    return { totalMs, speakers, participants };
+  }
+
+  // SPEAKER_2 -> "Speaker 2", or "Speaker 2 (recording 3)" when a meeting has several recordings
+  formatSpeakerLabel(label, recordingNumber = null) {
+    const name = label.replace(/^SPEAKER_(\d+)$/, 'Speaker $1');
+    return recordingNumber ? `${name} (recording ${recordingNumber})` : name;
+  }
+}
+
+module.exports = DiarizationService;
@@ -0,0 +1,168 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { powerMonitor } = require('electron');
+const log = require('./utils/logger');
+const { getLocalDateString } = require('./utils/date-utils');
+const { dateOverride } = require('./date-override');
+
+const CHECK_INTERVAL = 60 * 1000;
+const RETRY_DELAY = 30 * 60 * 1000;
+const EXPORT_FILE_PATTERN = /^granular-export-\d{4}-\d{2}-\d{2}\.zip$/;
+
+/**
+ * Export Scheduler
+ *
+ * Runs the daily export at the exportTime setting while autoExport is on. Days missed
+ * while the machine slept or the app was closed are exported on the next check, going
+ * back no further than exportRetentionDays, since older bundles would be pruned anyway.
+ */
+class ExportScheduler {
+  constructor(database, store, exportService, mainWindow = null) {
+    this.database = database;
+    this.store = store;
+    this.exportService = exportService;
+    this.mainWindow = mainWindow;
+    this.checkInterval = null;
+    this.isChecking = false;
+    this.failedAt = new Map();
+    this.onResume = () => this.check();
+  }
+
+  start() {
+    console.log('📦 Starting export scheduler');
+    this.check();
+    this.checkInterval = setInterval(() => this.check(), CHECK_INTERVAL);
+    // Timers do not fire during sleep; catch up as soon as the machine wakes
+    powerMonitor.on('resume', this.onResume);
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    powerMonitor.removeListener('resume', this.onResume);
+    console.log('📦 Export scheduler stopped');
+  }
+
+  async check() {
+    if (this.isChecking || !this.store.get('autoExport')) {
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      for (const dateStr of await this.getDueDates()) {
+        await this.runExport(dateStr);
+      }
+      await this.pruneOldExports();
+    } catch (error) {
+      console.error('📦 Error during scheduled export check:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Days whose export time has passed and that have no completed scheduled export yet,
+   * oldest first. A manual export earlier in the day does not count, since it misses the
+   * meetings after it.
+   * @returns {Promise<string[]>} Local dates, YYYY-MM-DD
+   */
+  async getDueDates() {
+    const now = dateOverride.now();
+    const [hours, minutes] = (this.store.get('exportTime') || '18:00').split(':').map(Number);
+    const todaysRun = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours || 0, minutes || 0);
+
+    // The most recent day whose export time has passed
+    const latestDue = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (now >= todaysRun ? 0 : 1));
+    const retentionDays = this.store.get('exportRetentionDays') || 7;
+    const lastCompleted = await this.database.getLastScheduledExportDate();
+
+    // Without any scheduled export yet there is nothing to catch up on
+    let day = new Date(latestDue);
+    if (lastCompleted) {
+      const [year, month, date] = lastCompleted.split('-').map(Number);
+      const oldestAllowed = new Date(latestDue.getFullYear(), latestDue.getMonth(), latestDue.getDate() - retentionDays + 1);
+      day = new Date(year, month - 1, date + 1);
+      if (day < oldestAllowed) {
+        day = oldestAllowed;
+      }
+    }
+
+    const dueDates = [];
+    for (; day <= latestDue; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+      const dateStr = getLocalDateString(day);
+      const failedAt = this.failedAt.get(dateStr);
+      if (!failedAt || Date.now() - failedAt >= RETRY_DELAY) {
+        dueDates.push(dateStr);
+      }
+    }
+    return dueDates;
+  }
+
+  async runExport(dateStr) {
+    // Days without meetings get no bundle; a later scheduled export moves past them
+    const meetings = await this.exportService.getMeetingsForDate(dateStr);
+    if (meetings.length === 0) {
+      return;
+    }
+
+    console.log(`📦 Running scheduled export for ${dateStr}`);
+    const result = await this.exportService.exportDay(dateStr, { trigger: 'scheduled' });
+
+    if (result.success) {
+      this.failedAt.delete(dateStr);
+      this.notify('export-completed', {
+        exportDate: dateStr,
+        filePath: result.filePath,
+        meetingCount: result.meetingCount,
+        errors: result.errors
+      });
+      return;
+    }
+
+    // exportDay already recorded the failure in export_history
+    this.failedAt.set(dateStr, Date.now());
+    log.warn('[EXPORT] Scheduled export failed', {
+      exportDate: dateStr,
+      error: result.error,
+      retryInMs: RETRY_DELAY,
+      timestamp: Date.now()
+    });
+    this.notify('export-failed', { exportDate: dateStr, error: result.error });
+  }
+
+  // Bundles are pruned by when they were written, so re-exporting an old day keeps it for the full window
+  async pruneOldExports() {
+    const exportDir = this.store.get('manualExportPath');
+    if (!exportDir || !(await fs.pathExists(exportDir))) {
+      return;
+    }
+
+    const retentionDays = this.store.get('exportRetentionDays') || 7;
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const files = (await fs.readdir(exportDir)).filter(file => EXPORT_FILE_PATTERN.test(file));
+
+    for (const file of files) {
+      const filePath = path.join(exportDir, file);
+      try {
+        const stats = await fs.stat(filePath);
+        if (stats.mtimeMs < cutoff) {
+          await fs.remove(filePath);
+          console.log(`🗑️ Pruned old export ${file}`);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not prune export ${file}:`, error.message);
+      }
+    }
+  }
+
+  notify(channel, data) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(channel, data);
+    }
+  }
+}
+
+module.exports = { ExportScheduler };
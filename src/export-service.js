@@ -0,0 +1,273 @@
+const path = require('path');
+const fs = require('fs-extra');
+const archiver = require('archiver');
+const { app } = require('electron');
+const log = require('./utils/logger');
+const FileUtils = require('./file-utils');
+const { generateMarkdownDocument } = require('./quill-to-markdown');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Export Service
+ *
+ * Bundles one day of meetings into a zip in the manualExportPath folder:
+ *
+ *   granular-export-<date>.zip
+ *     manifest.json
+ *     <meeting folder>/<notes>.md
+ *     <meeting folder>/recordings/<audio>
+ *     <meeting folder>/attachments/<original name>
+ *
+ * Every run is recorded in export_history. Files that cannot be read are listed in
+ * the manifest and the history row instead of failing the whole export.
+ */
+class ExportService {
+  constructor(database, store, uploadService) {
+    this.database = database;
+    this.store = store;
+    this.uploadService = uploadService;
+    this.isExporting = false;
+  }
+
+  /**
+   * Export all meetings of one day
+   * @param {string} dateStr - Local date, YYYY-MM-DD
+   * @param {Object} options
+   * @param {string} options.trigger - 'manual' or 'scheduled', recorded in export_history
+   * @returns {Promise<Object>} { success, exportId, filePath, meetingCount, fileCount, errors, error }
+   */
+  async exportDay(dateStr, { trigger = 'manual' } = {}) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || '')) {
+      return { success: false, error: `Invalid export date: ${dateStr}` };
+    }
+    if (this.isExporting) {
+      return { success: false, error: 'An export is already running' };
+    }
+
+    const startedAt = Date.now();
+    const { lastID: exportId } = await this.database.createExportRecord(dateStr, trigger);
+    this.isExporting = true;
+
+    log.info('[EXPORT] Export started', { exportId, exportDate: dateStr, trigger, timestamp: startedAt });
+
+    try {
+      const exportDir = this.store.get('manualExportPath') || path.join(app.getPath('desktop'), 'GranularExports');
+      await fs.ensureDir(exportDir);
+
+      const meetings = await this.getMeetingsForDate(dateStr);
+      const entries = [];
+      const errors = [];
+      const manifest = {
+        version: MANIFEST_VERSION,
+        exportDate: dateStr,
+        exportedAt: new Date().toISOString(),
+        meetings: []
+      };
+
+      for (const meeting of meetings) {
+        const meetingEntry = await this.collectMeetingFiles(meeting, errors);
+        entries.push(...meetingEntry.files);
+        manifest.meetings.push(meetingEntry.manifest);
+      }
+      manifest.errors = errors;
+
+      const filePath = path.join(exportDir, `granular-export-${dateStr}.zip`);
+      await this.writeZip(filePath, entries, manifest);
+
+      const errorSummary = errors.length > 0 ? errors.map(e => `${e.file}: ${e.error}`).join('; ') : null;
+      await this.database.updateExportStatus(exportId, 'completed', null, errorSummary);
+
+      log.info('[EXPORT] Export completed', {
+        exportId,
+        exportDate: dateStr,
+        filePath,
+        meetingCount: meetings.length,
+        fileCount: entries.length,
+        errorCount: errors.length,
+        duration: Date.now() - startedAt,
+        timestamp: Date.now()
+      });
+
+      return {
+        success: true,
+        exportId,
+        filePath,
+        meetingCount: meetings.length,
+        fileCount: entries.length,
+        errors
+      };
+    } catch (error) {
+      log.error('[EXPORT] Export failed', {
+        exportId,
+        exportDate: dateStr,
+        error: error.message,
+        duration: Date.now() - startedAt,
+        timestamp: Date.now()
+      });
+
+      await this.database.updateExportStatus(exportId, 'failed', null, error.message);
+      return { success: false, exportId, error: error.message };
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  // Meetings on a local day, matching the folders' getLocalDateString(start_time) names
+  async getMeetingsForDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return this.database.getMeetingsStartingBetween(
+      new Date(year, month - 1, day),
+      new Date(year, month - 1, day + 1)
+    );
+  }
+
+  /**
+   * Find a meeting's notes, recordings and attachments
+   * @param {Array} errors - Collects { meetingId, file, error } for anything unreadable
+   * @returns {Promise<Object>} { files: [{ sourcePath, content, archivePath }], manifest }
+   */
+  async collectMeetingFiles(meeting, errors) {
+    const folder = meeting.folder_name || `meeting-${meeting.id}`;
+    const files = [];
+    const usedPaths = new Set();
+
+    // Two attachments may share an original name; zip entries may not
+    const archivePathFor = (subPath) => {
+      const ext = path.extname(subPath);
+      let candidate = `${folder}/${subPath}`;
+      for (let n = 2; usedPaths.has(candidate); n++) {
+        candidate = `${folder}/${subPath.slice(0, subPath.length - ext.length)} (${n})${ext}`;
+      }
+      usedPaths.add(candidate);
+      return candidate;
+    };
+
+    const manifest = {
+      id: meeting.id,
+      title: meeting.title,
+      startTime: meeting.start_time,
+      endTime: meeting.end_time,
+      folder,
+      participants: this.parseParticipants(meeting.participants),
+      notes: [],
+      recordings: [],
+      attachments: []
+    };
+
+    const contentFiles = await this.uploadService.gatherMeetingFiles(meeting.id, meeting);
+
+    // Notes: the exported .md files, or a fresh render when none were written yet
+    const markdownFiles = contentFiles.filter(file => file.type === 'markdown');
+    for (const file of markdownFiles) {
+      const archivePath = archivePathFor(file.name);
+      files.push({ sourcePath: file.path, archivePath });
+      manifest.notes.push({ path: archivePath, size: file.size });
+    }
+    if (markdownFiles.length === 0 && meeting.notes_content) {
+      const content = generateMarkdownDocument(meeting);
+      const archivePath = archivePathFor(`${folder}.md`);
+      files.push({ content, archivePath });
+      manifest.notes.push({ path: archivePath, size: Buffer.byteLength(content), generated: true });
+    }
+
+    // Recordings: files in the meeting folder plus any the database knows about elsewhere
+    const audioPaths = new Set(contentFiles.filter(file => file.type === 'audio').map(file => file.path));
+    const recordings = await this.database.getCompletedRecordings(meeting.id);
+    for (const recording of recordings) {
+      if (recording.final_path && !audioPaths.has(recording.final_path)) {
+        audioPaths.add(recording.final_path);
+      }
+    }
+
+    for (const audioPath of audioPaths) {
+      // Silence sidecars are cut-out dead air, not part of the meeting
+      if (FileUtils.isSilenceFile(audioPath)) {
+        continue;
+      }
+
+      try {
+        const stats = await fs.stat(audioPath);
+        const recording = recordings.find(r => r.final_path === audioPath);
+        const archivePath = archivePathFor(`recordings/${path.basename(audioPath)}`);
+        files.push({ sourcePath: audioPath, archivePath });
+        manifest.recordings.push({
+          path: archivePath,
+          size: stats.size,
+          sessionId: recording ? recording.id : null,
+          duration: recording ? recording.duration : null,
+          md5: await FileUtils.computeMd5(audioPath)
+        });
+      } catch (error) {
+        errors.push({ meetingId: meeting.id, file: path.basename(audioPath), error: error.message });
+      }
+    }
+
+    const attachments = await this.database.getMeetingAttachments(meeting.id);
+    for (const attachment of attachments) {
+      const fileName = attachment.original_name || attachment.filename;
+      try {
+        const attachmentPath = await FileUtils.findAttachmentPath(path.join(app.getPath('userData'), 'assets'), meeting, attachment.filename);
+        if (!attachmentPath) {
+          errors.push({ meetingId: meeting.id, file: fileName, error: 'Attachment file not found' });
+          continue;
+        }
+
+        const stats = await fs.stat(attachmentPath);
+        const archivePath = archivePathFor(`attachments/${fileName}`);
+        files.push({ sourcePath: attachmentPath, archivePath });
+        manifest.attachments.push({ path: archivePath, size: stats.size, storedAs: attachment.filename });
+      } catch (error) {
+        // Removed since it was found, or unreadable
+        errors.push({ meetingId: meeting.id, file: fileName, error: error.message });
+      }
+    }
+
+    return { files, manifest };
+  }
+
+  // Write to a temporary name first so a crash never leaves a truncated zip under the real name
+  writeZip(filePath, entries, manifest) {
+    const partialPath = `${filePath}.partial`;
+
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(partialPath);
+      const archive = archiver('zip', { zlib: { level: 6 } });
+
+      const fail = (error) => {
+        archive.abort();
+        fs.remove(partialPath).catch(() => {}).then(() => reject(error));
+      };
+
+      output.on('close', () => {
+        fs.move(partialPath, filePath, { overwrite: true }).then(resolve, reject);
+      });
+      output.on('error', fail);
+      archive.on('error', fail);
+      archive.on('warning', (warning) => {
+        console.warn('⚠️ Export archive warning:', warning.message);
+      });
+
+      archive.pipe(output);
+      archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+      for (const entry of entries) {
+        if (entry.content !== undefined) {
+          archive.append(entry.content, { name: entry.archivePath });
+        } else {
+          archive.file(entry.sourcePath, { name: entry.archivePath });
+        }
+      }
+      archive.finalize();
+    });
+  }
+
+  parseParticipants(participants) {
+    try {
+      return participants ? JSON.parse(participants) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = ExportService;
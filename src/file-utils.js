@@ -1,5 +1,8 @@
 const path = require('path');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const crypto = require('crypto');
+const { getLocalDateString } = require('./utils/date-utils');
 
 /**
  * File Utilities for handling different file types including .silence files
@@ -12,6 +15,13 @@ class FileUtils {
     return filePath.endsWith('.silence.opus') || filePath.endsWith('.silence');
   }
 
+  /**
+   * Check if a file is a processed copy kept next to a recording (.enhanced.opus extension)
+   */
+  static isEnhancedFile(filePath) {
+    return filePath.endsWith('.enhanced.opus');
+  }
+
   /**
    * Check if a file should be processed by audio/transcription services
    */
@@ -22,6 +32,12 @@ class FileUtils {
       return false;
     }
 
+    // Skip processed copies; the recording itself is processed
+    if (this.isEnhancedFile(filePath)) {
+      console.log(`⏭️ Skipping processed copy: ${path.basename(filePath)}`);
+      return false;
+    }
+
     // Check for valid audio extensions
     const audioExtensions = ['.opus', '.wav', '.mp3', '.m4a', '.aac', '.flac'];
     const ext = path.extname(filePath).toLowerCase();
@@ -257,6 +273,50 @@ class FileUtils {
     }
   }
 
+  /**
+   * MD5 of a file's contents (the checksum Google Drive reports for uploads)
+   */
+  static computeMd5(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('md5');
+      createReadStream(filePath)
+        .on('data', (data) => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * MD5 of a string, e.g. stored notes, to compare versions without keeping them
+   */
+  static computeContentMd5(content) {
+    return crypto.createHash('md5').update(content || '').digest('hex');
+  }
+
+  /**
+   * Locate a meeting attachment under <assetsRoot>/<date>/<folder>/attachments.
+   * Attachments are filed under the date they were added, which need not be the meeting date.
+   * @returns {Promise<string|null>} Absolute path, or null when the file is gone
+   */
+  static async findAttachmentPath(assetsRoot, meeting, filename) {
+    const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+    const candidate = path.join(assetsRoot, getLocalDateString(meeting.start_time), meeting.folder_name, 'attachments', filename);
+    if (await exists(candidate)) {
+      return candidate;
+    }
+
+    const dateDirs = (await exists(assetsRoot)) ? await fs.readdir(assetsRoot) : [];
+    for (const dateDir of dateDirs) {
+      const filePath = path.join(assetsRoot, dateDir, meeting.folder_name, 'attachments', filename);
+      if (await exists(filePath)) {
+        return filePath;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Create a processing guard function that can be used in other modules
    */
@@ -276,6 +336,7 @@ module.exports = FileUtils;
 
 // Also export individual functions for direct import
 module.exports.isSilenceFile = FileUtils.isSilenceFile.bind(FileUtils);
+module.exports.isEnhancedFile = FileUtils.isEnhancedFile.bind(FileUtils);
 module.exports.shouldProcessAudioFile = FileUtils.shouldProcessAudioFile.bind(FileUtils);
 module.exports.filterProcessableAudioFiles = FileUtils.filterProcessableAudioFiles.bind(FileUtils);
 module.exports.createProcessingGuard = FileUtils.createProcessingGuard.bind(FileUtils);
\ No newline at end of file
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { getLocalDateString } = require('./utils/date-utils');
+const { isEnhancedFile } = require('./file-utils');
 
 class FolderReconciliationService {
   constructor(database, uploadService) {
@@ -83,7 +84,8 @@ class FolderReconciliationService {
           const recordings = files.filter(file =>
             file.includes('recording-') &&
             file.includes('-session') &&
-            file.endsWith('.opus')
+            file.endsWith('.opus') &&
+            !isEnhancedFile(file)
           );
 
           for (const recording of recordings) {
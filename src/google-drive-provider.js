@@ -0,0 +1,461 @@
+const fs = require('fs-extra');
+const log = require('./utils/logger');
+const FileUtils = require('./file-utils');
+const { httpRequest, responseError } = require('./utils/http-request');
+
+const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+const RESUMABLE_UPLOAD_QUERY = 'uploadType=resumable&fields=id,name,size,md5Checksum';
+
+// Files above this go through a resumable session; smaller ones in a single request
+const RESUMABLE_THRESHOLD_BYTES = 5 * 1024 * 1024;
+
+// Drive requires chunk sizes in multiples of 256 KiB
+const CHUNK_SIZE_BYTES = 32 * 256 * 1024;
+
+// In-place retries of a failed chunk before giving the file back to the upload queue
+const MAX_CHUNK_RETRIES = 3;
+
+/**
+ * Google Drive Storage Provider
+ *
+ * Uploads meetings to Notes/<date>/<meeting-folder> in the user's Drive through
+ * the authenticated GoogleDriveService client. Folder references are Drive folder IDs.
+ *
+ * Storage providers implement:
+ *   connect() - make sure the backend is reachable/authenticated, throws otherwise
+ *   ensureMeetingFolder(dateStr, meetingFolderName) -> folder reference
+ *   uploadFile({ name, path, type, size }, folderRef, { session, contentHash }) -> { id, name, size }
+ *     (session is an optional resumable-upload checkpoint; see uploadResumable)
+ *   updateFile(file, remoteFileId, folderRef, options) -> { id, name, size }
+ *     replaces the contents of a previously uploaded file in place
+ *   deleteFile(remoteFileId)
+ *   deleteFolder(folderRef)
+ *   testConnection() -> { success, error }
+ */
+class GoogleDriveProvider {
+  constructor(options = {}) {
+    this.googleDriveService = options.googleDriveService;
+    this.mainWindow = options.mainWindow || null;
+  }
+
+  static get id() {
+    return 'google-drive';
+  }
+
+  static get displayName() {
+    return 'Google Drive';
+  }
+
+  async connect() {
+    if (!this.googleDriveService.drive) {
+      console.log('🔐 Initializing Google Drive authentication...');
+      await this.googleDriveService.initializeOAuth();
+      if (!this.googleDriveService.drive) {
+        throw new Error('Google Drive authentication required');
+      }
+    }
+  }
+
+  async ensureMeetingFolder(dateStr, meetingFolderName) {
+    try {
+      const drive = this.googleDriveService.drive;
+
+      // 1. Ensure "Notes" folder exists
+      const notesFolderId = await this.findOrCreateFolder(drive, 'Notes', null);
+
+      // 2. Ensure date folder exists (e.g., "2025-07-10")
+      const dateFolderId = await this.findOrCreateFolder(drive, dateStr, notesFolderId);
+
+      // 3. Ensure meeting folder exists (e.g., "team-standup")
+      return await this.findOrCreateFolder(drive, meetingFolderName, dateFolderId);
+
+    } catch (error) {
+      console.error('Error creating Google Drive folder structure:', error);
+      throw error;
+    }
+  }
+
+  async findOrCreateFolder(drive, folderName, parentFolderId) {
+    try {
+      // Search for existing folder
+      const query = parentFolderId
+        ? `name='${folderName}' and '${parentFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`
+        : `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`;
+
+      const response = await drive.files.list({
+        q: query,
+        fields: 'files(id, name)'
+      });
+
+      if (response.data.files.length > 0) {
+        console.log(`📂 Found existing folder: ${folderName} (${response.data.files[0].id})`);
+        return response.data.files[0].id;
+      }
+
+      // Create new folder
+      const folderMetadata = {
+        name: folderName,
+        mimeType: 'application/vnd.google-apps.folder'
+      };
+
+      if (parentFolderId) {
+        folderMetadata.parents = [parentFolderId];
+      }
+
+      const folder = await drive.files.create({
+        requestBody: folderMetadata,
+        fields: 'id'
+      });
+
+      console.log(`📂 Created new folder: ${folderName} (${folder.data.id})`);
+      return folder.data.id;
+
+    } catch (error) {
+      console.error(`Error finding/creating folder ${folderName}:`, error);
+      this.checkAuthExpired(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file into a meeting folder. An existing copy with the same name is
+   * only deleted once the new upload has been verified against the local file.
+   *
+   * @param {Object} file - { name, path, type }
+   * @param {string} parentFolderId - Drive folder ID
+   * @param {Object} options - { session, contentHash }
+   *   session: checkpoint store with load(), save(filePath, uri, offset, size), clear()
+   *   contentHash: MD5 of the local file if the caller already computed it
+   * @returns {Promise<Object>} Drive file { id, name, size, md5Checksum }
+   */
+  async uploadFile(file, parentFolderId, options = {}) {
+    try {
+      const drive = this.googleDriveService.drive;
+      const stats = await fs.stat(file.path);
+      const mimeType = file.type === 'markdown' ? 'text/markdown' : 'audio/opus';
+
+      const existingFiles = await drive.files.list({
+        q: `name='${file.name}' and '${parentFolderId}' in parents and trashed=false`,
+        fields: 'files(id, name)'
+      });
+
+      let uploaded;
+      if (stats.size > RESUMABLE_THRESHOLD_BYTES) {
+        uploaded = await this.uploadResumable(file, parentFolderId, mimeType, stats.size, options.session);
+      } else {
+        const uploadResult = await drive.files.create({
+          requestBody: {
+            name: file.name,
+            parents: [parentFolderId]
+          },
+          media: {
+            mimeType,
+            body: fs.createReadStream(file.path)
+          },
+          fields: 'id,name,size,md5Checksum'
+        });
+        uploaded = uploadResult.data;
+      }
+
+      const problem = await this.checkUpload(uploaded, file.path, stats.size, options.contentHash);
+      if (problem) {
+        // Remove the bad copy so the previous version stays in place
+        await drive.files.delete({ fileId: uploaded.id }).catch(() => {});
+        throw new Error(`Upload verification failed for ${uploaded.name}: ${problem}`);
+      }
+
+      // Successor verified - now the previous copy can go
+      for (const existing of existingFiles.data.files.filter(f => f.id !== uploaded.id)) {
+        console.log(`🗑️ Replacing previous copy of ${file.name} (${existing.id})`);
+        await drive.files.delete({ fileId: existing.id });
+      }
+
+      console.log(`📤 Uploaded ${file.name} to Google Drive (${uploaded.id})`);
+      return uploaded;
+
+    } catch (error) {
+      console.error(`Error uploading file ${file.name}:`, error);
+      this.checkAuthExpired(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the contents of an existing Drive file, keeping its ID, sharing and
+   * revision history. Throws with code 404 if the remote file no longer exists.
+   *
+   * @param {Object} file - { name, path, type }
+   * @param {string} fileId - Drive file ID from the previous upload
+   * @param {string} parentFolderId - Drive folder ID
+   * @param {Object} options - { session, contentHash } as for uploadFile
+   * @returns {Promise<Object>} Drive file { id, name, size, md5Checksum }
+   */
+  async updateFile(file, fileId, parentFolderId, options = {}) {
+    try {
+      const stats = await fs.stat(file.path);
+      const mimeType = file.type === 'markdown' ? 'text/markdown' : 'audio/opus';
+
+      let updated;
+      if (stats.size > RESUMABLE_THRESHOLD_BYTES) {
+        updated = await this.uploadResumable(file, parentFolderId, mimeType, stats.size, options.session, fileId);
+      } else {
+        updated = await this.googleDriveService.updateFile(fileId, file.path);
+      }
+
+      // Drive keeps the previous revision, so a bad update is reported rather than deleted
+      const problem = await this.checkUpload(updated, file.path, stats.size, options.contentHash);
+      if (problem) {
+        throw new Error(`Update verification failed for ${updated.name}: ${problem}`);
+      }
+
+      console.log(`📤 Updated ${file.name} on Google Drive (${updated.id})`);
+      return updated;
+
+    } catch (error) {
+      console.error(`Error updating file ${file.name}:`, error);
+      this.checkAuthExpired(error);
+      throw error;
+    }
+  }
+
+  async deleteFile(fileId) {
+    try {
+      await this.googleDriveService.drive.files.delete({ fileId });
+      console.log(`🗑️ Deleted Drive file ${fileId}`);
+    } catch (error) {
+      if (error.code === 404) {
+        return;
+      }
+      this.checkAuthExpired(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Chunked upload through a Drive resumable session. The session URI and
+   * acknowledged offset are checkpointed after every chunk so an upload
+   * interrupted by a network drop, crash or restart continues where it stopped.
+   * With a fileId the session replaces that file's contents instead of creating one.
+   */
+  async uploadResumable(file, parentFolderId, mimeType, fileSize, session, fileId = null) {
+    let sessionUri = null;
+    let offset = 0;
+
+    const saved = session ? await session.load() : null;
+    if (saved && saved.upload_file_path === file.path && saved.upload_file_size === fileSize) {
+      const status = await this.queryResumableSession(saved.upload_session_uri, fileSize);
+      if (status.complete) {
+        await session.clear();
+        return status.file;
+      }
+      if (status.active) {
+        sessionUri = saved.upload_session_uri;
+        offset = status.offset;
+
+        log.info('[UPLOAD] Resuming interrupted upload', {
+          fileName: file.name,
+          offset,
+          fileSize,
+          percentComplete: Math.round(offset / fileSize * 100),
+          timestamp: Date.now()
+        });
+      }
+    }
+
+    if (!sessionUri) {
+      sessionUri = await this.startResumableSession(file.name, parentFolderId, mimeType, fileSize, fileId);
+      offset = 0;
+    }
+
+    if (session) {
+      await session.save(file.path, sessionUri, offset, fileSize);
+    }
+
+    const handle = await fs.promises.open(file.path, 'r');
+    let retries = 0;
+
+    try {
+      while (true) {
+        const length = Math.min(CHUNK_SIZE_BYTES, fileSize - offset);
+        const chunk = Buffer.alloc(length);
+        await handle.read(chunk, 0, length, offset);
+
+        let response;
+        try {
+          response = await httpRequest(sessionUri, {
+            method: 'PUT',
+            headers: {
+              Authorization: await this.getAuthorizationHeader(),
+              'Content-Length': String(length),
+              'Content-Range': `bytes ${offset}-${offset + length - 1}/${fileSize}`
+            },
+            body: chunk,
+            timeout: 120000
+          });
+        } catch (error) {
+          if (retries >= MAX_CHUNK_RETRIES) {
+            throw error;
+          }
+          retries++;
+          console.warn(`⚠️ Chunk upload failed for ${file.name} (${error.message}), retry ${retries}/${MAX_CHUNK_RETRIES}`);
+          await new Promise(resolve => setTimeout(resolve, Math.pow(2, retries) * 1000));
+
+          // Ask Drive how much it actually received before continuing
+          const status = await this.queryResumableSession(sessionUri, fileSize);
+          if (status.complete) {
+            response = { statusCode: 200, body: JSON.stringify(status.file) };
+          } else if (!status.active) {
+            throw new Error(`Upload session for ${file.name} expired`);
+          } else {
+            offset = status.offset;
+            continue;
+          }
+        }
+
+        if (response.statusCode === 200 || response.statusCode === 201) {
+          if (session) {
+            await session.clear();
+          }
+          return JSON.parse(response.body);
+        }
+
+        if (response.statusCode === 308) {
+          offset = this.parseReceivedOffset(response.headers.range);
+          retries = 0;
+          if (session) {
+            await session.save(file.path, sessionUri, offset, fileSize);
+          }
+          continue;
+        }
+
+        if (response.statusCode === 404 || response.statusCode === 410) {
+          // Session expired (Drive keeps them for about a week); start over next attempt
+          if (session) {
+            await session.clear();
+          }
+          throw new Error(`Upload session for ${file.name} expired`);
+        }
+
+        throw responseError(response, `Drive upload of ${file.name}`);
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async startResumableSession(fileName, parentFolderId, mimeType, fileSize, fileId = null) {
+    // Updates keep the file's name and parents; parents cannot be set through PATCH anyway
+    const metadata = fileId ? '{}' : JSON.stringify({ name: fileName, parents: [parentFolderId] });
+    const url = fileId
+      ? `${DRIVE_UPLOAD_URL}/${fileId}?${RESUMABLE_UPLOAD_QUERY}`
+      : `${DRIVE_UPLOAD_URL}?${RESUMABLE_UPLOAD_QUERY}`;
+
+    const response = await httpRequest(url, {
+      method: fileId ? 'PATCH' : 'POST',
+      headers: {
+        Authorization: await this.getAuthorizationHeader(),
+        'Content-Type': 'application/json; charset=UTF-8',
+        'Content-Length': String(Buffer.byteLength(metadata)),
+        'X-Upload-Content-Type': mimeType,
+        'X-Upload-Content-Length': String(fileSize)
+      },
+      body: metadata
+    });
+
+    if (response.statusCode !== 200 || !response.headers.location) {
+      throw responseError(response, `Starting resumable upload of ${fileName}`);
+    }
+
+    console.log(`📡 Started resumable upload for ${fileName} (${(fileSize / 1024 / 1024).toFixed(2)} MB)`);
+    return response.headers.location;
+  }
+
+  /**
+   * Ask Drive for the state of a resumable session
+   * @returns {Promise<Object>} { active, complete, offset, file }
+   */
+  async queryResumableSession(sessionUri, fileSize) {
+    const response = await httpRequest(sessionUri, {
+      method: 'PUT',
+      headers: {
+        Authorization: await this.getAuthorizationHeader(),
+        'Content-Length': '0',
+        'Content-Range': `bytes */${fileSize}`
+      }
+    });
+
+    if (response.statusCode === 200 || response.statusCode === 201) {
+      return { active: false, complete: true, offset: fileSize, file: JSON.parse(response.body) };
+    }
+    if (response.statusCode === 308) {
+      return { active: true, complete: false, offset: this.parseReceivedOffset(response.headers.range) };
+    }
+    if (response.statusCode === 404 || response.statusCode === 410) {
+      return { active: false, complete: false, offset: 0 };
+    }
+
+    throw responseError(response, 'Checking resumable upload status');
+  }
+
+  // Range: bytes=0-1048575 means the next byte to send is 1048576; no header means nothing stored yet
+  parseReceivedOffset(rangeHeader) {
+    const match = rangeHeader && rangeHeader.match(/bytes=0-(\d+)/);
+    return match ? parseInt(match[1], 10) + 1 : 0;
+  }
+
+  async getAuthorizationHeader() {
+    const { token } = await this.googleDriveService.oauth2Client.getAccessToken();
+    return `Bearer ${token}`;
+  }
+
+  /**
+   * Compare the uploaded file's size and MD5 with the local file
+   * @returns {Promise<string|null>} description of the mismatch, or null if the copy is good
+   */
+  async checkUpload(uploaded, filePath, expectedSize, localMd5 = null) {
+    if (uploaded.size !== undefined && Number(uploaded.size) !== expectedSize) {
+      return `size mismatch (remote ${uploaded.size}, local ${expectedSize})`;
+    }
+
+    if (uploaded.md5Checksum) {
+      const md5 = localMd5 || await FileUtils.computeMd5(filePath);
+      if (md5 !== uploaded.md5Checksum) {
+        return `checksum mismatch (remote ${uploaded.md5Checksum}, local ${md5})`;
+      }
+    }
+
+    return null;
+  }
+
+  async deleteFolder(folderId) {
+    await this.connect();
+    return this.googleDriveService.deleteFolder(folderId);
+  }
+
+  async testConnection() {
+    try {
+      await this.connect();
+      await this.googleDriveService.drive.files.list({ pageSize: 1, fields: 'files(id)' });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Expired/revoked tokens surface as AUTH_EXPIRED so uploadMeeting can pause the queue
+  checkAuthExpired(error) {
+    if (error.message && (error.message.includes('invalid_grant') ||
+        error.message.includes('Token has been expired or revoked'))) {
+      console.error('🔐 Google OAuth token expired or revoked');
+
+      // Notify the UI about auth expiration
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('google-auth-expired');
+      }
+
+      throw new Error('AUTH_EXPIRED');
+    }
+  }
+}
+
+module.exports = GoogleDriveProvider;
@@ -223,7 +223,7 @@ class GoogleDriveService {
       const response = await this.drive.files.update({
         fileId,
         media: media,
-        fields: 'id,name'
+        fields: 'id,name,size,md5Checksum'
       });
 
       return response.data;
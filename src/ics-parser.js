@@ -0,0 +1,573 @@
+/**
+ * iCalendar (.ics) Parser
+ *
+ * Parses VEVENT components from an RFC 5545 calendar export and expands
+ * recurring events (RRULE / EXDATE / RECURRENCE-ID) into concrete occurrences
+ * within a date window. Times with a TZID are resolved through Intl so that
+ * recurrences keep their wall-clock time across DST changes.
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook/Exchange exports use Windows zone names instead of IANA ids
+const WINDOWS_TIMEZONES = {
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Central Standard Time': 'America/Chicago',
+  'Eastern Standard Time': 'America/New_York',
+  'Atlantic Standard Time': 'America/Halifax',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Bucharest',
+  'FLE Standard Time': 'Europe/Kiev',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'UTC': 'UTC'
+};
+
+const MAX_RECURRENCE_ITERATIONS = 10000;
+
+class IcsParser {
+  constructor(options = {}) {
+    this.rangeStart = options.rangeStart || null;
+    this.rangeEnd = options.rangeEnd || null;
+    this.formatterCache = new Map();
+  }
+
+  /**
+   * Parse calendar text into a flat list of event occurrences
+   * @param {string} text - Raw .ics file contents
+   * @returns {Array<Object>} Occurrences sorted by start time
+   */
+  parse(text) {
+    const events = this.parseEvents(text);
+
+    // Modified instances of a recurring series, keyed by UID
+    const overrides = new Map();
+    for (const event of events) {
+      if (event.recurrenceId) {
+        if (!overrides.has(event.uid)) {
+          overrides.set(event.uid, new Set());
+        }
+        overrides.get(event.uid).add(event.recurrenceId.instant.getTime());
+      }
+    }
+
+    const masters = new Map(events.filter(e => e.rrule && !e.recurrenceId).map(e => [e.uid, e]));
+
+    const occurrences = [];
+    for (const event of events) {
+      if (!event.start) continue;
+
+      // Modified instances often omit the attendee list; inherit it from the series
+      if (event.recurrenceId && event.participants.length === 0 && masters.has(event.uid)) {
+        event.participants = masters.get(event.uid).participants;
+      }
+
+      if (event.rrule && !event.recurrenceId) {
+        const overridden = overrides.get(event.uid) || new Set();
+        for (const occurrence of this.expandRecurrence(event)) {
+          if (overridden.has(occurrence.start.getTime())) continue;
+          occurrences.push(occurrence);
+        }
+      } else if (this.isInRange(event.start.instant, event.end.instant)) {
+        occurrences.push(this.buildOccurrence(event, event.start.instant, event.end.instant));
+      }
+    }
+
+    return occurrences
+      .filter(occurrence => occurrence.status !== 'CANCELLED')
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Split the calendar into VEVENT property bags
+   */
+  parseEvents(text) {
+    const lines = this.unfoldLines(text);
+    const events = [];
+    let current = null;
+    let nestedDepth = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const prop = this.parseProperty(line);
+      if (!prop) continue;
+
+      if (prop.name === 'BEGIN') {
+        if (prop.value.toUpperCase() === 'VEVENT' && !current) {
+          current = { exdates: [], attendees: [] };
+        } else if (current) {
+          nestedDepth++; // VALARM etc. inside a VEVENT
+        }
+        continue;
+      }
+
+      if (prop.name === 'END') {
+        if (current && nestedDepth > 0) {
+          nestedDepth--;
+        } else if (current && prop.value.toUpperCase() === 'VEVENT') {
+          const event = this.finalizeEvent(current);
+          if (event) events.push(event);
+          current = null;
+        }
+        continue;
+      }
+
+      if (!current || nestedDepth > 0) continue;
+
+      switch (prop.name) {
+        case 'UID':
+          current.uid = prop.value;
+          break;
+        case 'SUMMARY':
+          current.title = this.unescapeText(prop.value);
+          break;
+        case 'DTSTART':
+          current.start = this.parseDateValue(prop.value, prop.params);
+          break;
+        case 'DTEND':
+          current.end = this.parseDateValue(prop.value, prop.params);
+          break;
+        case 'DURATION':
+          current.duration = this.parseDuration(prop.value);
+          break;
+        case 'RRULE':
+          current.rrule = this.parseRRule(prop.value, prop.params);
+          break;
+        case 'EXDATE':
+          for (const value of prop.value.split(',')) {
+            const exdate = this.parseDateValue(value, prop.params);
+            if (exdate) current.exdates.push(exdate);
+          }
+          break;
+        case 'RECURRENCE-ID':
+          current.recurrenceId = this.parseDateValue(prop.value, prop.params);
+          break;
+        case 'STATUS':
+          current.status = prop.value.toUpperCase();
+          break;
+        case 'ORGANIZER':
+          current.organizer = this.extractCalAddress(prop.value);
+          break;
+        case 'ATTENDEE': {
+          const cuType = (prop.params.CUTYPE || 'INDIVIDUAL').toUpperCase();
+          if (cuType === 'ROOM' || cuType === 'RESOURCE') break;
+          const email = this.extractCalAddress(prop.value);
+          if (email) current.attendees.push(email);
+          break;
+        }
+      }
+    }
+
+    return events;
+  }
+
+  finalizeEvent(raw) {
+    if (!raw.start) return null;
+
+    let end = raw.end;
+    if (!end) {
+      // RFC 5545: no DTEND means DURATION, or one day for date-only events, or zero length
+      const durationMs = raw.duration !== undefined
+        ? raw.duration
+        : (raw.start.allDay ? 24 * 60 * 60 * 1000 : 0);
+      end = { ...raw.start, instant: new Date(raw.start.instant.getTime() + durationMs) };
+    }
+
+    const organizer = raw.organizer ? raw.organizer.toLowerCase() : null;
+    const participants = [...new Set(raw.attendees)]
+      .filter(email => email.toLowerCase() !== organizer);
+
+    return {
+      uid: raw.uid || `${raw.title || 'event'}-${raw.start.instant.getTime()}`,
+      title: raw.title || '',
+      start: raw.start,
+      end,
+      allDay: raw.start.allDay,
+      rrule: raw.rrule || null,
+      exdates: raw.exdates,
+      recurrenceId: raw.recurrenceId || null,
+      status: raw.status || 'CONFIRMED',
+      organizer: raw.organizer || null,
+      participants
+    };
+  }
+
+  buildOccurrence(event, start, end) {
+    return {
+      uid: event.uid,
+      title: event.title,
+      start,
+      end,
+      allDay: event.allDay,
+      status: event.status,
+      organizer: event.organizer,
+      participants: event.participants
+    };
+  }
+
+  isInRange(start, end) {
+    if (this.rangeStart && end <= this.rangeStart && start < this.rangeStart) return false;
+    if (this.rangeEnd && start >= this.rangeEnd) return false;
+    return true;
+  }
+
+  /**
+   * Expand an RRULE into occurrences, honouring COUNT, UNTIL and EXDATE
+   */
+  expandRecurrence(event) {
+    const rule = event.rrule;
+    const durationMs = event.end.instant.getTime() - event.start.instant.getTime();
+    const dtstart = event.start;
+    const startDay = Date.UTC(dtstart.year, dtstart.month - 1, dtstart.day);
+
+    const exInstants = new Set();
+    const exDays = new Set();
+    for (const exdate of event.exdates) {
+      if (exdate.allDay) {
+        exDays.add(this.dayKey(exdate));
+      } else {
+        exInstants.add(exdate.instant.getTime());
+      }
+    }
+
+    const occurrences = [];
+    let generated = 0;
+
+    for (let period = 0; period < MAX_RECURRENCE_ITERATIONS; period++) {
+      const candidates = this.candidateDaysForPeriod(rule, dtstart, startDay, period);
+      if (candidates === null) break;
+
+      let pastRange = false;
+      for (const dayMs of candidates) {
+        if (dayMs < startDay) continue;
+
+        const day = new Date(dayMs);
+        const wall = {
+          year: day.getUTCFullYear(),
+          month: day.getUTCMonth() + 1,
+          day: day.getUTCDate(),
+          hour: dtstart.hour,
+          minute: dtstart.minute,
+          second: dtstart.second
+        };
+        const start = dtstart.allDay
+          ? new Date(wall.year, wall.month - 1, wall.day)
+          : this.toInstant(wall, dtstart.tzid, dtstart.utc);
+
+        if (rule.until && start > rule.until) return occurrences;
+        if (rule.count && generated >= rule.count) return occurrences;
+        generated++;
+
+        if (this.rangeEnd && start >= this.rangeEnd) {
+          pastRange = true;
+          break;
+        }
+
+        const excluded = exInstants.has(start.getTime()) || exDays.has(this.dayKey(wall));
+        const end = new Date(start.getTime() + durationMs);
+        if (!excluded && this.isInRange(start, end)) {
+          occurrences.push(this.buildOccurrence(event, start, end));
+        }
+      }
+
+      if (pastRange) break;
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Candidate days (UTC midnight ms of the wall-clock date) for the Nth period of a rule.
+   * Returns null once the rule can no longer produce dates.
+   */
+  candidateDaysForPeriod(rule, dtstart, startDay, period) {
+    const step = period * rule.interval;
+    const DAY = 24 * 60 * 60 * 1000;
+
+    switch (rule.freq) {
+      case 'DAILY':
+        return [startDay + step * DAY];
+
+      case 'WEEKLY': {
+        const weekStartIndex = WEEKDAYS.indexOf(rule.wkst);
+        const startWeekday = new Date(startDay).getUTCDay();
+        const offsetToWeekStart = (startWeekday - weekStartIndex + 7) % 7;
+        const weekStart = startDay - offsetToWeekStart * DAY + step * 7 * DAY;
+        const byDay = rule.byDay.length > 0
+          ? rule.byDay.map(entry => entry.weekday)
+          : [startWeekday];
+
+        return byDay
+          .map(weekday => weekStart + ((weekday - weekStartIndex + 7) % 7) * DAY)
+          .sort((a, b) => a - b);
+      }
+
+      case 'MONTHLY': {
+        const monthIndex = (dtstart.month - 1) + step;
+        const year = dtstart.year + Math.floor(monthIndex / 12);
+        const month = monthIndex % 12;
+        return this.applySetPos(rule, this.daysInMonthMatching(rule, year, month, dtstart.day));
+      }
+
+      case 'YEARLY': {
+        const year = dtstart.year + step;
+        const months = rule.byMonth.length > 0 ? rule.byMonth : [dtstart.month];
+        const days = [];
+        for (const month of months) {
+          days.push(...this.daysInMonthMatching(rule, year, month - 1, dtstart.day));
+        }
+        return this.applySetPos(rule, days.sort((a, b) => a - b));
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  daysInMonthMatching(rule, year, month, defaultDay) {
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const days = [];
+
+    if (rule.byMonthDay.length > 0) {
+      for (const monthDay of rule.byMonthDay) {
+        const day = monthDay > 0 ? monthDay : daysInMonth + monthDay + 1;
+        if (day >= 1 && day <= daysInMonth) days.push(Date.UTC(year, month, day));
+      }
+    } else if (rule.byDay.length > 0) {
+      for (const { weekday, ordinal } of rule.byDay) {
+        const matches = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+          if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+            matches.push(Date.UTC(year, month, day));
+          }
+        }
+        if (!ordinal) {
+          days.push(...matches);
+        } else {
+          const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+          if (match !== undefined) days.push(match);
+        }
+      }
+    } else if (defaultDay <= daysInMonth) {
+      // Months without the start day (e.g. the 31st) are skipped per RFC 5545
+      days.push(Date.UTC(year, month, defaultDay));
+    }
+
+    return [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  applySetPos(rule, days) {
+    if (rule.bySetPos.length === 0) return days;
+    return rule.bySetPos
+      .map(pos => (pos > 0 ? days[pos - 1] : days[days.length + pos]))
+      .filter(day => day !== undefined)
+      .sort((a, b) => a - b);
+  }
+
+  parseRRule(value, params = {}) {
+    const parts = {};
+    for (const segment of value.split(';')) {
+      const [key, val] = segment.split('=');
+      if (key && val !== undefined) parts[key.toUpperCase()] = val;
+    }
+
+    const splitInts = (list) => (list ? list.split(',').map(n => parseInt(n, 10)).filter(n => !isNaN(n)) : []);
+
+    const byDay = (parts.BYDAY ? parts.BYDAY.split(',') : [])
+      .map(entry => {
+        const match = entry.trim().toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!match) return null;
+        return {
+          ordinal: match[1] ? parseInt(match[1], 10) : 0,
+          weekday: WEEKDAYS.indexOf(match[2])
+        };
+      })
+      .filter(Boolean);
+
+    const until = parts.UNTIL ? this.parseDateValue(parts.UNTIL, params) : null;
+
+    return {
+      freq: (parts.FREQ || '').toUpperCase(),
+      interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+      count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+      // A date-only UNTIL is inclusive of that whole day
+      until: until
+        ? (until.allDay ? new Date(until.instant.getTime() + 24 * 60 * 60 * 1000 - 1) : until.instant)
+        : null,
+      byDay,
+      byMonthDay: splitInts(parts.BYMONTHDAY),
+      byMonth: splitInts(parts.BYMONTH),
+      bySetPos: splitInts(parts.BYSETPOS),
+      wkst: WEEKDAYS.includes((parts.WKST || '').toUpperCase()) ? parts.WKST.toUpperCase() : 'MO'
+    };
+  }
+
+  /**
+   * Parse DATE / DATE-TIME values in UTC, TZID-qualified or floating form
+   */
+  parseDateValue(value, params = {}) {
+    const match = (value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+
+    const wall = {
+      year: parseInt(match[1], 10),
+      month: parseInt(match[2], 10),
+      day: parseInt(match[3], 10),
+      hour: match[4] ? parseInt(match[4], 10) : 0,
+      minute: match[5] ? parseInt(match[5], 10) : 0,
+      second: match[6] ? parseInt(match[6], 10) : 0
+    };
+
+    const allDay = !match[4] || (params.VALUE || '').toUpperCase() === 'DATE';
+    const utc = Boolean(match[7]);
+    const tzid = !utc && params.TZID ? this.resolveTimeZone(params.TZID) : null;
+
+    const instant = allDay
+      ? new Date(wall.year, wall.month - 1, wall.day)
+      : this.toInstant(wall, tzid, utc);
+
+    return { ...wall, allDay, utc, tzid, instant };
+  }
+
+  /**
+   * Convert a wall-clock time to an instant. Floating times use the local zone.
+   */
+  toInstant(wall, tzid, utc = false) {
+    const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+    if (utc) return new Date(asUtc);
+    if (!tzid) {
+      return new Date(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+    }
+
+    // Two passes settle the offset when the guess lands on the other side of a DST change
+    const firstOffset = this.getTimeZoneOffset(asUtc, tzid);
+    let instant = asUtc - firstOffset;
+    const secondOffset = this.getTimeZoneOffset(instant, tzid);
+    if (secondOffset !== firstOffset) {
+      instant = asUtc - secondOffset;
+    }
+    return new Date(instant);
+  }
+
+  getTimeZoneOffset(timestamp, tzid) {
+    let formatter = this.formatterCache.get(tzid);
+    if (!formatter) {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: tzid,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+      this.formatterCache.set(tzid, formatter);
+    }
+
+    const parts = {};
+    for (const part of formatter.formatToParts(new Date(timestamp))) {
+      parts[part.type] = part.value;
+    }
+    const zoned = Date.UTC(
+      parseInt(parts.year, 10),
+      parseInt(parts.month, 10) - 1,
+      parseInt(parts.day, 10),
+      parseInt(parts.hour, 10),
+      parseInt(parts.minute, 10),
+      parseInt(parts.second, 10)
+    );
+    return zoned - Math.floor(timestamp / 1000) * 1000;
+  }
+
+  resolveTimeZone(tzid) {
+    const cleaned = tzid.replace(/^"|"$/g, '').replace(/^\/+/, '');
+    const candidate = WINDOWS_TIMEZONES[cleaned] || cleaned;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: candidate });
+      return candidate;
+    } catch (error) {
+      console.warn(`⚠️ Unknown calendar time zone "${tzid}", treating times as local`);
+      return null;
+    }
+  }
+
+  parseDuration(value) {
+    const match = (value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return undefined;
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const total = ((parseInt(weeks || 0, 10) * 7 + parseInt(days || 0, 10)) * 86400
+      + parseInt(hours || 0, 10) * 3600
+      + parseInt(minutes || 0, 10) * 60
+      + parseInt(seconds || 0, 10)) * 1000;
+    return sign === '-' ? -total : total;
+  }
+
+  /**
+   * Undo RFC 5545 line folding (CRLF followed by a space or tab)
+   */
+  unfoldLines(text) {
+    return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  }
+
+  parseProperty(line) {
+    // Find the first colon outside a quoted parameter value
+    let inQuotes = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"') inQuotes = !inQuotes;
+      if (char === ':' && !inQuotes) {
+        colonIndex = i;
+        break;
+      }
+    }
+    if (colonIndex === -1) return null;
+
+    const head = line.substring(0, colonIndex);
+    const value = line.substring(colonIndex + 1);
+    const segments = head.match(/(?:[^;"]+|"[^"]*")+/g) || [];
+    const name = (segments.shift() || '').toUpperCase();
+
+    const params = {};
+    for (const segment of segments) {
+      const eq = segment.indexOf('=');
+      if (eq === -1) continue;
+      params[segment.substring(0, eq).toUpperCase()] = segment.substring(eq + 1).replace(/^"|"$/g, '');
+    }
+
+    return { name, params, value };
+  }
+
+  extractCalAddress(value) {
+    const address = (value || '').trim().replace(/^mailto:/i, '');
+    return address.includes('@') ? address : null;
+  }
+
+  unescapeText(value) {
+    return value
+      .replace(/\\n/gi, ' ')
+      .replace(/\\([,;\\])/g, '$1')
+      .trim();
+  }
+
+  dayKey(wall) {
+    return `${wall.year}-${wall.month}-${wall.day}`;
+  }
+}
+
+module.exports = IcsParser;
@@ -8,11 +8,20 @@ const Database = require('./database');
 const MeetingLoader = require('./meeting-loader');
 const AudioRecorder = require('./audio-recorder');
 const UploadService = require('./upload-service');
+const TranscriptionService = require('./transcription-service');
+const DiarizationService = require('./diarization-service');
+const ExportService = require('./export-service');
+const RecordingExporter = require('./recording-exporter');
+const { ExportScheduler } = require('./export-scheduler');
+const { RecordingScheduler, POLICIES: RECORDING_POLICIES } = require('./recording-scheduler');
+const RetentionService = require('./retention-service');
 const FolderReconciliationService = require('./folder-reconciliation');
+const MarkdownSyncService = require('./markdown-sync-service');
 const GoogleDriveService = require('./google-drive');
 const { MeetingHealthChecker } = require('./meeting-health-checker');
 const Store = require('electron-store');
 const { getLocalDateString } = require('./utils/date-utils');
+const { isEnhancedFile } = require('./file-utils');
 const audioDebug = require('./utils/audio-debug');
 
 // Optional SMB mount service (may not be available in all environments)
@@ -30,7 +39,15 @@ let database;
 let meetingLoader;
 let audioRecorder;
 let uploadService;
+let transcriptionService;
+let diarizationService;
+let exportService;
+let recordingExporter;
+let exportScheduler;
+let recordingScheduler;
+let retentionService;
 let folderReconciliationService;
+let markdownSyncService;
 let googleDriveService;
 let smbMountService;
 let healthChecker;
@@ -115,13 +132,38 @@ function createMenu() {
             await meetingLoader.refreshMeetings();
           }
         },
+        {
+          label: 'Storage Settings...',
+          click: () => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('show-storage-settings');
+            }
+          }
+        },
+        {
+          label: 'Storage Usage...',
+          click: () => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('show-storage-usage');
+            }
+          }
+        },
+        {
+          label: 'Open Actions...',
+          click: () => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('show-open-actions');
+            }
+          }
+        },
         { type: 'separator' },
         {
           label: 'Export Today\'s Data',
           accelerator: 'CmdOrCtrl+E',
           click: async () => {
-            // This will be implemented in Milestone 4
-            dialog.showInfoBox('Export feature coming in Milestone 4');
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('show-export-dialog');
+            }
           }
         }
       ]
@@ -272,13 +314,91 @@ async function initializeApp() {
       defaults: {
         excelFilePath: null,
         audioQuality: 'medium',
+        captureBackend: 'auto',
+        linuxCaptureSources: [],
+        syntheticCapturePattern: 'tone',
+        mergeRecordingParts: false,
+        audioProcessing: {
+          enabled: false,
+          output: 'alongside',
+          highpassHz: 80,
+          denoise: true,
+          denoiseStrength: 12,
+          compression: false,
+          compressionThreshold: -20,
+          compressionRatio: 3,
+          normalize: true,
+          targetLufs: -16,
+          truePeak: -1.5
+        },
         exportRetentionDays: 7,
         autoRefreshMeetings: true,
         manualExportPath: path.join(app.getPath('desktop'), 'GranularExports'),
         exportTime: '18:00',
         autoExport: false,
         googleDriveFolderId: null,
-        lastCalendarSyncDate: null
+        lastCalendarSyncDate: null,
+        transcriptionEnabled: true,
+        transcriptionEngine: 'whisper-cpp',
+        transcriptionLanguage: 'auto',
+        whisperBinaryPath: null,
+        whisperModelPath: null,
+        diarizationEnabled: true,
+        diarizationEngine: 'energy-clustering',
+        diarizationMaxSpeakers: 6,
+        storageProvider: 'google-drive',
+        s3Config: {
+          endpoint: null,
+          region: 'us-east-1',
+          bucket: null,
+          accessKeyId: null,
+          secretAccessKey: null,
+          encryptedSecret: null,
+          prefix: 'Notes'
+        },
+        webdavConfig: {
+          url: null,
+          username: null,
+          password: null,
+          encryptedSecret: null,
+          basePath: 'Notes'
+        },
+        smbConfig: {
+          server: null,
+          share: null,
+          domain: null,
+          remotePath: 'Notes',
+          localPath: null,
+          username: null,
+          encryptedPassword: null,
+          archiveEnabled: true
+        },
+        retentionPolicy: {
+          enabled: false,
+          action: 'delete',
+          offloadPath: null,
+          recordingDays: 30,
+          silenceDays: 7,
+          backupDays: 7,
+          attachmentDays: null
+        },
+        playbackRate: 1,
+        skipSilence: false,
+        playEnhancedAudio: true,
+        meetingEndDetection: {
+          enabled: true,
+          silenceThreshold: -38,
+          minSilenceDuration: 600,
+          sampleInterval: 30,
+          autoStop: false,
+          autoStopDelay: 120
+        },
+        recordingSchedule: {
+          enabled: true,
+          leadMinutes: 2,
+          defaultPolicy: 'prompt',
+          rules: []
+        }
       }
     });
 
@@ -306,11 +426,37 @@ async function initializeApp() {
     
     // Initialize services with Google Drive support
     meetingLoader = new MeetingLoader(database, store, googleDriveService);
-    audioRecorder = new AudioRecorder(database);
+    audioRecorder = new AudioRecorder(database, mainWindow, store);
     
-    uploadService = new UploadService(database, googleDriveService, mainWindow);
+    uploadService = new UploadService(database, googleDriveService, mainWindow, store);
+    if (smbMountService) {
+      uploadService.setArchiveTarget(smbMountService);
+    }
+    uploadService.setRecordingMerger(audioRecorder);
     await uploadService.initialize();
     console.log('Upload service initialized');
+
+    // Initialize transcription after uploads so finished transcripts can be re-uploaded
+    transcriptionService = new TranscriptionService(database, store, uploadService, mainWindow);
+    audioRecorder.setTranscriptionService(transcriptionService);
+    await transcriptionService.initialize();
+    console.log('Transcription service initialized');
+
+    diarizationService = new DiarizationService(database, store, mainWindow);
+    audioRecorder.setDiarizationService(diarizationService);
+    await diarizationService.initialize();
+    console.log('Diarization service initialized');
+
+    exportService = new ExportService(database, store, uploadService);
+    recordingExporter = new RecordingExporter(database, store, mainWindow);
+    exportScheduler = new ExportScheduler(database, store, exportService, mainWindow);
+    exportScheduler.start();
+
+    retentionService = new RetentionService(database, store);
+    retentionService.start();
+
+    recordingScheduler = new RecordingScheduler(database, store, audioRecorder, mainWindow);
+    recordingScheduler.start();
     
     // Initialize health checker
     healthChecker = new MeetingHealthChecker(database, uploadService);
@@ -321,6 +467,10 @@ async function initializeApp() {
     folderReconciliationService = new FolderReconciliationService(database, uploadService);
     await folderReconciliationService.initialize();
     console.log('Folder reconciliation service started');
+
+    // Import notes edited in other editors
+    markdownSyncService = new MarkdownSyncService(database, uploadService, mainWindow);
+    await markdownSyncService.start();
     
     // Always load 6 weeks of meetings from the calendar management log
     await meetingLoader.loadSixWeeksMeetings();
@@ -328,6 +478,11 @@ async function initializeApp() {
   } catch (error) {
     console.error('Error initializing app:', error);
     dialog.showErrorBox('Initialization Error', 'Failed to initialize the application: ' + error.message);
+
+    // Never run against a database written by a newer build
+    if (error.code === 'SCHEMA_TOO_NEW') {
+      app.quit();
+    }
   }
 }
 
@@ -386,6 +541,26 @@ app.on('before-quit', async (event) => {
     }
 
     // Stop folder reconciliation service
+    if (smbMountService) {
+      smbMountService.stop();
+    }
+
+    if (exportScheduler) {
+      exportScheduler.stop();
+    }
+
+    if (retentionService) {
+      retentionService.stop();
+    }
+
+    if (recordingScheduler) {
+      recordingScheduler.stop();
+    }
+
+    if (markdownSyncService) {
+      markdownSyncService.stop();
+    }
+
     if (folderReconciliationService) {
       console.log('Stopping folder reconciliation service...');
       await folderReconciliationService.shutdown();
@@ -506,14 +681,34 @@ ipcMain.handle('refresh-meetings', async () => {
 });
 
 // Add new handler for manual Excel upload
-ipcMain.handle('upload-excel-file', async (event, filePath) => {
+ipcMain.handle('get-calendar-import-profile', () => {
+  return meetingLoader.resolveImportProfile();
+});
+
+// Parse a calendar file with the given (unsaved) mapping profile without importing it
+ipcMain.handle('preview-calendar-file', async (event, filePath, profile = null) => {
   try {
+    const preview = await meetingLoader.previewCalendarFile(filePath, profile);
+    return { success: true, preview };
+  } catch (error) {
+    console.error('Error previewing calendar file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('upload-excel-file', async (event, filePath, profile = null) => {
+  try {
+    // Save the mapping the user confirmed in the preview so later refreshes use it
+    if (profile) {
+      store.set('calendarImportProfile', meetingLoader.resolveImportProfile(profile));
+    }
+
     // Copy the uploaded file to the assets folder where meeting loader expects it
     const fileName = path.basename(filePath);
     const targetPath = path.join(__dirname, '..', 'assets', fileName);
     await fs.copy(filePath, targetPath, { overwrite: true });
     
-    console.log(`📤 Uploaded Excel file: ${fileName} to assets folder`);
+    console.log(`📤 Uploaded calendar file: ${fileName} to assets folder`);
     
     // Refresh meetings with incremental logic
     await meetingLoader.refreshMeetingsFromExcel();
@@ -751,6 +946,25 @@ ipcMain.handle('delete-meeting-markdown', async (event, meetingId) => {
   }
 });
 
+ipcMain.handle('get-notes-sync-status', async (event, meetingId) => {
+  try {
+    const status = await markdownSyncService.getStatus(meetingId);
+    return { success: true, ...status };
+  } catch (error) {
+    console.error('Error getting notes sync status:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('resolve-notes-conflict', async (event, meetingId, resolution) => {
+  try {
+    return await markdownSyncService.resolveConflict(meetingId, resolution);
+  } catch (error) {
+    console.error('Error resolving notes conflict:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Debug logging handler
 ipcMain.handle('log-to-main', async (event, message) => {
   console.log(message);
@@ -873,9 +1087,9 @@ ipcMain.handle('remove-attachment', async (event, meetingId, filename) => {
 });
 
 // Upload service IPC handlers
-ipcMain.handle('queue-meeting-upload', async (event, meetingId) => {
+ipcMain.handle('queue-meeting-upload', async (event, meetingId, options = {}) => {
   try {
-    await uploadService.queueMeetingUpload(meetingId);
+    await uploadService.queueMeetingUpload(meetingId, options);
     return { success: true };
   } catch (error) {
     console.error('Error queueing meeting upload:', error);
@@ -913,6 +1127,90 @@ ipcMain.handle('get-meetings-with-upload-status', async () => {
   }
 });
 
+// Retention policy IPC handlers
+ipcMain.handle('get-retention-policy', () => {
+  try {
+    return { success: true, policy: retentionService.getPolicy() };
+  } catch (error) {
+    console.error('Error getting retention policy:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-retention-policy', (event, policy) => {
+  try {
+    store.set('retentionPolicy', { ...retentionService.getPolicy(), ...policy });
+    log.info('[RETENTION] Policy changed', {
+      policy: store.get('retentionPolicy'),
+      timestamp: Date.now()
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving retention policy:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('preview-retention-cleanup', async () => {
+  try {
+    const preview = await retentionService.preview();
+    return { success: true, ...preview };
+  } catch (error) {
+    console.error('Error previewing retention cleanup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('run-retention-cleanup', async (event, options = {}) => {
+  try {
+    const result = await retentionService.run(options);
+    return { success: !result.error, ...result };
+  } catch (error) {
+    console.error('Error running retention cleanup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-storage-usage', async () => {
+  try {
+    const usage = await retentionService.getStorageUsage();
+    return { success: true, ...usage };
+  } catch (error) {
+    console.error('Error getting storage usage:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Daily export IPC handlers
+ipcMain.handle('export-day-data', async (event, dateStr) => {
+  try {
+    console.log(`📦 Exporting data for ${dateStr}...`);
+    const result = await exportService.exportDay(dateStr);
+    if (result.success) {
+      console.log(`✅ Exported ${result.meetingCount} meetings to ${result.filePath}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('Error exporting day data:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Transcode recordings for people and tools that can't play Opus; progress arrives as 'recording-export-progress'
+ipcMain.handle('export-recordings', async (event, { meetingIds, format, bitrate, enhanced }) => {
+  try {
+    console.log(`🎧 Exporting recordings of ${meetingIds.length} meeting(s) to ${format}...`);
+    const result = await recordingExporter.exportRecordings(meetingIds, { format, bitrate, enhanced });
+    if (result.success) {
+      console.log(`✅ Exported ${result.files.length} recording(s) to ${result.outputDir}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('Error exporting recordings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Google Drive OAuth IPC handlers
 ipcMain.handle('get-google-oauth-url', async () => {
   try {
@@ -960,6 +1258,56 @@ ipcMain.handle('disconnect-google-drive', async () => {
   }
 });
 
+// Storage provider IPC handlers
+ipcMain.handle('get-storage-settings', () => {
+  try {
+    return {
+      success: true,
+      providers: UploadService.getProviders(),
+      activeProvider: store.get('storageProvider'),
+      s3Config: uploadService.getProviderSettings('s3'),
+      webdavConfig: uploadService.getProviderSettings('webdav')
+    };
+  } catch (error) {
+    console.error('Error getting storage settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('test-storage-provider', async (event, providerId, config = null) => {
+  try {
+    return await uploadService.testStorageProvider(providerId, config);
+  } catch (error) {
+    console.error('Error testing storage provider:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-storage-settings', async (event, providerId, config = null) => {
+  try {
+    if (!UploadService.getProviders().some(provider => provider.id === providerId)) {
+      throw new Error(`Unknown storage provider: ${providerId}`);
+    }
+
+    if (config) {
+      uploadService.saveProviderSettings(providerId, config);
+    }
+    store.set('storageProvider', providerId);
+
+    log.info('[UPLOAD] Storage provider changed', {
+      provider: providerId,
+      timestamp: Date.now()
+    });
+
+    // Pending uploads go to the newly selected backend
+    uploadService.processUploadQueue();
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving storage settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Audio recording IPC handlers
 ipcMain.handle('start-recording', async (event, meetingId) => {
   try {
@@ -1081,6 +1429,77 @@ ipcMain.handle('get-recording-status', async (event, meetingId) => {
   }
 });
 
+ipcMain.handle('set-meeting-recording-policy', async (event, meetingId, policy) => {
+  try {
+    if (policy !== null && !RECORDING_POLICIES.includes(policy)) {
+      throw new Error(`Unknown recording policy: ${policy}`);
+    }
+
+    await database.updateMeetingRecordingPolicy(meetingId, policy);
+    const meeting = await database.getMeetingById(meetingId);
+    return { success: true, policy, effectivePolicy: recordingScheduler ? recordingScheduler.resolvePolicy(meeting) : policy };
+  } catch (error) {
+    console.error('Error setting meeting recording policy:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('dismiss-meeting-end', async (event, meetingId) => {
+  try {
+    if (!audioRecorder) {
+      throw new Error('Audio recorder not initialized');
+    }
+
+    const status = await audioRecorder.dismissMeetingEnd(meetingId);
+    return { success: true, status };
+  } catch (error) {
+    console.error('Error dismissing meeting end prompt:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-meeting-end-detection', async (event, meetingId) => {
+  try {
+    if (!audioRecorder) {
+      throw new Error('Audio recorder not initialized');
+    }
+
+    const settings = await audioRecorder.getEndDetectionSettings(meetingId);
+    const overrides = await database.getMeetingEndDetectionSettings(meetingId);
+    return { success: true, settings, overrides, defaults: store.get('meetingEndDetection') };
+  } catch (error) {
+    console.error('Error getting meeting end detection settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-meeting-end-detection', async (event, meetingId, overrides) => {
+  try {
+    if (!audioRecorder) {
+      throw new Error('Audio recorder not initialized');
+    }
+
+    const settings = await audioRecorder.updateEndDetectionSettings(meetingId, overrides);
+    return { success: true, settings };
+  } catch (error) {
+    console.error('Error saving meeting end detection settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('merge-recording-parts', async (event, meetingId) => {
+  try {
+    if (!audioRecorder) {
+      throw new Error('Audio recorder not initialized');
+    }
+    const result = await audioRecorder.mergeRecordingParts(meetingId);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error merging recording parts:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('get-recording-sessions', async (event, meetingId) => {
   try {
     if (!audioRecorder) {
@@ -1093,13 +1512,95 @@ ipcMain.handle('get-recording-sessions', async (event, meetingId) => {
       return [];
     }
 
-    return await audioRecorder.getRecordingSessions(meetingId);
+    const sessions = await audioRecorder.getRecordingSessions(meetingId);
+
+    // Recordings the retention policy removed locally are still in the cloud
+    const removals = await database.getRetentionRemovals(meetingId);
+    const removedPaths = new Set(removals.filter(r => r.category === 'recording').map(r => r.file_path));
+    return sessions.map(session => ({ ...session, archivedRemotely: removedPaths.has(session.final_path) }));
   } catch (error) {
     console.error('Error getting recording sessions:', error);
     throw error;
   }
 });
 
+ipcMain.handle('get-recording-levels', async (event, sessionId) => {
+  try {
+    if (!audioRecorder) {
+      throw new Error('Audio recorder not initialized');
+    }
+
+    const profile = await audioRecorder.getRecordingLevels(sessionId);
+    return { success: true, ...profile };
+  } catch (error) {
+    console.error('Error getting recording levels:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Transcription IPC handlers
+ipcMain.handle('get-meeting-transcript', async (event, meetingId) => {
+  try {
+    const transcriptions = await database.getMeetingTranscriptions(meetingId);
+    const segments = await database.getTranscriptSegments(meetingId);
+    return { success: true, transcriptions, segments };
+  } catch (error) {
+    console.error('Error getting meeting transcript:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('transcribe-meeting', async (event, meetingId) => {
+  try {
+    if (!transcriptionService) {
+      throw new Error('Transcription service not initialized');
+    }
+    const queued = await transcriptionService.transcribeMeeting(meetingId);
+    return { success: true, queued };
+  } catch (error) {
+    console.error('Error queueing transcription:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Speaker diarization IPC handlers
+ipcMain.handle('get-meeting-speakers', async (event, meetingId) => {
+  try {
+    if (!diarizationService) {
+      throw new Error('Diarization service not initialized');
+    }
+    const diarizations = await database.getMeetingDiarizations(meetingId);
+    const talkTime = await diarizationService.getTalkTime(meetingId);
+    return { success: true, diarizations, ...talkTime };
+  } catch (error) {
+    console.error('Error getting meeting speakers:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('assign-speaker', async (event, meetingId, sessionId, speakerLabel, participant) => {
+  try {
+    await database.setSpeakerParticipant(sessionId, meetingId, speakerLabel, participant);
+    return { success: true };
+  } catch (error) {
+    console.error('Error assigning speaker:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('diarize-meeting', async (event, meetingId) => {
+  try {
+    if (!diarizationService) {
+      throw new Error('Diarization service not initialized');
+    }
+    const queued = await diarizationService.diarizeMeeting(meetingId);
+    return { success: true, queued };
+  } catch (error) {
+    console.error('Error queueing diarization:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Helper function to reconstruct current path based on current folder name
 async function reconstructCurrentPath(meeting, originalPath) {
   if (!originalPath || !meeting.folder_name) return null;
@@ -1129,7 +1630,7 @@ async function findFileInMeetingFolder(meeting) {
 
     // List all .opus files in the folder
     const files = await fs.readdir(folderPath);
-    const opusFiles = files.filter(file => file.endsWith('.opus'));
+    const opusFiles = files.filter(file => file.endsWith('.opus') && !isEnhancedFile(file));
 
     if (opusFiles.length === 0) return null;
 
@@ -1164,7 +1665,7 @@ ipcMain.handle('get-file-growth-status', async (event, meetingId) => {
 
     // Get the most recent recording session (active or just completed)
     const recordings = await database.all(
-      'SELECT id, temp_path, final_path, completed FROM recording_sessions WHERE meeting_id = ? ORDER BY started_at DESC LIMIT 1',
+      'SELECT id, temp_path, final_path, completed FROM recording_sessions WHERE meeting_id = ? AND merged_into IS NULL ORDER BY started_at DESC LIMIT 1',
       [meetingId]
     );
 
@@ -1245,6 +1746,44 @@ ipcMain.handle('get-file-growth-status', async (event, meetingId) => {
   }
 });
 
+ipcMain.handle('search-meetings', async (event, query, filters = {}) => {
+  try {
+    const results = await database.searchMeetings(query, filters);
+    return { success: true, results };
+  } catch (error) {
+    console.error('Error searching meetings:', error);
+    return { success: false, error: error.message, results: [] };
+  }
+});
+
+// Action item IPC handlers
+ipcMain.handle('get-action-items', async (event, filters = {}) => {
+  try {
+    const items = await database.getActionItems(filters);
+    const owners = await database.getActionItemOwners();
+    return { success: true, items, owners };
+  } catch (error) {
+    console.error('Error getting action items:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-action-item-status', async (event, itemId, done) => {
+  try {
+    const item = await database.setActionItemStatus(itemId, done);
+    // The checkbox lives in the notes, so they go out again like any other edit
+    const exportResult = await database.exportMeetingNotesAsMarkdown(item.meeting_id);
+    if (!exportResult.success && !exportResult.conflict) {
+      console.warn(`⚠️ Could not export notes for meeting ${item.meeting_id}:`, exportResult.error);
+    }
+    await uploadService.queueMeetingUpload(item.meeting_id, { resync: true });
+    return { success: true, item };
+  } catch (error) {
+    console.error('Error setting action item status:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('get-participant-suggestions', async (event, searchTerm) => {
   try {
     return await database.getParticipantSuggestions(searchTerm);
@@ -1266,15 +1805,15 @@ ipcMain.handle('delete-meeting', async (event, meetingId) => {
     
     console.log(`📝 Meeting to delete: "${meeting.title}" (folder: ${meeting.folder_name})`);
     
-    // Delete from Google Drive if uploaded
+    // Delete from remote storage if uploaded
     if (meeting.upload_status === 'completed' && meeting.gdrive_folder_id) {
       try {
-        console.log(`☁️ Deleting from Google Drive: ${meeting.gdrive_folder_id}`);
-        await googleDriveService.deleteFolder(meeting.gdrive_folder_id);
-        console.log(`✅ Successfully deleted from Google Drive`);
+        console.log(`☁️ Deleting from ${meeting.storage_provider || 'google-drive'}: ${meeting.gdrive_folder_id}`);
+        await uploadService.deleteRemoteMeetingFolder(meeting);
+        console.log(`✅ Successfully deleted from remote storage`);
       } catch (driveError) {
-        console.warn(`⚠️ Failed to delete from Google Drive: ${driveError.message}`);
-        // Continue with local deletion even if Google Drive fails
+        console.warn(`⚠️ Failed to delete from remote storage: ${driveError.message}`);
+        // Continue with local deletion even if remote storage fails
       }
     }
     
@@ -1317,7 +1856,7 @@ ipcMain.handle('connect-smb', async (event, credentials) => {
     }
 
     console.log(`🔌 Attempting SMB connection for user: ${credentials.username}`);
-    const result = await smbMountService.connect(credentials.username, credentials.password);
+    const result = await smbMountService.connect(credentials.username, credentials.password, credentials);
 
     if (result.success) {
       console.log('✅ SMB connection successful');
@@ -1361,7 +1900,7 @@ ipcMain.handle('test-smb-connection', async (event, credentials) => {
     }
 
     console.log(`🧪 Testing SMB connection for user: ${credentials.username}`);
-    const result = await smbMountService.testConnection(credentials.username, credentials.password);
+    const result = await smbMountService.testConnection(credentials.username, credentials.password, credentials);
 
     console.log(`🧪 SMB test result: ${result.success ? 'success' : 'failed'}`);
     return result;
@@ -0,0 +1,206 @@
+const path = require('path');
+const fs = require('fs-extra');
+const log = require('./utils/logger');
+const FileUtils = require('./file-utils');
+const { getRecordingSessionOrder } = require('./quill-to-markdown');
+const { markdownToQuillDelta, extractNotesMarkdown } = require('./markdown-to-quill');
+
+// Editors save in bursts (write, rename, touch); wait for the file to settle
+const CHANGE_DEBOUNCE_MS = 1000;
+
+/**
+ * Markdown Sync Service
+ *
+ * Brings edits made to a meeting's exported <folder>-notes.md (in Obsidian, VS Code...)
+ * back into notes_content. markdown_sync remembers each file as the app last wrote or
+ * imported it, along with the notes it matched, so a change on disk is one of:
+ *
+ *   - the app's own write          -> file matches the record, nothing to do
+ *   - an external edit             -> notes unchanged since the record, imported
+ *   - an external and in-app edit  -> conflict: recorded and sent to the window,
+ *                                     resolved by keeping one side (resolveConflict)
+ *
+ * While a conflict is open the app doesn't overwrite or delete the file. Files written
+ * before sync tracking have no record and are left alone until the app next exports them.
+ */
+class MarkdownSyncService {
+  constructor(database, uploadService = null, mainWindow = null) {
+    this.database = database;
+    this.uploadService = uploadService;
+    this.mainWindow = mainWindow;
+    this.assetsPath = path.join(path.dirname(__dirname), 'assets');
+    this.watcher = null;
+    this.pending = new Map(); // filePath -> debounce timer
+  }
+
+  async start() {
+    await fs.ensureDir(this.assetsPath);
+    try {
+      // One recursive watch covers every date and meeting folder, including new ones
+      this.watcher = fs.watch(this.assetsPath, { recursive: true }, (eventType, filename) => {
+        if (filename && filename.endsWith('-notes.md')) {
+          this.scheduleCheck(path.join(this.assetsPath, filename));
+        }
+      });
+      this.watcher.on('error', (error) => {
+        console.warn('⚠️ Markdown watcher error:', error.message);
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not watch notes files, external edits are only picked up at startup:', error.message);
+    }
+
+    // Catch up on edits made while the app was closed
+    await this.checkAll();
+    console.log('📝 Markdown sync service started');
+  }
+
+  stop() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.pending.forEach(timer => clearTimeout(timer));
+    this.pending.clear();
+  }
+
+  scheduleCheck(filePath) {
+    clearTimeout(this.pending.get(filePath));
+    this.pending.set(filePath, setTimeout(() => {
+      this.pending.delete(filePath);
+      this.checkFile(filePath).catch((error) => {
+        console.error(`❌ Could not sync ${path.basename(filePath)}:`, error);
+      });
+    }, CHANGE_DEBOUNCE_MS));
+  }
+
+  async checkAll() {
+    const syncs = await this.database.getAllMarkdownSyncs();
+    for (const sync of syncs) {
+      try {
+        await this.checkFile(sync.file_path);
+      } catch (error) {
+        console.error(`❌ Could not sync ${path.basename(sync.file_path)}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Import or flag a notes file that may have changed
+   * @param {string} filePath - A <folder>-notes.md file
+   * @returns {Promise<string>} 'unchanged', 'imported' or 'conflict'
+   */
+  async checkFile(filePath) {
+    const sync = await this.database.getMarkdownSyncByPath(filePath);
+    // A missing file is the app replacing it, not a request to clear the notes
+    if (!sync || !(await fs.pathExists(filePath))) {
+      return 'unchanged';
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    const markdownHash = FileUtils.computeContentMd5(content);
+    if (markdownHash === sync.markdown_hash || markdownHash === sync.conflict_hash) {
+      return 'unchanged';
+    }
+
+    const meeting = await this.database.getMeetingById(sync.meeting_id);
+    if (!meeting) {
+      return 'unchanged';
+    }
+
+    if (FileUtils.computeContentMd5(meeting.notes_content) !== sync.notes_hash) {
+      await this.database.setMarkdownSyncConflict(meeting.id, markdownHash);
+      console.warn(`⚠️ Notes for meeting ${meeting.id} were edited both in the app and in ${path.basename(filePath)}`);
+      log.warn('[NOTES] Markdown sync conflict', { meetingId: meeting.id, filePath, timestamp: Date.now() });
+      this.send('notes-sync-conflict', { meetingId: meeting.id, filePath });
+      return 'conflict';
+    }
+
+    await this.importFile(meeting, filePath, content);
+    return 'imported';
+  }
+
+  async importFile(meeting, filePath, content) {
+    // Timestamps in the file refer to recordings by their order in the current notes
+    let recordingSessions = [];
+    try {
+      recordingSessions = getRecordingSessionOrder(JSON.parse(meeting.notes_content));
+    } catch (error) {
+      recordingSessions = [];
+    }
+    if (recordingSessions.length === 0) {
+      // The notes lost their timestamps (e.g. replaced in a conflict); fall back to the recordings
+      const recordings = await this.database.getCompletedRecordings(meeting.id);
+      recordingSessions = recordings.map(recording => recording.id).sort((a, b) => a - b);
+    }
+
+    const delta = markdownToQuillDelta(extractNotesMarkdown(content), { recordingSessions });
+    const notesContent = JSON.stringify(delta);
+    await this.database.updateMeetingNotes(meeting.id, notesContent);
+    await this.database.saveMarkdownSync(meeting.id, filePath, content, notesContent);
+
+    console.log(`📥 Imported notes for meeting ${meeting.id} from ${path.basename(filePath)}`);
+    log.info('[NOTES] Markdown imported', { meetingId: meeting.id, filePath, lines: delta.ops.length, timestamp: Date.now() });
+    this.send('meeting-notes-imported', { meetingId: meeting.id, filePath });
+
+    if (this.uploadService) {
+      await this.uploadService.queueMeetingUpload(meeting.id, { resync: true });
+    }
+  }
+
+  /**
+   * Settle a conflict by keeping one version
+   * @param {number} meetingId - Meeting ID
+   * @param {string} resolution - 'file' imports the file over the notes; 'app' rewrites the file from the notes
+   * @returns {Promise<Object>} { success, filePath }
+   */
+  async resolveConflict(meetingId, resolution) {
+    const sync = await this.database.getMarkdownSync(meetingId);
+    if (!sync) {
+      throw new Error('Notes file is not tracked');
+    }
+
+    if (resolution === 'file') {
+      const meeting = await this.database.getMeetingById(meetingId);
+      const content = await fs.readFile(sync.file_path, 'utf8');
+      await this.importFile(meeting, sync.file_path, content);
+    } else if (resolution === 'app') {
+      const result = await this.database.exportMeetingNotesAsMarkdown(meetingId, { force: true });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (this.uploadService) {
+        await this.uploadService.queueMeetingUpload(meetingId, { resync: true });
+      }
+    } else {
+      throw new Error(`Unknown conflict resolution: ${resolution}`);
+    }
+
+    log.info('[NOTES] Markdown sync conflict resolved', { meetingId, resolution, timestamp: Date.now() });
+    return { success: true, filePath: sync.file_path };
+  }
+
+  /**
+   * @returns {Promise<Object>} { tracked, filePath, syncedAt, conflict, conflictDetectedAt }
+   */
+  async getStatus(meetingId) {
+    const sync = await this.database.getMarkdownSync(meetingId);
+    if (!sync) {
+      return { tracked: false, conflict: false };
+    }
+    return {
+      tracked: true,
+      filePath: sync.file_path,
+      syncedAt: sync.synced_at,
+      conflict: !!sync.conflict_hash,
+      conflictDetectedAt: sync.conflict_detected_at
+    };
+  }
+
+  send(channel, data) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(channel, data);
+    }
+  }
+}
+
+module.exports = MarkdownSyncService;
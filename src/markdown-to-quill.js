@@ -0,0 +1,418 @@
+// Convert GitHub-Flavored Markdown to Quill Delta format
+// The inverse of quill-to-markdown.js, for notes edited outside the app. Every block is
+// one Quill line; blank lines beyond the one that separates two blocks are empty lines.
+// Lists, fenced code and quotes give a line per item, code line or quoted paragraph.
+
+// Timestamp prefix written by the serializer: "**[12:34]** " or "**[Rec 2 1:02:03]** "
+const TIMESTAMP_PREFIX = /^\*\*\[(?:Rec (\d+) )?((?:\d+:)?\d{1,2}:\d{2})\]\*\*(?: |$)/;
+
+// Key of an action item line, written by the serializer as a trailing comment
+const ACTION_ITEM = /(?:^|[ \t]+)<!-- action:([\w-]+) -->[ \t]*$/;
+
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const FENCE_CLOSE = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+const QUOTE_LINE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const TASK = /^\[([ xX])\](?:[ \t]+(.*))?$/;
+const HEADER = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/;
+
+// Inline tokens, tried in this order where a special character starts
+const ESCAPE = /\\([!-/:-@[-`{-~])/y;
+const CODE_SPAN = /(`+)([\s\S]*?[^`])\1(?!`)/y;
+const BACKTICKS = /`+/y;
+const LINK_URL = '(<[^>\\n]*>|[^)\\s]*)';
+const IMAGE = new RegExp(`!\\[((?:\\\\.|[^\\]\\\\])*)\\]\\(${LINK_URL}\\)`, 'y');
+const LINK = new RegExp(`\\[((?:\\\\.|!\\[(?:\\\\.|[^\\]\\\\])*\\]\\([^)]*\\)|[^\\]\\\\])*)\\]\\(${LINK_URL}\\)`, 'y');
+const UNDERLINE = /<(u|ins)>([\s\S]*?)<\/\1>/y;
+const DELIMITER = /([*_~])\1*/y;
+const SPECIAL_CHARACTERS = '\\`![<*_~';
+
+const isWhitespace = (char) => /\s/.test(char);
+const isPunctuation = (char) => /[!-/:-@[-`{-~]|\p{P}/u.test(char);
+
+/**
+ * Convert Markdown to a Quill Delta
+ * @param {string} markdown - Markdown text
+ * @param {Object} [options] - { recordingSessions } session IDs, oldest first, that
+ *   timestamp prefixes refer to; see getRecordingSessionOrder in quill-to-markdown.js
+ * @returns {Object} { ops }
+ */
+function markdownToQuillDelta(markdown, options = {}) {
+  const recordingSessions = options.recordingSessions || [];
+  // Tabs in indentation count as four spaces, as in CommonMark
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n')
+    .map(line => line.replace(/^[ \t]+/, space => space.replace(/\t/g, '    ')));
+  const ops = [];
+  const pushLine = (text, attributes) => {
+    const actionItem = text.match(ACTION_ITEM);
+    if (actionItem) {
+      attributes = { ...attributes, 'action-item': actionItem[1] };
+      text = text.slice(0, actionItem.index);
+    }
+    const { content, attributes: lineAttributes } = parseTimestamp(text, attributes, recordingSessions);
+    ops.push(...parseInline(content));
+    ops.push(Object.keys(lineAttributes).length > 0 ? { insert: '\n', attributes: lineAttributes } : { insert: '\n' });
+  };
+
+  let blankLines = 0;
+  let started = false;
+  let listItems = []; // { level, column } of the last item at each open list level
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      blankLines++;
+      i++;
+      continue;
+    }
+
+    // One blank line separates blocks; each one more is an empty line in the notes
+    if (started) {
+      for (let extra = 1; extra < blankLines; extra++) {
+        ops.push({ insert: '\n' });
+      }
+    }
+    started = true;
+    blankLines = 0;
+
+    let match;
+    if ((match = line.match(LIST_ITEM))) {
+      const column = match[1].length;
+      while (listItems.length > 0 && listItems[listItems.length - 1].column > column) {
+        listItems.pop();
+      }
+      const parent = listItems[listItems.length - 1];
+      const level = parent ? parent.level + 1 : 0;
+      listItems.push({ level, column: column + match[2].length + 1 });
+
+      const attributes = { list: /\d/.test(match[2]) ? 'ordered' : 'bullet' };
+      let text = match[3] || '';
+      const task = text.match(TASK);
+      if (task && attributes.list === 'bullet') {
+        attributes.list = task[1] === ' ' ? 'unchecked' : 'checked';
+        text = task[2] || '';
+      }
+      if (level > 0) {
+        attributes.indent = level;
+      }
+      pushLine(text, attributes);
+      i++;
+      continue;
+    }
+    listItems = [];
+
+    if ((match = line.match(FENCE_OPEN))) {
+      const indent = match[1].length;
+      const fence = match[2];
+      const attributes = { 'code-block': match[3] || true };
+      i++;
+      while (i < lines.length) {
+        const close = lines[i].match(FENCE_CLOSE);
+        if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+          break;
+        }
+        const code = lines[i].replace(new RegExp(`^ {0,${indent}}`), '');
+        if (code) {
+          ops.push({ insert: code });
+        }
+        ops.push({ insert: '\n', attributes });
+        i++;
+      }
+      i++;
+      continue;
+    }
+
+    if (QUOTE_LINE.test(line)) {
+      // The serializer puts a bare ">" between quoted lines; a bare ">" that doesn't
+      // follow a line is an empty quoted line
+      let afterLine = false;
+      while (i < lines.length && (match = lines[i].match(QUOTE_LINE))) {
+        if (match[1].trim()) {
+          pushLine(match[1], { blockquote: true });
+          afterLine = true;
+        } else if (afterLine) {
+          afterLine = false;
+        } else {
+          pushLine('', { blockquote: true });
+          afterLine = true;
+        }
+        i++;
+      }
+      continue;
+    }
+
+    if ((match = line.match(HEADER))) {
+      // Drop an optional closing sequence: "## Title ##"
+      pushLine((match[2] || '').replace(/(^|[ \t]+)#+$/, ''), { header: match[1].length });
+    } else {
+      // Em spaces are how the serializer writes indent
+      const indent = line.match(/^((?:&emsp;)+)/);
+      const text = indent ? line.slice(indent[1].length) : line;
+      pushLine(text.trim(), indent ? { indent: indent[1].length / '&emsp;'.length } : {});
+    }
+    i++;
+  }
+
+  if (ops.length === 0) {
+    ops.push({ insert: '\n' });
+  }
+
+  return { ops: mergeOps(ops) };
+}
+
+// Only timestamps that map back to a recording become offsets; anything else stays as typed
+function parseTimestamp(text, attributes, recordingSessions) {
+  const match = text.match(TIMESTAMP_PREFIX);
+  if (!match || recordingSessions.length === 0 || attributes['code-block']) {
+    return { content: text, attributes };
+  }
+
+  const sessionId = match[1] ? recordingSessions[parseInt(match[1], 10) - 1] : recordingSessions[0];
+  if (sessionId === undefined) {
+    return { content: text, attributes };
+  }
+  const seconds = match[2].split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  return {
+    content: text.slice(match[0].length),
+    attributes: { ...attributes, 'recording-offset': `${sessionId}@${seconds}` }
+  };
+}
+
+/**
+ * Inline formatting to Delta ops
+ * @param {string} text - One line of Markdown
+ * @returns {Array} ops without the line's newline
+ */
+function parseInline(text) {
+  return toOps(matchEmphasis(tokenize(text)), {});
+}
+
+/**
+ * Split a line into text, code, image, link and underline tokens and runs of emphasis
+ * delimiters (* _ ~), which matchEmphasis pairs up
+ */
+function tokenize(text) {
+  const tokens = [];
+  let plain = '';
+  let pos = 0;
+  const flush = () => {
+    if (plain) {
+      tokens.push({ type: 'text', text: plain });
+      plain = '';
+    }
+  };
+  const at = (pattern) => {
+    pattern.lastIndex = pos;
+    return pattern.exec(text);
+  };
+
+  while (pos < text.length) {
+    let match = null;
+    if (SPECIAL_CHARACTERS.includes(text[pos])) {
+      if ((match = at(ESCAPE))) {
+        plain += match[1];
+      } else if ((match = at(CODE_SPAN))) {
+        flush();
+        tokens.push({ type: 'code', text: trimCodeSpan(match[2]) });
+      } else if ((match = at(BACKTICKS))) {
+        plain += match[0];
+      } else if ((match = at(IMAGE))) {
+        flush();
+        tokens.push({ type: 'image', alt: unescapeText(match[1]), url: parseUrl(match[2]) });
+      } else if ((match = at(LINK))) {
+        flush();
+        tokens.push({ type: 'format', attributes: { link: parseUrl(match[2]) }, children: matchEmphasis(tokenize(match[1])) });
+      } else if ((match = at(UNDERLINE))) {
+        flush();
+        tokens.push({ type: 'format', attributes: { underline: true }, children: matchEmphasis(tokenize(match[2])) });
+      } else if ((match = at(DELIMITER))) {
+        flush();
+        tokens.push(delimiterRun(text, pos, match[0]));
+      }
+    }
+
+    if (match) {
+      pos += match[0].length;
+    } else {
+      plain += text[pos];
+      pos++;
+    }
+  }
+  flush();
+
+  return tokens;
+}
+
+// Whether a delimiter run can open and/or close emphasis depends on what's around it
+function delimiterRun(text, pos, run) {
+  const before = pos > 0 ? text[pos - 1] : ' ';
+  const after = pos + run.length < text.length ? text[pos + run.length] : ' ';
+  const leftFlanking = !isWhitespace(after) &&
+    (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+  const rightFlanking = !isWhitespace(before) &&
+    (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+
+  const token = { type: 'delimiter', char: run[0], length: run.length, originalLength: run.length };
+  if (token.char === '_') {
+    // Underscores inside a word (snake_case) are never emphasis
+    token.canOpen = leftFlanking && (!rightFlanking || isPunctuation(before));
+    token.canClose = rightFlanking && (!leftFlanking || isPunctuation(after));
+  } else {
+    token.canOpen = leftFlanking;
+    token.canClose = rightFlanking;
+  }
+  return token;
+}
+
+/**
+ * Pair delimiter runs into bold, italic and strike, as CommonMark's "process emphasis":
+ * each closer, left to right, takes the nearest opener it can pair with
+ * @param {Array} tokens - From tokenize; unpaired delimiters are left as literal text
+ * @returns {Array} tokens with pairs replaced by format tokens
+ */
+function matchEmphasis(tokens) {
+  let i = 0;
+  while (i < tokens.length) {
+    const closer = tokens[i];
+    if (closer.type !== 'delimiter' || !closer.canClose || closer.length === 0) {
+      i++;
+      continue;
+    }
+
+    let j = i - 1;
+    while (j >= 0 && !canPair(tokens[j], closer)) {
+      j--;
+    }
+    if (j < 0) {
+      i++;
+      continue;
+    }
+
+    const opener = tokens[j];
+    let attributes;
+    let used;
+    if (closer.char === '~') {
+      attributes = { strike: true };
+      used = closer.length;
+    } else {
+      used = opener.length >= 2 && closer.length >= 2 ? 2 : 1;
+      attributes = used === 2 ? { bold: true } : { italic: true };
+    }
+    opener.length -= used;
+    closer.length -= used;
+
+    tokens.splice(j + 1, i - j - 1, { type: 'format', attributes, children: tokens.slice(j + 1, i) });
+    i = j + 2;
+    if (opener.length === 0) {
+      tokens.splice(j, 1);
+      i--;
+    }
+    if (closer.length === 0) {
+      tokens.splice(i, 1);
+    }
+  }
+
+  return tokens;
+}
+
+function canPair(opener, closer) {
+  if (opener.type !== 'delimiter' || opener.char !== closer.char || !opener.canOpen || opener.length === 0) {
+    return false;
+  }
+  if (closer.char === '~') {
+    return opener.length === closer.length && opener.length <= 2;
+  }
+  // A run that could both open and close can't pair with one whose length makes a multiple of 3
+  const sum = opener.originalLength + closer.originalLength;
+  return !((opener.canClose || closer.canOpen) && sum % 3 === 0 &&
+    !(opener.originalLength % 3 === 0 && closer.originalLength % 3 === 0));
+}
+
+function toOps(tokens, attributes) {
+  const ops = [];
+  const pushText = (value, attrs) => {
+    if (value) {
+      ops.push(Object.keys(attrs).length > 0 ? { insert: value, attributes: { ...attrs } } : { insert: value });
+    }
+  };
+
+  tokens.forEach((token) => {
+    if (token.type === 'text') {
+      pushText(token.text, attributes);
+    } else if (token.type === 'delimiter') {
+      pushText(token.char.repeat(token.length), attributes);
+    } else if (token.type === 'code') {
+      pushText(token.text, { ...attributes, code: true });
+    } else if (token.type === 'image') {
+      const imageAttributes = {
+        ...(token.alt ? { alt: token.alt } : {}),
+        ...(attributes.link ? { link: attributes.link } : {})
+      };
+      ops.push({ insert: { image: token.url }, ...(Object.keys(imageAttributes).length > 0 ? { attributes: imageAttributes } : {}) });
+    } else {
+      ops.push(...toOps(token.children, { ...attributes, ...token.attributes }));
+    }
+  });
+
+  return ops;
+}
+
+// One space is stripped from each side of a code span that has both, to allow `` `x` ``
+function trimCodeSpan(code) {
+  return /^ [\s\S]*[^ ][\s\S]* $/.test(code) ? code.slice(1, -1) : code;
+}
+
+function parseUrl(url) {
+  return url.startsWith('<') ? url.slice(1, -1) : url;
+}
+
+function unescapeText(text) {
+  return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
+// Join neighbouring text inserts with the same formats, as Quill itself stores them
+function mergeOps(ops) {
+  const merged = [];
+  ops.forEach((op) => {
+    const previous = merged[merged.length - 1];
+    if (previous && typeof previous.insert === 'string' && typeof op.insert === 'string' &&
+        JSON.stringify(previous.attributes || {}) === JSON.stringify(op.attributes || {})) {
+      previous.insert += op.insert;
+    } else {
+      merged.push({ ...op });
+    }
+  });
+  return merged;
+}
+
+/**
+ * The notes part of a document written by generateMarkdownDocument: everything under
+ * "## Meeting Notes", or the whole body after the front matter and title if that
+ * heading was removed
+ * @param {string} document - Markdown file contents
+ * @returns {string} Notes Markdown; empty for the "no notes" placeholder
+ */
+function extractNotesMarkdown(document) {
+  let body = String(document || '').replace(/\r\n?/g, '\n');
+
+  const frontMatter = body.match(/^---\n[\s\S]*?\n---\n/);
+  if (frontMatter) {
+    body = body.slice(frontMatter[0].length);
+  }
+
+  const heading = body.match(/^## Meeting Notes[ \t]*\n/m);
+  if (heading) {
+    body = body.slice(heading.index + heading[0].length);
+  } else {
+    body = body.replace(/^\s*# .*\n/, '');
+  }
+
+  body = body.replace(/^\n+/, '');
+  return body.trim() === '*No notes recorded*' ? '' : body;
+}
+
+module.exports = {
+  markdownToQuillDelta,
+  extractNotesMarkdown
+};
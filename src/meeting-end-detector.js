@@ -15,6 +15,9 @@ const path = require('path');
  * - Transition threshold: -38dB
  * - Minimum silence duration: 10 minutes (configurable)
  * - Sample interval: 30 seconds (configurable)
+ * - No end is reported before notBefore (the scheduled end time), however long the silence
+ *
+ * AudioRecorder runs one detector per active recording.
  */
 
 class MeetingEndDetector {
@@ -23,6 +26,7 @@ class MeetingEndDetector {
     this.minSilenceDuration = options.minSilenceDuration || 600; // 10 minutes in seconds
     this.sampleInterval = options.sampleInterval || 30; // 30 seconds
     this.sampleDuration = options.sampleDuration || 15; // 15 second samples
+    this.notBefore = options.notBefore || 0; // Epoch ms; silence only ends the meeting after this
 
     this.isMonitoring = false;
     this.silenceStartTime = null;
@@ -80,6 +84,12 @@ class MeetingEndDetector {
     try {
       const level = await this.getCurrentAudioLevel();
       const timestamp = Date.now();
+
+      // An unreadable sample says nothing about the room; don't count it as silence
+      if (level === null || !this.isMonitoring) {
+        return;
+      }
+
       const isQuiet = level < this.silenceThreshold;
 
       if (isQuiet) {
@@ -114,7 +124,7 @@ class MeetingEndDetector {
       console.log(`🔇 Silence continues: ${level.toFixed(1)}dB (${Math.round(silenceDuration/60, 1)}min)`);
 
       // Check if we've reached the threshold for meeting end
-      if (silenceDuration >= this.minSilenceDuration) {
+      if (silenceDuration >= this.minSilenceDuration && timestamp >= this.notBefore) {
         this.handleMeetingEndDetected(silenceDuration, timestamp);
       }
     }
@@ -172,6 +182,10 @@ class MeetingEndDetector {
         '-'
       ], { stdio: ['pipe', 'pipe', 'pipe'] });
 
+      if (global.trackProcess) {
+        global.trackProcess(ffmpeg, `FFmpeg meeting end sample ${path.basename(this.recordingPath)}`);
+      }
+
       let stderr = '';
       ffmpeg.stderr.on('data', (data) => {
         stderr += data.toString();
@@ -179,8 +193,7 @@ class MeetingEndDetector {
 
       ffmpeg.on('close', (code) => {
         const meanVolumeMatch = stderr.match(/mean_volume: ([-\d\.]+) dB/);
-        const level = meanVolumeMatch ? parseFloat(meanVolumeMatch[1]) : -100;
-        resolve(level);
+        resolve(meanVolumeMatch ? parseFloat(meanVolumeMatch[1]) : null);
       });
 
       ffmpeg.on('error', reject);
@@ -249,6 +262,7 @@ class MeetingEndDetector {
     }
 
     let simulatedTime = 0;
+    this.isMonitoring = true;
     this.silenceStartTime = null;
     this.consecutiveSilentSamples = 0;
 
@@ -341,10 +355,11 @@ if (require.main === module) {
     }).catch(console.error);
   } else {
     console.log('Usage:');
-    console.log('  node meeting-end-detector.js test <audio-file-path>');
+    console.log('  node src/meeting-end-detector.js test <audio-file-path>');
     console.log('');
     console.log('For integration with recording system, use as module:');
     console.log('  const MeetingEndDetector = require("./meeting-end-detector");');
+    console.log('AudioRecorder starts one for every recording (see meetingEndDetection in settings).');
   }
 }
 
@@ -125,6 +125,7 @@ class MeetingHealthChecker {
       
       // Write markdown file
       await fs.writeFile(markdownPath, markdownContent);
+      await this.database.saveMarkdownSync(meeting.id, markdownPath, markdownContent, meeting.notes_content);
       
       // Update database
       await this.database.updateMarkdownExportStatus(meeting.id, 'success');
@@ -2,6 +2,27 @@ const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs-extra');
 const { dateOverride } = require('./date-override');
+const IcsParser = require('./ics-parser');
+
+// Layout of the "6-Week Meeting Forecast" export. The saved calendarImportProfile
+// setting overrides any of these when the export template changes.
+const DEFAULT_IMPORT_PROFILE = {
+  sheetName: '6-Week Meeting Forecast',
+  headerRowIndex: 1, // zero-based row holding the column headers; data starts on the next row
+  columns: {
+    title: 'Meeting Title',
+    startDate: 'Start Date',
+    startTime: 'Start Time',
+    endTime: 'End Time',
+    participants: 'Participants',
+    status: 'Status'
+  },
+  filter: {
+    // Rows with this status (and, if set, no participants) are hidden unless "show more" is on
+    excludeStatus: 'OWNER',
+    onlyWhenNoParticipants: true
+  }
+};
 
 class MeetingLoader {
   constructor(database, store, googleDriveService = null) {
@@ -36,32 +57,23 @@ class MeetingLoader {
     const projectRoot = path.dirname(__dirname);
     const assetsDir = path.join(projectRoot, 'assets');
     
-    // Find calendar files (calendar.xlsx, calendar (1).xlsx, calendar (2).xlsx, etc.)
+    // Find calendar files (calendar.xlsx, calendar (1).xlsx, calendar.ics, etc.)
     const excelFilePath = await this.findCalendarFile(assetsDir);
     
     if (!excelFilePath) {
-      throw new Error(`Calendar Excel file not found. Please place a file named 'calendar.xlsx' (or 'calendar (1).xlsx', etc.) in the assets folder at: ${assetsDir}`);
+      throw new Error(`Calendar file not found. Please place a file named 'calendar.xlsx' or 'calendar.ics' (or 'calendar (1).xlsx', etc.) in the assets folder at: ${assetsDir}`);
     }
     
     console.log(`📅 Using calendar file: ${excelFilePath}`);
 
     try {
-      const workbook = XLSX.readFile(excelFilePath);
-      const meetings = await this.parseCalendarManagementLog(workbook);
-      const today = new Date(dateOverride.today());
-      const sixWeeksFromNow = new Date(today);
-      sixWeeksFromNow.setDate(sixWeeksFromNow.getDate() + 42); // 6 weeks = 42 days
-
-      const sixWeeksMeetings = meetings.filter(meeting => {
-        const meetingDate = new Date(meeting.startTime);
-        const meetingDateOnly = new Date(meetingDate.getFullYear(), meetingDate.getMonth(), meetingDate.getDate());
-        return meetingDateOnly >= today && meetingDateOnly < sixWeeksFromNow;
-      });
+      const meetings = await this.parseCalendarFile(excelFilePath);
+      const sixWeeksMeetings = this.filterToSixWeeks(meetings);
 
       this.lastParsedTime = new Date();
       this.cachedMeetings = sixWeeksMeetings;
 
-      console.log(`📅 Loaded ${sixWeeksMeetings.length} meetings for the next 6 weeks from Excel`);
+      console.log(`📅 Loaded ${sixWeeksMeetings.length} meetings for the next 6 weeks from ${path.basename(excelFilePath)}`);
 
       // Debug: Show which meetings are being loaded
       console.log('🔍 Debug: Meetings being loaded for next 6 weeks:');
@@ -72,8 +84,8 @@ class MeetingLoader {
       return sixWeeksMeetings;
 
     } catch (error) {
-      console.error('Error loading meetings from Excel:', error);
-      throw new Error(`Failed to parse Excel file: ${error.message}`);
+      console.error('Error loading meetings from calendar file:', error);
+      throw new Error(`Failed to parse calendar file: ${error.message}`);
     }
   }
 
@@ -149,26 +161,17 @@ class MeetingLoader {
     const projectRoot = path.dirname(__dirname);
     const assetsDir = path.join(projectRoot, 'assets');
     
-    // Find calendar files (calendar.xlsx, calendar (1).xlsx, calendar (2).xlsx, etc.)
+    // Find calendar files (calendar.xlsx, calendar (1).xlsx, calendar.ics, etc.)
     const excelFilePath = await this.findCalendarFile(assetsDir);
     
     if (!excelFilePath) {
-      throw new Error(`Calendar Excel file not found. Please place a file named 'calendar.xlsx' (or 'calendar (1).xlsx', etc.) in the assets folder at: ${assetsDir}`);
+      throw new Error(`Calendar file not found. Please place a file named 'calendar.xlsx' or 'calendar.ics' (or 'calendar (1).xlsx', etc.) in the assets folder at: ${assetsDir}`);
     }
     
 
     try {
-      const workbook = XLSX.readFile(excelFilePath);
-      const meetings = await this.parseCalendarManagementLog(workbook, true); // Include filtered meetings
-      const today = new Date(dateOverride.today());
-      const sixWeeksFromNow = new Date(today);
-      sixWeeksFromNow.setDate(sixWeeksFromNow.getDate() + 42); // 6 weeks = 42 days
-
-      const sixWeeksMeetings = meetings.filter(meeting => {
-        const meetingDate = new Date(meeting.startTime);
-        const meetingDateOnly = new Date(meetingDate.getFullYear(), meetingDate.getMonth(), meetingDate.getDate());
-        return meetingDateOnly >= today && meetingDateOnly < sixWeeksFromNow;
-      });
+      const meetings = await this.parseCalendarFile(excelFilePath, true); // Include filtered meetings
+      const sixWeeksMeetings = this.filterToSixWeeks(meetings);
 
       // Convert Excel format to database format for renderer compatibility
       const formattedMeetings = sixWeeksMeetings.map((meeting, index) => ({
@@ -188,30 +191,179 @@ class MeetingLoader {
       return formattedMeetings;
 
     } catch (error) {
-      console.error('Error loading all meetings from Excel:', error);
-      throw new Error(`Failed to parse Excel file: ${error.message}`);
+      console.error('Error loading all meetings from calendar file:', error);
+      throw new Error(`Failed to parse calendar file: ${error.message}`);
+    }
+  }
+
+  filterToSixWeeks(meetings) {
+    const today = new Date(dateOverride.today());
+    const sixWeeksFromNow = new Date(today);
+    sixWeeksFromNow.setDate(sixWeeksFromNow.getDate() + 42); // 6 weeks = 42 days
+
+    return meetings.filter(meeting => {
+      const meetingDate = new Date(meeting.startTime);
+      const meetingDateOnly = new Date(meetingDate.getFullYear(), meetingDate.getMonth(), meetingDate.getDate());
+      return meetingDateOnly >= today && meetingDateOnly < sixWeeksFromNow;
+    });
+  }
+
+  // Saved mapping profile merged over the defaults, with optional unsaved overrides on top
+  resolveImportProfile(overrides = null) {
+    const saved = (this.store && this.store.get('calendarImportProfile')) || {};
+    const layers = [DEFAULT_IMPORT_PROFILE, saved, overrides || {}];
+
+    return layers.reduce((profile, layer) => ({
+      sheetName: layer.sheetName || profile.sheetName,
+      headerRowIndex: Number.isInteger(layer.headerRowIndex) && layer.headerRowIndex >= 0
+        ? layer.headerRowIndex
+        : profile.headerRowIndex,
+      columns: { ...profile.columns, ...(layer.columns || {}) },
+      filter: { ...profile.filter, ...(layer.filter || {}) }
+    }), { ...DEFAULT_IMPORT_PROFILE });
+  }
+
+  async parseCalendarFile(filePath, includeFiltered = false) {
+    if (path.extname(filePath).toLowerCase() === '.ics') {
+      const text = await fs.readFile(filePath, 'utf8');
+      return this.parseIcsCalendar(text, includeFiltered);
+    }
+
+    const workbook = XLSX.readFile(filePath);
+    return this.parseCalendarManagementLog(workbook, includeFiltered);
+  }
+
+  // Parse a calendar file without touching the database so the user can check
+  // the mapping before committing the import
+  async previewCalendarFile(filePath, profileOverrides = null) {
+    const profile = this.resolveImportProfile(profileOverrides);
+    const isIcs = path.extname(filePath).toLowerCase() === '.ics';
+    const preview = {
+      fileName: path.basename(filePath),
+      format: isIcs ? 'ics' : 'xlsx',
+      profile,
+      sheetNames: [],
+      headers: [],
+      meetings: [],
+      rejected: [],
+      outOfRangeCount: 0,
+      error: null
+    };
+
+    try {
+      let meetings;
+      if (isIcs) {
+        const text = await fs.readFile(filePath, 'utf8');
+        meetings = this.parseIcsCalendar(text, false, preview.rejected);
+      } else {
+        const workbook = XLSX.readFile(filePath);
+        preview.sheetNames = workbook.SheetNames;
+        const worksheet = workbook.Sheets[profile.sheetName];
+        if (worksheet) {
+          const rawData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+          preview.headers = (rawData[profile.headerRowIndex] || []).filter(header => header !== undefined && header !== null && header !== '');
+        }
+        meetings = await this.parseCalendarManagementLog(workbook, false, profile, preview.rejected);
+      }
+
+      preview.meetings = this.filterToSixWeeks(meetings);
+      preview.outOfRangeCount = meetings.length - preview.meetings.length;
+    } catch (error) {
+      console.error('Error previewing calendar file:', error);
+      preview.error = error.message;
     }
+
+    console.log(`🔍 Preview of ${preview.fileName}: ${preview.meetings.length} meetings, ${preview.rejected.length} rejected rows`);
+    return preview;
   }
 
-  async parseCalendarManagementLog(workbook, includeFiltered = false) {
+  parseIcsCalendar(text, includeFiltered = false, rejected = null) {
+    // Expand recurrences over the 6-week window, padded a day either side;
+    // callers apply the exact date filter afterwards as they do for Excel rows
+    const rangeStart = new Date(dateOverride.today());
+    rangeStart.setDate(rangeStart.getDate() - 1);
+    const rangeEnd = new Date(dateOverride.today());
+    rangeEnd.setDate(rangeEnd.getDate() + 43);
+
+    const parser = new IcsParser({ rangeStart, rangeEnd });
+    const occurrences = parser.parse(text);
+    const meetings = [];
+
+    for (const occurrence of occurrences) {
+      const meeting = this.parseIcsOccurrence(occurrence, includeFiltered);
+      if (meeting) {
+        meetings.push(meeting);
+      } else if (rejected) {
+        rejected.push({
+          rowNumber: null,
+          reason: occurrence.allDay ? 'All-day event' : (occurrence.title ? 'No other participants' : 'Missing title'),
+          values: { title: occurrence.title, start: occurrence.start.toISOString() }
+        });
+      }
+    }
+
+    console.log(`📅 Parsed ${meetings.length} meetings from ${occurrences.length} calendar occurrences`);
+    return meetings;
+  }
+
+  parseIcsOccurrence(occurrence, includeFiltered = false) {
+    const title = occurrence.title;
+    if (!title || title.trim() === '') {
+      return null;
+    }
+
+    // Same rule as the Excel log: events with nobody else invited (and all-day
+    // blocks, which are never recorded) only show up under "show more"
+    if (!includeFiltered && (occurrence.allDay || occurrence.participants.length === 0)) {
+      return null;
+    }
+
+    const startTime = new Date(occurrence.start);
+    let endTime = new Date(occurrence.end);
+    if (endTime <= startTime) {
+      endTime = this.addDefaultDuration(startTime);
+    }
+    if (occurrence.allDay) {
+      startTime.setHours(9, 0, 0, 0);
+      endTime = this.addDefaultDuration(startTime);
+    }
+
+    const meetingDate = new Date(startTime.getFullYear(), startTime.getMonth(), startTime.getDate());
+
+    return {
+      title: title.trim(),
+      folderName: this.sanitizeFolderName(title.trim(), meetingDate),
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      participants: this.parseParticipants(occurrence.participants)
+    };
+  }
+
+  async parseCalendarManagementLog(workbook, includeFiltered = false, profile = this.resolveImportProfile(), rejected = null) {
     const meetings = [];
     
-    // Use the "6-Week Meeting Forecast" sheet specifically
-    const targetSheet = "6-Week Meeting Forecast";
+    const targetSheet = profile.sheetName;
     const worksheet = workbook.Sheets[targetSheet];
     
     if (!worksheet) {
-      throw new Error(`Sheet "${targetSheet}" not found in Excel file`);
+      throw new Error(`Sheet "${targetSheet}" not found in Excel file (available: ${workbook.SheetNames.join(', ')})`);
     }
 
-    // Get the raw data - we know headers are in row 1
     const rawData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
     
-    // Headers are in row 1 (index 1)
-    const headers = rawData[1];
+    const headers = rawData[profile.headerRowIndex];
+    if (!headers || headers.length === 0) {
+      throw new Error(`Header row ${profile.headerRowIndex + 1} of sheet "${targetSheet}" is empty`);
+    }
+
+    for (const field of ['title', 'startDate']) {
+      if (!headers.includes(profile.columns[field])) {
+        throw new Error(`Column "${profile.columns[field]}" (${field}) not found in header row ${profile.headerRowIndex + 1}`);
+      }
+    }
     
-    // Convert data to objects starting from row 2
-    for (let i = 2; i < rawData.length; i++) {
+    // Convert data to objects starting from the row after the headers
+    for (let i = profile.headerRowIndex + 1; i < rawData.length; i++) {
       const row = rawData[i];
       if (!row || row.length === 0) continue;
       
@@ -222,38 +374,60 @@ class MeetingLoader {
         }
       });
       
-      const meeting = this.parseCalendarMeetingRow(meetingObj, includeFiltered);
+      const { meeting, reason } = this.evaluateCalendarRow(meetingObj, includeFiltered, profile);
       if (meeting) {
         meetings.push(meeting);
+      } else if (rejected) {
+        rejected.push({
+          rowNumber: i + 1, // 1-based, as shown in the spreadsheet
+          reason,
+          values: {
+            title: meetingObj[profile.columns.title],
+            startDate: meetingObj[profile.columns.startDate],
+            status: meetingObj[profile.columns.status]
+          }
+        });
       }
     }
 
     return meetings;
   }
 
-  parseCalendarMeetingRow(meeting, includeFiltered = false) {
-    const title = meeting['Meeting Title'];
-    const startDate = meeting['Start Date'];
-    const startTime = meeting['Start Time'];
-    const endTime = meeting['End Time'];
-    const participants = meeting['Participants'];
-    const status = meeting['Status'];
+  parseCalendarMeetingRow(meeting, includeFiltered = false, profile = this.resolveImportProfile()) {
+    return this.evaluateCalendarRow(meeting, includeFiltered, profile).meeting;
+  }
+
+  // Returns { meeting } for an importable row, or { reason } explaining why it was skipped
+  evaluateCalendarRow(meeting, includeFiltered = false, profile = this.resolveImportProfile()) {
+    const { columns, filter } = profile;
+    const title = meeting[columns.title];
+    const startDate = meeting[columns.startDate];
+    const startTime = meeting[columns.startTime];
+    const endTime = meeting[columns.endTime];
+    const participants = meeting[columns.participants];
+    const status = meeting[columns.status];
 
     // Skip rows without essential data
-    if (!title || !startDate || title.trim() === '') {
-      return null;
+    if (!title || String(title).trim() === '') {
+      return { meeting: null, reason: 'Missing title' };
+    }
+    if (!startDate) {
+      return { meeting: null, reason: 'Missing start date' };
     }
 
-    // Apply filter: exclude meetings where status is OWNER and participants is blank
+    // Apply filter: by default, exclude meetings where status is OWNER and participants is blank
     // Unless includeFiltered is true (for show more functionality)
-    if (!includeFiltered && status === 'OWNER' && (!participants || participants.trim() === '')) {
-      return null;
+    const participantsBlank = !participants || String(participants).trim() === '';
+    const statusMatches = !filter.excludeStatus || status === filter.excludeStatus;
+    const filterActive = Boolean(filter.excludeStatus) || filter.onlyWhenNoParticipants;
+    if (!includeFiltered && filterActive && statusMatches && (!filter.onlyWhenNoParticipants || participantsBlank)) {
+      return { meeting: null, reason: `Filtered (status ${status || 'blank'}${participantsBlank ? ', no participants' : ''})` };
     }
 
     // Parse the date
     const meetingDate = this.parseExcelDate(startDate);
     if (!meetingDate) {
-      return null;
+      return { meeting: null, reason: `Unrecognised start date "${startDate}"` };
     }
 
     // Parse times
@@ -269,14 +443,17 @@ class MeetingLoader {
     finalEndTime.setFullYear(meetingDate.getFullYear(), meetingDate.getMonth(), meetingDate.getDate());
 
     const participantList = this.parseParticipants(participants);
-    const folderName = this.sanitizeFolderName(title, meetingDate);
+    const folderName = this.sanitizeFolderName(String(title), meetingDate);
 
     return {
-      title,
-      folderName,
-      startTime: finalStartTime.toISOString(),
-      endTime: finalEndTime.toISOString(),
-      participants: participantList
+      meeting: {
+        title,
+        folderName,
+        startTime: finalStartTime.toISOString(),
+        endTime: finalEndTime.toISOString(),
+        participants: participantList
+      },
+      reason: null
     };
   }
 
@@ -480,7 +657,7 @@ class MeetingLoader {
       const allFiles = [...localFiles];
       
       if (allFiles.length === 0) {
-        console.log(`📂 No calendar*.xlsx files found locally in: ${assetsDir}`);
+        console.log(`📂 No calendar*.xlsx or calendar*.ics files found locally in: ${assetsDir}`);
         return null;
       }
       
@@ -508,10 +685,10 @@ class MeetingLoader {
       // Read all files in the assets directory
       const files = await fs.readdir(assetsDir);
       
-      // Find files that start with 'calendar' and end with '.xlsx'
+      // Find files that start with 'calendar' and end with '.xlsx' or '.ics'
       const calendarFiles = files.filter(file => 
         file.toLowerCase().startsWith('calendar') && 
-        file.toLowerCase().endsWith('.xlsx')
+        (file.toLowerCase().endsWith('.xlsx') || file.toLowerCase().endsWith('.ics'))
       );
       
       if (calendarFiles.length === 0) {
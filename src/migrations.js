@@ -0,0 +1,464 @@
+/**
+ * Database schema migrations
+ *
+ * Each migration runs once, in version order, inside its own transaction, and is
+ * recorded in the schema_version table. Append new migrations to the end of the
+ * list with the next version number - never edit or renumber one that has shipped.
+ *
+ * Databases created before versioning have no schema_version rows, so every
+ * migration here must be safe to run against a schema that already has its changes
+ * (CREATE ... IF NOT EXISTS, checkColumnExists before ALTER TABLE).
+ */
+
+async function addMissingColumns(database, tableName, columns) {
+  for (const [columnName, definition] of columns) {
+    if (!(await database.checkColumnExists(tableName, columnName))) {
+      await database.run(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+      console.log(`Added column ${tableName}.${columnName}`);
+    }
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial-schema',
+    up: async (database) => {
+      await database.exec(`
+        -- Core meeting data
+        CREATE TABLE IF NOT EXISTS meetings (
+          id INTEGER PRIMARY KEY,
+          title TEXT NOT NULL,
+          folder_name TEXT UNIQUE NOT NULL,
+          start_time TEXT NOT NULL,        -- ISO 8601 UTC
+          end_time TEXT NOT NULL,          -- ISO 8601 UTC
+          participants TEXT,               -- JSON array
+          notes_content TEXT,              -- Live-edited content
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now'))
+        );
+
+        -- Recording tracking with crash recovery
+        CREATE TABLE IF NOT EXISTS recording_sessions (
+          id INTEGER PRIMARY KEY,
+          meeting_id INTEGER NOT NULL,
+          temp_path TEXT,                  -- Path to .tmp file during recording
+          final_path TEXT,                 -- Path after successful completion
+          started_at TEXT NOT NULL,        -- ISO 8601 UTC
+          ended_at TEXT,                   -- ISO 8601 UTC, NULL if in progress
+          duration INTEGER,                -- Duration in seconds
+          completed BOOLEAN DEFAULT 0,
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS attachments (
+          id INTEGER PRIMARY KEY,
+          meeting_id INTEGER NOT NULL,
+          filename TEXT NOT NULL,
+          original_name TEXT NOT NULL,
+          uploaded_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id)
+        );
+
+        -- Track export history
+        CREATE TABLE IF NOT EXISTS export_history (
+          id INTEGER PRIMARY KEY,
+          export_date TEXT NOT NULL,       -- Date being exported
+          started_at TEXT NOT NULL,        -- ISO 8601 UTC
+          completed_at TEXT,               -- ISO 8601 UTC
+          status TEXT CHECK(status IN ('pending', 'uploading', 'completed', 'failed')),
+          google_drive_file_id TEXT,
+          error_message TEXT
+        );
+
+        -- Create indexes for performance
+        CREATE INDEX IF NOT EXISTS idx_meetings_start_time ON meetings(start_time);
+        CREATE INDEX IF NOT EXISTS idx_meetings_folder_name ON meetings(folder_name);
+        CREATE INDEX IF NOT EXISTS idx_recording_sessions_meeting_id ON recording_sessions(meeting_id);
+        CREATE INDEX IF NOT EXISTS idx_attachments_meeting_id ON attachments(meeting_id);
+        CREATE INDEX IF NOT EXISTS idx_export_history_date ON export_history(export_date);
+        CREATE INDEX IF NOT EXISTS idx_export_history_status ON export_history(status);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'meeting-upload-status',
+    up: async (database) => {
+      await addMissingColumns(database, 'meetings', [
+        ['upload_status', 'TEXT DEFAULT "pending"'],
+        ['uploaded_at', 'TEXT'],
+        ['gdrive_folder_id', 'TEXT']
+      ]);
+    }
+  },
+  {
+    version: 3,
+    name: 'folder-name-date-prefix',
+    up: async (database) => {
+      await database.migrateFolderNamesToDatePrefix();
+    }
+  },
+  {
+    version: 4,
+    name: 'markdown-export-tracking',
+    up: async (database) => {
+      await addMissingColumns(database, 'meetings', [
+        ['markdown_exported', 'INTEGER DEFAULT 0'],
+        ['last_export_attempt', 'TEXT'],
+        ['export_retry_count', 'INTEGER DEFAULT 0']
+      ]);
+    }
+  },
+  {
+    version: 5,
+    name: 'upload-queue',
+    up: async (database) => {
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS upload_queue (
+          id INTEGER PRIMARY KEY,
+          meeting_id INTEGER NOT NULL,
+          status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'processing', 'completed', 'failed')),
+          attempts INTEGER DEFAULT 0,
+          created_at TEXT DEFAULT (datetime('now')),
+          processed_at TEXT,
+          error_message TEXT,
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id),
+          UNIQUE(meeting_id)
+        )
+      `);
+      await database.run('CREATE INDEX IF NOT EXISTS idx_upload_queue_status ON upload_queue(status)');
+    }
+  },
+  {
+    version: 6,
+    name: 'split-recording-tracking',
+    up: async (database) => {
+      await addMissingColumns(database, 'recording_sessions', [
+        ['was_split', 'BOOLEAN DEFAULT 0'],
+        ['original_duration', 'REAL'],
+        ['split_at_time', 'REAL'],
+        ['silence_file_path', 'TEXT'],
+        ['space_saved_bytes', 'INTEGER']
+      ]);
+    }
+  },
+  {
+    version: 7,
+    name: 'transcriptions',
+    up: async (database) => {
+      // Transcription status per recording session and timestamped segments
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS transcriptions (
+          id INTEGER PRIMARY KEY,
+          session_id INTEGER NOT NULL,
+          meeting_id INTEGER NOT NULL,
+          engine TEXT,
+          language TEXT,
+          status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'processing', 'completed', 'failed', 'skipped')),
+          error_message TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          completed_at TEXT,
+          FOREIGN KEY (session_id) REFERENCES recording_sessions(id),
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id),
+          UNIQUE(session_id)
+        )
+      `);
+
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS transcript_segments (
+          id INTEGER PRIMARY KEY,
+          session_id INTEGER NOT NULL,
+          meeting_id INTEGER NOT NULL,
+          start_ms INTEGER NOT NULL,
+          end_ms INTEGER NOT NULL,
+          text TEXT NOT NULL,
+          FOREIGN KEY (session_id) REFERENCES recording_sessions(id),
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id)
+        )
+      `);
+
+      await database.run('CREATE INDEX IF NOT EXISTS idx_transcript_segments_meeting ON transcript_segments(meeting_id, session_id, start_ms)');
+    }
+  },
+  {
+    version: 8,
+    name: 'meeting-search-index',
+    up: async (database) => {
+      // Full-text search index (rowid = meetings.id)
+      await database.createSearchIndex();
+    }
+  },
+  {
+    version: 9,
+    name: 'meeting-storage-provider',
+    up: async (database) => {
+      // Which storage provider gdrive_folder_id refers to; NULL means Google Drive
+      await addMissingColumns(database, 'meetings', [
+        ['storage_provider', 'TEXT']
+      ]);
+    }
+  },
+  {
+    version: 10,
+    name: 'upload-queue-resumable-sessions',
+    up: async (database) => {
+      // Checkpoint of the file currently uploading so a restart resumes mid-file
+      await addMissingColumns(database, 'upload_queue', [
+        ['upload_file_path', 'TEXT'],
+        ['upload_session_uri', 'TEXT'],
+        ['upload_offset', 'INTEGER DEFAULT 0'],
+        ['upload_file_size', 'INTEGER'],
+        ['upload_session_updated_at', 'TEXT']
+      ]);
+    }
+  },
+  {
+    version: 11,
+    name: 'uploaded-files',
+    up: async (database) => {
+      // What was last sent for each file so unchanged files are skipped on re-upload
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS uploaded_files (
+          id INTEGER PRIMARY KEY,
+          meeting_id INTEGER NOT NULL,
+          provider TEXT NOT NULL,
+          remote_folder_id TEXT NOT NULL,
+          file_name TEXT NOT NULL,
+          local_path TEXT,
+          remote_file_id TEXT NOT NULL,
+          content_hash TEXT NOT NULL,       -- MD5 of the uploaded contents
+          file_size INTEGER,
+          uploaded_at TEXT DEFAULT (datetime('now')),
+          local_missing_at TEXT,           -- Set when the local file disappears but the remote copy is kept
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id),
+          UNIQUE(meeting_id, provider, remote_folder_id, file_name)
+        )
+      `);
+      await database.run('CREATE INDEX IF NOT EXISTS idx_uploaded_files_meeting ON uploaded_files(meeting_id, provider)');
+    }
+  },
+  {
+    version: 12,
+    name: 'speaker-diarization',
+    up: async (database) => {
+      // Diarization status per recording session, speaker turns, and speaker-to-participant mapping
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS diarizations (
+          id INTEGER PRIMARY KEY,
+          session_id INTEGER NOT NULL,
+          meeting_id INTEGER NOT NULL,
+          engine TEXT,
+          status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'processing', 'completed', 'failed', 'skipped')),
+          speaker_count INTEGER,
+          error_message TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          completed_at TEXT,
+          FOREIGN KEY (session_id) REFERENCES recording_sessions(id),
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id),
+          UNIQUE(session_id)
+        )
+      `);
+
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS speaker_turns (
+          id INTEGER PRIMARY KEY,
+          session_id INTEGER NOT NULL,
+          meeting_id INTEGER NOT NULL,
+          speaker_label TEXT NOT NULL,     -- Engine label, unique within a session (SPEAKER_1...)
+          start_ms INTEGER NOT NULL,
+          end_ms INTEGER NOT NULL,
+          FOREIGN KEY (session_id) REFERENCES recording_sessions(id),
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id)
+        )
+      `);
+
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS speaker_assignments (
+          id INTEGER PRIMARY KEY,
+          session_id INTEGER NOT NULL,
+          meeting_id INTEGER NOT NULL,
+          speaker_label TEXT NOT NULL,
+          participant TEXT NOT NULL,       -- Entry from meetings.participants
+          FOREIGN KEY (session_id) REFERENCES recording_sessions(id),
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id),
+          UNIQUE(session_id, speaker_label)
+        )
+      `);
+
+      await database.run('CREATE INDEX IF NOT EXISTS idx_speaker_turns_meeting ON speaker_turns(meeting_id, session_id, start_ms)');
+    }
+  },
+  {
+    version: 13,
+    name: 'retention-removals',
+    up: async (database) => {
+      // Local files removed by the retention policy, so they read as archived rather than missing
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS retention_removals (
+          id INTEGER PRIMARY KEY,
+          meeting_id INTEGER NOT NULL,
+          session_id INTEGER,              -- Set for recordings
+          category TEXT NOT NULL CHECK(category IN ('recording', 'silence', 'backup', 'attachment')),
+          file_path TEXT NOT NULL,         -- Where the file used to be
+          file_size INTEGER,
+          action TEXT NOT NULL CHECK(action IN ('deleted', 'offloaded')),
+          offload_path TEXT,               -- New location when offloaded
+          remote_provider TEXT,            -- Provider holding the verified copy, if any
+          remote_file_id TEXT,
+          removed_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id)
+        )
+      `);
+      await database.run('CREATE INDEX IF NOT EXISTS idx_retention_removals_meeting ON retention_removals(meeting_id)');
+    }
+  },
+  {
+    version: 14,
+    name: 'recording-levels',
+    up: async (database) => {
+      // Loudness per fixed-length bucket, for the player's waveform and silence skipping
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS recording_levels (
+          session_id INTEGER PRIMARY KEY,
+          bucket_ms INTEGER NOT NULL,
+          levels TEXT NOT NULL,            -- JSON array of RMS levels in whole dBFS
+          duration REAL,                   -- Seconds covered by the levels
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (session_id) REFERENCES recording_sessions(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'meeting-end-detection-settings',
+    up: async (database) => {
+      // JSON overrides of the meetingEndDetection setting for one meeting; NULL uses the defaults
+      await addMissingColumns(database, 'meetings', [
+        ['end_detection_settings', 'TEXT']
+      ]);
+    }
+  },
+  {
+    version: 16,
+    name: 'meeting-recording-policy',
+    up: async (database) => {
+      // 'auto', 'prompt' or 'off' for the recording scheduler; NULL follows the rules and default
+      await addMissingColumns(database, 'meetings', [
+        ['recording_policy', 'TEXT']
+      ]);
+    }
+  },
+  {
+    version: 17,
+    name: 'recording-parts',
+    up: async (database) => {
+      // Part numbers for the separate recordings of one meeting, and which consolidated
+      // recording (and where in it) a part ended up in once merged
+      await addMissingColumns(database, 'recording_sessions', [
+        ['part_number', 'INTEGER'],
+        ['merged_into', 'INTEGER'],
+        ['merged_offset', 'REAL'] // Seconds into the merged recording
+      ]);
+
+      // Number existing recordings in the order they were made
+      await database.run(`
+        UPDATE recording_sessions
+        SET part_number = (
+          SELECT COUNT(*) FROM recording_sessions earlier
+          WHERE earlier.meeting_id = recording_sessions.meeting_id
+          AND (earlier.started_at < recording_sessions.started_at
+               OR (earlier.started_at = recording_sessions.started_at AND earlier.id <= recording_sessions.id))
+        )
+        WHERE part_number IS NULL
+      `);
+      await database.run('CREATE INDEX IF NOT EXISTS idx_recording_sessions_merged_into ON recording_sessions(merged_into)');
+    }
+  },
+  {
+    version: 18,
+    name: 'audio-processing',
+    up: async (database) => {
+      // Loudness/denoise processing per recording session and the parameters it used
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS audio_processing (
+          session_id INTEGER PRIMARY KEY,
+          status TEXT NOT NULL CHECK(status IN ('processing', 'completed', 'failed', 'skipped')),
+          mode TEXT NOT NULL CHECK(mode IN ('alongside', 'replace')),
+          processed_path TEXT,             -- The processed file; the recording itself in replace mode
+          parameters TEXT NOT NULL,        -- JSON: settings used and the ffmpeg filter chain
+          measurements TEXT,               -- JSON: loudness before and after
+          error_message TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          completed_at TEXT,
+          FOREIGN KEY (session_id) REFERENCES recording_sessions(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 19,
+    name: 'markdown-sync',
+    up: async (database) => {
+      // The notes .md file as the app last wrote or imported it, to tell external edits
+      // from its own writes and from concurrent edits in the app
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS markdown_sync (
+          meeting_id INTEGER PRIMARY KEY,
+          file_path TEXT NOT NULL,
+          markdown_hash TEXT NOT NULL,     -- MD5 of the file when last written or imported
+          notes_hash TEXT NOT NULL,        -- MD5 of notes_content at that time
+          synced_at TEXT NOT NULL,
+          conflict_hash TEXT,              -- MD5 of an external version that conflicts with in-app edits
+          conflict_detected_at TEXT,
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id)
+        )
+      `);
+      await database.run('CREATE INDEX IF NOT EXISTS idx_markdown_sync_file_path ON markdown_sync(file_path)');
+    }
+  },
+  {
+    version: 20,
+    name: 'action-items',
+    up: async (database) => {
+      // Checklist lines marked as action items, kept in step with notes_content
+      await database.run(`
+        CREATE TABLE IF NOT EXISTS action_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          meeting_id INTEGER NOT NULL,
+          item_key TEXT NOT NULL,          -- The line's action-item format in notes_content
+          text TEXT NOT NULL,
+          owner TEXT,                      -- Participant @mentioned on the line, or the mention as written
+          due_date TEXT,                   -- YYYY-MM-DD
+          status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'done')),
+          position INTEGER NOT NULL,       -- Order among the meeting's items
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now')),
+          completed_at TEXT,
+          FOREIGN KEY (meeting_id) REFERENCES meetings(id),
+          UNIQUE (meeting_id, item_key)
+        )
+      `);
+      await database.run('CREATE INDEX IF NOT EXISTS idx_action_items_status ON action_items(status, due_date)');
+      await database.run('CREATE INDEX IF NOT EXISTS idx_action_items_owner ON action_items(owner)');
+    }
+  },
+  {
+    version: 21,
+    name: 'export-trigger',
+    up: async (database) => {
+      // Scheduled exports catch up from the last scheduled run, not from manual ones
+      await addMissingColumns(database, 'export_history', [
+        ['trigger', "TEXT NOT NULL DEFAULT 'manual'"]
+      ]);
+    }
+  }
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION
+};
@@ -3,6 +3,11 @@ const fs = require('fs').promises;
 const path = require('path');
 const AudioSplitter = require('./audio-splitter');
 
+// Level profile resolution: the player's waveform and silence skipping work on these buckets
+const LEVEL_SAMPLE_RATE = 8000;
+const LEVEL_BUCKET_MS = 250;
+const LEVEL_FLOOR_DB = -90;
+
 /**
  * Post-Recording Analyzer
  *
@@ -307,6 +312,115 @@ class PostRecordingAnalyzer {
     });
   }
 
+  /**
+   * Measure the loudness of a whole recording in LEVEL_BUCKET_MS buckets and store it
+   * @param {number} sessionId - Recording session ID
+   * @param {string} filePath - Recording to measure (after any split)
+   * @returns {Promise<Object>} { bucketMs, levels, duration }
+   */
+  async buildLevelProfile(sessionId, filePath) {
+    const profile = await this.computeLevelProfile(filePath);
+    await this.database.saveRecordingLevels(sessionId, profile);
+    console.log(`📈 Level profile stored for session ${sessionId} (${profile.levels.length} buckets)`);
+    return profile;
+  }
+
+  computeLevelProfile(filePath) {
+    return new Promise((resolve, reject) => {
+      const samplesPerBucket = LEVEL_SAMPLE_RATE * LEVEL_BUCKET_MS / 1000;
+      const levels = [];
+      let sumSquares = 0;
+      let count = 0;
+      let leftover = null;
+
+      const ffmpeg = spawn('ffmpeg', [
+        '-i', filePath,
+        '-ac', '1',
+        '-ar', String(LEVEL_SAMPLE_RATE),
+        '-f', 's16le',
+        '-'
+      ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+      // Track the process globally for cleanup
+      if (global.trackProcess) {
+        global.trackProcess(ffmpeg, `FFmpeg level profile ${path.basename(filePath)}`);
+      }
+
+      const closeBucket = () => {
+        const rms = Math.sqrt(sumSquares / count) / 32768;
+        levels.push(Math.max(LEVEL_FLOOR_DB, Math.round(20 * Math.log10(rms || 1e-9))));
+        sumSquares = 0;
+        count = 0;
+      };
+
+      ffmpeg.stdout.on('data', (chunk) => {
+        // Chunks can split a 2-byte sample
+        const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+        const usable = data.length - (data.length % 2);
+        leftover = usable < data.length ? data.subarray(usable) : null;
+
+        for (let i = 0; i < usable; i += 2) {
+          const sample = data.readInt16LE(i);
+          sumSquares += sample * sample;
+          if (++count === samplesPerBucket) {
+            closeBucket();
+          }
+        }
+      });
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', (data) => {
+        stderr = (stderr + data.toString()).slice(-2000);
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+          return;
+        }
+        if (count > 0) {
+          closeBucket();
+        }
+        resolve({
+          bucketMs: LEVEL_BUCKET_MS,
+          levels,
+          duration: (levels.length - 1) * LEVEL_BUCKET_MS / 1000 + (count || samplesPerBucket) / LEVEL_SAMPLE_RATE
+        });
+      });
+
+      ffmpeg.on('error', reject);
+    });
+  }
+
+  /**
+   * Stretches at or below the silence threshold that are long enough to skip
+   * @param {Object} profile - { bucketMs, levels } from computeLevelProfile
+   * @param {number} minDuration - Shortest stretch worth skipping, in seconds
+   * @returns {Array} [{ start, end }] in seconds
+   */
+  findSilentStretches(profile, minDuration = 5) {
+    const stretches = [];
+    const bucketSeconds = profile.bucketMs / 1000;
+    let start = null;
+
+    profile.levels.forEach((level, i) => {
+      if (level <= this.silenceThreshold) {
+        start = start === null ? i : start;
+      } else if (start !== null) {
+        if ((i - start) * bucketSeconds >= minDuration) {
+          stretches.push({ start: start * bucketSeconds, end: i * bucketSeconds });
+        }
+        start = null;
+      }
+    });
+
+    if (start !== null && (profile.levels.length - start) * bucketSeconds >= minDuration) {
+      stretches.push({ start: start * bucketSeconds, end: profile.levels.length * bucketSeconds });
+    }
+
+    return stretches;
+  }
+
   /**
    * Static method to test the analyzer with a specific file
    */
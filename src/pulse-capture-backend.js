@@ -0,0 +1,96 @@
+const { execFile } = require('child_process');
+const path = require('path');
+const { EncoderCaptureHandle, spawnOpusEncoder, spawnProcess, PCM_SAMPLE_RATE, PCM_CHANNELS } = require('./capture-handles');
+
+// The microphone plus whatever the speakers play, like the macOS capture
+const DEFAULT_SOURCES = ['default', '@DEFAULT_MONITOR@'];
+
+/**
+ * Linux Capture Backend
+ *
+ * Records PulseAudio sources with ffmpeg. PipeWire desktops work through pipewire-pulse,
+ * which serves the same protocol. One ffmpeg reads and mixes the sources to raw PCM, a
+ * second encodes it to Ogg/Opus like the macOS binary writes; pausing drops audio
+ * between the two (see EncoderCaptureHandle).
+ *
+ * Sources are PulseAudio source names (pactl list short sources); the linuxCaptureSources
+ * setting overrides the defaults.
+ */
+class PulseCaptureBackend {
+  constructor(options = {}) {
+    this.sources = options.sources && options.sources.length > 0 ? options.sources : DEFAULT_SOURCES;
+    this.bitrate = options.bitrate || 32000;
+  }
+
+  static get id() {
+    return 'linux-pulse';
+  }
+
+  async isAvailable() {
+    if (process.platform !== 'linux') {
+      return { available: false, reason: 'PulseAudio capture is only used on Linux' };
+    }
+
+    const devices = await this.run('ffmpeg', ['-hide_banner', '-devices']);
+    if (devices === null) {
+      return { available: false, reason: 'ffmpeg not found' };
+    }
+    if (!/\bpulse\b/.test(devices)) {
+      return { available: false, reason: 'ffmpeg was built without PulseAudio input' };
+    }
+
+    if ((await this.run('pactl', ['info'])) === null) {
+      return { available: false, reason: 'No PulseAudio or pipewire-pulse server is reachable' };
+    }
+
+    return { available: true, reason: null };
+  }
+
+  describe(outputPath) {
+    return `ffmpeg -f pulse ${this.sources.map(source => `-i ${source}`).join(' ')} | ffmpeg (libopus ${this.bitrate}) ${outputPath}`;
+  }
+
+  async start(outputPath) {
+    const inputs = this.sources.flatMap(source => ['-f', 'pulse', '-i', source]);
+    const mix = this.sources.length > 1
+      ? ['-filter_complex', `amix=inputs=${this.sources.length}:duration=longest`]
+      : [];
+
+    const reader = await spawnProcess('ffmpeg', [
+      '-hide_banner',
+      '-loglevel', 'error',
+      ...inputs,
+      ...mix,
+      '-f', 's16le',
+      '-ar', String(PCM_SAMPLE_RATE),
+      '-ac', String(PCM_CHANNELS),
+      'pipe:1'
+    ], `PulseAudio capture for ${path.basename(outputPath)}`);
+
+    let encoder;
+    try {
+      encoder = await spawnOpusEncoder(outputPath, this.bitrate);
+    } catch (error) {
+      reader.kill('SIGKILL');
+      throw error;
+    }
+
+    const stopReader = () => {
+      if (reader.exitCode === null && !reader.killed) {
+        reader.kill('SIGTERM');
+      }
+    };
+    return new EncoderCaptureHandle(reader.stdout, stopReader, encoder);
+  }
+
+  // Output of a short command, or null if it fails
+  run(command, args) {
+    return new Promise((resolve) => {
+      execFile(command, args, { timeout: 5000 }, (error, stdout, stderr) => {
+        resolve(error ? null : `${stdout}${stderr}`);
+      });
+    });
+  }
+}
+
+module.exports = PulseCaptureBackend;
@@ -1,87 +1,390 @@
-// Convert Quill Delta format to Markdown
+// Convert Quill Delta format to GitHub-Flavored Markdown
+//
+// Every Quill line becomes a Markdown block, with a blank line between blocks so each
+// renders as its own paragraph; each empty line in the notes adds one more blank line.
+// List items, code-block lines and blockquote lines run together into one list, fence
+// or quote. Text is escaped wherever it could otherwise be read as Markdown.
+// markdown-to-quill.js reads this output back into the same Delta, except for
+// whitespace at the ends of a line or of a formatted run, which GFM can't keep.
+// scripts/fixtures/quill-markdown.json has an example of every format.
+
+const { extractActionItems } = require('./action-items');
+
+// Inline formats, outermost first. A run of text with the same format is wrapped once,
+// even across ops that differ in other formats, so markers never need to nest badly.
+const INLINE_FORMATS = [
+  { name: 'link', open: () => '[', close: (url) => `](${formatUrl(url)})` },
+  { name: 'bold', open: () => '**', close: () => '**' },
+  { name: 'italic', open: () => '*', close: () => '*' },
+  { name: 'strike', open: () => '~~', close: () => '~~' },
+  // GFM has no underline; <ins> is the inline HTML GitHub keeps for it
+  { name: 'underline', open: () => '<ins>', close: () => '</ins>' }
+];
+
+/**
+ * Convert a Quill Delta to Markdown
+ * @param {Object} delta - { ops }
+ * @returns {string} Markdown without leading or trailing blank lines
+ */
 function quillDeltaToMarkdown(delta) {
-  if (!delta || !delta.ops) {
+  if (!delta || !Array.isArray(delta.ops)) {
     return '';
   }
 
-  let markdown = '';
-  let currentLine = '';
-  let listLevel = 0;
-  let inCodeBlock = false;
+  const recordingSessions = getRecordingSessionOrder(delta);
+  const lines = splitLines(delta.ops);
+  const blocks = [];
+  let emptyLines = 0;
+  let i = 0;
 
-  delta.ops.forEach((op) => {
-    if (typeof op.insert === 'string') {
-      const text = op.insert;
-      const attrs = op.attributes || {};
-
-      // Handle line breaks
-      const lines = text.split('\n');
-      
-      for (let i = 0; i < lines.length; i++) {
-        if (i > 0) {
-          // Process the completed line before the newline
-          if (currentLine || Object.keys(attrs).length > 0) {
-            markdown += processLine(currentLine, attrs, listLevel);
-          } else {
-            markdown += '\n';
-          }
-          currentLine = '';
-        }
-        
-        // Process text formatting
-        let formattedText = lines[i];
-        
-        // Apply inline formatting
-        if (attrs.bold) {
-          formattedText = `**${formattedText}**`;
-        }
-        if (attrs.italic) {
-          formattedText = `*${formattedText}*`;
-        }
-        if (attrs.underline) {
-          formattedText = `<u>${formattedText}</u>`;
-        }
-        if (attrs.code) {
-          formattedText = `\`${formattedText}\``;
-        }
-        if (attrs.link) {
-          formattedText = `[${formattedText}](${attrs.link})`;
-        }
-        
-        currentLine += formattedText;
+  while (i < lines.length) {
+    const kind = blockKind(lines[i].attributes);
+    if (kind === 'paragraph' && lines[i].ops.every(op => typeof op.insert === 'string' && !op.insert.trim())) {
+      // Empty lines at the very start have nothing to separate
+      emptyLines += blocks.length > 0 ? 1 : 0;
+      i++;
+      continue;
+    }
+
+    // Lists, code blocks and quotes take every following line of the same kind
+    let end = i + 1;
+    if (kind !== 'paragraph' && kind !== 'header') {
+      while (end < lines.length && blockKind(lines[end].attributes) === kind) {
+        end++;
+      }
+    }
+    const group = lines.slice(i, end);
+
+    let markdown;
+    if (kind === 'code') {
+      markdown = renderCodeBlock(group);
+    } else if (kind === 'quote') {
+      // A bare ">" between lines keeps them separate paragraphs inside one quote
+      markdown = group.map(line => prefixLine('>', renderContent(line, recordingSessions))).join('\n>\n');
+    } else if (kind === 'list') {
+      markdown = renderList(group, recordingSessions);
+    } else if (kind === 'header') {
+      // A trailing "#" would be read as a closing sequence
+      const level = Math.min(parseInt(group[0].attributes.header, 10) || 1, 6);
+      markdown = prefixLine('#'.repeat(level), renderContent(group[0], recordingSessions).replace(/#$/, '\\#'));
+    } else {
+      // GFM has no paragraph indent; em spaces show it without making an indented code block
+      const indent = parseInt(group[0].attributes.indent, 10) || 0;
+      markdown = '&emsp;'.repeat(Math.max(indent, 0)) + renderContent(group[0], recordingSessions);
+    }
+
+    if (blocks.length > 0) {
+      blocks.push('\n'.repeat(emptyLines + 2));
+    }
+    blocks.push(markdown);
+    emptyLines = 0;
+    i = end;
+  }
+
+  return blocks.join('');
+}
+
+// Group ops into lines: { ops, attributes } where attributes are the line's block formats
+function splitLines(ops) {
+  const lines = [];
+  let current = [];
+
+  ops.forEach((op) => {
+    if (typeof op.insert !== 'string') {
+      if (op.insert) {
+        current.push(op);
       }
+      return;
     }
+
+    op.insert.split('\n').forEach((text, index) => {
+      if (index > 0) {
+        lines.push({ ops: current, attributes: op.attributes || {} });
+        current = [];
+      }
+      if (text) {
+        current.push({ insert: text, attributes: op.attributes || {} });
+      }
+    });
   });
 
-  // Process any remaining line
-  if (currentLine) {
-    markdown += processLine(currentLine, {});
+  // A Delta should end with a newline; keep any unterminated text as a plain line
+  if (current.length > 0) {
+    lines.push({ ops: current, attributes: {} });
   }
 
-  return markdown.trim();
+  return lines;
 }
 
-function processLine(text, attrs, listLevel = 0) {
-  let line = text;
-  
-  // Handle block formats
-  if (attrs.list) {
-    const indent = '  '.repeat(listLevel);
-    if (attrs.list === 'ordered') {
-      line = `${indent}1. ${line}`;
+function blockKind(attributes) {
+  if (attributes['code-block']) {
+    return 'code';
+  }
+  if (attributes.list) {
+    return 'list';
+  }
+  if (attributes.blockquote) {
+    return 'quote';
+  }
+  if (attributes.header) {
+    return 'header';
+  }
+  return 'paragraph';
+}
+
+// "- " + text, or just "-" for an empty line so no trailing space is left to strip
+function prefixLine(prefix, content) {
+  return content ? `${prefix} ${content}` : prefix;
+}
+
+/**
+ * A line's text with its recording timestamp prefix, and the key of an action item
+ * as a comment GFM doesn't show
+ * @returns {string} Escaped inline Markdown
+ */
+function renderContent(line, recordingSessions) {
+  // GFM drops leading whitespace, and four spaces would start a code block
+  let content = renderInline(line.ops).trim();
+  const timestamp = formatRecordingOffset(line.attributes['recording-offset'], recordingSessions);
+  if (timestamp) {
+    content = prefixLine(`**[${timestamp}]**`, content);
+  }
+  const actionItem = line.attributes['action-item'];
+  if (actionItem) {
+    content = content ? `${content} <!-- action:${actionItem} -->` : `<!-- action:${actionItem} -->`;
+  }
+  return content;
+}
+
+/**
+ * Consecutive code-block lines as one fenced block. The text is written as is, so the
+ * fence is made longer than any backtick run inside it.
+ */
+function renderCodeBlock(lines) {
+  const code = lines.map(line => line.ops.map(op => (typeof op.insert === 'string' ? op.insert : '')).join(''));
+  const longestRun = Math.max(0, ...code.map(text => Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length))));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  // Quill stores the syntax-highlighting language, or 'plain' / true for none
+  const language = lines[0].attributes['code-block'];
+  const info = typeof language === 'string' && language !== 'plain' ? language : '';
+  return [fence + info, ...code, fence].join('\n');
+}
+
+/**
+ * Consecutive list lines as one (nested) list. A nested item is indented to its
+ * parent's text, which is what GFM needs to nest it under ordered items too. GFM can't
+ * nest an item more than one level below its parent, so skipped levels are closed up.
+ */
+function renderList(lines, recordingSessions) {
+  const parents = []; // { level, column, number } of the last item at each open level
+
+  return lines.map((line) => {
+    const level = Math.max(parseInt(line.attributes.indent, 10) || 0, 0);
+    while (parents.length > 0 && parents[parents.length - 1].level > level) {
+      parents.pop();
+    }
+    const sibling = parents.length > 0 && parents[parents.length - 1].level === level ? parents.pop() : null;
+    const parent = parents[parents.length - 1];
+
+    const type = line.attributes.list;
+    const number = type === 'ordered' ? (sibling && sibling.number ? sibling.number + 1 : 1) : null;
+    const marker = number ? `${number}.` : '-';
+    const column = parent ? parent.column : 0;
+    parents.push({ level, column: column + marker.length + 1, number });
+
+    let content = renderContent(line, recordingSessions);
+    if (type === 'checked' || type === 'unchecked') {
+      content = prefixLine(type === 'checked' ? '[x]' : '[ ]', content);
+    }
+    return ' '.repeat(column) + prefixLine(marker, content);
+  }).join('\n');
+}
+
+/**
+ * Inline formats of one line
+ * @param {Array} ops - The line's ops, without its newline
+ * @returns {string}
+ */
+function renderInline(ops) {
+  // Split off whitespace at the edges of each op: GFM doesn't see a marker next to
+  // whitespace as a marker, so it may only stay inside formats that carry on through it
+  const runs = [];
+  ops.forEach((op) => {
+    if (typeof op.insert !== 'string' || (op.attributes && op.attributes.code)) {
+      runs.push(op);
+      return;
+    }
+    op.insert.match(/^(\s*)([\s\S]*?)(\s*)$/).slice(1).forEach((text, part) => {
+      if (text) {
+        runs.push({ insert: text, attributes: op.attributes, whitespace: part !== 1 });
+      }
+    });
+  });
+
+  let markdown = '';
+  const open = []; // formats currently open, outermost first: { name, value }
+  const close = () => {
+    const { name, value } = open.pop();
+    markdown += INLINE_FORMATS.find(format => format.name === name).close(value);
+  };
+
+  runs.forEach((run, index) => {
+    let attributes = run.attributes || {};
+    if (run.whitespace) {
+      // Keep the open formats both neighbours share, outermost first, so nothing
+      // opens or closes against the whitespace
+      const shared = sharedFormats(attributes, neighbour(runs, index, -1), neighbour(runs, index, 1));
+      const kept = open.findIndex(({ name, value }) => shared[name] !== value);
+      attributes = Object.fromEntries(open.slice(0, kept === -1 ? open.length : kept).map(({ name, value }) => [name, value]));
+    }
+
+    // Close from the first open format this run doesn't continue
+    const keep = open.findIndex(({ name, value }) => attributes[name] !== value);
+    while (keep !== -1 && open.length > keep) {
+      close();
+    }
+    // Of the formats starting here, the one that lasts longest goes outside
+    INLINE_FORMATS
+      .filter(format => attributes[format.name] && !open.some(({ name }) => name === format.name))
+      .map(format => ({ format, length: runLength(runs, index, format.name) }))
+      .sort((a, b) => b.length - a.length)
+      .forEach(({ format }) => {
+        open.push({ name: format.name, value: attributes[format.name] });
+        markdown += format.open(attributes[format.name]);
+      });
+
+    if (typeof run.insert !== 'string') {
+      markdown += renderEmbed(run.insert, attributes);
+    } else if (attributes.code) {
+      markdown += renderCode(run.insert);
     } else {
-      line = `${indent}- ${line}`;
+      markdown += escapeText(run.insert, /^\s*$/.test(markdown));
     }
-  } else if (attrs.blockquote) {
-    line = `> ${line}`;
-  } else if (attrs['code-block']) {
-    line = '```\n' + line + '\n```';
-  } else if (attrs.indent) {
-    const indentLevel = parseInt(attrs.indent) || 0;
-    line = '  '.repeat(indentLevel) + line;
+  });
+
+  while (open.length > 0) {
+    close();
   }
-  
-  return line + '\n';
+
+  return markdown;
+}
+
+// Formats of the nearest non-whitespace run before (step -1) or after (step 1) index
+function neighbour(runs, index, step) {
+  for (let i = index + step; i >= 0 && i < runs.length; i += step) {
+    if (!runs[i].whitespace) {
+      return runs[i].attributes || {};
+    }
+  }
+  return {};
+}
+
+function sharedFormats(attributes, ...others) {
+  return Object.fromEntries(INLINE_FORMATS
+    .filter(({ name }) => attributes[name] && others.every(other => other[name] === attributes[name]))
+    .map(({ name }) => [name, attributes[name]]));
+}
+
+// How many runs from index on carry the same value for a format
+function runLength(runs, index, name) {
+  const value = (runs[index].attributes || {})[name];
+  let end = index;
+  while (end < runs.length && (runs[end].attributes || {})[name] === value) {
+    end++;
+  }
+  return end - index;
+}
+
+function renderEmbed(insert, attributes) {
+  if (insert.image) {
+    const alt = escapeText(attributes.alt || '', false);
+    return `![${alt}](${formatUrl(insert.image)})`;
+  }
+  if (insert.video) {
+    return `[video](${formatUrl(insert.video)})`;
+  }
+  return '';
+}
+
+// Inline code is literal: fence it with more backticks than it contains
+function renderCode(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padded = /^`|`$/.test(text) || (/^ .*[^ ].* $/.test(text)) ? ` ${text} ` : text;
+  return fence + padded + fence;
+}
+
+// URLs with spaces or parentheses go in angle brackets so they don't end the link early
+function formatUrl(url) {
+  const value = String(url);
+  if (/[\s()<>]/.test(value)) {
+    return `<${value.replace(/</g, '%3C').replace(/>/g, '%3E')}>`;
+  }
+  return value;
+}
+
+/**
+ * Backslash-escape text so it reads as itself
+ * @param {string} text - Plain note text
+ * @param {boolean} atLineStart - Text starts its line, where block markers count
+ * @returns {string}
+ */
+function escapeText(text, atLineStart) {
+  let escaped = text
+    .replace(/[\\`*[\]~|]/g, '\\$&')
+    // Intraword underscores (snake_case) are never emphasis
+    .replace(/_/g, (match, offset, string) => (
+      /[A-Za-z0-9]/.test(string[offset - 1] || '') && /[A-Za-z0-9]/.test(string[offset + 1] || '') ? '_' : '\\_'
+    ))
+    // Only tag-like angle brackets and entity-like ampersands would be read as HTML
+    .replace(/<(?=[A-Za-z/!?])/g, '\\<')
+    .replace(/&(?=#?\w+;)/g, '\\&');
+
+  if (atLineStart) {
+    escaped = escaped
+      .replace(/^(#{1,6})(?=\s|$)/, '\\$1')
+      .replace(/^([>+-])(?=\s|$)/, '\\$1')
+      .replace(/^(\d{1,9})([.)])(?=\s|$)/, '$1\\$2')
+      .replace(/^([=-])(?=\1*\s*$)/, '\\$1');
+  }
+
+  return escaped;
+}
+
+// Recording session IDs referenced by line offsets, oldest first
+function getRecordingSessionOrder(delta) {
+  const sessions = new Set();
+  delta.ops.forEach((op) => {
+    const parsed = op.attributes && parseRecordingOffset(op.attributes['recording-offset']);
+    if (parsed) {
+      sessions.add(parsed.sessionId);
+    }
+  });
+  return [...sessions].sort((a, b) => a - b);
+}
+
+// Line offsets are stored as "<recording session id>@<seconds>"
+function parseRecordingOffset(value) {
+  const match = typeof value === 'string' && value.match(/^(\d+)@(\d+)$/);
+  return match ? { sessionId: parseInt(match[1], 10), seconds: parseInt(match[2], 10) } : null;
+}
+
+// 754 -> "12:34"; notes spanning several recordings get the recording number, e.g. "Rec 2 12:34"
+function formatRecordingOffset(value, recordingSessions = []) {
+  const parsed = parseRecordingOffset(value);
+  if (!parsed) {
+    return null;
+  }
+
+  const hours = Math.floor(parsed.seconds / 3600);
+  const minutes = Math.floor((parsed.seconds % 3600) / 60);
+  const seconds = parsed.seconds % 60;
+  const pad = (n) => n.toString().padStart(2, '0');
+  const time = hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+
+  return recordingSessions.length > 1
+    ? `Rec ${recordingSessions.indexOf(parsed.sessionId) + 1} ${time}`
+    : time;
 }
 
 // Format meeting metadata as Markdown front matter
@@ -146,6 +449,12 @@ function generateMarkdownDocument(meeting) {
     }
   }
   
+  // Add action items section; it's generated from the notes, so edits to it aren't imported
+  const actionItems = formatActionItems(meeting);
+  if (actionItems) {
+    document += `## Action Items\n\n${actionItems}\n\n`;
+  }
+
   // Add notes section
   document += `## Meeting Notes\n\n`;
   
@@ -165,8 +474,54 @@ function generateMarkdownDocument(meeting) {
   return document;
 }
 
+// "- [ ] Send the deck · @alice@example.com · due 2026-10-25" for each action item in the notes
+function formatActionItems(meeting) {
+  let items = [];
+  try {
+    const participants = meeting.participants ? JSON.parse(meeting.participants) : [];
+    items = extractActionItems(JSON.parse(meeting.notes_content), participants);
+  } catch (e) {
+    return '';
+  }
+
+  return items.map((item) => {
+    const details = [
+      escapeText(item.text, false),
+      item.owner ? `@${escapeText(item.owner, false)}` : null,
+      item.dueDate ? `due ${item.dueDate}` : null
+    ].filter(Boolean);
+    return `- [${item.status === 'done' ? 'x' : ' '}] ${details.join(' · ')}`;
+  }).join('\n');
+}
+
+// Extract plain text from stored notes (a Quill Delta JSON string, or legacy plain text)
+function quillDeltaToPlainText(notesContent) {
+  if (!notesContent) {
+    return '';
+  }
+
+  let delta;
+  try {
+    delta = typeof notesContent === 'string' ? JSON.parse(notesContent) : notesContent;
+  } catch (e) {
+    return String(notesContent);
+  }
+
+  if (!delta || !Array.isArray(delta.ops)) {
+    return typeof notesContent === 'string' ? notesContent : '';
+  }
+
+  return delta.ops
+    .map(op => (typeof op.insert === 'string' ? op.insert : ' '))
+    .join('')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
 module.exports = {
   quillDeltaToMarkdown,
+  getRecordingSessionOrder,
+  quillDeltaToPlainText,
   formatMeetingMetadata,
   generateMarkdownDocument
 };
\ No newline at end of file
@@ -0,0 +1,299 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs-extra');
+const { app } = require('electron');
+const log = require('./utils/logger');
+const { getLocalDateString } = require('./utils/date-utils');
+
+/**
+ * Output formats. Bitrates are in kbps; WAV is uncompressed and takes none.
+ * ffmpeg writes the same metadata keys as ID3v2 frames (MP3), MP4 atoms (M4A) or
+ * RIFF INFO chunks (WAV).
+ */
+const FORMATS = {
+  mp3: {
+    extension: '.mp3',
+    muxer: 'mp3',
+    codec: ['-c:a', 'libmp3lame'],
+    // ID3v2.3 is what most players and Windows read; v1 for the oldest ones
+    container: ['-id3v2_version', '3', '-write_id3v1', '1'],
+    bitrates: [64, 96, 128, 192, 256, 320],
+    defaultBitrate: 128
+  },
+  m4a: {
+    extension: '.m4a',
+    muxer: 'ipod', // The MP4 muxer variant that writes iTunes-style tags
+    codec: ['-c:a', 'aac'],
+    container: ['-movflags', '+faststart'],
+    bitrates: [64, 96, 128, 192, 256],
+    defaultBitrate: 128
+  },
+  wav: {
+    extension: '.wav',
+    muxer: 'wav',
+    codec: ['-c:a', 'pcm_s16le'],
+    container: [],
+    bitrates: [],
+    defaultBitrate: null
+  }
+};
+
+/**
+ * Recording Exporter
+ *
+ * Recordings are kept as 32 kbps Opus, which not every player or tool can open. This
+ * transcodes a meeting's recordings to MP3, M4A or WAV in the export folder:
+ *
+ *   <manualExportPath>/recordings/<date>/<meeting folder>/<meeting folder>[-part<n>].<ext>
+ *
+ * Each file is tagged with the meeting title, date and participants. The processed copy
+ * of a recording is exported when one was kept alongside it. Progress across the whole
+ * job is sent to the window as 'recording-export-progress'.
+ */
+class RecordingExporter {
+  constructor(database, store, mainWindow = null) {
+    this.database = database;
+    this.store = store;
+    this.mainWindow = mainWindow;
+    this.isExporting = false;
+  }
+
+  /**
+   * Transcode the recordings of one or more meetings
+   * @param {Array<number>} meetingIds - Meetings to export
+   * @param {Object} options - { format, bitrate (kbps), enhanced }
+   * @returns {Promise<Object>} { success, jobId, outputDir, files, errors, error }
+   */
+  async exportRecordings(meetingIds, options = {}) {
+    const format = FORMATS[options.format];
+    if (!format) {
+      return { success: false, error: `Unsupported export format: ${options.format}` };
+    }
+    const bitrate = format.bitrates.length > 0 ? Number(options.bitrate || format.defaultBitrate) : null;
+    if (bitrate !== null && !format.bitrates.includes(bitrate)) {
+      return { success: false, error: `Unsupported ${options.format} bitrate: ${options.bitrate} kbps` };
+    }
+    if (!Array.isArray(meetingIds) || meetingIds.length === 0) {
+      return { success: false, error: 'No meetings to export' };
+    }
+    if (this.isExporting) {
+      return { success: false, error: 'A recording export is already running' };
+    }
+
+    const jobId = Date.now();
+    const startedAt = Date.now();
+    this.isExporting = true;
+
+    log.info('[EXPORT] Recording export started', { jobId, meetingIds, format: options.format, bitrate, timestamp: startedAt });
+
+    try {
+      const exportDir = this.store.get('manualExportPath') || path.join(app.getPath('desktop'), 'GranularExports');
+      const outputDir = path.join(exportDir, 'recordings');
+      const errors = [];
+      const items = await this.planExport(meetingIds, outputDir, format, options.enhanced !== false, errors);
+
+      // Progress is by audio time, so one long recording doesn't look like one short one
+      const totalDuration = items.reduce((sum, item) => sum + item.duration, 0);
+      let doneDuration = 0;
+      let lastPercent = -1;
+      const report = (item, index, seconds) => {
+        const done = doneDuration + Math.min(seconds, item.duration);
+        const percent = totalDuration > 0 ? Math.floor(done / totalDuration * 100) : Math.floor(index / items.length * 100);
+        if (percent !== lastPercent) {
+          lastPercent = percent;
+          this.sendProgress({ jobId, meetingId: item.meeting.id, file: path.basename(item.outputPath), fileIndex: index + 1, fileCount: items.length, percent });
+        }
+      };
+
+      const files = [];
+      for (const [index, item] of items.entries()) {
+        report(item, index, 0);
+        try {
+          await fs.ensureDir(path.dirname(item.outputPath));
+          await this.transcode(item, format, bitrate, (seconds) => report(item, index, seconds));
+          const stats = await fs.stat(item.outputPath);
+          files.push({ meetingId: item.meeting.id, sessionId: item.recording.id, path: item.outputPath, size: stats.size });
+        } catch (error) {
+          console.error(`❌ Could not export recording ${item.recording.id}:`, error.message);
+          errors.push({ meetingId: item.meeting.id, sessionId: item.recording.id, file: path.basename(item.sourcePath), error: error.message });
+        }
+        doneDuration += item.duration;
+      }
+      this.sendProgress({ jobId, fileIndex: items.length, fileCount: items.length, percent: 100, done: true });
+
+      log.info('[EXPORT] Recording export completed', {
+        jobId,
+        format: options.format,
+        bitrate,
+        fileCount: files.length,
+        errorCount: errors.length,
+        duration: Date.now() - startedAt,
+        timestamp: Date.now()
+      });
+
+      return { success: true, jobId, outputDir, files, errors };
+    } catch (error) {
+      log.error('[EXPORT] Recording export failed', {
+        jobId,
+        error: error.message,
+        duration: Date.now() - startedAt,
+        timestamp: Date.now()
+      });
+      return { success: false, jobId, error: error.message };
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  /**
+   * Work out what to transcode and where
+   * @param {Array} errors - Collects { meetingId, sessionId, file, error } for recordings that can't be exported
+   * @returns {Promise<Array>} [{ meeting, recording, sourcePath, outputPath, tags, duration }]
+   */
+  async planExport(meetingIds, outputDir, format, enhanced, errors) {
+    const items = [];
+
+    for (const meetingId of meetingIds) {
+      const meeting = await this.database.getMeetingById(meetingId);
+      if (!meeting) {
+        errors.push({ meetingId, sessionId: null, file: null, error: 'Meeting not found' });
+        continue;
+      }
+
+      const recordings = (await this.database.getCompletedRecordings(meetingId)).filter(r => r.final_path);
+      const folder = meeting.folder_name || `meeting-${meeting.id}`;
+      const dateStr = getLocalDateString(meeting.start_time);
+
+      for (const [index, recording] of recordings.entries()) {
+        let sourcePath = recording.final_path;
+        if (enhanced) {
+          const processing = await this.database.getAudioProcessing(recording.id);
+          if (processing && processing.status === 'completed' && processing.mode === 'alongside' && await fs.pathExists(processing.processed_path)) {
+            sourcePath = processing.processed_path;
+          }
+        }
+        if (!(await fs.pathExists(sourcePath))) {
+          errors.push({ meetingId, sessionId: recording.id, file: path.basename(sourcePath), error: 'Recording file not found' });
+          continue;
+        }
+
+        const part = recordings.length > 1 ? index + 1 : null;
+        items.push({
+          meeting,
+          recording,
+          sourcePath,
+          outputPath: path.join(outputDir, dateStr, folder, `${folder}${part ? `-part${part}` : ''}${format.extension}`),
+          tags: this.buildTags(meeting, dateStr, part, recordings.length),
+          duration: recording.duration || 0
+        });
+      }
+    }
+
+    return items;
+  }
+
+  buildTags(meeting, dateStr, part, partCount) {
+    let participants = [];
+    try {
+      participants = meeting.participants ? JSON.parse(meeting.participants) : [];
+    } catch (error) {
+      participants = [];
+    }
+
+    const tags = {
+      title: part ? `${meeting.title} (Part ${part})` : meeting.title,
+      album: meeting.title,
+      date: dateStr,
+      artist: participants.join(', '),
+      comment: participants.length > 0 ? `Participants: ${participants.join(', ')}` : '',
+      genre: 'Speech'
+    };
+    if (part) {
+      tags.track = `${part}/${partCount}`;
+    }
+    return tags;
+  }
+
+  /**
+   * @param {Function} onTime - Called with the seconds of audio written so far
+   */
+  async transcode(item, format, bitrate, onTime) {
+    const tempPath = `${item.outputPath}.partial`;
+    const metadata = Object.entries(item.tags)
+      .filter(([, value]) => value)
+      .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+
+    try {
+      await this.runFfmpeg([
+        '-y',
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-nostats',
+        '-progress', 'pipe:1',
+        '-i', item.sourcePath,
+        '-map', '0:a',
+        // Drop the recording's own tags; the chapters of a merged recording are kept
+        '-map_metadata', '-1',
+        ...format.codec,
+        ...(bitrate ? ['-b:a', `${bitrate}k`] : []),
+        ...metadata,
+        ...format.container,
+        '-f', format.muxer,
+        tempPath
+      ], `FFmpeg export ${path.basename(item.outputPath)}`, onTime);
+      await fs.move(tempPath, item.outputPath, { overwrite: true });
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  sendProgress(progress) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('recording-export-progress', progress);
+    }
+  }
+
+  runFfmpeg(args, description, onTime) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+      if (global.trackProcess) {
+        global.trackProcess(ffmpeg, description);
+      }
+
+      // -progress writes key=value blocks; out_time_us is the position reached
+      let pending = '';
+      ffmpeg.stdout.on('data', (data) => {
+        pending += data.toString();
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+          const match = line.match(/^out_time_(?:us|ms)=(\d+)/);
+          if (match) {
+            onTime(Number(match[1]) / 1e6);
+          }
+        }
+      });
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`FFmpeg failed with code ${code}. Error: ${stderr}`));
+        }
+      });
+
+      ffmpeg.on('error', (error) => {
+        reject(new Error(`FFmpeg spawn error: ${error.message}`));
+      });
+    });
+  }
+}
+
+module.exports = RecordingExporter;
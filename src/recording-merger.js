@@ -0,0 +1,262 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const log = require('./utils/logger');
+
+/**
+ * Recording Merger
+ *
+ * Stopping and restarting a recording leaves one file per part. This concatenates a
+ * meeting's parts, in recording order, into a single Ogg/Opus file with a chapter at
+ * each part boundary, and records it in recording_sessions in their place.
+ *
+ * The parts stay on disk until the merged file has been checked (readable, the
+ * expected length, one chapter per part) and saved; only then are they deleted.
+ * A merged recording can be merged again with later parts and keeps its chapters.
+ */
+class RecordingMerger {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.bitrate = options.bitrate || 32000;
+    // Re-encoding shifts part lengths by a few Opus frames each
+    this.durationTolerance = options.durationTolerance || 2;
+  }
+
+  /**
+   * Merge every completed recording of a meeting into one file
+   * @param {number} meetingId - Meeting ID
+   * @param {string} outputPath - Merged file to write
+   * @returns {Promise<Object>} { merged, reason?, sessionId, finalPath, duration, chapters, transcriptComplete }
+   */
+  async mergeMeetingRecordings(meetingId, outputPath) {
+    const recordings = await this.database.getCompletedRecordings(meetingId);
+    if (recordings.length < 2) {
+      return { merged: false, reason: 'Only one recording to merge' };
+    }
+
+    for (const recording of recordings) {
+      const exists = recording.final_path
+        ? await fs.access(recording.final_path).then(() => true).catch(() => false)
+        : false;
+      if (!exists) {
+        return { merged: false, reason: `Recording ${recording.id} is not on disk` };
+      }
+    }
+
+    const startedAt = Date.now();
+    console.log(`🧩 Merging ${recordings.length} recordings for meeting ${meetingId}`);
+
+    // Lay the inputs end to end, carrying over the parts of anything merged before
+    const inputs = [];
+    const chapters = [];
+    let offset = 0;
+    for (const recording of recordings) {
+      const { duration } = await this.probe(recording.final_path);
+      const parts = await this.database.getMergedRecordingParts(recording.id);
+      const partStarts = parts.length > 0
+        ? parts.map(part => ({ part, start: offset + part.merged_offset }))
+        : [{ part: recording, start: offset }];
+
+      partStarts.forEach(({ part, start }) => {
+        chapters.push({ start, title: this.chapterTitle(part, chapters.length + 1) });
+      });
+      inputs.push({ id: recording.id, path: recording.final_path, offset });
+      offset += duration;
+    }
+    chapters.forEach((chapter, i) => {
+      chapter.end = i + 1 < chapters.length ? chapters[i + 1].start : offset;
+    });
+
+    const meeting = await this.database.getMeetingById(meetingId);
+    const tempPath = `${outputPath}.tmp`;
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'granular-merge-'));
+
+    try {
+      const listPath = path.join(workDir, 'parts.txt');
+      const metadataPath = path.join(workDir, 'chapters.txt');
+      await fs.writeFile(listPath, inputs.map(input => `file '${input.path.replace(/'/g, "'\\''")}'`).join('\n'));
+      await fs.writeFile(metadataPath, this.chapterMetadata(meeting ? meeting.title : null, chapters));
+
+      await this.concatenate(listPath, metadataPath, tempPath);
+      await this.validate(tempPath, offset, chapters.length);
+      await fs.rename(tempPath, outputPath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+
+    const first = recordings[0];
+    const last = recordings[recordings.length - 1];
+    const { sessionId, transcriptComplete } = await this.database.saveMergedRecording(meetingId, {
+      finalPath: outputPath,
+      startedAt: first.started_at,
+      endedAt: last.ended_at,
+      duration: offset
+    }, inputs.map(({ id, offset: inputOffset }) => ({ id, offset: inputOffset })));
+
+    // The merged file is checked and recorded; the parts are no longer needed
+    for (const input of inputs) {
+      try {
+        await fs.unlink(input.path);
+      } catch (error) {
+        console.warn(`⚠️ Could not remove merged part ${path.basename(input.path)}:`, error.message);
+      }
+    }
+
+    console.log(`✅ Merged ${chapters.length} parts into ${path.basename(outputPath)} (${Math.round(offset)}s)`);
+    log.info('[RECORDING] Parts merged', {
+      meetingId,
+      sessionId,
+      inputs: inputs.map(input => input.id),
+      chapters: chapters.length,
+      duration: offset,
+      outputPath,
+      transcriptComplete,
+      elapsedMs: Date.now() - startedAt,
+      timestamp: Date.now()
+    });
+
+    return { merged: true, sessionId, finalPath: outputPath, duration: offset, chapters: chapters.length, transcriptComplete };
+  }
+
+  chapterTitle(recording, index) {
+    const number = recording.part_number || index;
+    if (!recording.started_at) {
+      return `Part ${number}`;
+    }
+    const time = new Date(recording.started_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `Part ${number} (${time})`;
+  }
+
+  /**
+   * FFMETADATA with a chapter per part
+   * @param {string|null} title - Meeting title
+   * @param {Array} chapters - [{ start, end, title }] in seconds
+   */
+  chapterMetadata(title, chapters) {
+    // Special characters in values are backslash-escaped
+    const escape = (value) => String(value).replace(/([=;#\\\n])/g, '\\$1');
+    const lines = [';FFMETADATA1'];
+    if (title) {
+      lines.push(`title=${escape(title)}`);
+    }
+    for (const chapter of chapters) {
+      lines.push(
+        '[CHAPTER]',
+        'TIMEBASE=1/1000',
+        `START=${Math.round(chapter.start * 1000)}`,
+        `END=${Math.round(chapter.end * 1000)}`,
+        `title=${escape(chapter.title)}`
+      );
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  concatenate(listPath, metadataPath, outputPath) {
+    return this.runFfmpeg([
+      '-y',
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listPath,
+      '-f', 'ffmetadata',
+      '-i', metadataPath,
+      '-map', '0:a',
+      '-map_metadata', '1',
+      '-map_chapters', '1',
+      // Re-encode rather than copy so Opus pre-skip and granule positions stay right across parts
+      '-c:a', 'libopus',
+      '-b:a', String(this.bitrate),
+      '-application', 'voip',
+      '-f', 'ogg',
+      outputPath
+    ], `FFmpeg merge ${path.basename(outputPath)}`);
+  }
+
+  async validate(filePath, expectedDuration, expectedChapters) {
+    const stats = await fs.stat(filePath);
+    if (stats.size === 0) {
+      throw new Error('Merged recording is empty');
+    }
+
+    const { duration, chapters } = await this.probe(filePath);
+    if (!(Math.abs(duration - expectedDuration) <= this.durationTolerance)) {
+      throw new Error(`Merged recording is ${Math.round(duration)}s long, expected ${Math.round(expectedDuration)}s`);
+    }
+    if (chapters !== expectedChapters) {
+      throw new Error(`Merged recording has ${chapters} chapters, expected ${expectedChapters}`);
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} { duration, chapters } - Duration in seconds and chapter count
+   */
+  probe(filePath) {
+    return new Promise((resolve, reject) => {
+      const ffprobe = spawn('ffprobe', [
+        '-v', 'quiet',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_chapters',
+        filePath
+      ]);
+
+      if (global.trackProcess) {
+        global.trackProcess(ffprobe, `FFprobe merge ${path.basename(filePath)}`);
+      }
+
+      let stdout = '';
+      ffprobe.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      ffprobe.on('close', (code) => {
+        try {
+          const metadata = JSON.parse(stdout);
+          const duration = parseFloat(metadata.format.duration);
+          if (code !== 0 || isNaN(duration)) {
+            throw new Error('no duration');
+          }
+          resolve({ duration, chapters: (metadata.chapters || []).length });
+        } catch (error) {
+          reject(new Error(`Could not read ${path.basename(filePath)}: ${error.message}`));
+        }
+      });
+
+      ffprobe.on('error', reject);
+    });
+  }
+
+  runFfmpeg(args, description) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+      if (global.trackProcess) {
+        global.trackProcess(ffmpeg, description);
+      }
+
+      let stderr = '';
+      ffmpeg.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`FFmpeg failed with code ${code}. Error: ${stderr}`));
+        }
+      });
+
+      ffmpeg.on('error', (error) => {
+        reject(new Error(`FFmpeg spawn error: ${error.message}`));
+      });
+    });
+  }
+}
+
+module.exports = RecordingMerger;
@@ -0,0 +1,266 @@
+const { powerMonitor, Notification } = require('electron');
+const log = require('./utils/logger');
+const { dateOverride } = require('./date-override');
+
+const CHECK_INTERVAL = 30 * 1000;
+
+// A meeting found running later than this after its start (app opened late, machine woke up) is not auto-started
+const START_WINDOW = 10 * 60 * 1000;
+
+const POLICIES = ['auto', 'prompt', 'off'];
+
+/**
+ * Recording Scheduler
+ *
+ * Watches today's meetings and gets recording going when they start, so nobody has to
+ * remember to open the notes page. Each meeting has a policy:
+ *
+ *   auto   - notify leadMinutes before the start, then open the notes page (which starts
+ *            recording) at start_time
+ *   prompt - notify leadMinutes before the start; clicking the notification starts recording
+ *   off    - nothing
+ *
+ * The policy comes from the meeting's recording_policy column, else the first of
+ * recordingSchedule.rules whose pattern matches the title, else recordingSchedule.defaultPolicy.
+ * A rule is { pattern, policy }; the pattern is a case-insensitive substring, or a regular
+ * expression when written as /.../.
+ *
+ * When a meeting starts while another is still recording past its scheduled end, the
+ * recording is handed off: the notes page finishes the previous meeting as if the user
+ * had gone back, then opens the new one. A recording with no meeting after it is left to
+ * the meeting end detection in AudioRecorder.
+ */
+class RecordingScheduler {
+  constructor(database, store, audioRecorder, mainWindow = null) {
+    this.database = database;
+    this.store = store;
+    this.audioRecorder = audioRecorder;
+    this.mainWindow = mainWindow;
+    this.checkInterval = null;
+    this.isChecking = false;
+    this.notified = new Set(); // Meeting IDs already announced
+    this.started = new Set(); // Meeting IDs already started or offered at start time
+    this.notifications = new Map(); // Meeting ID -> Notification, kept so click handlers survive GC
+    this.onResume = () => this.check();
+  }
+
+  start() {
+    console.log('⏰ Starting recording scheduler');
+    this.check();
+    this.checkInterval = setInterval(() => this.check(), CHECK_INTERVAL);
+    powerMonitor.on('resume', this.onResume);
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    powerMonitor.removeListener('resume', this.onResume);
+    this.notifications.forEach(notification => notification.close());
+    this.notifications.clear();
+    console.log('⏰ Recording scheduler stopped');
+  }
+
+  getSettings() {
+    return {
+      enabled: true,
+      leadMinutes: 2,
+      defaultPolicy: 'prompt',
+      rules: [],
+      ...(this.store.get('recordingSchedule') || {})
+    };
+  }
+
+  async check() {
+    const settings = this.getSettings();
+    if (this.isChecking || !settings.enabled) {
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      const now = dateOverride.now().getTime();
+      const leadTime = (settings.leadMinutes || 0) * 60 * 1000;
+
+      for (const meeting of await this.getUpcomingMeetings(now, leadTime)) {
+        const policy = this.resolvePolicy(meeting, settings);
+        if (policy === 'off') {
+          continue;
+        }
+
+        const start = new Date(meeting.start_time).getTime();
+        if (now >= start - leadTime && now < start && !this.notified.has(meeting.id)) {
+          this.notified.add(meeting.id);
+          this.announce(meeting, policy, start);
+        }
+
+        if (now >= start && now < start + START_WINDOW && !this.started.has(meeting.id)) {
+          this.started.add(meeting.id);
+          await this.handleMeetingStart(meeting, policy);
+        }
+      }
+    } catch (error) {
+      console.error('⏰ Error during recording schedule check:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  // Meetings that are due an announcement or a start now; check() applies the exact windows
+  async getUpcomingMeetings(now, leadTime) {
+    return this.database.getMeetingsStartingBetween(
+      new Date(now - START_WINDOW),
+      new Date(now + leadTime + 1) // a meeting exactly leadTime away is announced
+    );
+  }
+
+  /**
+   * Which policy applies to a meeting
+   * @param {Object} meeting - Meeting row
+   * @param {Object} settings - recordingSchedule settings
+   * @returns {string} 'auto', 'prompt' or 'off'
+   */
+  resolvePolicy(meeting, settings = this.getSettings()) {
+    if (POLICIES.includes(meeting.recording_policy)) {
+      return meeting.recording_policy;
+    }
+
+    const rule = (settings.rules || []).find(r => POLICIES.includes(r.policy) && this.matchesRule(meeting.title || '', r.pattern));
+    if (rule) {
+      return rule.policy;
+    }
+
+    return POLICIES.includes(settings.defaultPolicy) ? settings.defaultPolicy : 'prompt';
+  }
+
+  matchesRule(title, pattern) {
+    if (!pattern) {
+      return false;
+    }
+
+    const regex = /^\/(.+)\/$/.exec(pattern);
+    if (regex) {
+      try {
+        return new RegExp(regex[1], 'i').test(title);
+      } catch (error) {
+        console.warn(`⚠️ Invalid recording rule pattern ${pattern}:`, error.message);
+        return false;
+      }
+    }
+    return title.toLowerCase().includes(pattern.toLowerCase());
+  }
+
+  announce(meeting, policy, start) {
+    const time = new Date(start).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    this.showNotification(meeting.id, {
+      title: meeting.title,
+      body: policy === 'auto'
+        ? `Starts at ${time}. Recording will start automatically.`
+        : `Starts at ${time}. Click to start recording.`
+    }, () => this.requestRecording(meeting, 'notification', true));
+
+    log.info('[SCHEDULE] Meeting announced', {
+      meetingId: meeting.id,
+      policy,
+      startTime: meeting.start_time,
+      timestamp: Date.now()
+    });
+  }
+
+  async handleMeetingStart(meeting, policy) {
+    if (this.audioRecorder.activeRecordings.has(meeting.id)) {
+      return;
+    }
+    const current = await this.getOtherRecording(meeting);
+
+    // Only take over a recording that was scheduled to be over by now; an overlapping meeting needs a decision
+    if (policy === 'auto' && (!current || current.scheduledToEnd)) {
+      this.requestRecording(meeting, current ? 'handoff' : 'schedule');
+      return;
+    }
+
+    this.showNotification(meeting.id, {
+      title: meeting.title,
+      body: current
+        ? `Starting now. Click to stop recording "${current.meeting.title}" and record this meeting.`
+        : 'Starting now. Click to start recording.'
+    }, () => this.requestRecording(meeting, current ? 'handoff' : 'notification', true));
+  }
+
+  /**
+   * The recording of another meeting that is still running when this one starts
+   * @returns {Promise<Object|null>} { meeting, scheduledToEnd } - scheduledToEnd when its end_time is at or before this start
+   */
+  async getOtherRecording(meeting) {
+    for (const [meetingId, recording] of this.audioRecorder.activeRecordings.entries()) {
+      if (meetingId === meeting.id || !recording.isRecording) {
+        continue;
+      }
+
+      const other = await this.database.getMeetingById(meetingId);
+      if (other) {
+        return {
+          meeting: other,
+          scheduledToEnd: new Date(other.end_time).getTime() <= new Date(meeting.start_time).getTime()
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Ask the window to open the meeting's notes page, which starts its recording
+   * The notes page of a meeting that is still recording finishes it first (save, stop, export, upload)
+   * @param {Object} meeting - Meeting row
+   * @param {string} reason - 'schedule', 'notification' or 'handoff'
+   * @param {boolean} fromClick - The user clicked a notification, so bring the window forward
+   */
+  requestRecording(meeting, reason, fromClick = false) {
+    if (!this.mainWindow || this.mainWindow.isDestroyed()) {
+      log.warn('[SCHEDULE] No window to start recording in', { meetingId: meeting.id, reason, timestamp: Date.now() });
+      return;
+    }
+
+    log.info('[SCHEDULE] Recording requested', {
+      meetingId: meeting.id,
+      reason,
+      timestamp: Date.now()
+    });
+
+    this.started.add(meeting.id);
+    if (fromClick) {
+      this.mainWindow.show();
+      this.mainWindow.focus();
+    }
+    this.mainWindow.webContents.send('scheduled-recording-start', { meetingId: meeting.id, reason });
+  }
+
+  showNotification(meetingId, options, onClick) {
+    if (!Notification.isSupported()) {
+      return;
+    }
+
+    const previous = this.notifications.get(meetingId);
+    if (previous) {
+      previous.close();
+    }
+
+    const notification = new Notification(options);
+    notification.on('click', () => {
+      if (this.notifications.get(meetingId) === notification) {
+        this.notifications.delete(meetingId);
+      }
+      onClick();
+    });
+    notification.on('close', () => {
+      if (this.notifications.get(meetingId) === notification) {
+        this.notifications.delete(meetingId);
+      }
+    });
+    this.notifications.set(meetingId, notification);
+    notification.show();
+  }
+}
+
+module.exports = { RecordingScheduler, POLICIES };
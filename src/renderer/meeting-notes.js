@@ -10,10 +10,18 @@ let saveTimeout;
 let isLoading = true;
 let recordingStatusInterval;
 let currentRecordingStatus = null;
+let recordingStatusReceivedAt = 0;
+let finishedRecordings = new Map(); // Recording session ID -> completed session row holding it, for timestamp playback
+let timestampRenderPending = false;
+let recordingPlayer; // RecordingPlayer for finished recordings
 let initialNotesContent = null; // Track initial notes content for change detection
 let selectedSuggestionIndex = -1;
 let currentSuggestions = [];
 let suggestionTimeout;
+let currentParticipants = [];
+let currentTalkTime = null;
+let endDetectionDefaults = {}; // meetingEndDetection setting, to tell this meeting's overrides apart
+let resolvingNotesConflict = false; // Ignore the import notice a 'file' resolution triggers
 
 // File size monitoring state
 let fileSizeInterval;
@@ -97,10 +105,14 @@ function initializeQuillEditor() {
         return;
     }
     
+    registerRecordingOffsetFormat();
+    registerActionItemFormat();
+
     const toolbarOptions = [
         ['bold', 'italic', 'underline'],
         ['blockquote', 'code-block'],
-        [{ 'list': 'ordered'}, { 'list': 'bullet' }],
+        [{ 'list': 'ordered'}, { 'list': 'bullet' }, { 'list': 'check' }],
+        ['action-item'],
         [{ 'indent': '-1'}, { 'indent': '+1' }],
         ['link'],
         ['clean']
@@ -110,7 +122,12 @@ function initializeQuillEditor() {
     quill = new Quill('#editor', {
         theme: 'snow',
         modules: {
-            toolbar: toolbarOptions,
+            toolbar: {
+                container: toolbarOptions,
+                handlers: {
+                    'action-item': toggleActionItem
+                }
+            },
             keyboard: {
                 bindings: {
                     'bold': {
@@ -149,6 +166,15 @@ function initializeQuillEditor() {
                             saveNotes();
                             return false;
                         }
+                    },
+                    'action-item': {
+                        key: 'A',
+                        ctrlKey: true,
+                        shiftKey: true,
+                        handler: function() {
+                            toggleActionItem();
+                            return false;
+                        }
                     }
                 }
             }
@@ -160,16 +186,220 @@ function initializeQuillEditor() {
     quill.on('text-change', (delta, oldDelta, source) => {
         console.log('Text change detected:', { delta, source, isLoading });
         if (source === 'user' && !isLoading) {
+            stampEditedLines(delta);
+            keepActionItemKeysUnique();
             console.log('User text change - setting save status and scheduling auto-save');
             setSaveStatus('saving'); // Immediately show saving status
             scheduleAutoSave();
         }
     });
     
+    // Keep timestamp badges next to their lines
+    quill.on('text-change', scheduleTimestampBadges);
+    window.addEventListener('resize', scheduleTimestampBadges);
+
     // Set up drag and drop for attachments
     setupDragAndDrop();
 }
 
+// Block-level format holding "<recording session id>@<seconds>" for each paragraph or bullet
+function registerRecordingOffsetFormat() {
+    const Parchment = Quill.import('parchment');
+    const RecordingOffset = new Parchment.Attributor('recording-offset', 'data-recording-offset', {
+        scope: Parchment.Scope.BLOCK
+    });
+    Quill.register(RecordingOffset, true);
+}
+
+// Block-level format marking a checklist line as an action item; holds a key that
+// identifies the item in action_items (see src/action-items.js)
+function registerActionItemFormat() {
+    const Parchment = Quill.import('parchment');
+    const ActionItem = new Parchment.Attributor('action-item', 'data-action-item', {
+        scope: Parchment.Scope.BLOCK
+    });
+    Quill.register(ActionItem, true);
+
+    Quill.import('ui/icons')['action-item'] = '<svg viewBox="0 0 18 18">' +
+        '<circle class="ql-stroke" cx="9" cy="6" r="3"></circle>' +
+        '<path class="ql-stroke" d="M3,16c0-3,2.7-5,6-5s6,2,6,5"></path></svg>';
+}
+
+function newActionItemKey() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// Mark the selected lines as action items, turning them into checklist lines, or unmark
+// them if they all are already. The owner and due date are typed on the line:
+// "Send the deck @alice due 2026-10-25".
+function toggleActionItem() {
+    const range = quill.getSelection(true);
+    const lines = quill.getLines(range.index, Math.max(range.length, 1));
+    const marking = lines.some(line => !line.formats()['action-item']);
+
+    lines.forEach(line => {
+        const lineIndex = quill.getIndex(line);
+        const formats = line.formats();
+        if (!marking) {
+            quill.formatLine(lineIndex, 1, 'action-item', false, 'user');
+            return;
+        }
+        if (formats.list !== 'checked' && formats.list !== 'unchecked') {
+            quill.formatLine(lineIndex, 1, 'list', 'unchecked', 'user');
+        }
+        if (!formats['action-item']) {
+            quill.formatLine(lineIndex, 1, 'action-item', newActionItemKey(), 'user');
+        }
+    });
+}
+
+// Enter and paste copy a line's formats, key included; give each copy a key of its own
+function keepActionItemKeysUnique() {
+    const seen = new Set();
+    quill.getLines().forEach(line => {
+        const key = line.formats()['action-item'];
+        if (!key) {
+            return;
+        }
+        if (seen.has(key)) {
+            const newKey = newActionItemKey();
+            quill.formatLine(quill.getIndex(line), 1, 'action-item', newKey, 'api');
+            seen.add(newKey);
+        } else {
+            seen.add(key);
+        }
+    });
+}
+
+// Elapsed offset into the active recording, interpolated between status polls
+function currentRecordingOffset() {
+    const status = currentRecordingStatus;
+    if (!status || !status.isRecording || status.isPaused || !status.sessionId) {
+        return null;
+    }
+    const elapsed = Math.floor(status.duration + (Date.now() - recordingStatusReceivedAt) / 1000);
+    return `${status.sessionId}@${Math.max(0, elapsed)}`;
+}
+
+function parseRecordingOffset(value) {
+    const match = typeof value === 'string' && value.match(/^(\d+)@(\d+)$/);
+    return match ? { sessionId: parseInt(match[1]), seconds: parseInt(match[2]) } : null;
+}
+
+// Give lines the user just wrote the current recording offset. Enter copies block
+// formats onto the new line, so empty lines drop theirs and get a fresh one when typed in.
+function stampEditedLines(delta) {
+    let index = 0;
+    let start = null;
+    let end = 0;
+
+    delta.ops.forEach(op => {
+        if (typeof op.retain === 'number') {
+            index += op.retain;
+        } else if (op.insert !== undefined) {
+            start = start === null ? index : start;
+            index += typeof op.insert === 'string' ? op.insert.length : 1;
+            end = index;
+        } else if (op.delete) {
+            start = start === null ? index : start;
+            end = Math.max(end, index);
+        }
+    });
+
+    if (start === null) {
+        return;
+    }
+
+    const offset = currentRecordingOffset();
+    quill.getLines(start, Math.max(end - start, 1)).forEach(line => {
+        const lineIndex = quill.getIndex(line);
+        const existing = line.formats()['recording-offset'];
+
+        if (line.length() <= 1) {
+            if (existing) {
+                quill.formatLine(lineIndex, 1, 'recording-offset', false, 'api');
+            }
+        } else if (!existing && offset) {
+            quill.formatLine(lineIndex, 1, 'recording-offset', offset, 'api');
+        }
+    });
+}
+
+function scheduleTimestampBadges() {
+    if (timestampRenderPending) {
+        return;
+    }
+    timestampRenderPending = true;
+    requestAnimationFrame(() => {
+        timestampRenderPending = false;
+        renderTimestampBadges();
+    });
+}
+
+// Show a play badge beside every line stamped during a recording that has finished
+function renderTimestampBadges() {
+    let gutter = document.getElementById('timestampGutter');
+    if (!gutter) {
+        gutter = document.createElement('div');
+        gutter.id = 'timestampGutter';
+        gutter.className = 'timestamp-gutter';
+        quill.container.appendChild(gutter);
+    }
+    gutter.innerHTML = '';
+
+    quill.getLines().forEach(line => {
+        const offset = parseRecordingOffset(line.formats()['recording-offset']);
+        if (!offset || !finishedRecordings.has(offset.sessionId)) {
+            return;
+        }
+
+        const bounds = quill.getBounds(quill.getIndex(line));
+        if (!bounds) {
+            return;
+        }
+
+        const badge = document.createElement('button');
+        badge.className = 'timestamp-badge';
+        badge.textContent = formatDuration(offset.seconds);
+        badge.title = 'Play recording from here';
+        badge.style.top = `${bounds.top}px`;
+        badge.addEventListener('mousedown', (e) => e.preventDefault()); // Keep editor focus
+        badge.addEventListener('click', () => playRecordingAt(offset.sessionId, offset.seconds));
+        gutter.appendChild(badge);
+    });
+}
+
+// Load finished recordings into the player and the timestamp badges
+async function loadRecordingSessions() {
+    try {
+        const recordings = (await ipcRenderer.invoke('get-recording-sessions', currentMeetingId) || [])
+            .filter(rec => rec.final_path);
+        console.log('🎙️ NOTES: Existing recordings:', recordings.length);
+        recordings.forEach((rec, index) => {
+            console.log(`📼 NOTES: Recording ${index + 1}: ${rec.final_path} (${rec.duration}s)`);
+        });
+
+        // Timestamps taken while a part was recording point into the recording it was merged into
+        finishedRecordings = new Map();
+        recordings.forEach(rec => {
+            finishedRecordings.set(rec.id, rec);
+            (rec.mergedParts || []).forEach(part => finishedRecordings.set(part.id, rec));
+        });
+        recordingPlayer.setRecordings(recordings);
+        document.getElementById('recordingsButton').style.display = recordingPlayer.hasRecordings() ? '' : 'none';
+        scheduleTimestampBadges();
+    } catch (error) {
+        console.warn('⚠️ NOTES: Could not load recording sessions:', error);
+    }
+}
+
+// Play a finished recording from the given offset in the recording player
+function playRecordingAt(sessionId, seconds) {
+    if (finishedRecordings.has(sessionId)) {
+        recordingPlayer.open(sessionId, seconds);
+    }
+}
+
 // Initialize event listeners
 function initializeEventListeners() {
     // Back button - wait for save before navigating
@@ -365,6 +595,55 @@ function initializeEventListeners() {
             hideSuggestions();
         }, 200);
     });
+
+    // Recording playback
+    recordingPlayer = new RecordingPlayer(ipcRenderer, { onRecordingsChanged: loadRecordingSessions });
+    document.getElementById('recordingsButton').addEventListener('click', () => recordingPlayer.open());
+
+    // The recording scheduler starts this meeting, or hands off to the next one
+    ipcRenderer.on('scheduled-recording-start', (event, data) => {
+        console.log(`⏰ NOTES: Scheduled recording start for meeting ${data.meetingId} (${data.reason})`);
+        if (String(data.meetingId) === String(currentMeetingId)) {
+            if (!currentRecordingStatus || !currentRecordingStatus.isRecording) {
+                startRecording();
+            }
+            return;
+        }
+        handleNavigationBack(`meeting-notes.html?meetingId=${data.meetingId}`).catch(error => {
+            console.error('Error handing off recording:', error);
+            window.location.href = `meeting-notes.html?meetingId=${data.meetingId}`;
+        });
+    });
+
+    // Meeting end detection
+    document.getElementById('meetingEndStopBtn').addEventListener('click', stopRecording);
+    document.getElementById('meetingEndKeepBtn').addEventListener('click', keepRecordingAfterMeetingEnd);
+    ['endDetectionEnabled', 'endDetectionThreshold', 'endDetectionMinutes', 'endDetectionAutoStop'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => saveEndDetectionSettings());
+    });
+    document.getElementById('endDetectionReset').addEventListener('click', () => saveEndDetectionSettings(true));
+
+    // Notes edited in another editor through the exported Markdown file
+    document.getElementById('notesConflictFileBtn').addEventListener('click', () => resolveNotesConflict('file'));
+    document.getElementById('notesConflictAppBtn').addEventListener('click', () => resolveNotesConflict('app'));
+    ipcRenderer.on('meeting-notes-imported', (event, data) => {
+        if (String(data.meetingId) === String(currentMeetingId)) {
+            handleNotesImported(data);
+        }
+    });
+    ipcRenderer.on('notes-sync-conflict', (event, data) => {
+        if (String(data.meetingId) === String(currentMeetingId)) {
+            showNotesConflict(data.filePath);
+        }
+    });
+
+    // Speaker talk time
+    document.getElementById('rediarizeBtn').addEventListener('click', rediarizeMeeting);
+    ipcRenderer.on('diarization-status-changed', (event, data) => {
+        if (String(data.meetingId) === String(currentMeetingId)) {
+            loadTalkTime();
+        }
+    });
 }
 
 // Load meeting data from database
@@ -434,19 +713,18 @@ async function loadMeetingData() {
         }
         
         // Check for existing recordings
-        try {
-            const recordings = await ipcRenderer.invoke('get-recording-sessions', currentMeetingId);
-            console.log('🎙️ NOTES: Existing recordings:', recordings?.length || 0);
-            recordings?.forEach((rec, index) => {
-                console.log(`📼 NOTES: Recording ${index + 1}: ${rec.final_path} (${rec.duration}s)`);
-            });
-        } catch (error) {
-            console.warn('⚠️ NOTES: Could not load recording sessions:', error);
-        }
+        await loadRecordingSessions();
 
         // Load attachments
         await loadAttachments();
 
+        // Load speaker talk time (if the recordings have been diarized)
+        await loadTalkTime();
+
+        await loadEndDetectionSettings();
+
+        await loadNotesSyncStatus();
+
         // Set initial save status
         setSaveStatus('saved');
         
@@ -487,6 +765,11 @@ function renderParticipants(participants) {
     const participantsPill = document.getElementById('participantsPill');
     const participantsCollapsed = document.getElementById('participantsCollapsed');
     
+    currentParticipants = participants;
+    if (currentTalkTime) {
+        renderTalkTime(currentTalkTime);
+    }
+
     // Update the pill text
     participantsPill.textContent = `${participants.length} participant${participants.length !== 1 ? 's' : ''}`;
     
@@ -509,6 +792,141 @@ function renderParticipants(participants) {
     }
 }
 
+// Load talk time per speaker for the current meeting
+async function loadTalkTime() {
+    try {
+        const result = await ipcRenderer.invoke('get-meeting-speakers', currentMeetingId);
+        if (!result.success) {
+            console.warn('⚠️ NOTES: Could not load talk time:', result.error);
+            return;
+        }
+        currentTalkTime = result;
+        renderTalkTime(result);
+    } catch (error) {
+        console.warn('⚠️ NOTES: Could not load talk time:', error);
+    }
+}
+
+// Render talk-time bars and the speaker-to-participant mapping
+function renderTalkTime(data) {
+    const panel = document.getElementById('talkTimePanel');
+    const status = document.getElementById('talkTimeStatus');
+    const bars = document.getElementById('talkTimeBars');
+    const speakers = document.getElementById('talkTimeSpeakers');
+
+    const inProgress = data.diarizations.some(d => d.status === 'pending' || d.status === 'processing');
+    const failed = data.diarizations.filter(d => d.status === 'failed');
+
+    if (data.speakers.length === 0 && !inProgress && failed.length === 0) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = 'block';
+
+    if (inProgress) {
+        status.textContent = 'Detecting speakers…';
+    } else if (failed.length > 0) {
+        status.textContent = `Speaker detection failed: ${failed[0].error_message || 'unknown error'}`;
+    } else {
+        status.textContent = formatTalkDuration(data.totalMs);
+    }
+
+    bars.innerHTML = '';
+    data.participants.forEach(participant => {
+        const row = document.createElement('div');
+        row.className = 'talk-time-row';
+
+        const name = document.createElement('span');
+        name.className = 'talk-time-name';
+        name.textContent = participant.name;
+
+        const track = document.createElement('div');
+        track.className = 'talk-time-track';
+        const fill = document.createElement('div');
+        fill.className = 'talk-time-fill';
+        fill.style.width = `${participant.percent}%`;
+        track.appendChild(fill);
+
+        const percent = document.createElement('span');
+        percent.className = 'talk-time-percent';
+        percent.textContent = `${participant.percent}%`;
+        percent.title = formatTalkDuration(participant.talkMs);
+
+        row.append(name, track, percent);
+        bars.appendChild(row);
+    });
+
+    // One dropdown per detected speaker to say who it is
+    speakers.innerHTML = '';
+    data.speakers.forEach(speaker => {
+        const item = document.createElement('label');
+        item.className = 'talk-time-speaker';
+
+        const label = document.createElement('span');
+        label.textContent = speaker.displayName;
+
+        const select = document.createElement('select');
+        const unassigned = document.createElement('option');
+        unassigned.value = '';
+        unassigned.textContent = 'Unassigned';
+        select.appendChild(unassigned);
+
+        // Keep a mapping to someone since removed from the participants list visible
+        const options = [...currentParticipants];
+        if (speaker.participant && !options.includes(speaker.participant)) {
+            options.push(speaker.participant);
+        }
+        options.forEach(participant => {
+            const option = document.createElement('option');
+            option.value = participant;
+            option.textContent = participant;
+            select.appendChild(option);
+        });
+        select.value = speaker.participant || '';
+
+        select.addEventListener('change', () => assignSpeaker(speaker, select.value));
+
+        item.append(label, select);
+        speakers.appendChild(item);
+    });
+}
+
+// Map a detected speaker to a participant and refresh the totals
+async function assignSpeaker(speaker, participant) {
+    try {
+        const result = await ipcRenderer.invoke('assign-speaker', currentMeetingId, speaker.sessionId, speaker.speakerLabel, participant || null);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        await loadTalkTime();
+    } catch (error) {
+        console.error('Error assigning speaker:', error);
+    }
+}
+
+// Run speaker detection again for every recording of this meeting
+async function rediarizeMeeting() {
+    try {
+        const result = await ipcRenderer.invoke('diarize-meeting', currentMeetingId);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        await loadTalkTime();
+    } catch (error) {
+        console.error('Error re-running speaker detection:', error);
+    }
+}
+
+function formatTalkDuration(ms) {
+    const totalMinutes = Math.round(ms / 60000);
+    if (totalMinutes < 1) {
+        return `${Math.round(ms / 1000)}s`;
+    }
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
 // Add participant from inline input
 async function addParticipantFromInline() {
     const input = document.getElementById('participantInlineInput');
@@ -705,6 +1123,8 @@ function setSaveStatus(status) {
 // Set recording status indicator
 function setRecordingStatus(recordingStatus) {
     const indicator = document.getElementById('recordingIndicator');
+    recordingStatusReceivedAt = Date.now();
+    renderMeetingEndPrompt(recordingStatus);
 
     if (!recordingStatus || !recordingStatus.isRecording) {
         indicator.className = 'status-indicator';
@@ -721,6 +1141,175 @@ function setRecordingStatus(recordingStatus) {
     }
 }
 
+// A conflict found while this page was closed is still waiting to be resolved
+async function loadNotesSyncStatus() {
+    try {
+        const status = await ipcRenderer.invoke('get-notes-sync-status', parseInt(currentMeetingId));
+        if (status.success && status.conflict) {
+            showNotesConflict(status.filePath);
+        }
+    } catch (error) {
+        console.warn('⚠️ NOTES: Could not load notes sync status:', error);
+    }
+}
+
+// The Markdown file was edited elsewhere and imported; show it unless that would lose edits made here
+function handleNotesImported(data) {
+    if (resolvingNotesConflict) {
+        return;
+    }
+    const hasUnsavedEdits = initialNotesContent !== null
+        ? JSON.stringify(quill.getContents()) !== initialNotesContent
+        : quill.getLength() > 1;
+    if (hasUnsavedEdits) {
+        // The pending auto-save would silently overwrite the imported notes
+        clearTimeout(saveTimeout);
+        showNotesConflict(data.filePath);
+        return;
+    }
+    console.log(`📥 NOTES: Notes updated from ${data.filePath}`);
+    reloadNotesContent();
+}
+
+function showNotesConflict(filePath) {
+    const name = filePath ? filePath.split(/[\\/]/).pop() : 'the notes file';
+    document.getElementById('notesConflictMessage').textContent =
+        `These notes were also changed in ${name}. Which version do you want to keep?`;
+    document.getElementById('notesConflictPrompt').style.display = 'flex';
+}
+
+async function resolveNotesConflict(resolution) {
+    resolvingNotesConflict = true;
+    try {
+        if (resolution === 'app') {
+            // Save what is in the editor first; the file is rewritten from the saved notes
+            clearTimeout(saveTimeout);
+            await saveNotes();
+        }
+        const result = await ipcRenderer.invoke('resolve-notes-conflict', parseInt(currentMeetingId), resolution);
+        if (!result.success) {
+            alert(`Could not resolve the notes conflict: ${result.error}`);
+            return;
+        }
+        if (resolution === 'file') {
+            await reloadNotesContent();
+        }
+        document.getElementById('notesConflictPrompt').style.display = 'none';
+    } catch (error) {
+        console.error('Error resolving notes conflict:', error);
+    } finally {
+        resolvingNotesConflict = false;
+    }
+}
+
+// Replace the editor contents with the stored notes, keeping the cursor roughly in place
+async function reloadNotesContent() {
+    const meeting = await ipcRenderer.invoke('get-meeting-by-id', currentMeetingId);
+    if (!meeting) {
+        return;
+    }
+
+    const selection = quill.getSelection();
+    isLoading = true;
+    try {
+        quill.setContents(JSON.parse(meeting.notes_content));
+    } catch (e) {
+        quill.setText(meeting.notes_content || '');
+    }
+    isLoading = false;
+    initialNotesContent = meeting.notes_content || null;
+
+    if (selection) {
+        quill.setSelection(Math.min(selection.index, quill.getLength() - 1), 0, 'silent');
+    }
+}
+
+// Ask whether the meeting is over once the main process has seen sustained silence past its end
+function renderMeetingEndPrompt(recordingStatus) {
+    const prompt = document.getElementById('meetingEndPrompt');
+    const meetingEnd = recordingStatus && recordingStatus.isRecording ? recordingStatus.meetingEnd : null;
+    if (!meetingEnd) {
+        prompt.style.display = 'none';
+        return;
+    }
+
+    const since = new Date(meetingEnd.silenceStartedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    let message = `No audio since ${since}. Has the meeting ended?`;
+    if (meetingEnd.autoStopAt) {
+        const remaining = Math.max(0, Math.round((meetingEnd.autoStopAt - Date.now()) / 1000));
+        message += ` Recording stops in ${formatDuration(remaining)}.`;
+    }
+    document.getElementById('meetingEndMessage').textContent = message;
+    prompt.style.display = 'flex';
+}
+
+// The meeting is still going: hide the prompt and keep watching
+async function keepRecordingAfterMeetingEnd() {
+    try {
+        const result = await ipcRenderer.invoke('dismiss-meeting-end', parseInt(currentMeetingId));
+        if (!result.success) {
+            console.warn('⚠️ NOTES: Could not dismiss meeting end prompt:', result.error);
+            return;
+        }
+        currentRecordingStatus = result.status;
+        setRecordingStatus(currentRecordingStatus);
+    } catch (error) {
+        console.error('Error dismissing meeting end prompt:', error);
+    }
+}
+
+// Load this meeting's end detection settings into the panel
+async function loadEndDetectionSettings() {
+    try {
+        const result = await ipcRenderer.invoke('get-meeting-end-detection', parseInt(currentMeetingId));
+        if (!result.success) {
+            console.warn('⚠️ NOTES: Could not load end detection settings:', result.error);
+            return;
+        }
+        endDetectionDefaults = result.defaults;
+        document.getElementById('endDetectionEnabled').checked = !!result.settings.enabled;
+        document.getElementById('endDetectionThreshold').value = result.settings.silenceThreshold;
+        document.getElementById('endDetectionMinutes').value = Math.round(result.settings.minSilenceDuration / 60);
+        document.getElementById('endDetectionAutoStop').checked = !!result.settings.autoStop;
+    } catch (error) {
+        console.warn('⚠️ NOTES: Could not load end detection settings:', error);
+    }
+}
+
+// Store only what differs from the defaults, so later default changes still reach this meeting
+async function saveEndDetectionSettings(reset = false) {
+    let overrides = null;
+    if (!reset) {
+        const threshold = parseInt(document.getElementById('endDetectionThreshold').value);
+        const minutes = parseInt(document.getElementById('endDetectionMinutes').value);
+        const values = {
+            enabled: document.getElementById('endDetectionEnabled').checked,
+            silenceThreshold: isNaN(threshold) ? endDetectionDefaults.silenceThreshold : Math.min(-20, Math.max(-70, threshold)),
+            minSilenceDuration: isNaN(minutes) ? endDetectionDefaults.minSilenceDuration : Math.min(120, Math.max(1, minutes)) * 60,
+            autoStop: document.getElementById('endDetectionAutoStop').checked
+        };
+        overrides = {};
+        Object.entries(values).forEach(([key, value]) => {
+            if (value !== endDetectionDefaults[key]) {
+                overrides[key] = value;
+            }
+        });
+        if (Object.keys(overrides).length === 0) {
+            overrides = null;
+        }
+    }
+
+    try {
+        const result = await ipcRenderer.invoke('save-meeting-end-detection', parseInt(currentMeetingId), overrides);
+        if (!result.success) {
+            console.warn('⚠️ NOTES: Could not save end detection settings:', result.error);
+        }
+    } catch (error) {
+        console.error('Error saving end detection settings:', error);
+    }
+    await loadEndDetectionSettings();
+}
+
 // Initialize recording functionality
 async function initializeRecording() {
     try {
@@ -1408,7 +1997,8 @@ async function updateMeetingDurationToActual() {
 }
 
 // Handle navigation back to nav page
-async function handleNavigationBack() {
+// Finish the meeting (save, stop recording, export, queue upload) and leave for destination
+async function handleNavigationBack(destination = 'index.html') {
     console.log('🔙 handleNavigationBack called');
 
     // T0: Pipeline initiated
@@ -1517,7 +2107,8 @@ async function handleNavigationBack() {
             console.log('📤 Queueing meeting upload to Google Drive...');
             ipcRenderer.invoke('log-to-main', `📤 UPLOAD: Queueing upload for meeting ${currentMeetingId}`);
             try {
-                const uploadResult = await ipcRenderer.invoke('queue-meeting-upload', currentMeetingId);
+                // Notes of an already uploaded meeting may have changed since; send them again
+                const uploadResult = await ipcRenderer.invoke('queue-meeting-upload', currentMeetingId, { resync: true });
 
                 // T4: Upload queued
                 const t4 = Date.now();
@@ -1582,15 +2173,15 @@ async function handleNavigationBack() {
         // Small delay for logs (can be removed later)
         await new Promise(resolve => setTimeout(resolve, 500));
         
-        // Navigate back to index
-        console.log('🏠 Navigating back to index.html');
-        window.location.href = 'index.html';
+        // Navigate to the meeting list, or the next meeting on a hand-off
+        console.log(`🏠 Navigating to ${destination}`);
+        window.location.href = destination;
         
     } catch (error) {
         console.error('❌ Error handling navigation back:', error);
         ipcRenderer.invoke('log-to-main', `❌ MARKDOWN EXPORT: Error - ${error.message}`);
         // Still navigate even if export fails
-        window.location.href = 'index.html';
+        window.location.href = destination;
     }
 }
 
@@ -0,0 +1,539 @@
+// Recording player for the meeting notes page
+// Lists every recording part, draws its level waveform, and can skip long silences.
+// A merged recording lists the parts it was made from as chapters.
+// The recordings can be exported to MP3, M4A or WAV from here.
+// Loaded as a classic script before meeting-notes.js; top-level names share that page's global scope.
+
+const PLAYER_SPEEDS = [1, 1.25, 1.5, 2, 2.5, 3];
+const PLAYER_SKIP_SECONDS = 15;
+
+// Export choices as format:bitrate (kbps); WAV has no bitrate
+const PLAYER_EXPORT_OPTIONS = [
+    { value: 'mp3:128', label: 'MP3 128k' },
+    { value: 'mp3:64', label: 'MP3 64k' },
+    { value: 'mp3:192', label: 'MP3 192k' },
+    { value: 'm4a:128', label: 'M4A 128k' },
+    { value: 'wav', label: 'WAV' }
+];
+
+// Waveform scale: levels at or below the floor draw as an empty bar
+const WAVEFORM_FLOOR_DB = -60;
+
+class RecordingPlayer {
+    /**
+     * @param {Object} ipcRenderer
+     * @param {Object} [options] - { onRecordingsChanged } called after the parts are merged
+     */
+    constructor(ipcRenderer, options = {}) {
+        this.ipcRenderer = ipcRenderer;
+        this.onRecordingsChanged = options.onRecordingsChanged || null;
+        this.recordings = [];
+        this.current = null; // Recording session row being played
+        this.levels = new Map(); // Session ID -> { bucketMs, levels, duration, silences }
+        this.playbackRate = 1;
+        this.skipSilence = false;
+        this.playEnhanced = true; // Prefer the processed copy when one was kept alongside
+
+        this.panel = document.getElementById('recordingPlayer');
+        this.audio = document.getElementById('recordingPlayerAudio');
+        this.canvas = document.getElementById('recordingPlayerWaveform');
+        this.partsList = document.getElementById('recordingPlayerParts');
+        this.playButton = document.getElementById('recordingPlayerPlay');
+        this.timeLabel = document.getElementById('recordingPlayerTime');
+        this.speedSelect = document.getElementById('recordingPlayerSpeed');
+        this.skipSilenceToggle = document.getElementById('recordingPlayerSkipSilence');
+        this.enhancedLabel = document.getElementById('recordingPlayerEnhancedLabel');
+        this.enhancedToggle = document.getElementById('recordingPlayerEnhanced');
+        this.jumpInput = document.getElementById('recordingPlayerJump');
+        this.note = document.getElementById('recordingPlayerNote');
+        this.mergeButton = document.getElementById('recordingPlayerMerge');
+        this.exportFormatSelect = document.getElementById('recordingPlayerExportFormat');
+        this.exportButton = document.getElementById('recordingPlayerExport');
+        this.exportJobRunning = false;
+
+        PLAYER_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.textContent = `${speed}×`;
+            this.speedSelect.appendChild(option);
+        });
+        PLAYER_EXPORT_OPTIONS.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.exportFormatSelect.appendChild(option);
+        });
+
+        this.bindEvents();
+        this.loadSettings();
+    }
+
+    bindEvents() {
+        this.playButton.addEventListener('click', () => this.togglePlay());
+        document.getElementById('recordingPlayerBack').addEventListener('click', () => this.seek(this.audio.currentTime - PLAYER_SKIP_SECONDS));
+        document.getElementById('recordingPlayerForward').addEventListener('click', () => this.seek(this.audio.currentTime + PLAYER_SKIP_SECONDS));
+        document.getElementById('recordingPlayerClose').addEventListener('click', () => this.close());
+        this.mergeButton.addEventListener('click', () => this.mergeParts());
+        this.exportButton.addEventListener('click', () => this.exportRecordings());
+        this.ipcRenderer.on('recording-export-progress', (event, progress) => {
+            if (this.exportJobRunning && !progress.done) {
+                this.exportButton.textContent = `Exporting ${progress.percent}%`;
+            }
+        });
+
+        this.speedSelect.addEventListener('change', () => {
+            this.playbackRate = Number(this.speedSelect.value);
+            this.applyPlaybackRate();
+            this.ipcRenderer.invoke('set-setting', 'playbackRate', this.playbackRate);
+        });
+
+        this.skipSilenceToggle.addEventListener('change', () => {
+            this.skipSilence = this.skipSilenceToggle.checked;
+            this.ipcRenderer.invoke('set-setting', 'skipSilence', this.skipSilence);
+        });
+
+        this.enhancedToggle.addEventListener('change', () => {
+            this.playEnhanced = this.enhancedToggle.checked;
+            this.ipcRenderer.invoke('set-setting', 'playEnhancedAudio', this.playEnhanced);
+            this.switchSource();
+        });
+
+        this.jumpInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') {
+                return;
+            }
+            e.preventDefault();
+            const seconds = RecordingPlayer.parseTime(this.jumpInput.value);
+            if (seconds === null) {
+                this.jumpInput.classList.add('invalid');
+                return;
+            }
+            this.jumpInput.classList.remove('invalid');
+            this.jumpInput.value = '';
+            this.seek(seconds);
+        });
+
+        this.canvas.addEventListener('click', (e) => {
+            const duration = this.getDuration();
+            if (!duration) {
+                return;
+            }
+            const rect = this.canvas.getBoundingClientRect();
+            this.seek((e.clientX - rect.left) / rect.width * duration);
+        });
+
+        this.audio.addEventListener('timeupdate', () => {
+            this.skipCurrentSilence();
+            this.updateProgress();
+        });
+        this.audio.addEventListener('loadedmetadata', () => this.updateProgress());
+        this.audio.addEventListener('play', () => this.updatePlayButton());
+        this.audio.addEventListener('pause', () => this.updatePlayButton());
+        this.audio.addEventListener('ended', () => this.playNextPart());
+
+        window.addEventListener('resize', () => this.drawWaveform());
+    }
+
+    async loadSettings() {
+        try {
+            const settings = await this.ipcRenderer.invoke('get-settings');
+            this.playbackRate = PLAYER_SPEEDS.includes(settings.playbackRate) ? settings.playbackRate : 1;
+            this.skipSilence = !!settings.skipSilence;
+            this.playEnhanced = settings.playEnhancedAudio !== false;
+        } catch (error) {
+            console.warn('⚠️ PLAYER: Could not load player settings:', error);
+        }
+        this.speedSelect.value = String(this.playbackRate);
+        this.skipSilenceToggle.checked = this.skipSilence;
+        this.enhancedToggle.checked = this.playEnhanced;
+        this.applyPlaybackRate();
+    }
+
+    // Loading a new part resets playbackRate to the default, so set both
+    applyPlaybackRate() {
+        this.audio.defaultPlaybackRate = this.playbackRate;
+        this.audio.playbackRate = this.playbackRate;
+    }
+
+    /**
+     * Replace the list of playable parts
+     * @param {Array} recordings - Completed recording session rows, in recording order
+     */
+    setRecordings(recordings) {
+        this.recordings = recordings
+            .filter(rec => rec.final_path)
+            .sort((a, b) => new Date(a.started_at || 0) - new Date(b.started_at || 0) || a.id - b.id);
+        this.renderParts();
+    }
+
+    hasRecordings() {
+        return this.recordings.length > 0;
+    }
+
+    /**
+     * Find the recording holding a session, which may be a part merged into another
+     * @returns {Object|null} { recording, offset } - offset of the session within the recording
+     */
+    findRecording(sessionId) {
+        for (const recording of this.recordings) {
+            if (recording.id === sessionId) {
+                return { recording, offset: 0 };
+            }
+            const part = (recording.mergedParts || []).find(p => p.id === sessionId);
+            if (part) {
+                return { recording, offset: part.offset };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Show the player and play a part from the given offset
+     * @param {number} [sessionId] - Part to play; defaults to the current or first part
+     * @param {number} [seconds] - Offset into the part
+     */
+    async open(sessionId, seconds = 0) {
+        const found = this.findRecording(sessionId);
+        const recording = (found && found.recording)
+            || this.current
+            || this.recordings[0];
+        if (!recording) {
+            return;
+        }
+
+        this.panel.style.display = 'flex';
+        await this.selectPart(recording);
+        if (!recording.archivedRemotely && found) {
+            this.seek(found.offset + seconds);
+            this.play();
+        }
+    }
+
+    close() {
+        this.audio.pause();
+        this.panel.style.display = 'none';
+    }
+
+    async selectPart(recording) {
+        if (this.current && this.current.id === recording.id) {
+            return;
+        }
+
+        this.current = recording;
+        this.audio.pause();
+        this.renderParts();
+
+        // The retention policy removed the local copy; only the uploaded one is left
+        this.note.style.display = recording.archivedRemotely ? '' : 'none';
+        this.playButton.disabled = !!recording.archivedRemotely;
+        this.enhancedLabel.style.display = recording.enhancedPath && !recording.archivedRemotely ? '' : 'none';
+        if (recording.archivedRemotely) {
+            this.audio.removeAttribute('src');
+            this.audio.load();
+            this.drawWaveform();
+            this.updateProgress();
+            return;
+        }
+
+        this.audio.src = `file://${encodeURI(this.sourcePath(recording))}`;
+        this.drawWaveform();
+        await this.loadLevels(recording.id);
+    }
+
+    // The processed copy has the same timeline as the original, so levels and offsets apply to both
+    sourcePath(recording) {
+        return this.playEnhanced && recording.enhancedPath ? recording.enhancedPath : recording.final_path;
+    }
+
+    // Swap between the original and the processed copy without losing the position
+    switchSource() {
+        if (!this.current || !this.current.enhancedPath || this.current.archivedRemotely) {
+            return;
+        }
+        const position = this.audio.currentTime;
+        const wasPlaying = !this.audio.paused;
+        this.audio.src = `file://${encodeURI(this.sourcePath(this.current))}`;
+        this.seek(position);
+        if (wasPlaying) {
+            this.audio.play();
+        }
+    }
+
+    async loadLevels(sessionId) {
+        if (this.levels.has(sessionId)) {
+            this.drawWaveform();
+            return;
+        }
+
+        try {
+            const result = await this.ipcRenderer.invoke('get-recording-levels', sessionId);
+            if (!result.success) {
+                console.warn(`⚠️ PLAYER: No levels for session ${sessionId}:`, result.error);
+                return;
+            }
+            this.levels.set(sessionId, result);
+            if (this.current && this.current.id === sessionId) {
+                this.drawWaveform();
+            }
+        } catch (error) {
+            console.warn(`⚠️ PLAYER: Could not load levels for session ${sessionId}:`, error);
+        }
+    }
+
+    renderParts() {
+        this.partsList.innerHTML = '';
+        let chapterCount = 0;
+        this.recordings.forEach((recording, index) => {
+            const isCurrent = this.current && this.current.id === recording.id;
+            const chapters = recording.mergedParts || [];
+
+            // A merged recording shows its parts as chapters that seek within it
+            if (chapters.length > 0) {
+                chapters.forEach(chapter => {
+                    const button = this.createPartButton(recording, `Part ${chapter.partNumber} · ${RecordingPlayer.formatTime(chapter.duration || 0)}`, isCurrent);
+                    button.classList.add('chapter');
+                    button.addEventListener('click', () => this.open(chapter.id, 0));
+                    this.partsList.appendChild(button);
+                });
+                chapterCount += chapters.length;
+                return;
+            }
+
+            const label = `Part ${recording.part_number || index + 1} · ${RecordingPlayer.formatTime(recording.duration || 0)}`;
+            const button = this.createPartButton(recording, label, isCurrent);
+            button.addEventListener('click', () => this.selectPart(recording));
+            this.partsList.appendChild(button);
+            chapterCount += 1;
+        });
+
+        // Parts can only be merged while every one of them is still on disk
+        const mergeable = this.recordings.length > 1 && this.recordings.every(rec => !rec.archivedRemotely);
+        this.mergeButton.style.display = mergeable ? '' : 'none';
+        this.partsList.appendChild(this.mergeButton);
+
+        // A single part needs no list
+        this.partsList.style.display = chapterCount > 1 ? '' : 'none';
+    }
+
+    createPartButton(recording, label, isCurrent) {
+        const button = document.createElement('button');
+        button.className = 'recording-player-part';
+        if (isCurrent) {
+            button.classList.add('active');
+        }
+        button.textContent = label;
+        if (recording.archivedRemotely) {
+            button.title = 'Recording archived remotely';
+            button.classList.add('archived');
+        }
+        return button;
+    }
+
+    async mergeParts() {
+        const meetingId = this.recordings[0] && this.recordings[0].meeting_id;
+        if (!meetingId) {
+            return;
+        }
+
+        this.audio.pause();
+        this.mergeButton.disabled = true;
+        this.mergeButton.textContent = 'Merging…';
+        try {
+            const result = await this.ipcRenderer.invoke('merge-recording-parts', meetingId);
+            if (!result.success || !result.merged) {
+                alert(`Could not merge the recording parts: ${result.error || result.reason}`);
+                return;
+            }
+            console.log(`🧩 PLAYER: Merged ${result.chapters} parts into session ${result.sessionId}`);
+            this.current = null;
+            if (this.onRecordingsChanged) {
+                await this.onRecordingsChanged();
+            }
+            if (this.recordings.length > 0) {
+                await this.selectPart(this.recordings[0]);
+            }
+        } catch (error) {
+            console.error('Error merging recording parts:', error);
+        } finally {
+            this.mergeButton.disabled = false;
+            this.mergeButton.textContent = 'Merge parts';
+        }
+    }
+
+    async exportRecordings() {
+        const meetingId = this.recordings[0] && this.recordings[0].meeting_id;
+        if (!meetingId || this.exportJobRunning) {
+            return;
+        }
+
+        const [format, bitrate] = this.exportFormatSelect.value.split(':');
+        this.exportJobRunning = true;
+        this.exportButton.disabled = true;
+        this.exportButton.textContent = 'Exporting…';
+        try {
+            const result = await this.ipcRenderer.invoke('export-recordings', {
+                meetingIds: [meetingId],
+                format,
+                bitrate: bitrate ? Number(bitrate) : null,
+                enhanced: this.playEnhanced
+            });
+            if (!result.success) {
+                alert(`Could not export the recordings: ${result.error}`);
+                return;
+            }
+            if (result.errors.length > 0) {
+                alert(`Some recordings could not be exported:\n${result.errors.map(e => `${e.file}: ${e.error}`).join('\n')}`);
+            }
+            console.log(`🎧 PLAYER: Exported ${result.files.length} recording(s) to ${result.outputDir}`);
+            this.exportButton.title = `Exported to ${result.outputDir}`;
+        } catch (error) {
+            console.error('Error exporting recordings:', error);
+        } finally {
+            this.exportJobRunning = false;
+            this.exportButton.disabled = false;
+            this.exportButton.textContent = 'Export';
+        }
+    }
+
+    togglePlay() {
+        if (this.audio.paused) {
+            this.play();
+        } else {
+            this.audio.pause();
+        }
+    }
+
+    play() {
+        this.audio.play().catch(error => console.error('Error playing recording:', error));
+    }
+
+    seek(seconds) {
+        const target = Math.max(0, seconds);
+        const apply = () => {
+            this.audio.currentTime = Math.min(target, this.audio.duration || target);
+            this.updateProgress();
+        };
+
+        if (this.audio.readyState >= 1) {
+            apply();
+        } else {
+            this.audio.addEventListener('loadedmetadata', apply, { once: true });
+        }
+    }
+
+    playNextPart() {
+        const index = this.recordings.findIndex(rec => this.current && rec.id === this.current.id);
+        const next = this.recordings.slice(index + 1).find(rec => !rec.archivedRemotely);
+        if (next) {
+            this.selectPart(next).then(() => this.play());
+        }
+    }
+
+    // While playing, jump over a long silent stretch as soon as playback enters it
+    skipCurrentSilence() {
+        if (!this.skipSilence || this.audio.paused || !this.current) {
+            return;
+        }
+
+        const profile = this.levels.get(this.current.id);
+        const time = this.audio.currentTime;
+        const silence = profile && profile.silences.find(s => time >= s.start && time < s.end - 0.5);
+        if (silence) {
+            console.log(`⏭️ PLAYER: Skipping silence ${RecordingPlayer.formatTime(silence.start)}–${RecordingPlayer.formatTime(silence.end)}`);
+            this.audio.currentTime = Math.max(silence.start, silence.end - 0.5);
+        }
+    }
+
+    getDuration() {
+        if (this.audio.duration && isFinite(this.audio.duration)) {
+            return this.audio.duration;
+        }
+        const profile = this.current && this.levels.get(this.current.id);
+        return (profile && profile.duration) || (this.current && this.current.duration) || 0;
+    }
+
+    updatePlayButton() {
+        this.playButton.textContent = this.audio.paused ? '▶' : '❚❚';
+    }
+
+    updateProgress() {
+        const duration = this.getDuration();
+        this.timeLabel.textContent = `${RecordingPlayer.formatTime(this.audio.currentTime || 0)} / ${RecordingPlayer.formatTime(duration)}`;
+        this.drawWaveform();
+    }
+
+    // Bars for each level bucket; silences are tinted and the played portion is highlighted
+    drawWaveform() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (!width || !height) {
+            return;
+        }
+
+        const ratio = window.devicePixelRatio || 1;
+        if (this.canvas.width !== width * ratio || this.canvas.height !== height * ratio) {
+            this.canvas.width = width * ratio;
+            this.canvas.height = height * ratio;
+        }
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const profile = this.current && this.levels.get(this.current.id);
+        const duration = this.getDuration();
+        if (!profile || !duration) {
+            ctx.fillStyle = '#f0f0f0';
+            ctx.fillRect(0, height / 2 - 1, width, 2);
+            return;
+        }
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.05)';
+        profile.silences.forEach(silence => {
+            ctx.fillRect(silence.start / duration * width, 0, (silence.end - silence.start) / duration * width, height);
+        });
+
+        // Where each merged part begins
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        (this.current.mergedParts || []).slice(1).forEach(part => {
+            ctx.fillRect(Math.round(part.offset / duration * width), 0, 1, height);
+        });
+
+        // One bar per pixel column, using the loudest bucket it covers
+        const bucketSeconds = profile.bucketMs / 1000;
+        const playedX = (this.audio.currentTime || 0) / duration * width;
+        for (let x = 0; x < width; x++) {
+            const first = Math.floor(x / width * duration / bucketSeconds);
+            const last = Math.max(first + 1, Math.floor((x + 1) / width * duration / bucketSeconds));
+            let level = WAVEFORM_FLOOR_DB;
+            for (let i = first; i < last && i < profile.levels.length; i++) {
+                level = Math.max(level, profile.levels[i]);
+            }
+
+            const barHeight = Math.max(1, (level - WAVEFORM_FLOOR_DB) / -WAVEFORM_FLOOR_DB * height);
+            ctx.fillStyle = x < playedX ? '#8b5cf6' : '#c4b5fd';
+            ctx.fillRect(x, (height - barHeight) / 2, 1, barHeight);
+        }
+    }
+
+    static formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = (total % 60).toString().padStart(2, '0');
+        return hours > 0
+            ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+            : `${minutes.toString().padStart(2, '0')}:${secs}`;
+    }
+
+    // Accepts seconds, mm:ss or h:mm:ss
+    static parseTime(value) {
+        const parts = String(value).trim().split(':');
+        if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+            return null;
+        }
+        return parts.reduce((total, part) => total * 60 + Number(part), 0);
+    }
+}
+
+window.RecordingPlayer = RecordingPlayer;
@@ -1,5 +1,6 @@
 const { ipcRenderer } = require('electron');
 const { dateOverride } = require('../date-override');
+const { getLocalDateString } = require('../utils/date-utils');
 const log = require('../utils/renderer-logger');
 
 class MeetingApp {
@@ -12,6 +13,8 @@ class MeetingApp {
         this.showingAllPastEvents = false;
         this.lastLoadedDate = dateOverride.today();
         this.dateCheckInterval = null;
+        this.searchTimeout = null;
+        this.searchRequestId = 0;
         this.init();
     }
 
@@ -44,6 +47,29 @@ class MeetingApp {
         const googleAuthBtn = document.getElementById('google-auth-btn');
         googleAuthBtn.addEventListener('click', () => this.handleGoogleAuth());
 
+        const openActionsBtn = document.getElementById('open-actions-btn');
+        openActionsBtn.addEventListener('click', () => this.showOpenActionsModal());
+
+        // Search box and date filters
+        const searchInput = document.getElementById('search-input');
+        searchInput.addEventListener('input', () => this.scheduleSearch());
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                searchInput.value = '';
+                this.scheduleSearch();
+            }
+        });
+        document.getElementById('search-from').addEventListener('change', () => this.scheduleSearch());
+        document.getElementById('search-to').addEventListener('change', () => this.scheduleSearch());
+
+        document.addEventListener('keydown', (e) => {
+            if ((e.metaKey || e.ctrlKey) && e.key === 'f') {
+                e.preventDefault();
+                searchInput.focus();
+                searchInput.select();
+            }
+        });
+
         ipcRenderer.on('meetings-refreshed', () => {
             this.loadMeetings();
         });
@@ -52,6 +78,12 @@ class MeetingApp {
             this.updateCalendarButtonColor();
         });
 
+        // The recording scheduler opens a meeting's notes page, which starts its recording
+        ipcRenderer.on('scheduled-recording-start', (event, data) => {
+            console.log(`⏰ Scheduled recording start for meeting ${data.meetingId} (${data.reason})`);
+            window.location.href = `meeting-notes.html?meetingId=${data.meetingId}`;
+        });
+
         // Listen for upload status changes
         ipcRenderer.on('upload-status-changed', (event, data) => {
             this.handleUploadStatusChange(data);
@@ -67,6 +99,30 @@ class MeetingApp {
             console.log('Upload auth required - updating button state');
             this.updateGoogleAuthButton(false, true);
         });
+
+        ipcRenderer.on('show-storage-settings', () => {
+            this.showStorageSettingsModal();
+        });
+
+        ipcRenderer.on('show-storage-usage', () => {
+            this.showStorageUsageModal();
+        });
+
+        ipcRenderer.on('show-open-actions', () => {
+            this.showOpenActionsModal();
+        });
+
+        ipcRenderer.on('show-export-dialog', () => {
+            this.showExportModal();
+        });
+
+        ipcRenderer.on('export-completed', (event, data) => {
+            this.updateStatus(`Exported ${data.meetingCount} meeting(s) for ${data.exportDate}`);
+        });
+
+        ipcRenderer.on('export-failed', (event, data) => {
+            this.showError(`Automatic export for ${data.exportDate} failed: ${data.error}`);
+        });
     }
 
     async loadMeetings() {
@@ -188,7 +244,7 @@ class MeetingApp {
             // Create a file input element
             const fileInput = document.createElement('input');
             fileInput.type = 'file';
-            fileInput.accept = '.xlsx,.xls';
+            fileInput.accept = '.xlsx,.xls,.ics';
             fileInput.style.display = 'none';
             
             // Add event listener for file selection
@@ -211,28 +267,641 @@ class MeetingApp {
         }
     }
 
+    scheduleSearch() {
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => this.runSearch(), 250);
+    }
+
+    async runSearch() {
+        const query = document.getElementById('search-input').value.trim();
+        const fromDate = document.getElementById('search-from').value;
+        const toDate = document.getElementById('search-to').value;
+        const searchResults = document.getElementById('search-results');
+        const isSearching = query.length > 0 || fromDate.length > 0 || toDate.length > 0;
+
+        // Swap the meeting list for search results while a query or date range is entered
+        searchResults.style.display = isSearching ? 'block' : 'none';
+        document.getElementById('meetings-container').style.display = isSearching ? 'none' : '';
+        document.getElementById('show-more-row').style.display = isSearching ? 'none' : 'flex';
+
+        if (!isSearching) {
+            searchResults.innerHTML = '';
+            return;
+        }
+
+        // Ignore responses that arrive after a newer search was started
+        const requestId = ++this.searchRequestId;
+
+        try {
+            const result = await ipcRenderer.invoke('search-meetings', query, { fromDate, toDate });
+            if (requestId !== this.searchRequestId) {
+                return;
+            }
+
+            if (!result.success) {
+                this.showError('Search failed: ' + result.error);
+                return;
+            }
+
+            this.renderSearchResults(result.results, query);
+        } catch (error) {
+            console.error('Error searching meetings:', error);
+            this.showError('Search failed: ' + error.message);
+        }
+    }
+
+    renderSearchResults(results, query) {
+        const searchResults = document.getElementById('search-results');
+
+        if (results.length === 0) {
+            searchResults.innerHTML = query
+                ? `<div class="search-summary">No meetings match "${this.escapeHtml(query)}"</div>`
+                : '<div class="search-summary">No meetings in this date range</div>';
+            return;
+        }
+
+        searchResults.innerHTML = `<div class="search-summary">${results.length} meeting${results.length === 1 ? '' : 's'} found</div>`;
+
+        const resultsCard = document.createElement('div');
+        resultsCard.className = 'meetings-card';
+
+        results.forEach(meeting => {
+            const startTime = new Date(meeting.start_time);
+            const item = document.createElement('div');
+            item.className = 'meeting-item';
+            item.innerHTML = `
+                <div class="meeting-title">${this.escapeHtml(meeting.title)}</div>
+                <div class="meeting-time">
+                    ${startTime.toLocaleDateString([], { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })} · ${this.formatTime(startTime)}
+                </div>
+                ${meeting.snippet ? `<div class="search-snippet">${this.formatSnippet(meeting.snippet)}</div>` : ''}
+            `;
+            item.addEventListener('click', () => this.selectMeeting(meeting));
+            resultsCard.appendChild(item);
+        });
+
+        searchResults.appendChild(resultsCard);
+    }
+
+    // Snippets mark matches with \u0002 ... \u0003 so the text can be escaped before highlighting
+    formatSnippet(snippet) {
+        return this.escapeHtml(snippet)
+            .replace(/\u0002/g, '<mark>')
+            .replace(/\u0003/g, '</mark>');
+    }
+
     async processExcelFile(file) {
         try {
-            console.log(`Processing Excel file: ${file.name}`);
+            console.log(`Previewing calendar file: ${file.name}`);
+            
+            // Parse without importing so the user can check the column mapping first
+            const result = await ipcRenderer.invoke('preview-calendar-file', file.path);
+            
+            if (!result.success) {
+                this.showError('Failed to read calendar file: ' + result.error);
+                return;
+            }
+            
+            this.showImportPreviewModal(file, result.preview);
+            
+        } catch (error) {
+            console.error('Error previewing calendar file:', error);
+            this.showError('Failed to read calendar file: ' + error.message);
+        }
+    }
+
+    async commitCalendarImport(file, profile) {
+        try {
+            console.log(`Processing calendar file: ${file.name}`);
             this.showSuccess(`Processing ${file.name}...`);
             
-            // Send file path to main process
-            const result = await ipcRenderer.invoke('upload-excel-file', file.path);
+            // Send file path (and the confirmed mapping) to main process
+            const result = await ipcRenderer.invoke('upload-excel-file', file.path, profile);
             
             if (result.success) {
-                this.showSuccess('Excel file processed successfully! Meetings updated.');
-                console.log('Excel file processed successfully');
+                this.showSuccess('Calendar file processed successfully! Meetings updated.');
+                console.log('Calendar file processed successfully');
                 
                 // Reload meetings to show updated data
                 await this.loadMeetings();
             } else {
-                this.showError('Failed to process Excel file');
+                this.showError('Failed to process calendar file');
             }
             
         } catch (error) {
-            console.error('Error processing Excel file:', error);
-            this.showError('Failed to process Excel file: ' + error.message);
+            console.error('Error processing calendar file:', error);
+            this.showError('Failed to process calendar file: ' + error.message);
+        }
+    }
+
+    showImportPreviewModal(file, preview) {
+        const modal = document.getElementById('import-preview-modal');
+        const form = document.getElementById('import-mapping-form');
+        const confirmBtn = document.getElementById('import-confirm-btn');
+        const cancelBtn = document.getElementById('import-cancel-btn');
+        let currentPreview = preview;
+
+        modal.style.display = 'flex';
+        this.renderImportPreview(currentPreview);
+
+        // Re-parse whenever the mapping changes
+        form.onchange = async () => {
+            try {
+                const profile = this.readImportMappingForm();
+                const result = await ipcRenderer.invoke('preview-calendar-file', file.path, profile);
+                if (result.success) {
+                    currentPreview = result.preview;
+                    this.renderImportPreview(currentPreview);
+                } else {
+                    this.showError('Failed to re-read calendar file: ' + result.error);
+                }
+            } catch (error) {
+                console.error('Error refreshing import preview:', error);
+            }
+        };
+
+        confirmBtn.onclick = async () => {
+            this.hideImportPreviewModal();
+            const profile = currentPreview.format === 'xlsx' ? currentPreview.profile : null;
+            await this.commitCalendarImport(file, profile);
+        };
+
+        cancelBtn.onclick = () => this.hideImportPreviewModal();
+
+        document.onkeydown = (e) => {
+            if (e.key === 'Escape' && modal.style.display === 'flex') {
+                this.hideImportPreviewModal();
+            }
+        };
+    }
+
+    hideImportPreviewModal() {
+        const modal = document.getElementById('import-preview-modal');
+        modal.style.display = 'none';
+        document.getElementById('import-mapping-form').onchange = null;
+        document.onkeydown = null;
+    }
+
+    renderImportPreview(preview) {
+        const form = document.getElementById('import-mapping-form');
+        const summary = document.getElementById('import-summary');
+        const meetingsBody = document.getElementById('import-meetings-body');
+        const rejectedBody = document.getElementById('import-rejected-body');
+        const confirmBtn = document.getElementById('import-confirm-btn');
+
+        document.getElementById('import-file-name').textContent = preview.fileName;
+
+        // Column mapping only applies to spreadsheets
+        form.style.display = preview.format === 'xlsx' ? 'grid' : 'none';
+        if (preview.format === 'xlsx') {
+            const { profile } = preview;
+            const sheetOptions = preview.sheetNames.includes(profile.sheetName)
+                ? preview.sheetNames
+                : [profile.sheetName, ...preview.sheetNames];
+            const columnOptions = (selected) => ['', ...new Set([...preview.headers, selected].filter(Boolean))]
+                .map(header => `<option value="${this.escapeHtml(header)}" ${header === selected ? 'selected' : ''}>${header ? this.escapeHtml(header) : '(none)'}</option>`)
+                .join('');
+            const fields = [
+                ['title', 'Title'],
+                ['startDate', 'Start date'],
+                ['startTime', 'Start time'],
+                ['endTime', 'End time'],
+                ['participants', 'Participants'],
+                ['status', 'Status']
+            ];
+
+            form.innerHTML = `
+                <label>Sheet
+                    <select name="sheetName">
+                        ${sheetOptions.map(name => `<option value="${this.escapeHtml(name)}" ${name === profile.sheetName ? 'selected' : ''}>${this.escapeHtml(name)}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Header row
+                    <input type="number" name="headerRow" min="1" value="${profile.headerRowIndex + 1}">
+                </label>
+                ${fields.map(([field, label]) => `
+                    <label>${label}
+                        <select name="column-${field}">${columnOptions(profile.columns[field])}</select>
+                    </label>
+                `).join('')}
+                <label>Hide status
+                    <input type="text" name="excludeStatus" value="${this.escapeHtml(profile.filter.excludeStatus || '')}" placeholder="(none)">
+                </label>
+                <label class="import-checkbox">
+                    <input type="checkbox" name="onlyWhenNoParticipants" ${profile.filter.onlyWhenNoParticipants ? 'checked' : ''}>
+                    only when no participants
+                </label>
+            `;
+        }
+
+        if (preview.error) {
+            summary.textContent = preview.error;
+            summary.className = 'import-summary error';
+        } else {
+            const outOfRange = preview.outOfRangeCount > 0 ? `, ${preview.outOfRangeCount} outside the next 6 weeks` : '';
+            summary.textContent = `${preview.meetings.length} meeting${preview.meetings.length === 1 ? '' : 's'} will be imported, ${preview.rejected.length} row${preview.rejected.length === 1 ? '' : 's'} rejected${outOfRange}`;
+            summary.className = 'import-summary';
+        }
+
+        meetingsBody.innerHTML = preview.meetings.map(meeting => {
+            const start = new Date(meeting.startTime);
+            return `
+                <tr>
+                    <td>${start.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}</td>
+                    <td>${this.formatTime(start)} - ${this.formatTime(new Date(meeting.endTime))}</td>
+                    <td>${this.escapeHtml(meeting.title)}</td>
+                    <td>${meeting.participants.length}</td>
+                </tr>
+            `;
+        }).join('') || '<tr><td colspan="4" class="import-empty">No meetings</td></tr>';
+
+        rejectedBody.innerHTML = preview.rejected.map(row => `
+            <tr>
+                <td>${row.rowNumber || ''}</td>
+                <td>${this.escapeHtml(String(row.values.title || ''))}</td>
+                <td>${this.escapeHtml(row.reason)}</td>
+            </tr>
+        `).join('') || '<tr><td colspan="3" class="import-empty">No rejected rows</td></tr>';
+
+        confirmBtn.disabled = Boolean(preview.error);
+    }
+
+    readImportMappingForm() {
+        const form = document.getElementById('import-mapping-form');
+        const value = (name) => form.querySelector(`[name="${name}"]`).value;
+        const headerRow = parseInt(value('headerRow'), 10);
+
+        return {
+            sheetName: value('sheetName'),
+            headerRowIndex: isNaN(headerRow) || headerRow < 1 ? 0 : headerRow - 1,
+            columns: {
+                title: value('column-title'),
+                startDate: value('column-startDate'),
+                startTime: value('column-startTime'),
+                endTime: value('column-endTime'),
+                participants: value('column-participants'),
+                status: value('column-status')
+            },
+            filter: {
+                excludeStatus: value('excludeStatus').trim(),
+                onlyWhenNoParticipants: form.querySelector('[name="onlyWhenNoParticipants"]').checked
+            }
+        };
+    }
+
+    async showStorageSettingsModal() {
+        const result = await ipcRenderer.invoke('get-storage-settings');
+        if (!result.success) {
+            this.showError('Failed to load storage settings: ' + result.error);
+            return;
+        }
+
+        const modal = document.getElementById('storage-settings-modal');
+        const form = document.getElementById('storage-settings-form');
+        const select = document.getElementById('storage-provider-select');
+        const testResult = document.getElementById('storage-test-result');
+
+        select.innerHTML = result.providers
+            .map(provider => `<option value="${provider.id}">${this.escapeHtml(provider.name)}</option>`)
+            .join('');
+        select.value = result.activeProvider;
+
+        const fillFields = (prefix, config) => {
+            Object.entries(config || {}).forEach(([key, value]) => {
+                const input = form.querySelector(`[name="${prefix}-${key}"]`);
+                if (input) {
+                    input.value = value || '';
+                }
+            });
+            // Saved secrets stay in the main process; a blank field keeps them
+            form.querySelectorAll(`[name^="${prefix}-"][type="password"]`).forEach(input => {
+                input.value = '';
+                input.placeholder = config && config.hasSecret ? 'Saved (leave blank to keep)' : '';
+            });
+        };
+        fillFields('s3', result.s3Config);
+        fillFields('webdav', result.webdavConfig);
+
+        const showProviderFields = () => {
+            form.querySelectorAll('.storage-provider-fields').forEach(fields => {
+                fields.classList.toggle('active', fields.dataset.provider === select.value);
+            });
+            testResult.textContent = '';
+            testResult.className = 'storage-test-result';
+        };
+        select.onchange = showProviderFields;
+        showProviderFields();
+
+        document.getElementById('storage-test-btn').onclick = async () => {
+            testResult.className = 'storage-test-result';
+            testResult.textContent = 'Testing...';
+            const test = await ipcRenderer.invoke('test-storage-provider', select.value, this.readStorageConfig(select.value));
+            testResult.className = `storage-test-result ${test.success ? 'success' : 'error'}`;
+            testResult.textContent = test.success ? 'Connection successful' : test.error;
+        };
+
+        document.getElementById('storage-save-btn').onclick = async () => {
+            const save = await ipcRenderer.invoke('save-storage-settings', select.value, this.readStorageConfig(select.value));
+            if (save.success) {
+                this.hideStorageSettingsModal();
+                this.showSuccess('Storage settings saved');
+            } else {
+                this.showError('Failed to save storage settings: ' + save.error);
+            }
+        };
+
+        document.getElementById('storage-cancel-btn').onclick = () => this.hideStorageSettingsModal();
+
+        document.onkeydown = (e) => {
+            if (e.key === 'Escape' && modal.style.display === 'flex') {
+                this.hideStorageSettingsModal();
+            }
+        };
+
+        modal.style.display = 'flex';
+    }
+
+    hideStorageSettingsModal() {
+        document.getElementById('storage-settings-modal').style.display = 'none';
+        document.onkeydown = null;
+    }
+
+    async showStorageUsageModal() {
+        const modal = document.getElementById('storage-usage-modal');
+
+        document.getElementById('storage-usage-close-btn').onclick = () => this.hideStorageUsageModal();
+        document.getElementById('storage-usage-clean-all-btn').onclick = () => this.cleanUpUploadedFiles(null);
+        document.getElementById('storage-usage-meetings-body').onclick = (e) => {
+            const button = e.target.closest('[data-clean-meeting]');
+            if (button) {
+                this.cleanUpUploadedFiles(parseInt(button.dataset.cleanMeeting, 10));
+            }
+        };
+
+        document.onkeydown = (e) => {
+            if (e.key === 'Escape' && modal.style.display === 'flex') {
+                this.hideStorageUsageModal();
+            }
+        };
+
+        modal.style.display = 'flex';
+        await this.loadStorageUsage();
+    }
+
+    hideStorageUsageModal() {
+        document.getElementById('storage-usage-modal').style.display = 'none';
+        document.onkeydown = null;
+    }
+
+    async loadStorageUsage() {
+        const summary = document.getElementById('storage-usage-summary');
+        summary.className = 'import-summary';
+        summary.textContent = 'Measuring...';
+
+        const usage = await ipcRenderer.invoke('get-storage-usage');
+        if (!usage.success) {
+            summary.className = 'import-summary error';
+            summary.textContent = 'Failed to measure storage: ' + usage.error;
+            return;
+        }
+
+        const types = [
+            ['recording', 'Recordings'],
+            ['silence', 'Silence'],
+            ['backup', 'Backups'],
+            ['markdown', 'Notes'],
+            ['attachment', 'Attachments'],
+            ['other', 'Other']
+        ];
+        const { totals, splitStatistics } = usage;
+        const size = (bytes) => this.formatBytes(bytes);
+        const sizeCells = (sizes) => types.slice(0, 5).map(([type]) => `<td>${sizes[type] ? size(sizes[type]) : ''}</td>`).join('');
+
+        summary.textContent = `${size(totals.total)} used` +
+            (usage.cleanableBytes > 0 ? ` · ${size(usage.cleanableBytes)} safely uploaded and can be cleaned up` : '') +
+            (splitStatistics.totalSplits > 0 ? ` · silence splitting has saved ${splitStatistics.totalSpaceSavedMB} MB` : '');
+
+        document.getElementById('storage-usage-bar').innerHTML = types
+            .filter(([type]) => totals[type] > 0)
+            .map(([type, label]) => `<div class="storage-usage-type-${type}" style="width: ${totals[type] / totals.total * 100}%" title="${label}: ${size(totals[type])}"></div>`)
+            .join('');
+
+        document.getElementById('storage-usage-legend').innerHTML = types
+            .filter(([type]) => totals[type] > 0)
+            .map(([type, label]) => `<span><span class="storage-usage-swatch storage-usage-type-${type}"></span>${label} ${size(totals[type])}</span>`)
+            .join('');
+
+        document.getElementById('storage-usage-meetings-body').innerHTML = usage.byMeeting.length === 0
+            ? '<tr><td colspan="10" class="import-empty">No local files</td></tr>'
+            : usage.byMeeting.map(meeting => `
+                <tr>
+                    <td>${this.escapeHtml(meeting.title)}</td>
+                    <td>${meeting.date}</td>
+                    <td>${meeting.uploadStatus ? `<span class="storage-usage-status ${meeting.uploadStatus}">${this.escapeHtml(meeting.uploadStatus)}</span>` : ''}</td>
+                    ${sizeCells(meeting.sizes)}
+                    <td>${size(meeting.total)}</td>
+                    <td>${meeting.cleanableBytes > 0 ? `<button class="storage-usage-clean-btn" data-clean-meeting="${meeting.meetingId}" title="Remove local copies that are safely uploaded">Free ${size(meeting.cleanableBytes)}</button>` : ''}</td>
+                </tr>
+            `).join('');
+
+        document.getElementById('storage-usage-dates-body').innerHTML = usage.byDate.length === 0
+            ? '<tr><td colspan="7" class="import-empty">No local files</td></tr>'
+            : usage.byDate.map(day => `<tr><td>${day.date}</td>${sizeCells(day.sizes)}<td>${size(day.total)}</td></tr>`).join('');
+
+        document.getElementById('storage-usage-clean-all-btn').disabled = usage.cleanableBytes === 0;
+    }
+
+    async showOpenActionsModal() {
+        const modal = document.getElementById('open-actions-modal');
+
+        document.getElementById('open-actions-close-btn').onclick = () => this.hideOpenActionsModal();
+        document.getElementById('open-actions-owner').onchange = () => this.loadOpenActions();
+        document.getElementById('open-actions-status').onchange = () => this.loadOpenActions();
+        document.getElementById('open-actions-body').onclick = (e) => {
+            const meetingLink = e.target.closest('[data-open-meeting]');
+            if (meetingLink) {
+                window.location.href = `meeting-notes.html?meetingId=${meetingLink.dataset.openMeeting}`;
+            }
+        };
+        document.getElementById('open-actions-body').onchange = (e) => {
+            const checkbox = e.target.closest('[data-action-item-id]');
+            if (checkbox) {
+                this.setActionItemStatus(parseInt(checkbox.dataset.actionItemId, 10), checkbox.checked);
+            }
+        };
+
+        document.onkeydown = (e) => {
+            if (e.key === 'Escape' && modal.style.display === 'flex') {
+                this.hideOpenActionsModal();
+            }
+        };
+
+        modal.style.display = 'flex';
+        await this.loadOpenActions();
+    }
+
+    hideOpenActionsModal() {
+        document.getElementById('open-actions-modal').style.display = 'none';
+        document.onkeydown = null;
+    }
+
+    async loadOpenActions() {
+        const ownerSelect = document.getElementById('open-actions-owner');
+        const status = document.getElementById('open-actions-status').value;
+        const summary = document.getElementById('open-actions-summary');
+        // '*' (or nothing yet) is everyone, '' is unassigned
+        const owner = ownerSelect.options.length === 0 || ownerSelect.value === '*' ? null : ownerSelect.value;
+
+        const result = await ipcRenderer.invoke('get-action-items', { owner, status });
+        if (!result.success) {
+            summary.className = 'import-summary error';
+            summary.textContent = 'Failed to load action items: ' + result.error;
+            return;
+        }
+
+        ownerSelect.replaceChildren(new Option('Everyone', '*'), ...result.owners.map(row => new Option(
+            (row.owner === null ? 'Unassigned' : row.owner) + (row.open_count > 0 ? ` (${row.open_count})` : ''),
+            row.owner === null ? '' : row.owner
+        )));
+        // Keep the selection, unless that owner no longer has any items
+        ownerSelect.value = owner === null ? '*' : owner;
+        if (ownerSelect.selectedIndex < 0) {
+            ownerSelect.value = '*';
+        }
+
+        const today = getLocalDateString(new Date());
+        const overdue = result.items.filter(item => item.status === 'open' && item.due_date && item.due_date < today).length;
+        summary.className = 'import-summary';
+        summary.textContent = `${result.items.length} action item${result.items.length === 1 ? '' : 's'}` +
+            (overdue > 0 ? ` · ${overdue} overdue` : '');
+
+        document.getElementById('open-actions-body').innerHTML = result.items.length === 0
+            ? '<tr><td colspan="5" class="import-empty">No action items</td></tr>'
+            : result.items.map(item => {
+                const meetingDate = new Date(item.meeting_start_time);
+                const isOverdue = item.status === 'open' && item.due_date && item.due_date < today;
+                return `
+                    <tr class="${item.status === 'done' ? 'done' : ''}">
+                        <td><input type="checkbox" data-action-item-id="${item.id}" ${item.status === 'done' ? 'checked' : ''}></td>
+                        <td>${this.escapeHtml(item.text)}</td>
+                        <td>${item.owner ? this.escapeHtml(item.owner) : ''}</td>
+                        <td class="${isOverdue ? 'overdue' : ''}">${item.due_date || ''}</td>
+                        <td><span class="open-actions-meeting" data-open-meeting="${item.meeting_id}">${this.escapeHtml(item.meeting_title)}</span>
+                            · ${meetingDate.toLocaleDateString([], { month: 'short', day: 'numeric' })}</td>
+                    </tr>
+                `;
+            }).join('');
+    }
+
+    async setActionItemStatus(itemId, done) {
+        const result = await ipcRenderer.invoke('set-action-item-status', itemId, done);
+        if (!result.success) {
+            this.showError('Failed to update action item: ' + result.error);
+        }
+        await this.loadOpenActions();
+    }
+
+    // Remove local copies that have a verified upload, for one meeting or all of them
+    async cleanUpUploadedFiles(meetingId) {
+        const preview = await ipcRenderer.invoke('run-retention-cleanup', { dryRun: true, safeOnly: true, meetingId });
+        if (!preview.success) {
+            this.showError('Failed to prepare cleanup: ' + preview.error);
+            return;
+        }
+        if (preview.candidates.length === 0) {
+            return;
+        }
+
+        const confirmed = confirm(`Remove ${preview.candidates.length} local file(s), ${this.formatBytes(preview.totalBytes)}? ` +
+            'Every one of them has a verified copy in your upload storage.');
+        if (!confirmed) {
+            return;
+        }
+
+        const result = await ipcRenderer.invoke('run-retention-cleanup', { safeOnly: true, meetingId });
+        if (!result.success) {
+            this.showError('Cleanup failed: ' + result.error);
+        } else if (result.failed.length > 0) {
+            this.showError(`Freed ${this.formatBytes(result.freedBytes)}; ${result.failed.length} file(s) could not be removed`);
+        } else {
+            this.showSuccess(`Freed ${this.formatBytes(result.freedBytes)}`);
+        }
+
+        await this.loadStorageUsage();
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) {
+            return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+        }
+        if (bytes >= 1024 * 1024) {
+            return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        }
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
+    showExportModal() {
+        const modal = document.getElementById('export-modal');
+        const dateInput = document.getElementById('export-date-input');
+        const startBtn = document.getElementById('export-start-btn');
+        const resultEl = document.getElementById('export-result');
+
+        dateInput.value = getLocalDateString(dateOverride.now());
+        resultEl.textContent = '';
+        resultEl.className = 'storage-test-result';
+        startBtn.disabled = false;
+
+        startBtn.onclick = async () => {
+            startBtn.disabled = true;
+            resultEl.className = 'storage-test-result';
+            resultEl.textContent = 'Exporting...';
+
+            const result = await ipcRenderer.invoke('export-day-data', dateInput.value);
+            startBtn.disabled = false;
+
+            if (!result.success) {
+                resultEl.className = 'storage-test-result error';
+                resultEl.textContent = 'Export failed: ' + result.error;
+                return;
+            }
+
+            const skipped = result.errors.length > 0 ? ` (${result.errors.length} file(s) could not be included)` : '';
+            resultEl.className = `storage-test-result ${skipped ? 'error' : 'success'}`;
+            resultEl.textContent = `Exported ${result.meetingCount} meeting(s), ${result.fileCount} file(s)${skipped}`;
+            require('electron').shell.showItemInFolder(result.filePath);
+        };
+
+        document.getElementById('export-cancel-btn').onclick = () => this.hideExportModal();
+
+        document.onkeydown = (e) => {
+            if (e.key === 'Escape' && modal.style.display === 'flex') {
+                this.hideExportModal();
+            }
+        };
+
+        modal.style.display = 'flex';
+    }
+
+    hideExportModal() {
+        document.getElementById('export-modal').style.display = 'none';
+        document.onkeydown = null;
+    }
+
+    // Connection settings for the selected provider (Google Drive has none)
+    readStorageConfig(providerId) {
+        const form = document.getElementById('storage-settings-form');
+        const fields = form.querySelector(`.storage-provider-fields[data-provider="${providerId}"]`);
+        const inputs = fields ? fields.querySelectorAll('input') : [];
+        if (inputs.length === 0) {
+            return null;
         }
+
+        const config = {};
+        inputs.forEach(input => {
+            const key = input.name.slice(input.name.indexOf('-') + 1);
+            config[key] = input.value.trim() || null;
+        });
+        return config;
     }
 
     async handleGoogleAuth() {
@@ -471,6 +1140,7 @@ class MeetingApp {
 
         meetingDiv.innerHTML = `
             <div class="delete-cross" title="Delete meeting">✕</div>
+            ${status.class !== 'past' ? '<button class="record-policy"></button>' : ''}
             <div class="meeting-header">
                 <div class="date-badge">${dateStr}</div>
                 <div class="meeting-info">
@@ -505,6 +1175,15 @@ class MeetingApp {
             this.selectMeeting(meeting);
         });
 
+        const recordPolicy = meetingDiv.querySelector('.record-policy');
+        if (recordPolicy) {
+            this.renderRecordPolicy(recordPolicy, meeting.recording_policy);
+            recordPolicy.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.cycleRecordPolicy(recordPolicy, meeting);
+            });
+        }
+
         // Add delete functionality
         const deleteCross = meetingDiv.querySelector('.delete-cross');
         deleteCross.addEventListener('click', (e) => {
@@ -515,6 +1194,37 @@ class MeetingApp {
         return meetingDiv;
     }
 
+    renderRecordPolicy(button, policy) {
+        const labels = {
+            auto: ['⏺ Auto-record', 'Recording starts automatically at the scheduled time'],
+            prompt: ['⏺ Ask', 'A notification offers to start recording'],
+            off: ['⏺ Off', 'No recording reminder for this meeting']
+        };
+        const [text, title] = labels[policy] || ['⏺ Default', 'Uses the recording schedule rules'];
+        button.textContent = text;
+        button.title = `${title} - click to change`;
+        button.classList.toggle('set', !!labels[policy]);
+    }
+
+    // Default -> auto -> ask -> off -> default
+    async cycleRecordPolicy(button, meeting) {
+        const order = [null, 'auto', 'prompt', 'off'];
+        const next = order[(order.indexOf(meeting.recording_policy || null) + 1) % order.length];
+
+        try {
+            const result = await ipcRenderer.invoke('set-meeting-recording-policy', meeting.id, next);
+            if (!result.success) {
+                this.showError('Failed to change recording policy: ' + result.error);
+                return;
+            }
+            meeting.recording_policy = next;
+            this.renderRecordPolicy(button, next);
+        } catch (error) {
+            console.error('Error changing recording policy:', error);
+            this.showError('Failed to change recording policy');
+        }
+    }
+
     getMeetingStatus(startTime, endTime) {
         const now = dateOverride.now();
         
@@ -0,0 +1,417 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { app } = require('electron');
+const log = require('./utils/logger');
+const FileUtils = require('./file-utils');
+const { getLocalDateString } = require('./utils/date-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+const AUDIO_EXTENSIONS = ['.opus', '.m4a', '.wav', '.mp3'];
+const BACKUP_PATTERN = /_original\.[^.]+$/;
+
+// One-click cleanup: everything with a verified remote copy, whatever its age, and nothing without one
+const SAFE_CLEANUP_RULES = { recordingDays: 0, silenceDays: 0, backupDays: 0, attachmentDays: null, requireUpload: true };
+
+// Policy setting and label for the files removed once their own upload is old enough
+const FILE_RULES = { recording: 'recordingDays', silence: 'silenceDays', backup: 'backupDays' };
+const FILE_LABELS = { recording: 'Recording', silence: 'Silence file', backup: 'Split backup' };
+
+const STORAGE_TYPES = ['recording', 'silence', 'backup', 'markdown', 'attachment', 'other'];
+
+function classifyFile(filePath) {
+  const name = path.basename(filePath);
+  if (path.basename(path.dirname(filePath)) === 'attachments') {
+    return 'attachment';
+  }
+  if (FileUtils.isSilenceFile(name)) {
+    return 'silence';
+  }
+  if (BACKUP_PATTERN.test(name)) {
+    return 'backup';
+  }
+  if (AUDIO_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+    return 'recording';
+  }
+  return name.endsWith('.md') ? 'markdown' : 'other';
+}
+
+function emptySizes() {
+  return Object.fromEntries(STORAGE_TYPES.map(type => [type, 0]));
+}
+
+/**
+ * Retention Service
+ *
+ * Frees local disk space once meetings are safely uploaded. Each kind of file has its
+ * own rule in the retentionPolicy setting (days to keep, null = keep forever):
+ *
+ *   recordingDays  - audio
+ *   silenceDays    - .silence files cut out by the AudioSplitter
+ *   backupDays     - _original backups the AudioSplitter keeps
+ *   attachmentDays - attachments, counted from the meeting upload (they have no remote copy)
+ *
+ * Audio, silence files and backups count their days from the verified upload of that very
+ * file and are only removed while the local copy still matches it. Files are deleted, or
+ * moved to offloadPath when action is 'offload'. Every removal is recorded so the meeting
+ * reads as archived remotely instead of missing its recording.
+ */
+class RetentionService {
+  constructor(database, store) {
+    this.database = database;
+    this.store = store;
+    this.checkInterval = null;
+    this.isRunning = false;
+    this.projectRoot = path.dirname(__dirname);
+  }
+
+  start() {
+    this.checkInterval = setInterval(() => this.runScheduled(), CHECK_INTERVAL);
+    this.runScheduled();
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  getPolicy() {
+    return {
+      enabled: false,
+      action: 'delete',
+      offloadPath: null,
+      recordingDays: 30,
+      silenceDays: 7,
+      backupDays: 7,
+      attachmentDays: null,
+      ...(this.store.get('retentionPolicy') || {})
+    };
+  }
+
+  async runScheduled() {
+    if (!this.getPolicy().enabled) {
+      return;
+    }
+
+    try {
+      await this.run();
+    } catch (error) {
+      console.error('🧹 Error during retention cleanup:', error);
+    }
+  }
+
+  /**
+   * List what the policy would remove right now, without touching anything
+   * @returns {Promise<Object>} { candidates: [{ meetingId, meetingTitle, category, path, size, reason }], totalBytes }
+   */
+  async preview(policy = this.getPolicy(), meetingId = null) {
+    const candidates = await this.findCandidates(policy, meetingId);
+    return {
+      candidates: candidates.map(({ uploaded, ...candidate }) => candidate),
+      totalBytes: candidates.reduce((sum, candidate) => sum + candidate.size, 0)
+    };
+  }
+
+  /**
+   * Apply the policy
+   * @param {Object} options - { dryRun } returns the preview instead; { safeOnly } ignores the
+   *   day counts and removes everything already safely uploaded; { meetingId } limits it to one meeting
+   * @returns {Promise<Object>} { removed, failed: [{ path, error }], freedBytes }
+   */
+  async run({ dryRun = false, safeOnly = false, meetingId = null } = {}) {
+    const policy = safeOnly ? { ...this.getPolicy(), ...SAFE_CLEANUP_RULES } : this.getPolicy();
+    if (dryRun) {
+      return this.preview(policy, meetingId);
+    }
+    if (this.isRunning) {
+      return { removed: 0, failed: [], freedBytes: 0, error: 'Cleanup already running' };
+    }
+    if (policy.action === 'offload' && !policy.offloadPath) {
+      throw new Error('Retention action is offload but no offload folder is set');
+    }
+
+    this.isRunning = true;
+    const startedAt = Date.now();
+    const result = { removed: 0, failed: [], freedBytes: 0 };
+
+    try {
+      for (const candidate of await this.findCandidates(policy, meetingId)) {
+        try {
+          await this.removeFile(candidate, policy);
+          result.removed++;
+          result.freedBytes += candidate.size;
+        } catch (error) {
+          console.warn(`⚠️ Retention could not remove ${candidate.path}:`, error.message);
+          result.failed.push({ path: candidate.path, error: error.message });
+        }
+      }
+
+      log.info('[RETENTION] Cleanup completed', {
+        action: policy.action,
+        safeOnly,
+        meetingId,
+        removed: result.removed,
+        failed: result.failed.length,
+        freedBytes: result.freedBytes,
+        duration: Date.now() - startedAt,
+        timestamp: Date.now()
+      });
+
+      return result;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async findCandidates(policy, meetingId = null) {
+    const candidates = [];
+    const meetings = (await this.database.getMeetingsByUploadStatus('completed'))
+      .filter(meeting => meetingId === null || meeting.id === meetingId);
+
+    for (const meeting of meetings) {
+      try {
+        candidates.push(...await this.findMeetingCandidates(meeting, policy));
+      } catch (error) {
+        console.warn(`⚠️ Retention skipped meeting ${meeting.id}:`, error.message);
+      }
+    }
+
+    return candidates;
+  }
+
+  async findMeetingCandidates(meeting, policy) {
+    const sessions = await this.database.all('SELECT * FROM recording_sessions WHERE meeting_id = ?', [meeting.id]);
+    // A meeting being recorded again is not finished, whatever its upload status says
+    if (sessions.some(session => !session.completed)) {
+      return [];
+    }
+
+    const now = Date.now();
+    const candidates = [];
+    const uploadedFiles = await this.database.getMeetingUploadedFiles(meeting.id);
+    const add = (category, filePath, size, reason, extra = {}) => {
+      const session = sessions.find(s => s.final_path === filePath);
+      candidates.push({
+        meetingId: meeting.id,
+        meetingTitle: meeting.title,
+        sessionId: session ? session.id : null,
+        category,
+        path: filePath,
+        size,
+        reason,
+        ...extra
+      });
+    };
+
+    // Only the meeting's own folder and its recordings' folders; never title-matched guesses
+    const dirs = new Set([path.join(this.projectRoot, 'assets', getLocalDateString(meeting.start_time), meeting.folder_name)]);
+    sessions.filter(s => s.final_path).forEach(s => dirs.add(path.dirname(s.final_path)));
+
+    for (const dir of dirs) {
+      if (!(await fs.pathExists(dir))) {
+        continue;
+      }
+
+      for (const name of await fs.readdir(dir)) {
+        const filePath = path.join(dir, name);
+        const stats = await fs.stat(filePath);
+        if (!stats.isFile()) {
+          continue;
+        }
+        const category = classifyFile(filePath);
+        const days = policy[FILE_RULES[category]];
+        if (days === undefined || days === null) {
+          continue;
+        }
+
+        // Age counts from the verified upload of this file; one that never made it stays
+        const uploaded = uploadedFiles.find(u => u.file_name === name && !u.local_missing_at);
+        if (uploaded && (now - new Date(uploaded.uploaded_at).getTime()) / DAY_MS >= days) {
+          add(category, filePath, stats.size,
+            `${FILE_LABELS[category]} uploaded to ${uploaded.provider} more than ${days} days ago`, { uploaded });
+        }
+      }
+    }
+
+    if (!policy.requireUpload && policy.attachmentDays !== null && meeting.uploaded_at &&
+        (now - new Date(meeting.uploaded_at).getTime()) / DAY_MS >= policy.attachmentDays) {
+      const assetsRoot = path.join(app.getPath('userData'), 'assets');
+      for (const attachment of await this.database.getMeetingAttachments(meeting.id)) {
+        const filePath = await FileUtils.findAttachmentPath(assetsRoot, meeting, attachment.filename);
+        if (filePath) {
+          const stats = await fs.stat(filePath);
+          add('attachment', filePath, stats.size, `Meeting uploaded more than ${policy.attachmentDays} days ago`);
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Disk usage of everything under assets, by file type, by date and by meeting
+   * @returns {Promise<Object>} { totals, byDate: [{ date, sizes, total }], byMeeting: [{ meetingId, title,
+   *   date, folder, uploadStatus, sizes, total, cleanableBytes }], cleanableBytes, splitStatistics }
+   */
+  async getStorageUsage() {
+    const meetings = await this.database.all('SELECT id, title, folder_name, start_time, upload_status FROM meetings');
+    const recordings = await this.database.all('SELECT meeting_id, final_path FROM recording_sessions WHERE final_path IS NOT NULL');
+
+    // Folder -> meeting, both by its expected location and wherever its recordings ended up
+    const meetingsByDir = new Map();
+    const meetingsByFolder = new Map();
+    for (const meeting of meetings) {
+      meetingsByDir.set(path.join(this.projectRoot, 'assets', getLocalDateString(meeting.start_time), meeting.folder_name), meeting);
+      if (!meetingsByFolder.has(meeting.folder_name)) {
+        meetingsByFolder.set(meeting.folder_name, meeting);
+      }
+    }
+    for (const recording of recordings) {
+      const meeting = meetings.find(m => m.id === recording.meeting_id);
+      if (meeting && !meetingsByDir.has(path.dirname(recording.final_path))) {
+        meetingsByDir.set(path.dirname(recording.final_path), meeting);
+      }
+    }
+
+    const totals = emptySizes();
+    const byDate = new Map();
+    const byMeeting = new Map();
+
+    const addFile = (date, folder, filePath, size) => {
+      const category = classifyFile(filePath);
+      const meeting = meetingsByDir.get(path.join(this.projectRoot, 'assets', date, folder)) || meetingsByFolder.get(folder);
+      const key = meeting ? `meeting-${meeting.id}` : `${date}/${folder}`;
+
+      if (!byDate.has(date)) {
+        byDate.set(date, { date, sizes: emptySizes(), total: 0 });
+      }
+      if (!byMeeting.has(key)) {
+        byMeeting.set(key, {
+          meetingId: meeting ? meeting.id : null,
+          title: meeting ? meeting.title : folder,
+          date: meeting ? getLocalDateString(meeting.start_time) : date,
+          folder,
+          uploadStatus: meeting ? meeting.upload_status || 'pending' : null,
+          sizes: emptySizes(),
+          total: 0,
+          cleanableBytes: 0
+        });
+      }
+
+      for (const bucket of [byDate.get(date), byMeeting.get(key)]) {
+        bucket.sizes[category] += size;
+        bucket.total += size;
+      }
+      totals[category] += size;
+    };
+
+    const assetRoots = [...new Set([path.join(this.projectRoot, 'assets'), path.join(app.getPath('userData'), 'assets')])];
+    for (const assetsRoot of assetRoots) {
+      await this.walkAssets(assetsRoot, addFile);
+    }
+
+    // What one-click cleanup would free right now
+    const { candidates } = await this.preview({ ...this.getPolicy(), ...SAFE_CLEANUP_RULES });
+    for (const candidate of candidates) {
+      const entry = byMeeting.get(`meeting-${candidate.meetingId}`);
+      if (entry) {
+        entry.cleanableBytes += candidate.size;
+      }
+    }
+
+    return {
+      totals: { ...totals, total: Object.values(totals).reduce((sum, size) => sum + size, 0) },
+      byDate: [...byDate.values()].sort((a, b) => b.date.localeCompare(a.date)),
+      byMeeting: [...byMeeting.values()].sort((a, b) => b.total - a.total),
+      cleanableBytes: candidates.reduce((sum, candidate) => sum + candidate.size, 0),
+      splitStatistics: await this.database.getSplitStatistics()
+    };
+  }
+
+  // Calls onFile(date, folder, filePath, size) for every file in <assetsRoot>/<date>/<folder>/**
+  async walkAssets(assetsRoot, onFile) {
+    if (!(await fs.pathExists(assetsRoot))) {
+      return;
+    }
+
+    const walk = async (dir, date, folder) => {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath, date, folder);
+        } else if (entry.isFile()) {
+          onFile(date, folder, entryPath, (await fs.stat(entryPath)).size);
+        }
+      }
+    };
+
+    for (const date of await fs.readdir(assetsRoot)) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        continue;
+      }
+      for (const folder of await fs.readdir(path.join(assetsRoot, date), { withFileTypes: true })) {
+        if (folder.isDirectory()) {
+          await walk(path.join(assetsRoot, date, folder.name), date, folder.name);
+        }
+      }
+    }
+  }
+
+  async removeFile(candidate, policy) {
+    if (policy.requireUpload && !candidate.uploaded) {
+      throw new Error('File has no verified upload');
+    }
+    // The remote copy must still match what is on disk; an edited file was never uploaded in this form
+    if (candidate.uploaded && await FileUtils.computeMd5(candidate.path) !== candidate.uploaded.content_hash) {
+      throw new Error('Local file differs from the uploaded copy');
+    }
+
+    let offloadPath = null;
+    if (policy.action === 'offload') {
+      offloadPath = await this.offloadFile(candidate.path, policy.offloadPath);
+    } else {
+      await fs.remove(candidate.path);
+    }
+
+    await this.database.recordRetentionRemoval({
+      meetingId: candidate.meetingId,
+      sessionId: candidate.sessionId,
+      category: candidate.category,
+      filePath: candidate.path,
+      fileSize: candidate.size,
+      action: offloadPath ? 'offloaded' : 'deleted',
+      offloadPath,
+      remoteProvider: candidate.uploaded ? candidate.uploaded.provider : null,
+      remoteFileId: candidate.uploaded ? candidate.uploaded.remote_file_id : null
+    });
+
+    if (candidate.uploaded) {
+      await this.database.markUploadedFileLocalMissing(candidate.uploaded.id);
+    }
+
+    console.log(`🧹 ${offloadPath ? 'Offloaded' : 'Deleted'} ${candidate.category} ${path.basename(candidate.path)}`);
+  }
+
+  // Keep the assets/<date>/<folder> layout below the offload folder and verify before deleting
+  async offloadFile(filePath, offloadRoot) {
+    const assetsRoot = filePath.startsWith(path.join(this.projectRoot, 'assets'))
+      ? path.join(this.projectRoot, 'assets')
+      : path.join(app.getPath('userData'), 'assets');
+    const target = path.join(offloadRoot, path.relative(assetsRoot, filePath));
+
+    await fs.ensureDir(path.dirname(target));
+    await fs.copy(filePath, target, { overwrite: true, preserveTimestamps: true });
+
+    if (await FileUtils.computeMd5(target) !== await FileUtils.computeMd5(filePath)) {
+      await fs.remove(target);
+      throw new Error('Offloaded copy does not match the original');
+    }
+
+    await fs.remove(filePath);
+    return target;
+  }
+}
+
+module.exports = RetentionService;
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { httpRequest, responseError, isSuccess } = require('./utils/http-request');
+
+// Streamed bodies are not hashed up front; S3 and MinIO accept this over HTTPS and HTTP
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+// RFC 3986 encoding required by SigV4 (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * S3-Compatible Storage Provider
+ *
+ * Uploads to any S3 API (AWS, MinIO, Wasabi, R2...) with hand-rolled SigV4 signing.
+ * Objects are stored as <prefix>/<date>/<meeting-folder>/<file>; the folder
+ * reference is that key prefix. Set endpoint for anything other than AWS -
+ * path-style addressing is used whenever an endpoint is configured.
+ *
+ * Config (store key s3Config): { endpoint, region, bucket, accessKeyId, secretAccessKey, prefix }
+ */
+class S3Provider {
+  constructor(options = {}) {
+    const config = options.config || {};
+    this.endpoint = config.endpoint ? config.endpoint.replace(/\/+$/, '') : null;
+    this.region = config.region || 'us-east-1';
+    this.bucket = config.bucket || null;
+    this.accessKeyId = config.accessKeyId || null;
+    this.secretAccessKey = config.secretAccessKey || null;
+    this.prefix = (config.prefix || 'Notes').replace(/^\/+|\/+$/g, '');
+  }
+
+  static get id() {
+    return 's3';
+  }
+
+  static get displayName() {
+    return 'S3-compatible storage';
+  }
+
+  async connect() {
+    const missing = ['bucket', 'accessKeyId', 'secretAccessKey'].filter(key => !this[key]);
+    if (missing.length > 0) {
+      throw new Error(`S3 storage not configured (missing ${missing.join(', ')})`);
+    }
+  }
+
+  async ensureMeetingFolder(dateStr, meetingFolderName) {
+    // S3 has no folders; the key prefix is created implicitly by the first upload
+    return [this.prefix, dateStr, meetingFolderName].filter(Boolean).join('/') + '/';
+  }
+
+  async uploadFile(file, folderRef) {
+    const key = `${folderRef}${file.name}`;
+    const stats = await fs.stat(file.path);
+
+    // PUT overwrites an existing object, so re-uploads need no delete
+    const response = await this.request('PUT', key, {
+      filePath: file.path,
+      headers: {
+        'content-length': String(stats.size),
+        'content-type': file.type === 'markdown' ? 'text/markdown' : 'audio/opus'
+      }
+    });
+
+    if (!isSuccess(response)) {
+      throw responseError(response, `S3 upload of ${file.name}`);
+    }
+
+    console.log(`📤 Uploaded ${file.name} to s3://${this.bucket}/${key}`);
+    return {
+      id: key,
+      name: file.name,
+      size: stats.size,
+      etag: response.headers.etag ? response.headers.etag.replace(/"/g, '') : null
+    };
+  }
+
+  // Object keys are stable, so an update is an overwrite of the same key
+  async updateFile(file, remoteFileId, folderRef) {
+    return this.uploadFile(file, folderRef);
+  }
+
+  async deleteFile(key) {
+    const response = await this.request('DELETE', key);
+    if (!isSuccess(response) && response.statusCode !== 404) {
+      throw responseError(response, `S3 delete of ${key}`);
+    }
+    console.log(`🗑️ Deleted s3://${this.bucket}/${key}`);
+  }
+
+  async deleteFolder(folderRef) {
+    await this.connect();
+
+    const keys = await this.listKeys(folderRef);
+    for (const key of keys) {
+      const response = await this.request('DELETE', key);
+      if (!isSuccess(response) && response.statusCode !== 404) {
+        throw responseError(response, `S3 delete of ${key}`);
+      }
+    }
+
+    console.log(`✅ Deleted ${keys.length} object(s) under s3://${this.bucket}/${folderRef}`);
+    return { success: true };
+  }
+
+  async listKeys(prefix) {
+    const keys = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+
+      const response = await this.request('GET', '', { query });
+      if (!isSuccess(response)) {
+        throw responseError(response, 'S3 list');
+      }
+
+      for (const match of response.body.matchAll(/<Key>([\s\S]*?)<\/Key>/g)) {
+        keys.push(decodeXml(match[1]));
+      }
+
+      const token = response.body.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/);
+      continuationToken = token ? decodeXml(token[1]) : null;
+    } while (continuationToken);
+
+    return keys;
+  }
+
+  async testConnection() {
+    try {
+      await this.connect();
+      const response = await this.request('GET', '', { query: { 'list-type': '2', 'max-keys': '1', prefix: `${this.prefix}/` } });
+      if (!isSuccess(response)) {
+        throw responseError(response, `Access to bucket ${this.bucket}`);
+      }
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Build the object URL; path-style for custom endpoints, virtual-hosted for AWS
+   */
+  buildUrl(key, query = {}) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const base = this.endpoint
+      ? `${this.endpoint}/${this.bucket}/${encodedKey}`
+      : `https://${this.bucket}.s3.${this.region}.amazonaws.com/${encodedKey}`;
+
+    const queryString = Object.keys(query)
+      .sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    return queryString ? `${base}?${queryString}` : base;
+  }
+
+  async request(method, key, options = {}) {
+    const url = this.buildUrl(key, options.query);
+    const payloadHash = options.filePath ? UNSIGNED_PAYLOAD : EMPTY_PAYLOAD_HASH;
+    const headers = this.signRequest(method, new URL(url), options.headers || {}, payloadHash);
+
+    return httpRequest(url, {
+      method,
+      headers,
+      filePath: options.filePath
+    });
+  }
+
+  /**
+   * AWS Signature Version 4
+   * @returns {Object} Request headers including Authorization
+   */
+  signRequest(method, url, extraHeaders, payloadHash) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const headers = {
+      ...extraHeaders,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+
+    const signedHeaderNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = signedHeaderNames
+      .map(name => `${name}:${String(lowerCased[name]).trim().replace(/\s+/g, ' ')}\n`)
+      .join('');
+    const signedHeaders = signedHeaderNames.join(';');
+
+    // URL keeps our RFC 3986 encoding, which is exactly the canonical form
+    const canonicalQuery = url.search ? url.search.slice(1) : '';
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...headers,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+}
+
+module.exports = S3Provider;
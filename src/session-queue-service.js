@@ -0,0 +1,170 @@
+const fs = require('fs-extra');
+const FileUtils = require('./file-utils');
+
+/**
+ * Session Queue Service
+ *
+ * Shared base of the services that run an offline engine over finished recordings one
+ * session at a time (transcription, diarization). It keeps the queue, records queued
+ * sessions as pending so initialize() resumes them after a restart, checks a session is
+ * ready for its engine and reports status changes to the window.
+ *
+ * Subclasses pass a description of their job to the constructor and implement
+ * createEngine() and processSession(sessionId).
+ */
+class SessionQueueService {
+  /**
+   * @param {Object} job
+   * @param {string} job.name - 'Transcription', used in messages
+   * @param {string} job.verb - 'transcribe', used in messages
+   * @param {string} job.icon - Emoji for console messages
+   * @param {string} job.enabledSetting - Store key that turns the job off when false
+   * @param {string} job.statusChannel - IPC channel for status changes
+   * @param {Function} job.setStatus - (sessionId, meetingId, status, details) => Promise
+   * @param {Function} job.getByStatus - (status) => Promise<Array> of rows with session_id
+   */
+  constructor(database, store, mainWindow, job) {
+    this.database = database;
+    this.store = store;
+    this.mainWindow = mainWindow;
+    this.job = job;
+    this.queue = [];
+    this.isProcessing = false;
+  }
+
+  /**
+   * Requeue sessions that were pending or interrupted when the app last quit
+   */
+  async initialize() {
+    const interrupted = await this.job.getByStatus('processing');
+    const pending = await this.job.getByStatus('pending');
+
+    for (const row of [...interrupted, ...pending]) {
+      await this.queueSession(row.session_id);
+    }
+
+    if (interrupted.length + pending.length > 0) {
+      console.log(`${this.job.icon} Resuming ${interrupted.length + pending.length} ${this.job.name.toLowerCase()}(s)`);
+    }
+  }
+
+  /**
+   * Add a finished recording session to the queue. The session is recorded as pending
+   * first, so initialize() picks it up again if the app quits before it runs.
+   * @param {number} sessionId - Recording session ID
+   */
+  async queueSession(sessionId) {
+    if (this.queue.includes(sessionId)) {
+      return;
+    }
+
+    try {
+      const session = await this.database.getRecordingSession(sessionId);
+      if (session) {
+        await this.job.setStatus(sessionId, session.meeting_id, 'pending');
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not record queued ${this.job.name.toLowerCase()} for session ${sessionId}:`, error.message);
+    }
+
+    if (!this.queue.includes(sessionId)) {
+      this.queue.push(sessionId);
+    }
+    this.processQueue();
+  }
+
+  /**
+   * Queue every completed recording of a meeting (manual re-run)
+   * @param {number} meetingId - Meeting ID
+   * @returns {Promise<number>} Number of recordings queued
+   */
+  async queueMeeting(meetingId) {
+    const recordings = await this.database.getCompletedRecordings(meetingId);
+    for (const recording of recordings) {
+      await this.queueSession(recording.id);
+    }
+    return recordings.length;
+  }
+
+  async processQueue() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      while (this.queue.length > 0) {
+        const sessionId = this.queue.shift();
+        try {
+          await this.processSession(sessionId);
+        } catch (error) {
+          console.error(`❌ ${this.job.name} failed for session ${sessionId}:`, error);
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Load a session and an available engine for it, or settle why it is skipped
+   * @param {number} sessionId - Recording session ID
+   * @returns {Promise<Object>} { session, engine } to go ahead, or { result } to return as is
+   */
+  async prepareSession(sessionId) {
+    const session = await this.database.getRecordingSession(sessionId);
+    if (!session || !session.final_path) {
+      return { result: { success: false, error: 'Recording session not found' } };
+    }
+
+    // Parts merged into one recording are processed as part of it
+    if (session.merged_into) {
+      return { result: { success: true, skipped: true } };
+    }
+
+    const skip = async (reason) => {
+      await this.job.setStatus(sessionId, session.meeting_id, 'skipped', { error: reason });
+      return { result: { success: true, skipped: true } };
+    };
+
+    if (this.store.get(this.job.enabledSetting) === false) {
+      return skip(`${this.job.name} disabled`);
+    }
+
+    if (!FileUtils.shouldProcessAudioFile(session.final_path) || !(await fs.pathExists(session.final_path))) {
+      return skip(`No audio file to ${this.job.verb}`);
+    }
+
+    const engine = this.createEngine();
+    const availability = await engine.isAvailable();
+    if (!availability.available) {
+      console.log(`⏭️ ${this.job.name} skipped for session ${sessionId}: ${availability.reason}`);
+      return skip(availability.reason);
+    }
+
+    return { session, engine };
+  }
+
+  // The part was merged while the engine ran; the merged recording is processed instead
+  async wasMergedMeanwhile(sessionId) {
+    const current = await this.database.getRecordingSession(sessionId);
+    return !!(current && current.merged_into);
+  }
+
+  notifyStatusChange(meetingId, sessionId, status, error = null) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(this.job.statusChannel, {
+        meetingId,
+        sessionId,
+        status,
+        error
+      });
+    }
+  }
+
+  getQueueLength() {
+    return this.queue.length;
+  }
+}
+
+module.exports = SessionQueueService;
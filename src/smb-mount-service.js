@@ -0,0 +1,613 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { app, safeStorage, Notification } = require('electron');
+const log = require('./utils/logger');
+const FileUtils = require('./file-utils');
+
+const STATUS_CHECK_INTERVAL = 60 * 1000;
+const MOUNT_TIMEOUT = 30 * 1000;
+const PROBE_FILE_NAME = '.granular-write-test';
+const MAX_ARCHIVE_ATTEMPTS = 3;
+// Keychain internet-password protocol code for SMB (four characters)
+const KEYCHAIN_SMB_PROTOCOL = 'smb ';
+
+/**
+ * SMB Mount Service
+ *
+ * Connects to an SMB network share and uses it as an archive target: every
+ * finalized meeting folder is copied to <share>/<remotePath>/<date>/<folder>/.
+ * The share is either mounted by the service (mount_smbfs on macOS, gio on Linux)
+ * or, when smbConfig.localPath is set, addressed at a path the OS already mounted.
+ * The password is kept encrypted with the OS keychain via safeStorage, and never put on
+ * a command line where other users could read it with ps: mount_smbfs finds it in the
+ * Keychain, gio reads it from stdin.
+ *
+ * A meeting that fails to archive while the share is up is retried on the next status
+ * checks; after MAX_ARCHIVE_ATTEMPTS it is listed in failedArchives and the user is told.
+ */
+class SMBMountService {
+  constructor(store, mainWindow = null) {
+    this.store = store;
+    this.mainWindow = mainWindow;
+    this.mountPoint = null;
+    this.mountedByService = false;
+    this.connected = false;
+    this.lastError = null;
+    this.lastCheckedAt = null;
+    this.lastArchive = null;
+    this.statusTimer = null;
+    this.archiveQueue = [];
+    this.failedArchives = [];
+    this.isArchiving = false;
+  }
+
+  async initialize() {
+    const config = this.getConfig();
+
+    if (config.localPath || (config.server && config.share && config.username && config.encryptedPassword)) {
+      const password = config.encryptedPassword ? this.decryptPassword(config.encryptedPassword) : null;
+      const result = await this.connect(config.username, password);
+      if (!result.success) {
+        console.warn(`⚠️ SMB share not connected on startup: ${result.error}`);
+      }
+    }
+
+    this.statusTimer = setInterval(() => this.refreshStatus(), STATUS_CHECK_INTERVAL);
+  }
+
+  getConfig() {
+    return { remotePath: 'Notes', archiveEnabled: true, ...(this.store.get('smbConfig') || {}) };
+  }
+
+  /**
+   * Mount (or address) the share and remember the credentials
+   * @param {string} username - Share user
+   * @param {string} password - Share password
+   * @param {Object} shareConfig - Optional { server, share, remotePath, localPath } to save first
+   * @returns {Promise<Object>} { success, mountPoint, error }
+   */
+  async connect(username, password, shareConfig = {}) {
+    const config = { ...this.getConfig(), ...this.pickShareConfig(shareConfig) };
+
+    try {
+      const mountPoint = await this.mountShare(config, username, password);
+      await this.probeWritable(this.getArchiveRoot(mountPoint, config));
+
+      // Only keep credentials that have been shown to work
+      this.store.set('smbConfig', {
+        ...config,
+        username: username || null,
+        encryptedPassword: password ? this.encryptPassword(password) : config.encryptedPassword || null
+      });
+
+      this.mountPoint = mountPoint;
+      this.setConnected(true, null);
+
+      log.info('[SMB] Share connected', {
+        server: config.server,
+        share: config.share,
+        mountPoint,
+        mountedByService: this.mountedByService,
+        timestamp: Date.now()
+      });
+
+      return { success: true, mountPoint };
+    } catch (error) {
+      log.error('[SMB] Share connection failed', {
+        server: config.server,
+        share: config.share,
+        error: error.message,
+        timestamp: Date.now()
+      });
+
+      this.setConnected(false, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Unmount the share (if this service mounted it) and forget the saved password
+   * @returns {Promise<Object>} { success, error }
+   */
+  async disconnect() {
+    try {
+      if (this.mountPoint && this.mountedByService) {
+        await this.unmountShare(this.mountPoint);
+      }
+
+      const config = this.getConfig();
+      if (process.platform === 'darwin' && config.server && config.username) {
+        await this.deleteKeychainPassword(config.server, config.username);
+      }
+      this.store.set('smbConfig', { ...config, encryptedPassword: null });
+
+      this.mountPoint = null;
+      this.mountedByService = false;
+      this.setConnected(false, null);
+
+      log.info('[SMB] Share disconnected', {
+        server: config.server,
+        share: config.share,
+        timestamp: Date.now()
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error disconnecting SMB share:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check credentials against the share without saving them or staying connected
+   * @returns {Promise<Object>} { success, error }
+   */
+  async testConnection(username, password, shareConfig = {}) {
+    const config = { ...this.getConfig(), ...this.pickShareConfig(shareConfig) };
+
+    // Already connected with the same account: probing the live mount is enough
+    if (this.connected && this.mountPoint && username === config.username) {
+      try {
+        await this.probeWritable(this.getArchiveRoot(this.mountPoint, config));
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    const wasMountedByService = this.mountedByService;
+    let mountPoint = null;
+    try {
+      mountPoint = await this.mountShare(config, username, password, 'smb-test');
+      await this.probeWritable(this.getArchiveRoot(mountPoint, config));
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      // gvfs hands back an existing mount of the same share; leave the live one alone
+      if (mountPoint && this.mountedByService && mountPoint !== this.mountPoint) {
+        await this.unmountShare(mountPoint).catch(error => {
+          console.warn('⚠️ Could not unmount SMB test mount:', error.message);
+        });
+      }
+      this.mountedByService = wasMountedByService;
+      if (process.platform === 'darwin' && !config.localPath && config.server && username) {
+        await this.restoreKeychainPassword(config.server, username);
+      }
+    }
+  }
+
+  async getConnectionStatus() {
+    await this.refreshStatus();
+    const config = this.getConfig();
+
+    return {
+      connected: this.connected,
+      mountPoint: this.mountPoint,
+      server: config.server || null,
+      share: config.share || null,
+      remotePath: config.remotePath,
+      username: config.username || null,
+      hasSavedPassword: !!config.encryptedPassword,
+      archiveEnabled: config.archiveEnabled !== false,
+      lastError: this.lastError,
+      lastCheckedAt: this.lastCheckedAt,
+      lastArchive: this.lastArchive,
+      archiveQueueLength: this.archiveQueue.length,
+      failedArchives: this.failedArchives
+    };
+  }
+
+  // A share that drops (VPN off, server restarted) stays "mounted" but stops answering
+  async refreshStatus() {
+    this.lastCheckedAt = Date.now();
+
+    if (!this.mountPoint) {
+      return;
+    }
+
+    try {
+      await this.probeWritable(this.getArchiveRoot(this.mountPoint, this.getConfig()));
+      this.setConnected(true, null);
+      this.processArchiveQueue();
+    } catch (error) {
+      this.setConnected(false, `Share not reachable: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue a finalized meeting folder to be copied to the share
+   * @param {Object} meetingFolder - { meetingId, dateStr, folderName, sourceDir }
+   */
+  queueMeetingArchive(meetingFolder) {
+    if (this.getConfig().archiveEnabled === false) {
+      return;
+    }
+
+    // A newer request for the same meeting supersedes the queued or failed one
+    this.archiveQueue = this.archiveQueue.filter(item => item.meetingId !== meetingFolder.meetingId);
+    this.failedArchives = this.failedArchives.filter(item => item.meetingId !== meetingFolder.meetingId);
+    this.archiveQueue.push({ ...meetingFolder, attempts: 0, lastError: null });
+    this.processArchiveQueue();
+  }
+
+  async processArchiveQueue() {
+    if (this.isArchiving || !this.connected) {
+      return;
+    }
+
+    this.isArchiving = true;
+    try {
+      // One attempt per item per pass; what fails waits for the next status check
+      for (const meetingFolder of [...this.archiveQueue]) {
+        if (!this.connected) {
+          break;
+        }
+        if (!this.archiveQueue.includes(meetingFolder)) {
+          continue; // superseded while an earlier item was copying
+        }
+
+        try {
+          await this.archiveMeetingFolder(meetingFolder);
+          this.archiveQueue = this.archiveQueue.filter(item => item !== meetingFolder);
+        } catch (error) {
+          console.error(`❌ SMB archive failed for meeting ${meetingFolder.meetingId}:`, error);
+          // A dead share fails every item the same way; that doesn't count against the item
+          await this.refreshStatus();
+          if (this.connected) {
+            this.recordArchiveFailure(meetingFolder, error);
+          }
+        }
+      }
+    } finally {
+      this.isArchiving = false;
+    }
+  }
+
+  recordArchiveFailure(meetingFolder, error) {
+    meetingFolder.attempts++;
+    meetingFolder.lastError = error.message;
+    if (meetingFolder.attempts < MAX_ARCHIVE_ATTEMPTS) {
+      return;
+    }
+
+    this.archiveQueue = this.archiveQueue.filter(item => item !== meetingFolder);
+    this.failedArchives.push({
+      meetingId: meetingFolder.meetingId,
+      folderName: meetingFolder.folderName,
+      attempts: meetingFolder.attempts,
+      error: meetingFolder.lastError,
+      failedAt: Date.now()
+    });
+
+    log.error('[SMB] Meeting archive failed', {
+      meetingId: meetingFolder.meetingId,
+      folderName: meetingFolder.folderName,
+      attempts: meetingFolder.attempts,
+      error: meetingFolder.lastError,
+      timestamp: Date.now()
+    });
+
+    if (Notification.isSupported()) {
+      new Notification({
+        title: 'Archive to network share failed',
+        body: `${meetingFolder.folderName} could not be copied after ${meetingFolder.attempts} attempts: ${meetingFolder.lastError}`
+      }).show();
+    }
+    this.notifyStatusChange();
+  }
+
+  /**
+   * Copy every file of a meeting folder to the share, skipping files already there unchanged
+   * @param {Object} meetingFolder - { meetingId, dateStr, folderName, sourceDir }
+   * @returns {Promise<Object>} { copied, skipped, destination }
+   */
+  async archiveMeetingFolder({ meetingId, dateStr, folderName, sourceDir }) {
+    if (!this.mountPoint) {
+      throw new Error('SMB share is not connected');
+    }
+
+    const startedAt = Date.now();
+    const destination = path.join(this.getArchiveRoot(this.mountPoint, this.getConfig()), dateStr, folderName);
+    const files = await this.listFiles(sourceDir);
+    let copied = 0;
+    let skipped = 0;
+
+    for (const relativePath of files) {
+      const wasCopied = await this.copyFileVerified(
+        path.join(sourceDir, relativePath),
+        path.join(destination, relativePath)
+      );
+      wasCopied ? copied++ : skipped++;
+    }
+
+    this.lastArchive = { meetingId, destination, copied, skipped, completedAt: Date.now() };
+
+    log.info('[SMB] Meeting archived', {
+      meetingId,
+      destination,
+      copied,
+      skipped,
+      duration: Date.now() - startedAt,
+      timestamp: Date.now()
+    });
+
+    this.notifyStatusChange();
+    return { copied, skipped, destination };
+  }
+
+  // Relative paths of all regular files below a directory (attachments live in a subfolder)
+  async listFiles(dir, prefix = '') {
+    const files = [];
+    const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+
+    for (const entry of entries) {
+      const relativePath = path.join(prefix, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(dir, relativePath));
+      } else if (entry.isFile() && !entry.name.startsWith('.')) {
+        files.push(relativePath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Copy to a temporary name, check size and MD5 against the source, then rename into place,
+   * so the share never holds a half-written file under the real name
+   * @returns {Promise<boolean>} false when an identical copy was already on the share
+   */
+  async copyFileVerified(sourcePath, targetPath) {
+    const sourceStats = await fs.stat(sourcePath);
+    const sourceMd5 = await FileUtils.computeMd5(sourcePath);
+
+    if (await fs.pathExists(targetPath)) {
+      const targetStats = await fs.stat(targetPath);
+      if (targetStats.size === sourceStats.size && await FileUtils.computeMd5(targetPath) === sourceMd5) {
+        return false;
+      }
+    }
+
+    const partialPath = `${targetPath}.partial`;
+    await fs.ensureDir(path.dirname(targetPath));
+
+    try {
+      await fs.copy(sourcePath, partialPath, { overwrite: true, preserveTimestamps: true });
+
+      const copiedStats = await fs.stat(partialPath);
+      if (copiedStats.size !== sourceStats.size) {
+        throw new Error(`Size mismatch for ${path.basename(sourcePath)}: copied ${copiedStats.size} of ${sourceStats.size} bytes`);
+      }
+      if (await FileUtils.computeMd5(partialPath) !== sourceMd5) {
+        throw new Error(`Checksum mismatch for ${path.basename(sourcePath)}`);
+      }
+
+      await fs.move(partialPath, targetPath, { overwrite: true });
+      return true;
+    } catch (error) {
+      await fs.remove(partialPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  getArchiveRoot(mountPoint, config) {
+    return config.remotePath ? path.join(mountPoint, config.remotePath) : mountPoint;
+  }
+
+  async probeWritable(dir) {
+    await fs.ensureDir(dir);
+    const probePath = path.join(dir, PROBE_FILE_NAME);
+    const content = `granular ${Date.now()}`;
+
+    await fs.writeFile(probePath, content);
+    const readBack = await fs.readFile(probePath, 'utf8');
+    await fs.remove(probePath);
+
+    if (readBack !== content) {
+      throw new Error('Share returned different data than was written');
+    }
+  }
+
+  /**
+   * Make the share reachable as a local directory and return its path
+   * @param {string} mountName - Directory name under userData for service-made mounts
+   */
+  async mountShare(config, username, password, mountName = 'smb') {
+    if (config.localPath) {
+      if (!(await fs.pathExists(config.localPath))) {
+        throw new Error(`Share path not found: ${config.localPath}`);
+      }
+      this.mountedByService = false;
+      return config.localPath;
+    }
+
+    if (!config.server || !config.share) {
+      throw new Error('SMB server and share are not configured');
+    }
+    if (!username || !password) {
+      throw new Error('SMB username and password are required');
+    }
+
+    if (process.platform === 'darwin') {
+      const mountPoint = path.join(app.getPath('userData'), mountName, config.share);
+      await fs.ensureDir(mountPoint);
+
+      if (!(await this.isMountPoint(mountPoint))) {
+        // -N: no prompt; mount_smbfs takes the password from the Keychain item for this account
+        await this.storeKeychainPassword(config.server, username, password);
+        const url = `//${encodeURIComponent(username)}@${config.server}/${encodeURIComponent(config.share)}`;
+        await this.runCommand('mount_smbfs', ['-N', url, mountPoint]);
+      }
+
+      this.mountedByService = true;
+      return mountPoint;
+    }
+
+    if (process.platform === 'linux') {
+      // gvfs mounts are per-user and need no root; gio asks for the password on stdin
+      const url = `smb://${encodeURIComponent(username)}@${config.server}/${encodeURIComponent(config.share)}`;
+
+      let mountPoint = await this.findGvfsMount(config);
+      if (!mountPoint) {
+        await this.runCommand('gio', ['mount', url], `${config.domain || 'WORKGROUP'}\n${password}\n`);
+        mountPoint = await this.findGvfsMount(config);
+      }
+      if (!mountPoint) {
+        throw new Error('gio reported success but the share is not mounted under gvfs');
+      }
+
+      this.mountedByService = true;
+      return mountPoint;
+    }
+
+    throw new Error(`Mounting SMB shares is not supported on ${process.platform}; set smbConfig.localPath to a mounted share`);
+  }
+
+  /**
+   * Save the password as the Keychain's SMB internet password for the account. security
+   * reads the command from stdin (-i) so the password never appears in its arguments.
+   */
+  async storeKeychainPassword(server, username, password) {
+    if (/[\r\n]/.test(password)) {
+      throw new Error('SMB passwords cannot contain line breaks');
+    }
+    const quote = (value) => `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+    await this.runCommand('security', ['-i'], [
+      'add-internet-password', '-U',
+      '-r', quote(KEYCHAIN_SMB_PROTOCOL),
+      '-s', quote(server),
+      '-a', quote(username),
+      '-l', quote(`${server} (Granular)`),
+      '-w', quote(password)
+    ].join(' ') + '\n');
+  }
+
+  async deleteKeychainPassword(server, username) {
+    await this.runCommand('security', ['delete-internet-password', '-r', KEYCHAIN_SMB_PROTOCOL, '-s', server, '-a', username])
+      .catch(() => {}); // nothing saved for this account
+  }
+
+  // After a test with other credentials, put the Keychain back to the saved password
+  async restoreKeychainPassword(server, username) {
+    const config = this.getConfig();
+    const savedPassword = config.encryptedPassword && config.server === server && config.username === username
+      ? this.decryptPassword(config.encryptedPassword)
+      : null;
+
+    try {
+      if (savedPassword) {
+        await this.storeKeychainPassword(server, username, savedPassword);
+      } else {
+        await this.deleteKeychainPassword(server, username);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not restore the SMB Keychain entry:', error.message);
+    }
+  }
+
+  async unmountShare(mountPoint) {
+    if (process.platform === 'darwin') {
+      await this.runCommand('umount', [mountPoint]);
+    } else if (process.platform === 'linux') {
+      await this.runCommand('gio', ['mount', '-u', mountPoint]);
+    }
+  }
+
+  // gvfs names mounts "smb-share:server=<host>,share=<share>[,user=...]" (lowercased)
+  async findGvfsMount(config) {
+    const gvfsDir = path.join('/run/user', String(os.userInfo().uid), 'gvfs');
+    const prefix = `smb-share:server=${config.server.toLowerCase()},share=${config.share.toLowerCase()}`;
+
+    try {
+      const entries = await fs.readdir(gvfsDir);
+      const entry = entries.find(name => name === prefix || name.startsWith(`${prefix},`));
+      return entry ? path.join(gvfsDir, entry) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // A mounted directory sits on a different device than its parent
+  async isMountPoint(dir) {
+    try {
+      const [dirStats, parentStats] = await Promise.all([fs.stat(dir), fs.stat(path.dirname(dir))]);
+      return dirStats.dev !== parentStats.dev;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  runCommand(command, args, input = null) {
+    return new Promise((resolve, reject) => {
+      const child = execFile(command, args, { timeout: MOUNT_TIMEOUT }, (error, stdout, stderr) => {
+        if (error) {
+          // Never surface the command line or input; they may name the account or carry the password
+          const message = (stderr || '').trim() || (error.killed ? 'timed out' : `exit code ${error.code}`);
+          reject(new Error(`${command} failed: ${message}`));
+        } else {
+          resolve(stdout);
+        }
+      });
+
+      if (input !== null) {
+        child.stdin.end(input);
+      }
+    });
+  }
+
+  pickShareConfig({ server, share, remotePath, localPath, domain }) {
+    const picked = { server, share, remotePath, localPath, domain };
+    Object.keys(picked).forEach(key => picked[key] === undefined && delete picked[key]);
+    return picked;
+  }
+
+  encryptPassword(password) {
+    if (!safeStorage.isEncryptionAvailable()) {
+      throw new Error('Secure storage is not available; the SMB password cannot be saved');
+    }
+    return safeStorage.encryptString(password).toString('base64');
+  }
+
+  decryptPassword(encryptedPassword) {
+    try {
+      return safeStorage.decryptString(Buffer.from(encryptedPassword, 'base64'));
+    } catch (error) {
+      console.warn('⚠️ Could not decrypt saved SMB password:', error.message);
+      return null;
+    }
+  }
+
+  setConnected(connected, error) {
+    const changed = this.connected !== connected || this.lastError !== error;
+    this.connected = connected;
+    this.lastError = error;
+
+    if (changed) {
+      this.notifyStatusChange();
+    }
+  }
+
+  notifyStatusChange() {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('smb-connection-status-changed', {
+        connected: this.connected,
+        mountPoint: this.mountPoint,
+        lastError: this.lastError,
+        lastArchive: this.lastArchive,
+        failedArchives: this.failedArchives
+      });
+    }
+  }
+
+  stop() {
+    if (this.statusTimer) {
+      clearInterval(this.statusTimer);
+      this.statusTimer = null;
+    }
+  }
+}
+
+module.exports = SMBMountService;
@@ -0,0 +1,606 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+// Audio is decoded to mono 8 kHz - plenty for telling voices apart and cheap to analyse
+const SAMPLE_RATE = 8000;
+const FRAME_SIZE = 256;          // 32 ms
+const HOP_SIZE = 128;            // 16 ms
+const MEL_BANDS = 20;
+const CEPSTRAL_COEFFS = 12;      // c1..c12; c0 (loudness) is left out so distance from the mic doesn't split a speaker
+
+// Speaker embeddings are computed over sliding windows of frames
+const WINDOW_FRAMES = 94;        // ~1.5 s
+const WINDOW_HOP_FRAMES = 47;    // ~0.75 s
+const MIN_VOICED_RATIO = 0.4;
+
+// Frames this far above the noise floor count as speech
+const SPEECH_MARGIN_DB = 12;
+const MIN_SPEECH_DB = -55;
+
+// Below this silhouette score a single speaker is assumed
+const MIN_SILHOUETTE = 0.3;
+const SILHOUETTE_SAMPLE_SIZE = 800;
+const KMEANS_ITERATIONS = 40;
+
+/**
+ * Energy/Embedding Clustering Diarizer
+ *
+ * Offline speaker diarization without a model download: recordings are decoded
+ * with ffmpeg, speech frames are picked by energy above the noise floor, each
+ * 1.5 s window of speech gets a cepstral embedding (mean and spread of MFCCs),
+ * and the windows are clustered with k-means, choosing the speaker count by
+ * silhouette score. Works best on clean two-to-four person calls.
+ *
+ * Diarizers implement: isAvailable() -> { available, reason } and
+ * diarize(filePath, { maxSpeakers }) -> { speakerCount, turns: [{ speaker, startMs, endMs }] }
+ */
+class SpeakerDiarizer {
+  constructor(options = {}) {
+    this.maxSpeakers = options.maxSpeakers || 6;
+  }
+
+  static get id() {
+    return 'energy-clustering';
+  }
+
+  /**
+   * Check that ffmpeg can be started
+   * @returns {Promise<Object>} { available, reason }
+   */
+  async isAvailable() {
+    return new Promise((resolve) => {
+      const proc = spawn('ffmpeg', ['-version'], { stdio: 'ignore' });
+      proc.on('error', () => resolve({ available: false, reason: 'ffmpeg not found' }));
+      proc.on('close', (code) => resolve(code === 0
+        ? { available: true, reason: null }
+        : { available: false, reason: `ffmpeg exited with code ${code}` }));
+    });
+  }
+
+  /**
+   * Split a recording into speaker turns
+   * @param {string} filePath - Path to the recording
+   * @param {Object} options - { maxSpeakers }
+   * @returns {Promise<Object>} { speakerCount, turns }
+   */
+  async diarize(filePath, options = {}) {
+    console.log(`🗣️ Extracting speaker features from ${path.basename(filePath)}...`);
+    const features = await this.extractFeatures(filePath);
+    return this.diarizeFeatures(features, options.maxSpeakers || this.maxSpeakers);
+  }
+
+  extractFeatures(filePath) {
+    return new Promise((resolve, reject) => {
+      const extractor = new FeatureExtractor();
+      const ffmpeg = spawn('ffmpeg', [
+        '-i', filePath,
+        '-ac', '1',
+        '-ar', String(SAMPLE_RATE),
+        '-f', 's16le',
+        '-'
+      ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+      // Track the process globally for cleanup
+      if (global.trackProcess) {
+        global.trackProcess(ffmpeg, `FFmpeg diarization ${path.basename(filePath)}`);
+      }
+
+      let stderr = '';
+      ffmpeg.stdout.on('data', (data) => extractor.push(data));
+      ffmpeg.stderr.on('data', (data) => {
+        stderr = (stderr + data.toString()).slice(-2000);
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve(extractor.finish());
+        } else {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+        }
+      });
+
+      ffmpeg.on('error', reject);
+    });
+  }
+
+  /**
+   * Cluster extracted frame features into speaker turns
+   * @param {Object} features - { frameCount, energies, cepstra } from FeatureExtractor
+   * @param {number} maxSpeakers - Upper bound for the speaker count
+   * @returns {Object} { speakerCount, turns }
+   */
+  diarizeFeatures(features, maxSpeakers) {
+    const voiced = this.detectSpeech(features);
+    const windows = this.buildWindows(features, voiced);
+
+    if (windows.length === 0) {
+      return { speakerCount: 0, turns: [] };
+    }
+
+    const embeddings = normalizeEmbeddings(windows.map(w => w.embedding));
+    const { labels } = this.chooseClustering(embeddings, Math.min(maxSpeakers, windows.length));
+    const smoothed = smoothLabels(labels, windows);
+
+    const turns = this.buildTurns(windows, smoothed);
+    return { speakerCount: new Set(turns.map(t => t.speaker)).size, turns };
+  }
+
+  // Adaptive threshold: the 10th percentile of frame energy approximates the room's noise floor
+  detectSpeech(features) {
+    const sorted = Float32Array.from(features.energies.subarray(0, features.frameCount)).sort();
+    const noiseFloor = sorted[Math.floor(sorted.length * 0.1)] || -100;
+    const threshold = Math.max(noiseFloor + SPEECH_MARGIN_DB, MIN_SPEECH_DB);
+
+    const voiced = new Uint8Array(features.frameCount);
+    for (let i = 0; i < features.frameCount; i++) {
+      voiced[i] = features.energies[i] > threshold ? 1 : 0;
+    }
+    return voiced;
+  }
+
+  buildWindows(features, voiced) {
+    const windows = [];
+
+    for (let start = 0; start + WINDOW_FRAMES <= features.frameCount; start += WINDOW_HOP_FRAMES) {
+      let voicedCount = 0;
+      const sum = new Float64Array(CEPSTRAL_COEFFS);
+      const sumSquares = new Float64Array(CEPSTRAL_COEFFS);
+
+      for (let frame = start; frame < start + WINDOW_FRAMES; frame++) {
+        if (!voiced[frame]) {
+          continue;
+        }
+        voicedCount++;
+        const offset = frame * CEPSTRAL_COEFFS;
+        for (let c = 0; c < CEPSTRAL_COEFFS; c++) {
+          const value = features.cepstra[offset + c];
+          sum[c] += value;
+          sumSquares[c] += value * value;
+        }
+      }
+
+      if (voicedCount < WINDOW_FRAMES * MIN_VOICED_RATIO) {
+        continue;
+      }
+
+      const embedding = new Float64Array(CEPSTRAL_COEFFS * 2);
+      for (let c = 0; c < CEPSTRAL_COEFFS; c++) {
+        const mean = sum[c] / voicedCount;
+        embedding[c] = mean;
+        embedding[CEPSTRAL_COEFFS + c] = Math.sqrt(Math.max(0, sumSquares[c] / voicedCount - mean * mean));
+      }
+
+      windows.push({ startFrame: start, embedding });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Run k-means for every k up to maxSpeakers and keep the best silhouette score
+   */
+  chooseClustering(embeddings, maxSpeakers) {
+    let best = { k: 1, labels: new Array(embeddings.length).fill(0), score: MIN_SILHOUETTE };
+
+    for (let k = 2; k <= maxSpeakers; k++) {
+      const labels = kMeans(embeddings, k);
+      if (new Set(labels).size < k) {
+        continue;
+      }
+      const score = silhouetteScore(embeddings, labels, k);
+      if (score > best.score) {
+        best = { k, labels, score };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Merge consecutive windows of the same speaker. Each window owns the span up to
+   * the next window's start, so overlapping windows are not counted twice.
+   */
+  buildTurns(windows, labels) {
+    const frameMs = HOP_SIZE / SAMPLE_RATE * 1000;
+    const hopMs = WINDOW_HOP_FRAMES * frameMs;
+    const windowMs = WINDOW_FRAMES * frameMs;
+
+    // Speakers are numbered in order of first appearance
+    const speakerNames = new Map();
+    const turns = [];
+
+    windows.forEach((window, index) => {
+      if (!speakerNames.has(labels[index])) {
+        speakerNames.set(labels[index], `SPEAKER_${speakerNames.size + 1}`);
+      }
+      const speaker = speakerNames.get(labels[index]);
+      const startMs = window.startFrame * frameMs;
+      const next = windows[index + 1];
+      const contiguous = next && next.startFrame === window.startFrame + WINDOW_HOP_FRAMES;
+      const endMs = startMs + (contiguous ? hopMs : windowMs);
+
+      const last = turns[turns.length - 1];
+      if (last && last.speaker === speaker && startMs <= last.endMs) {
+        last.endMs = Math.max(last.endMs, endMs);
+      } else {
+        turns.push({ speaker, startMs, endMs });
+      }
+    });
+
+    return turns.map(turn => ({ ...turn, startMs: Math.round(turn.startMs), endMs: Math.round(turn.endMs) }));
+  }
+}
+
+/**
+ * Streaming MFCC extractor for 16-bit little-endian mono PCM. Only per-frame
+ * energy and cepstra are kept, so hour-long recordings stay small in memory.
+ */
+class FeatureExtractor {
+  constructor() {
+    this.buffer = new Float32Array(FRAME_SIZE);
+    this.buffered = 0;
+    this.leftover = null;
+    this.frameCount = 0;
+    this.energies = new Float32Array(4096);
+    this.cepstra = new Float32Array(4096 * CEPSTRAL_COEFFS);
+    this.window = hannWindow(FRAME_SIZE);
+    this.melFilters = melFilterBank(MEL_BANDS, FRAME_SIZE, SAMPLE_RATE);
+    this.dctTable = dctTable(MEL_BANDS, CEPSTRAL_COEFFS);
+    this.twiddles = twiddleTable(FRAME_SIZE);
+    this.real = new Float64Array(FRAME_SIZE);
+    this.imag = new Float64Array(FRAME_SIZE);
+  }
+
+  push(chunk) {
+    let data = chunk;
+    if (this.leftover) {
+      data = Buffer.concat([this.leftover, chunk]);
+      this.leftover = null;
+    }
+
+    const sampleCount = Math.floor(data.length / 2);
+    if (data.length % 2) {
+      this.leftover = data.subarray(data.length - 1);
+    }
+
+    for (let i = 0; i < sampleCount; i++) {
+      this.buffer[this.buffered++] = data.readInt16LE(i * 2) / 32768;
+      if (this.buffered === FRAME_SIZE) {
+        this.processFrame();
+        // Keep the second half for the next frame (50% overlap)
+        this.buffer.copyWithin(0, HOP_SIZE);
+        this.buffered = FRAME_SIZE - HOP_SIZE;
+      }
+    }
+  }
+
+  finish() {
+    return {
+      frameCount: this.frameCount,
+      energies: this.energies.subarray(0, this.frameCount),
+      cepstra: this.cepstra.subarray(0, this.frameCount * CEPSTRAL_COEFFS)
+    };
+  }
+
+  processFrame() {
+    this.ensureCapacity();
+
+    let energy = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const sample = this.buffer[i];
+      energy += sample * sample;
+      this.real[i] = sample * this.window[i];
+      this.imag[i] = 0;
+    }
+    this.energies[this.frameCount] = 10 * Math.log10(energy / FRAME_SIZE + 1e-10);
+
+    fft(this.real, this.imag, this.twiddles);
+
+    const logMel = new Float64Array(MEL_BANDS);
+    for (let band = 0; band < MEL_BANDS; band++) {
+      let bandEnergy = 0;
+      for (const [bin, weight] of this.melFilters[band]) {
+        bandEnergy += weight * (this.real[bin] * this.real[bin] + this.imag[bin] * this.imag[bin]);
+      }
+      logMel[band] = Math.log(bandEnergy + 1e-10);
+    }
+
+    const offset = this.frameCount * CEPSTRAL_COEFFS;
+    for (let c = 0; c < CEPSTRAL_COEFFS; c++) {
+      let sum = 0;
+      for (let band = 0; band < MEL_BANDS; band++) {
+        sum += logMel[band] * this.dctTable[c * MEL_BANDS + band];
+      }
+      this.cepstra[offset + c] = sum;
+    }
+
+    this.frameCount++;
+  }
+
+  ensureCapacity() {
+    if (this.frameCount < this.energies.length) {
+      return;
+    }
+    const energies = new Float32Array(this.energies.length * 2);
+    energies.set(this.energies);
+    this.energies = energies;
+
+    const cepstra = new Float32Array(this.cepstra.length * 2);
+    cepstra.set(this.cepstra);
+    this.cepstra = cepstra;
+  }
+}
+
+function hannWindow(size) {
+  const window = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1));
+  }
+  return window;
+}
+
+// DCT-II basis for cepstral coefficients c1..cN (c0 skipped)
+function dctTable(bands, coefficients) {
+  const table = new Float64Array(bands * coefficients);
+  for (let c = 0; c < coefficients; c++) {
+    for (let band = 0; band < bands; band++) {
+      table[c * bands + band] = Math.cos(Math.PI * (c + 1) * (band + 0.5) / bands);
+    }
+  }
+  return table;
+}
+
+function twiddleTable(size) {
+  const cos = new Float64Array(size / 2);
+  const sin = new Float64Array(size / 2);
+  for (let k = 0; k < size / 2; k++) {
+    cos[k] = Math.cos(-2 * Math.PI * k / size);
+    sin[k] = Math.sin(-2 * Math.PI * k / size);
+  }
+  return { cos, sin };
+}
+
+// Triangular filters spaced evenly on the mel scale; each filter is a list of [bin, weight]
+function melFilterBank(bands, frameSize, sampleRate) {
+  const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+  const fromMel = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+  const lowMel = toMel(100);
+  const highMel = toMel(sampleRate / 2);
+  const points = [];
+  for (let i = 0; i < bands + 2; i++) {
+    const hz = fromMel(lowMel + (highMel - lowMel) * i / (bands + 1));
+    points.push(Math.floor((frameSize + 1) * hz / sampleRate));
+  }
+
+  const filters = [];
+  for (let band = 1; band <= bands; band++) {
+    const filter = [];
+    for (let bin = points[band - 1]; bin <= points[band + 1]; bin++) {
+      let weight = 0;
+      if (bin < points[band]) {
+        weight = (bin - points[band - 1]) / Math.max(1, points[band] - points[band - 1]);
+      } else {
+        weight = (points[band + 1] - bin) / Math.max(1, points[band + 1] - points[band]);
+      }
+      if (weight > 0) {
+        filter.push([bin, weight]);
+      }
+    }
+    filters.push(filter);
+  }
+  return filters;
+}
+
+// In-place iterative radix-2 FFT
+function fft(real, imag, twiddles) {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const stride = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = twiddles.cos[k * stride];
+        const sin = twiddles.sin[k * stride];
+        const evenIndex = start + k;
+        const oddIndex = evenIndex + size / 2;
+        const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+        const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+        real[oddIndex] = real[evenIndex] - oddReal;
+        imag[oddIndex] = imag[evenIndex] - oddImag;
+        real[evenIndex] += oddReal;
+        imag[evenIndex] += oddImag;
+      }
+    }
+  }
+}
+
+// Standardise each dimension across windows, then scale every embedding to unit length
+function normalizeEmbeddings(embeddings) {
+  const dims = embeddings[0].length;
+  const mean = new Float64Array(dims);
+  const std = new Float64Array(dims);
+
+  for (const embedding of embeddings) {
+    for (let d = 0; d < dims; d++) {
+      mean[d] += embedding[d] / embeddings.length;
+    }
+  }
+  for (const embedding of embeddings) {
+    for (let d = 0; d < dims; d++) {
+      std[d] += Math.pow(embedding[d] - mean[d], 2) / embeddings.length;
+    }
+  }
+
+  return embeddings.map(embedding => {
+    const normalized = new Float64Array(dims);
+    let length = 0;
+    for (let d = 0; d < dims; d++) {
+      normalized[d] = (embedding[d] - mean[d]) / (Math.sqrt(std[d]) || 1);
+      length += normalized[d] * normalized[d];
+    }
+    length = Math.sqrt(length) || 1;
+    for (let d = 0; d < dims; d++) {
+      normalized[d] /= length;
+    }
+    return normalized;
+  });
+}
+
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let d = 0; d < a.length; d++) {
+    const diff = a[d] - b[d];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+// Seeded so the same recording always yields the same speakers
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// k-means with k-means++ seeding
+function kMeans(points, k) {
+  const random = createRandom(k * 7919);
+  const centroids = [points[Math.floor(random() * points.length)]];
+
+  while (centroids.length < k) {
+    const distances = points.map(point => Math.min(...centroids.map(c => squaredDistance(point, c))));
+    const total = distances.reduce((sum, d) => sum + d, 0);
+    let target = random() * total;
+    let chosen = points.length - 1;
+    for (let i = 0; i < distances.length; i++) {
+      target -= distances[i];
+      if (target <= 0) {
+        chosen = i;
+        break;
+      }
+    }
+    centroids.push(points[chosen]);
+  }
+
+  const labels = new Array(points.length).fill(0);
+  const dims = points[0].length;
+
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    let changed = false;
+    points.forEach((point, i) => {
+      let bestCluster = 0;
+      let bestDistance = Infinity;
+      centroids.forEach((centroid, cluster) => {
+        const distance = squaredDistance(point, centroid);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          bestCluster = cluster;
+        }
+      });
+      if (labels[i] !== bestCluster) {
+        labels[i] = bestCluster;
+        changed = true;
+      }
+    });
+
+    if (!changed && iteration > 0) {
+      break;
+    }
+
+    for (let cluster = 0; cluster < k; cluster++) {
+      const members = points.filter((_, i) => labels[i] === cluster);
+      if (members.length === 0) {
+        continue;
+      }
+      const centroid = new Float64Array(dims);
+      for (const member of members) {
+        for (let d = 0; d < dims; d++) {
+          centroid[d] += member[d] / members.length;
+        }
+      }
+      centroids[cluster] = centroid;
+    }
+  }
+
+  return labels;
+}
+
+// Mean silhouette over an evenly spaced sample of points (O(n^2), so capped)
+function silhouetteScore(points, labels, k) {
+  const step = Math.max(1, Math.floor(points.length / SILHOUETTE_SAMPLE_SIZE));
+  const sample = [];
+  for (let i = 0; i < points.length; i += step) {
+    sample.push(i);
+  }
+
+  let total = 0;
+  for (const i of sample) {
+    const sums = new Float64Array(k);
+    const counts = new Float64Array(k);
+    for (const j of sample) {
+      if (i === j) {
+        continue;
+      }
+      sums[labels[j]] += Math.sqrt(squaredDistance(points[i], points[j]));
+      counts[labels[j]]++;
+    }
+
+    const own = labels[i];
+    if (counts[own] === 0) {
+      continue;
+    }
+    const a = sums[own] / counts[own];
+    let b = Infinity;
+    for (let cluster = 0; cluster < k; cluster++) {
+      if (cluster !== own && counts[cluster] > 0) {
+        b = Math.min(b, sums[cluster] / counts[cluster]);
+      }
+    }
+    if (b !== Infinity) {
+      total += (b - a) / Math.max(a, b);
+    }
+  }
+
+  return total / sample.length;
+}
+
+// Majority vote over neighbouring contiguous windows removes one-window speaker flips
+function smoothLabels(labels, windows) {
+  return labels.map((label, i) => {
+    const votes = new Map();
+    for (let j = Math.max(0, i - 2); j <= Math.min(labels.length - 1, i + 2); j++) {
+      if (Math.abs(windows[j].startFrame - windows[i].startFrame) <= 2 * WINDOW_HOP_FRAMES) {
+        votes.set(labels[j], (votes.get(labels[j]) || 0) + 1);
+      }
+    }
+    let winner = label;
+    let winnerVotes = votes.get(label);
+    for (const [candidate, count] of votes) {
+      if (count > winnerVotes) {
+        winner = candidate;
+        winnerVotes = count;
+      }
+    }
+    return winner;
+  });
+}
+
+module.exports = SpeakerDiarizer;
@@ -0,0 +1,61 @@
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const { SignalCaptureHandle, spawnProcess } = require('./capture-handles');
+
+/**
+ * macOS Capture Backend
+ *
+ * Drives the Swift audio-capture binary in src/native/audio-capture, which records
+ * microphone and system audio straight to Ogg/Opus. It pauses on SIGUSR1, resumes on
+ * SIGUSR2 and finishes the file on SIGTERM.
+ *
+ * Backends implement: isAvailable() -> { available, reason }, describe(outputPath) and
+ * start(outputPath) -> capture handle (see capture-handles.js)
+ */
+class SwiftCaptureBackend {
+  constructor(options = {}) {
+    this.binaryPath = options.binaryPath || path.join(__dirname, 'native', 'audio-capture', '.build', 'release', 'audio-capture');
+    this.bitrate = options.bitrate || 32000;
+  }
+
+  static get id() {
+    return 'macos-native';
+  }
+
+  async isAvailable() {
+    if (process.platform !== 'darwin') {
+      return { available: false, reason: 'The native capture binary only runs on macOS' };
+    }
+
+    try {
+      await fs.access(this.binaryPath, fsConstants.X_OK);
+      return { available: true, reason: null };
+    } catch (error) {
+      return { available: false, reason: `audio-capture binary not found at ${this.binaryPath}` };
+    }
+  }
+
+  describe(outputPath) {
+    return `${this.binaryPath} start --output ${outputPath} --bitrate ${this.bitrate}`;
+  }
+
+  async start(outputPath) {
+    const child = await spawnProcess(this.binaryPath, [
+      'start',
+      '--output', outputPath,
+      '--bitrate', String(this.bitrate)
+    ], `Audio capture for ${path.basename(outputPath)}`);
+
+    child.stdout.on('data', (data) => {
+      const output = data.toString().trim();
+      if (output) {
+        console.log(`📢 [AUDIO CAPTURE OUTPUT]: ${output}`);
+      }
+    });
+
+    return new SignalCaptureHandle(child, { pause: 'SIGUSR1', resume: 'SIGUSR2', stop: 'SIGTERM' });
+  }
+}
+
+module.exports = SwiftCaptureBackend;
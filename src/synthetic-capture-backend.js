@@ -0,0 +1,109 @@
+const { execFile } = require('child_process');
+const { Readable } = require('stream');
+const { EncoderCaptureHandle, spawnOpusEncoder, PCM_SAMPLE_RATE } = require('./capture-handles');
+
+const CHUNK_MS = 100;
+const TONE_FREQUENCY = 440;
+const TONE_AMPLITUDE = 0.3; // About -13 dBFS RMS, well above the silence thresholds
+
+/**
+ * Synthetic Capture Backend
+ *
+ * Generates audio instead of recording it, so the record / stop / post-process path
+ * runs on machines without a microphone or sound server (CI, containers). Only ffmpeg
+ * is needed, for the Opus encoding every backend's output shares.
+ *
+ * The pattern is a comma-separated list of kind:seconds segments, where kind is tone
+ * or silence; the last segment continues until the recording stops. The default is a
+ * continuous tone. For example "tone:60,silence:900" gives a minute of "meeting"
+ * followed by dead air, enough to exercise meeting end detection and the silence split.
+ *
+ * Select it with the captureBackend setting or GRANULAR_CAPTURE_BACKEND=synthetic, and
+ * set the pattern with syntheticCapturePattern or GRANULAR_SYNTHETIC_PATTERN.
+ */
+class SyntheticCaptureBackend {
+  constructor(options = {}) {
+    this.segments = SyntheticCaptureBackend.parsePattern(options.pattern || 'tone');
+    this.bitrate = options.bitrate || 32000;
+  }
+
+  static get id() {
+    return 'synthetic';
+  }
+
+  /**
+   * @param {string} pattern - e.g. "tone:60,silence:900"
+   * @returns {Array} [{ kind, seconds }]; seconds is Infinity for an open-ended segment
+   */
+  static parsePattern(pattern) {
+    const segments = String(pattern).split(',').map(part => {
+      const [kind, seconds] = part.trim().split(':');
+      if (kind !== 'tone' && kind !== 'silence') {
+        throw new Error(`Unknown synthetic audio segment: ${part}`);
+      }
+      return { kind, seconds: seconds === undefined ? Infinity : Number(seconds) };
+    });
+
+    if (segments.some(segment => !(segment.seconds > 0))) {
+      throw new Error(`Invalid synthetic audio pattern: ${pattern}`);
+    }
+    return segments;
+  }
+
+  async isAvailable() {
+    return new Promise((resolve) => {
+      execFile('ffmpeg', ['-hide_banner', '-version'], { timeout: 5000 }, (error) => {
+        resolve(error
+          ? { available: false, reason: 'ffmpeg not found' }
+          : { available: true, reason: null });
+      });
+    });
+  }
+
+  describe(outputPath) {
+    const pattern = this.segments.map(s => (s.seconds === Infinity ? s.kind : `${s.kind}:${s.seconds}`)).join(',');
+    return `synthetic ${pattern} | ffmpeg (libopus ${this.bitrate}) ${outputPath}`;
+  }
+
+  async start(outputPath) {
+    const encoder = await spawnOpusEncoder(outputPath, this.bitrate);
+    const source = new Readable({ read() {} });
+    const samplesPerChunk = PCM_SAMPLE_RATE * CHUNK_MS / 1000;
+    let sample = 0;
+
+    // Real time, like a microphone, so durations and file growth look like a recording
+    const timer = setInterval(() => {
+      const chunk = Buffer.alloc(samplesPerChunk * 2);
+      for (let i = 0; i < samplesPerChunk; i++, sample++) {
+        if (this.segmentAt(sample / PCM_SAMPLE_RATE).kind === 'tone') {
+          const value = Math.sin(2 * Math.PI * TONE_FREQUENCY * sample / PCM_SAMPLE_RATE) * TONE_AMPLITUDE;
+          chunk.writeInt16LE(Math.round(value * 32767), i * 2);
+        }
+      }
+      source.push(chunk);
+    }, CHUNK_MS);
+
+    let stopped = false;
+    const stopSource = () => {
+      if (!stopped) {
+        stopped = true;
+        clearInterval(timer);
+        source.push(null);
+      }
+    };
+    return new EncoderCaptureHandle(source, stopSource, encoder);
+  }
+
+  segmentAt(seconds) {
+    let end = 0;
+    for (const segment of this.segments) {
+      end += segment.seconds;
+      if (seconds < end) {
+        return segment;
+      }
+    }
+    return this.segments[this.segments.length - 1];
+  }
+}
+
+module.exports = SyntheticCaptureBackend;
@@ -0,0 +1,219 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { app } = require('electron');
+const log = require('./utils/logger');
+const SessionQueueService = require('./session-queue-service');
+const WhisperCppEngine = require('./whisper-cpp-engine');
+const { getLocalDateString } = require('./utils/date-utils');
+
+// Offline engines by id; the transcriptionEngine setting picks one
+const ENGINES = new Map([
+  [WhisperCppEngine.id, WhisperCppEngine]
+]);
+
+/**
+ * Transcription Service
+ *
+ * Transcribes finished recordings one at a time with a pluggable offline engine,
+ * stores the timestamped segments and writes <folder>-transcript.md beside the
+ * meeting notes so the upload service picks it up with the other markdown files.
+ */
+class TranscriptionService extends SessionQueueService {
+  constructor(database, store, uploadService = null, mainWindow = null) {
+    super(database, store, mainWindow, {
+      name: 'Transcription',
+      verb: 'transcribe',
+      icon: '📝',
+      enabledSetting: 'transcriptionEnabled',
+      statusChannel: 'transcription-status-changed',
+      setStatus: (...args) => database.setTranscriptionStatus(...args),
+      getByStatus: (status) => database.getTranscriptionsByStatus(status)
+    });
+    this.uploadService = uploadService;
+  }
+
+  static registerEngine(id, EngineClass) {
+    ENGINES.set(id, EngineClass);
+  }
+
+  createEngine() {
+    const engineId = this.store.get('transcriptionEngine') || WhisperCppEngine.id;
+    const EngineClass = ENGINES.get(engineId);
+    if (!EngineClass) {
+      throw new Error(`Unknown transcription engine: ${engineId}`);
+    }
+
+    return new EngineClass({
+      binaryPath: this.store.get('whisperBinaryPath'),
+      modelPath: this.store.get('whisperModelPath') || path.join(app.getPath('userData'), 'models', 'ggml-base.en.bin'),
+      language: this.store.get('transcriptionLanguage')
+    });
+  }
+
+  /**
+   * Transcribe one recording session and refresh the meeting transcript
+   * @param {number} sessionId - Recording session ID
+   * @returns {Promise<Object>} { success, skipped, segments }
+   */
+  async transcribeSession(sessionId) {
+    const { session, engine, result: skipped } = await this.prepareSession(sessionId);
+    if (skipped) {
+      return skipped;
+    }
+    const meetingId = session.meeting_id;
+
+    const startedAt = Date.now();
+    log.info('[TRANSCRIBE] Transcription started', {
+      meetingId,
+      sessionId,
+      engine: engine.constructor.id,
+      file: path.basename(session.final_path),
+      timestamp: startedAt
+    });
+
+    await this.database.setTranscriptionStatus(sessionId, meetingId, 'processing', { engine: engine.constructor.id });
+    this.notifyStatusChange(meetingId, sessionId, 'processing');
+
+    try {
+      const result = await engine.transcribe(session.final_path);
+
+      if (await this.wasMergedMeanwhile(sessionId)) {
+        return { success: true, skipped: true };
+      }
+
+      await this.database.saveTranscriptSegments(sessionId, meetingId, result.segments);
+      await this.database.setTranscriptionStatus(sessionId, meetingId, 'completed', {
+        engine: engine.constructor.id,
+        language: result.language
+      });
+
+      const transcriptPath = await this.writeTranscriptMarkdown(meetingId);
+
+      log.info('[TRANSCRIBE] Transcription completed', {
+        meetingId,
+        sessionId,
+        segments: result.segments.length,
+        language: result.language,
+        transcriptPath,
+        duration: Date.now() - startedAt,
+        timestamp: Date.now()
+      });
+
+      await this.requeueUpload(meetingId);
+      this.notifyStatusChange(meetingId, sessionId, 'completed');
+
+      return { success: true, skipped: false, segments: result.segments.length };
+
+    } catch (error) {
+      log.error('[TRANSCRIBE] Transcription failed', {
+        meetingId,
+        sessionId,
+        error: error.message,
+        duration: Date.now() - startedAt,
+        timestamp: Date.now()
+      });
+
+      await this.database.setTranscriptionStatus(sessionId, meetingId, 'failed', { error: error.message });
+      this.notifyStatusChange(meetingId, sessionId, 'failed', error.message);
+      throw error;
+    }
+  }
+
+  processSession(sessionId) {
+    return this.transcribeSession(sessionId);
+  }
+
+  /**
+   * Queue every completed recording of a meeting (manual re-run)
+   * @param {number} meetingId - Meeting ID
+   */
+  async transcribeMeeting(meetingId) {
+    return this.queueMeeting(meetingId);
+  }
+
+  /**
+   * Write all transcribed sessions of a meeting to <folder>-transcript.md
+   * @param {number} meetingId - Meeting ID
+   * @returns {Promise<string|null>} Transcript path, or null when nothing is transcribed
+   */
+  async writeTranscriptMarkdown(meetingId) {
+    const meeting = await this.database.getMeetingById(meetingId);
+    if (!meeting) {
+      return null;
+    }
+
+    const transcriptions = (await this.database.getMeetingTranscriptions(meetingId))
+      .filter(t => t.status === 'completed');
+    if (transcriptions.length === 0) {
+      return null;
+    }
+
+    const segments = await this.database.getTranscriptSegments(meetingId);
+    const markdown = this.generateTranscriptMarkdown(meeting, transcriptions, segments);
+
+    const projectRoot = path.dirname(__dirname);
+    const dateStr = getLocalDateString(meeting.start_time);
+    const meetingDir = path.join(projectRoot, 'assets', dateStr, meeting.folder_name);
+    const transcriptPath = path.join(meetingDir, `${meeting.folder_name}-transcript.md`);
+
+    await fs.ensureDir(meetingDir);
+    await fs.writeFile(transcriptPath, markdown, 'utf8');
+    console.log(`📝 Transcript written: ${transcriptPath}`);
+
+    return transcriptPath;
+  }
+
+  generateTranscriptMarkdown(meeting, transcriptions, segments) {
+    let markdown = `# Transcript: ${meeting.title}\n\n`;
+    markdown += `**Date:** ${new Date(meeting.start_time).toLocaleDateString()}\n\n`;
+
+    transcriptions.forEach((transcription, index) => {
+      if (transcriptions.length > 1) {
+        markdown += `## Recording ${index + 1}`;
+        markdown += transcription.final_path ? ` (${path.basename(transcription.final_path)})\n\n` : '\n\n';
+      }
+
+      const sessionSegments = segments.filter(s => s.session_id === transcription.session_id);
+      if (sessionSegments.length === 0) {
+        markdown += '_No speech detected._\n\n';
+        return;
+      }
+
+      for (const segment of sessionSegments) {
+        markdown += `**[${this.formatTimestamp(segment.start_ms)}]** ${segment.text}\n\n`;
+      }
+    });
+
+    return markdown;
+  }
+
+  formatTimestamp(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (n) => n.toString().padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+  }
+
+  // Transcripts usually finish after the meeting was uploaded; send it up again
+  async requeueUpload(meetingId) {
+    if (!this.uploadService) {
+      return;
+    }
+
+    try {
+      // A still-pending upload will gather the transcript when it runs
+      const uploadStatus = await this.database.getMeetingUploadStatus(meetingId);
+      if (!['completed', 'partial', 'failed', 'uploading'].includes(uploadStatus.upload_status)) {
+        return;
+      }
+
+      await this.uploadService.queueMeetingUpload(meetingId, { resync: true });
+    } catch (error) {
+      console.error(`Failed to queue transcript upload for meeting ${meetingId}:`, error);
+    }
+  }
+}
+
+module.exports = TranscriptionService;
@@ -1,9 +1,33 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { getLocalDateString } = require('./utils/date-utils');
-const { app } = require('electron');
+const { app, safeStorage } = require('electron');
 const { dateOverride } = require('./date-override');
 const log = require('./utils/logger');
+const FileUtils = require('./file-utils');
+const GoogleDriveProvider = require('./google-drive-provider');
+const S3Provider = require('./s3-provider');
+const WebDavProvider = require('./webdav-provider');
+
+// Storage backends by id; the storageProvider setting picks one
+const PROVIDERS = new Map([
+  [GoogleDriveProvider.id, GoogleDriveProvider],
+  [S3Provider.id, S3Provider],
+  [WebDavProvider.id, WebDavProvider]
+]);
+
+// Store key holding each provider's connection settings
+const PROVIDER_CONFIG_KEYS = {
+  [S3Provider.id]: 's3Config',
+  [WebDavProvider.id]: 'webdavConfig'
+};
+
+// Each provider's secret setting and the settings naming the account it belongs to. The
+// secret is saved encrypted with safeStorage as encryptedSecret and never sent to the renderer.
+const PROVIDER_SECRETS = {
+  [S3Provider.id]: { field: 'secretAccessKey', account: ['endpoint', 'accessKeyId'] },
+  [WebDavProvider.id]: { field: 'password', account: ['url', 'username'] }
+};
 
 // Error categorization helper for structured logging
 function categorizeError(error) {
@@ -18,30 +42,202 @@ function categorizeError(error) {
 }
 
 class UploadService {
-  constructor(database, googleDriveService, mainWindow) {
+  constructor(database, googleDriveService, mainWindow, store = null) {
     this.database = database;
     this.googleDriveService = googleDriveService;
     this.mainWindow = mainWindow;
+    this.store = store;
     this.isUploading = false;
     this.maxRetries = 3;
+    this.archiveTarget = null;
+    this.recordingMerger = null;
+  }
+
+  /**
+   * Also copy each finalized meeting folder to a secondary archive. Archiving does not
+   * depend on the upload, so the archive can be the only destination.
+   * @param {Object} archiveTarget - Anything with queueMeetingArchive({ meetingId, dateStr, folderName, sourceDir })
+   */
+  setArchiveTarget(archiveTarget) {
+    this.archiveTarget = archiveTarget;
+  }
+
+  /**
+   * Merge a meeting's recorded parts before uploading it, when mergeRecordingParts is on
+   * @param {Object} recordingMerger - Anything with mergeRecordingParts(meetingId)
+   */
+  setRecordingMerger(recordingMerger) {
+    this.recordingMerger = recordingMerger;
+  }
+
+  static registerProvider(id, ProviderClass) {
+    PROVIDERS.set(id, ProviderClass);
+  }
+
+  static getProviders() {
+    return Array.from(PROVIDERS.values()).map(ProviderClass => ({
+      id: ProviderClass.id,
+      name: ProviderClass.displayName
+    }));
+  }
+
+  getActiveProviderId() {
+    return (this.store && this.store.get('storageProvider')) || GoogleDriveProvider.id;
+  }
+
+  /**
+   * Create a storage provider from the saved settings
+   * @param {string} providerId - Defaults to the storageProvider setting
+   * @param {Object} config - Connection settings overriding the saved ones (e.g. to test before saving)
+   */
+  createStorageProvider(providerId = null, config = null) {
+    const id = providerId || this.getActiveProviderId();
+    const ProviderClass = PROVIDERS.get(id);
+    if (!ProviderClass) {
+      throw new Error(`Unknown storage provider: ${id}`);
+    }
+
+    return new ProviderClass({
+      googleDriveService: this.googleDriveService,
+      mainWindow: this.mainWindow,
+      config: this.resolveProviderConfig(id, config)
+    });
+  }
+
+  getSavedProviderConfig(providerId) {
+    const configKey = PROVIDER_CONFIG_KEYS[providerId];
+    return (configKey && this.store ? this.store.get(configKey) : null) || {};
+  }
+
+  /**
+   * Connection settings for a provider with its secret decrypted. A blank secret in the
+   * given settings is filled in from the saved ones while they name the same account.
+   * @param {string} providerId - Provider ID
+   * @param {Object} config - Settings from the settings form, or null for the saved ones
+   */
+  resolveProviderConfig(providerId, config = null) {
+    const saved = this.getSavedProviderConfig(providerId);
+    const secret = PROVIDER_SECRETS[providerId];
+    if (!secret) {
+      return config || saved;
+    }
+
+    const { encryptedSecret, hasSecret, ...resolved } = config || saved;
+    const sameAccount = secret.account.every(key => (resolved[key] || null) === (saved[key] || null));
+    if (!resolved[secret.field] && sameAccount) {
+      resolved[secret.field] = saved.encryptedSecret
+        ? this.decryptSecret(saved.encryptedSecret)
+        : saved[secret.field] || null;
+    }
+    return resolved;
+  }
+
+  /**
+   * A provider's saved settings for the settings form, with hasSecret in place of the secret
+   * @param {string} providerId - Provider ID
+   */
+  getProviderSettings(providerId) {
+    const { encryptedSecret, ...settings } = this.getSavedProviderConfig(providerId);
+    const secret = PROVIDER_SECRETS[providerId];
+    if (secret) {
+      settings.hasSecret = !!(encryptedSecret || settings[secret.field]);
+      delete settings[secret.field];
+    }
+    return settings;
+  }
+
+  /**
+   * Save a provider's settings from the settings form. The secret is stored encrypted; left
+   * blank, the saved one is kept.
+   * @param {string} providerId - Provider ID
+   * @param {Object} config - Settings from the settings form
+   */
+  saveProviderSettings(providerId, config) {
+    const configKey = PROVIDER_CONFIG_KEYS[providerId];
+    if (!configKey) {
+      return;
+    }
+
+    const secret = PROVIDER_SECRETS[providerId];
+    if (!secret) {
+      this.store.set(configKey, config);
+      return;
+    }
+
+    const resolved = this.resolveProviderConfig(providerId, config);
+    const secretValue = resolved[secret.field];
+    this.store.set(configKey, {
+      ...resolved,
+      [secret.field]: null,
+      encryptedSecret: secretValue ? this.encryptSecret(secretValue) : null
+    });
+  }
+
+  // Settings saved before secrets were encrypted still hold them in plain text
+  encryptSavedSecrets() {
+    for (const [providerId, secret] of Object.entries(PROVIDER_SECRETS)) {
+      const saved = this.getSavedProviderConfig(providerId);
+      if (!saved[secret.field]) {
+        continue;
+      }
+
+      try {
+        this.saveProviderSettings(providerId, saved);
+        console.log(`🔐 Encrypted the saved ${providerId} secret`);
+      } catch (error) {
+        console.warn(`⚠️ Could not encrypt the saved ${providerId} secret:`, error.message);
+      }
+    }
+  }
+
+  encryptSecret(value) {
+    if (!safeStorage.isEncryptionAvailable()) {
+      throw new Error('Secure storage is not available; the storage secret cannot be saved');
+    }
+    return safeStorage.encryptString(value).toString('base64');
+  }
+
+  decryptSecret(encryptedSecret) {
+    try {
+      return safeStorage.decryptString(Buffer.from(encryptedSecret, 'base64'));
+    } catch (error) {
+      console.warn('⚠️ Could not decrypt saved storage secret:', error.message);
+      return null;
+    }
   }
 
   async initialize() {
+    if (this.store) {
+      this.encryptSavedSecrets();
+    }
+
     // Resume any pending uploads on startup
     await this.resumePendingUploads();
   }
 
-  async queueMeetingUpload(meetingId) {
+  /**
+   * Add a meeting to the upload queue
+   * @param {number} meetingId - Meeting ID
+   * @param {Object} options
+   * @param {boolean} options.resync - Upload an already uploaded meeting again; only files
+   *   that changed since the last upload are sent
+   */
+  async queueMeetingUpload(meetingId, { resync = false } = {}) {
     try {
       console.log(`📤 Queueing upload for meeting ${meetingId}`);
       
       // Get current upload status
       const uploadStatus = await this.database.getMeetingUploadStatus(meetingId);
       if (uploadStatus && uploadStatus.upload_status === 'completed') {
-        console.log(`Meeting ${meetingId} already uploaded`);
-        return;
+        if (!resync) {
+          console.log(`Meeting ${meetingId} already uploaded`);
+          return;
+        }
+        await this.database.setMeetingUploadStatus(meetingId, 'pending');
       }
 
+      await this.archiveMeeting(meetingId);
+
       // Add to persistent database queue
       await this.database.addToUploadQueue(meetingId);
 
@@ -104,6 +300,9 @@ class UploadService {
         
         // Notify renderer of success
         this.notifyUploadStatusChange(uploadItem.meeting_id, 'completed');
+
+        // The meeting was archived when queued; this picks up parts merged for the upload
+        await this.archiveMeeting(uploadItem.meeting_id);
         
       } catch (error) {
         console.error(`❌ Failed to upload meeting ${uploadItem.meeting_id}:`, error);
@@ -164,6 +363,19 @@ class UploadService {
 
       console.log(`📋 Meeting details: ${meeting.title} (${meeting.folder_name})`);
 
+      // Upload one chaptered recording rather than a file per part
+      if (this.recordingMerger && this.store && this.store.get('mergeRecordingParts')) {
+        try {
+          const merge = await this.recordingMerger.mergeRecordingParts(meetingId);
+          if (!merge.merged) {
+            console.log(`🧩 Recording parts not merged for meeting ${meetingId}: ${merge.reason}`);
+          }
+        } catch (error) {
+          // The parts are untouched; upload them as they are
+          console.warn(`⚠️ Could not merge recording parts for meeting ${meetingId}:`, error.message);
+        }
+      }
+
       // Enhanced content validation
       const validation = await this.validateMeetingContent(meetingId, meeting);
 
@@ -190,32 +402,41 @@ class UploadService {
         console.warn(`⚠️ Content validation issues for meeting ${meetingId}:`, validation.issues);
       }
 
-      // Ensure Google Drive authentication
-      if (!this.googleDriveService.drive) {
-        console.log('🔐 Initializing Google Drive authentication...');
-        await this.googleDriveService.initializeOAuth();
-        if (!this.googleDriveService.drive) {
-          throw new Error('Google Drive authentication required');
-        }
-      }
+      // Ensure the storage backend is reachable and authenticated
+      const provider = this.createStorageProvider();
+      const providerId = provider.constructor.id;
+      await provider.connect();
 
       // Create folder structure
       const dateStr = getLocalDateString(meeting.start_time);
-      const meetingFolderId = await this.ensureGoogleDriveFolderStructure(dateStr, meeting.folder_name);
+      const meetingFolderId = await provider.ensureMeetingFolder(dateStr, meeting.folder_name);
 
       // T7: Folders created
       const t7 = Date.now();
-      log.info('[PIPELINE] Google Drive folders created', {
+      log.info('[PIPELINE] Remote folders created', {
         meetingId,
         pipelineId,
         stage: 'T7-folders-created',
         timestamp: t7,
+        provider: providerId,
         folderId: meetingFolderId
       });
 
+      // Resumable-upload checkpoint kept on this meeting's upload_queue row
+      const session = {
+        load: () => this.database.getUploadSession(meetingId),
+        save: (filePath, sessionUri, offset, fileSize) => this.database.saveUploadSession(meetingId, filePath, sessionUri, offset, fileSize),
+        clear: () => this.database.clearUploadSession(meetingId)
+      };
+
+      // What was sent last time, so unchanged files are skipped and changed ones updated in place
+      const uploadedFiles = await this.database.getUploadedFiles(meetingId, providerId, meetingFolderId);
+      const sync = { meetingId, pipelineId, folderRef: meetingFolderId, uploadedFiles, session };
+
       const uploadResults = {
         notes: [],
         recordings: [],
+        skipped: [],
         failed: []
       };
 
@@ -223,31 +444,28 @@ class UploadService {
       for (const noteFile of validation.notes) {
         const uploadStartTime = Date.now();
         try {
-          console.log(`⬆️ Uploading note: ${noteFile.name}...`);
-
-          log.info('[UPLOAD] Uploading file', {
-            meetingId,
-            pipelineId,
-            fileName: noteFile.name,
-            filePath: noteFile.path,
-            type: 'markdown',
-            uploadStartTime
-          });
-
-          const result = await this.uploadFileToGoogleDrive({
+          const { action, remoteFile } = await this.syncFile(provider, {
             name: noteFile.name,
             path: noteFile.path,
             type: 'markdown'
-          }, meetingFolderId);
+          }, sync);
+
+          if (action === 'skipped') {
+            uploadResults.skipped.push(remoteFile);
+            console.log(`⏭️ Note unchanged since last upload: ${noteFile.name}`);
+            continue;
+          }
 
-          uploadResults.notes.push(result);
-          console.log(`✅ Uploaded note: ${noteFile.name}`);
+          uploadResults.notes.push(remoteFile);
+          console.log(`✅ ${action === 'updated' ? 'Updated' : 'Uploaded'} note: ${noteFile.name}`);
 
           log.info('[UPLOAD] File uploaded successfully', {
             meetingId,
             pipelineId,
             fileName: noteFile.name,
-            driveFileId: result.id,
+            provider: providerId,
+            action,
+            remoteFileId: remoteFile.id,
             uploadDuration: Date.now() - uploadStartTime
           });
         } catch (error) {
@@ -269,34 +487,31 @@ class UploadService {
       for (const recording of validation.recordings) {
         const uploadStartTime = Date.now();
         try {
-          console.log(`⬆️ Uploading recording: ${recording.name}...`);
           const stats = await fs.stat(recording.path);
 
-          log.info('[UPLOAD] Uploading file', {
-            meetingId,
-            pipelineId,
-            fileName: recording.name,
-            filePath: recording.path,
-            fileSize: stats.size,
-            type: 'audio',
-            uploadStartTime
-          });
-
-          const result = await this.uploadFileToGoogleDrive({
+          const { action, remoteFile } = await this.syncFile(provider, {
             name: recording.name,
             path: recording.path,
             size: stats.size,
             type: 'audio'
-          }, meetingFolderId);
+          }, sync);
 
-          uploadResults.recordings.push(result);
-          console.log(`✅ Uploaded recording: ${recording.name} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
+          if (action === 'skipped') {
+            uploadResults.skipped.push(remoteFile);
+            console.log(`⏭️ Recording unchanged since last upload: ${recording.name}`);
+            continue;
+          }
+
+          uploadResults.recordings.push(remoteFile);
+          console.log(`✅ ${action === 'updated' ? 'Updated' : 'Uploaded'} recording: ${recording.name} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
 
           log.info('[UPLOAD] File uploaded successfully', {
             meetingId,
             pipelineId,
             fileName: recording.name,
-            driveFileId: result.id,
+            provider: providerId,
+            action,
+            remoteFileId: remoteFile.id,
             uploadDuration: Date.now() - uploadStartTime
           });
         } catch (error) {
@@ -314,24 +529,28 @@ class UploadService {
         }
       }
 
+      await this.reconcileDeletedFiles(provider, validation, sync, uploadResults.failed);
+
       // Determine final status
       const totalFiles = validation.notes.length + validation.recordings.length;
-      const successfulUploads = uploadResults.notes.length + uploadResults.recordings.length;
+      const successfulUploads = uploadResults.notes.length + uploadResults.recordings.length + uploadResults.skipped.length;
 
       // T8: Upload completed
       const t8 = Date.now();
 
       if (uploadResults.failed.length === 0) {
-        await this.database.setMeetingUploadStatus(meetingId, 'completed', meetingFolderId);
+        await this.database.setMeetingUploadStatus(meetingId, 'completed', meetingFolderId, providerId);
         console.log(`🎉 Meeting ${meetingId} upload completed successfully (${successfulUploads}/${totalFiles} files)`);
 
         log.info('[PIPELINE] Upload completed', {
           meetingId,
           pipelineId,
+          provider: providerId,
           stage: 'T8-upload-complete',
           timestamp: t8,
           status: 'completed',
-          filesUploaded: successfulUploads,
+          filesUploaded: successfulUploads - uploadResults.skipped.length,
+          filesSkipped: uploadResults.skipped.length,
           filesFailed: uploadResults.failed.length,
           totalDuration: t5 ? t8 - t5 : null,
           breakdown: t5 ? {
@@ -389,6 +608,156 @@ class UploadService {
     }
   }
 
+  /**
+   * Bring one remote file in line with the local copy: skip it if the content hash
+   * matches the last upload, replace it in place if it changed, otherwise upload it.
+   *
+   * @param {Object} provider - Storage provider instance
+   * @param {Object} file - { name, path, type, size }
+   * @param {Object} sync - { meetingId, pipelineId, folderRef, uploadedFiles, session }
+   * @returns {Promise<Object>} { action: 'skipped'|'updated'|'uploaded', remoteFile }
+   */
+  async syncFile(provider, file, sync) {
+    const providerId = provider.constructor.id;
+    const stats = await fs.stat(file.path);
+    const contentHash = await FileUtils.computeMd5(file.path);
+    const previous = sync.uploadedFiles.find(uploaded => uploaded.file_name === file.name);
+
+    if (previous && previous.content_hash === contentHash) {
+      if (previous.local_path !== file.path || previous.local_missing_at) {
+        await this.database.recordUploadedFile(sync.meetingId, providerId, sync.folderRef, {
+          name: file.name,
+          path: file.path,
+          remoteFileId: previous.remote_file_id,
+          contentHash,
+          size: stats.size
+        });
+      }
+      return { action: 'skipped', remoteFile: { id: previous.remote_file_id, name: file.name, size: stats.size } };
+    }
+
+    console.log(`⬆️ ${previous ? 'Updating' : 'Uploading'} ${file.type === 'markdown' ? 'note' : 'recording'}: ${file.name}...`);
+
+    log.info('[UPLOAD] Uploading file', {
+      meetingId: sync.meetingId,
+      pipelineId: sync.pipelineId,
+      fileName: file.name,
+      filePath: file.path,
+      fileSize: stats.size,
+      type: file.type,
+      provider: providerId,
+      action: previous ? 'update' : 'upload',
+      uploadStartTime: Date.now()
+    });
+
+    const options = { session: sync.session, contentHash };
+    let action = 'uploaded';
+    let remoteFile = null;
+
+    if (previous) {
+      try {
+        remoteFile = await provider.updateFile(file, previous.remote_file_id, sync.folderRef, options);
+        action = 'updated';
+      } catch (error) {
+        if (error.code !== 404) {
+          throw error;
+        }
+        // Removed on the remote side since the last upload
+        console.warn(`⚠️ Remote copy of ${file.name} no longer exists, uploading it again`);
+      }
+    }
+
+    if (!remoteFile) {
+      remoteFile = await provider.uploadFile(file, sync.folderRef, options);
+    }
+
+    await this.database.recordUploadedFile(sync.meetingId, providerId, sync.folderRef, {
+      name: file.name,
+      path: file.path,
+      remoteFileId: remoteFile.id,
+      contentHash,
+      size: stats.size
+    });
+
+    return { action, remoteFile };
+  }
+
+  /**
+   * Handle files uploaded earlier that are no longer on disk. Notes that went away
+   * were renamed or deleted, so the stale remote copy is removed too. Recordings are
+   * kept remotely - local cleanup may prune them once they have been archived - and
+   * only flagged as missing locally, unless they were parts merged into a recording
+   * that is uploaded in their place.
+   */
+  async reconcileDeletedFiles(provider, validation, sync, failed = []) {
+    const localNames = new Set([...validation.notes, ...validation.recordings].map(file => file.name));
+    // Parts merged into a consolidated recording are superseded by it - once it is safely uploaded
+    const recordingsUploaded = !failed.some(file => file.type === 'recording');
+    const mergedNames = recordingsUploaded
+      ? new Set((await this.database.getMergedRecordingPaths(sync.meetingId)).map(p => path.basename(p)))
+      : new Set();
+
+    for (const uploaded of sync.uploadedFiles) {
+      if (localNames.has(uploaded.file_name)) {
+        continue;
+      }
+
+      try {
+        // Processed copies uploaded by earlier versions are derived from a recording that is kept
+        const superseded = uploaded.file_name.endsWith('.md') || mergedNames.has(uploaded.file_name) ||
+          FileUtils.isEnhancedFile(uploaded.file_name);
+        if (superseded) {
+          await provider.deleteFile(uploaded.remote_file_id);
+          await this.database.removeUploadedFile(uploaded.id);
+          console.log(`🗑️ Removed remote copy of deleted file: ${uploaded.file_name}`);
+        } else if (!uploaded.local_missing_at) {
+          await this.database.markUploadedFileLocalMissing(uploaded.id);
+          console.log(`📦 Recording no longer on disk, keeping remote copy: ${uploaded.file_name}`);
+        } else {
+          continue;
+        }
+
+        log.info('[UPLOAD] Local file deleted', {
+          meetingId: sync.meetingId,
+          pipelineId: sync.pipelineId,
+          fileName: uploaded.file_name,
+          provider: provider.constructor.id,
+          remoteFileId: uploaded.remote_file_id,
+          remoteDeleted: superseded,
+          timestamp: Date.now()
+        });
+      } catch (error) {
+        // Leave the record so the next upload tries again
+        console.warn(`⚠️ Could not reconcile deleted file ${uploaded.file_name}:`, error.message);
+      }
+    }
+  }
+
+  // Archiving is best-effort; it never fails queueing or the upload
+  async archiveMeeting(meetingId) {
+    if (!this.archiveTarget) {
+      return;
+    }
+
+    try {
+      const meeting = await this.database.getMeetingById(meetingId);
+      const files = meeting ? await this.gatherMeetingFiles(meetingId, meeting) : [];
+      if (files.length === 0) {
+        return;
+      }
+
+      const sourceDir = path.dirname(files[0].path);
+      this.archiveTarget.queueMeetingArchive({
+        meetingId,
+        dateStr: getLocalDateString(meeting.start_time),
+        folderName: path.basename(sourceDir),
+        sourceDir
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not queue archive for meeting ${meetingId}:`, error.message);
+    }
+  }
+
   async gatherMeetingFiles(meetingId, meeting) {
     const files = [];
     const dateStr = getLocalDateString(meeting.start_time);
@@ -442,10 +811,10 @@ class UploadService {
         console.log(`📝 Found markdown: ${mdFile}`);
       }
       
-      // 2. Add audio files (.opus, .m4a, .wav)
+      // 2. Add audio files (.opus, .m4a, .wav); processed copies are local only
       const audioExtensions = ['.opus', '.m4a', '.wav', '.mp3'];
       const audioFiles = dirFiles.filter(f => 
-        audioExtensions.some(ext => f.endsWith(ext))
+        audioExtensions.some(ext => f.endsWith(ext)) && !FileUtils.isEnhancedFile(f)
       );
       
       // Get duration info from database if available
@@ -480,138 +849,26 @@ class UploadService {
     return files;
   }
 
-  async ensureGoogleDriveFolderStructure(dateStr, meetingFolderName) {
-    try {
-      const drive = this.googleDriveService.drive;
-
-      // 1. Ensure "Notes" folder exists
-      let notesFolderId = await this.findOrCreateFolder(drive, 'Notes', null);
-
-      // 2. Ensure date folder exists (e.g., "2025-07-10")
-      let dateFolderId = await this.findOrCreateFolder(drive, dateStr, notesFolderId);
-
-      // 3. Ensure meeting folder exists (e.g., "team-standup")
-      let meetingFolderId = await this.findOrCreateFolder(drive, meetingFolderName, dateFolderId);
-
-      return meetingFolderId;
-
-    } catch (error) {
-      console.error('Error creating Google Drive folder structure:', error);
-      throw error;
+  /**
+   * Remove a meeting's uploaded folder from the backend it was uploaded to
+   * @param {Object} meeting - Meeting row with gdrive_folder_id and storage_provider
+   */
+  async deleteRemoteMeetingFolder(meeting) {
+    if (!meeting.gdrive_folder_id) {
+      return { success: true };
     }
-  }
-
-  async findOrCreateFolder(drive, folderName, parentFolderId) {
-    try {
-      // Search for existing folder
-      const query = parentFolderId 
-        ? `name='${folderName}' and '${parentFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`
-        : `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`;
-
-      const response = await drive.files.list({
-        q: query,
-        fields: 'files(id, name)'
-      });
-
-      if (response.data.files.length > 0) {
-        console.log(`📂 Found existing folder: ${folderName} (${response.data.files[0].id})`);
-        return response.data.files[0].id;
-      }
-
-      // Create new folder
-      const folderMetadata = {
-        name: folderName,
-        mimeType: 'application/vnd.google-apps.folder'
-      };
 
-      if (parentFolderId) {
-        folderMetadata.parents = [parentFolderId];
-      }
-
-      const folder = await drive.files.create({
-        requestBody: folderMetadata,
-        fields: 'id'
-      });
-
-      console.log(`📂 Created new folder: ${folderName} (${folder.data.id})`);
-      return folder.data.id;
-
-    } catch (error) {
-      console.error(`Error finding/creating folder ${folderName}:`, error);
-      
-      // Check if error is due to expired/revoked token
-      if (error.message && (error.message.includes('invalid_grant') || 
-          error.message.includes('Token has been expired or revoked'))) {
-        console.error('🔐 Google OAuth token expired or revoked');
-        
-        // Notify the UI about auth expiration
-        if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-          this.mainWindow.webContents.send('google-auth-expired');
-        }
-        
-        // Throw AUTH_EXPIRED error to be handled by uploadMeeting
-        throw new Error('AUTH_EXPIRED');
-      }
-      
-      throw error;
-    }
+    // Meetings uploaded before providers existed went to Google Drive
+    const provider = this.createStorageProvider(meeting.storage_provider || GoogleDriveProvider.id);
+    return provider.deleteFolder(meeting.gdrive_folder_id);
   }
 
-  async uploadFileToGoogleDrive(file, parentFolderId) {
+  async testStorageProvider(providerId, config = null) {
     try {
-      const drive = this.googleDriveService.drive;
-
-      // Check if file already exists and delete it
-      const existingFiles = await drive.files.list({
-        q: `name='${file.name}' and '${parentFolderId}' in parents and trashed=false`,
-        fields: 'files(id, name)'
-      });
-
-      if (existingFiles.data.files.length > 0) {
-        console.log(`🗑️ Deleting existing file: ${file.name}`);
-        await drive.files.delete({
-          fileId: existingFiles.data.files[0].id
-        });
-      }
-
-      // Upload new file
-      const fileMetadata = {
-        name: file.name,
-        parents: [parentFolderId]
-      };
-
-      const media = {
-        mimeType: file.type === 'markdown' ? 'text/markdown' : 'audio/opus',
-        body: fs.createReadStream(file.path)
-      };
-
-      const uploadResult = await drive.files.create({
-        requestBody: fileMetadata,
-        media: media,
-        fields: 'id,name,size'
-      });
-
-      console.log(`📤 Uploaded ${file.name} to Google Drive (${uploadResult.data.id})`);
-      return uploadResult.data;
-
+      const provider = this.createStorageProvider(providerId, config);
+      return await provider.testConnection();
     } catch (error) {
-      console.error(`Error uploading file ${file.name}:`, error);
-      
-      // Check if error is due to expired/revoked token
-      if (error.message && (error.message.includes('invalid_grant') || 
-          error.message.includes('Token has been expired or revoked'))) {
-        console.error('🔐 Google OAuth token expired or revoked');
-        
-        // Notify the UI about auth expiration
-        if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-          this.mainWindow.webContents.send('google-auth-expired');
-        }
-        
-        // Throw AUTH_EXPIRED error to be handled by uploadMeeting
-        throw new Error('AUTH_EXPIRED');
-      }
-      
-      throw error;
+      return { success: false, error: error.message };
     }
   }
 
@@ -740,9 +997,9 @@ class UploadService {
             });
           });
 
-          // Find recordings
+          // Find recordings; processed copies stay local
           const audioFiles = files.filter(f =>
-            f.endsWith('.opus') || f.endsWith('.m4a') || f.endsWith('.wav')
+            (f.endsWith('.opus') || f.endsWith('.m4a') || f.endsWith('.wav')) && !FileUtils.isEnhancedFile(f)
           );
           audioFiles.forEach(file => {
             validation.recordings.push({
@@ -824,7 +1081,7 @@ class UploadService {
           if ((await fs.stat(subdirPath)).isDirectory()) {
             const files = await fs.readdir(subdirPath);
             const matchingFiles = files.filter(file =>
-              file.includes(`session${meetingId}`) && file.endsWith('.opus')
+              file.includes(`session${meetingId}`) && file.endsWith('.opus') && !FileUtils.isEnhancedFile(file)
             );
 
             matchingFiles.forEach(file => {
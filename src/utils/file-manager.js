@@ -2,6 +2,9 @@ const fs = require('fs').promises;
 const path = require('path');
 const log = require('./logger');
 
+// Per-meeting files named after the folder, renamed along with it
+const MEETING_FILE_SUFFIXES = ['-notes.md', '-transcript.md'];
+
 /**
  * Convert a title to a filesystem-safe folder name
  * @param {string} title - The meeting title
@@ -90,26 +93,28 @@ async function renameNoteFolderAndFiles(meetingDate, oldFolderName, newTitle) {
         // Rename the folder
         await fs.rename(oldFolderPath, newFolderPath);
 
-        // Rename the notes.md file if it exists
-        const oldNotesFile = path.join(newFolderPath, `${oldFolderName}-notes.md`);
-        const newNotesFile = path.join(newFolderPath, `${newFolderName}-notes.md`);
-
-        try {
-            await fs.access(oldNotesFile);
-            const oldStats = await fs.stat(oldNotesFile);
-
-            // Log individual file rename
-            log.debug('[RENAME] Renaming file', {
-                meetingId,
-                oldFilePath: oldNotesFile,
-                newFilePath: newNotesFile,
-                fileSize: oldStats.size,
-                timestamp: Date.now()
-            });
-
-            await fs.rename(oldNotesFile, newNotesFile);
-        } catch (error) {
-            // Notes file doesn't exist yet, that's okay
+        // Rename the notes.md and transcript.md files if they exist
+        for (const suffix of MEETING_FILE_SUFFIXES) {
+            const oldFile = path.join(newFolderPath, `${oldFolderName}${suffix}`);
+            const newFile = path.join(newFolderPath, `${newFolderName}${suffix}`);
+
+            try {
+                await fs.access(oldFile);
+                const oldStats = await fs.stat(oldFile);
+
+                // Log individual file rename
+                log.debug('[RENAME] Renaming file', {
+                    meetingId,
+                    oldFilePath: oldFile,
+                    newFilePath: newFile,
+                    fileSize: oldStats.size,
+                    timestamp: Date.now()
+                });
+
+                await fs.rename(oldFile, newFile);
+            } catch (error) {
+                // File doesn't exist yet, that's okay
+            }
         }
 
         return {
@@ -149,15 +154,17 @@ async function rollbackRename(meetingDate, newFolderName, originalFolderName) {
         // Rename folder back
         await fs.rename(newFolderPath, originalFolderPath);
         
-        // Rename notes file back if it exists
-        const newNotesFile = path.join(originalFolderPath, `${newFolderName}-notes.md`);
-        const originalNotesFile = path.join(originalFolderPath, `${originalFolderName}-notes.md`);
-        
-        try {
-            await fs.access(newNotesFile);
-            await fs.rename(newNotesFile, originalNotesFile);
-        } catch (error) {
-            // Notes file doesn't exist, that's okay
+        // Rename notes and transcript files back if they exist
+        for (const suffix of MEETING_FILE_SUFFIXES) {
+            const newFile = path.join(originalFolderPath, `${newFolderName}${suffix}`);
+            const originalFile = path.join(originalFolderPath, `${originalFolderName}${suffix}`);
+
+            try {
+                await fs.access(newFile);
+                await fs.rename(newFile, originalFile);
+            } catch (error) {
+                // File doesn't exist, that's okay
+            }
         }
         
         return true;
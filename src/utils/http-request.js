@@ -0,0 +1,82 @@
+/**
+ * Minimal HTTP(S) client for the S3 and WebDAV storage providers
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/**
+ * Send a request and buffer the response body
+ *
+ * @param {string} url - Absolute URL
+ * @param {Object} options - { method, headers, body, filePath, timeout }
+ *   filePath streams a file as the request body (set Content-Length yourself)
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function httpRequest(url, options = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  const method = options.method || 'GET';
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method,
+      headers: options.headers || {},
+      timeout: options.timeout || DEFAULT_TIMEOUT_MS
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8')
+        });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => {
+      const error = new Error(`Request timed out: ${method} ${target.host}`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+    req.on('error', reject);
+
+    if (options.filePath) {
+      const stream = fs.createReadStream(options.filePath);
+      stream.on('error', (error) => req.destroy(error));
+      stream.pipe(req);
+    } else {
+      req.end(options.body);
+    }
+  });
+}
+
+/**
+ * Build an Error for a non-2xx response; code carries the HTTP status so
+ * upload error categorization can tell auth failures apart
+ *
+ * @param {Object} response - Result of httpRequest
+ * @param {string} action - What was being attempted, for the message
+ * @returns {Error}
+ */
+function responseError(response, action) {
+  const detail = (response.body || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+  const error = new Error(`${action} failed with HTTP ${response.statusCode}${detail ? `: ${detail}` : ''}`);
+  error.code = response.statusCode;
+  return error;
+}
+
+function isSuccess(response) {
+  return response.statusCode >= 200 && response.statusCode < 300;
+}
+
+module.exports = {
+  httpRequest,
+  responseError,
+  isSuccess
+};
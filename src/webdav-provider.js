@@ -0,0 +1,144 @@
+const fs = require('fs').promises;
+const { httpRequest, responseError, isSuccess } = require('./utils/http-request');
+
+/**
+ * WebDAV Storage Provider
+ *
+ * Uploads to a WebDAV share (Nextcloud, ownCloud, Synology, Apache mod_dav...)
+ * as <basePath>/<date>/<meeting-folder>/<file>. Collections are created with
+ * MKCOL one level at a time; the folder reference is the meeting collection path.
+ *
+ * Config (store key webdavConfig): { url, username, password, basePath }
+ */
+class WebDavProvider {
+  constructor(options = {}) {
+    const config = options.config || {};
+    this.url = config.url ? config.url.replace(/\/+$/, '') : null;
+    this.username = config.username || null;
+    this.password = config.password || null;
+    this.basePath = (config.basePath || 'Notes').replace(/^\/+|\/+$/g, '');
+  }
+
+  static get id() {
+    return 'webdav';
+  }
+
+  static get displayName() {
+    return 'WebDAV';
+  }
+
+  async connect() {
+    if (!this.url) {
+      throw new Error('WebDAV storage not configured (missing url)');
+    }
+  }
+
+  async ensureMeetingFolder(dateStr, meetingFolderName) {
+    const segments = [...this.basePath.split('/').filter(Boolean), dateStr, meetingFolderName];
+
+    let collection = '';
+    for (const segment of segments) {
+      collection = `${collection}/${segment}`;
+      await this.ensureCollection(collection);
+    }
+
+    return `${collection}/`;
+  }
+
+  async ensureCollection(collectionPath) {
+    const response = await this.request('MKCOL', `${collectionPath}/`);
+
+    // 405 Method Not Allowed means the collection already exists
+    if (isSuccess(response) || response.statusCode === 405) {
+      if (response.statusCode === 201) {
+        console.log(`📂 Created WebDAV collection: ${collectionPath}`);
+      }
+      return;
+    }
+
+    throw responseError(response, `WebDAV MKCOL ${collectionPath}`);
+  }
+
+  async uploadFile(file, folderRef) {
+    const stats = await fs.stat(file.path);
+    const filePath = `${folderRef}${file.name}`;
+
+    // PUT replaces an existing resource, so re-uploads need no delete
+    const response = await this.request('PUT', filePath, {
+      filePath: file.path,
+      headers: {
+        'Content-Length': String(stats.size),
+        'Content-Type': file.type === 'markdown' ? 'text/markdown' : 'audio/opus'
+      }
+    });
+
+    if (!isSuccess(response)) {
+      throw responseError(response, `WebDAV upload of ${file.name}`);
+    }
+
+    console.log(`📤 Uploaded ${file.name} to WebDAV (${filePath})`);
+    return {
+      id: filePath,
+      name: file.name,
+      size: stats.size,
+      etag: response.headers.etag ? response.headers.etag.replace(/"/g, '') : null
+    };
+  }
+
+  // Resource paths are stable, so an update is an overwrite of the same path
+  async updateFile(file, remoteFileId, folderRef) {
+    return this.uploadFile(file, folderRef);
+  }
+
+  async deleteFile(filePath) {
+    const response = await this.request('DELETE', filePath);
+    if (!isSuccess(response) && response.statusCode !== 404) {
+      throw responseError(response, `WebDAV delete of ${filePath}`);
+    }
+    console.log(`🗑️ Deleted WebDAV resource: ${filePath}`);
+  }
+
+  async deleteFolder(folderRef) {
+    await this.connect();
+
+    // DELETE on a collection removes everything inside it
+    const response = await this.request('DELETE', folderRef);
+    if (!isSuccess(response) && response.statusCode !== 404) {
+      throw responseError(response, `WebDAV delete of ${folderRef}`);
+    }
+
+    console.log(`✅ Deleted WebDAV collection: ${folderRef}`);
+    return { success: true };
+  }
+
+  async testConnection() {
+    try {
+      await this.connect();
+      const response = await this.request('PROPFIND', '/', { headers: { Depth: '0' } });
+      if (!isSuccess(response)) {
+        throw responseError(response, `WebDAV access to ${this.url}`);
+      }
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async request(method, resourcePath, options = {}) {
+    const encodedPath = resourcePath.split('/').map(encodeURIComponent).join('/');
+    const headers = { ...(options.headers || {}) };
+
+    if (this.username) {
+      const credentials = Buffer.from(`${this.username}:${this.password || ''}`).toString('base64');
+      headers.Authorization = `Basic ${credentials}`;
+    }
+
+    return httpRequest(`${this.url}${encodedPath}`, {
+      method,
+      headers,
+      filePath: options.filePath
+    });
+  }
+}
+
+module.exports = WebDavProvider;
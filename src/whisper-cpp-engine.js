@@ -0,0 +1,180 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Names the whisper.cpp CLI is installed under (Homebrew ships whisper-cli)
+const BINARY_CANDIDATES = ['whisper-cli', 'whisper-cpp', 'whisper'];
+const EXTRA_SEARCH_DIRS = ['/opt/homebrew/bin', '/usr/local/bin'];
+
+/**
+ * whisper.cpp Transcription Engine
+ *
+ * Offline engine adapter that shells out to the whisper.cpp CLI. Recordings are
+ * converted to 16 kHz mono WAV with ffmpeg first since whisper.cpp only reads WAV.
+ *
+ * Engines implement: isAvailable() -> { available, reason } and
+ * transcribe(filePath) -> { language, segments: [{ startMs, endMs, text }] }
+ */
+class WhisperCppEngine {
+  constructor(options = {}) {
+    this.binaryPath = options.binaryPath || null;
+    this.modelPath = options.modelPath || null;
+    this.language = options.language || 'auto';
+    this.threads = options.threads || Math.max(1, Math.min(4, os.cpus().length - 1));
+  }
+
+  static get id() {
+    return 'whisper-cpp';
+  }
+
+  /**
+   * Check that the CLI binary and model file are present
+   * @returns {Promise<Object>} { available, reason }
+   */
+  async isAvailable() {
+    const binary = await this.resolveBinary();
+    if (!binary) {
+      return { available: false, reason: `whisper.cpp binary not found (looked for ${BINARY_CANDIDATES.join(', ')})` };
+    }
+
+    if (!this.modelPath || !(await this.isReadable(this.modelPath))) {
+      return { available: false, reason: `whisper.cpp model not found at ${this.modelPath}` };
+    }
+
+    return { available: true, reason: null };
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {string} filePath - Path to the recording
+   * @returns {Promise<Object>} { language, segments }
+   */
+  async transcribe(filePath) {
+    const binary = await this.resolveBinary();
+    if (!binary) {
+      throw new Error('whisper.cpp binary not found');
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'granular-transcribe-'));
+    const wavPath = path.join(workDir, 'audio.wav');
+    const outputBase = path.join(workDir, 'transcript');
+
+    try {
+      console.log(`🎧 Converting ${path.basename(filePath)} to 16kHz WAV for transcription...`);
+      await this.runProcess('ffmpeg', [
+        '-y',
+        '-i', filePath,
+        '-ar', '16000',
+        '-ac', '1',
+        '-c:a', 'pcm_s16le',
+        wavPath
+      ], `FFmpeg transcription prep ${path.basename(filePath)}`);
+
+      console.log(`📝 Running whisper.cpp on ${path.basename(filePath)}...`);
+      await this.runProcess(binary, [
+        '-m', this.modelPath,
+        '-f', wavPath,
+        '-l', this.language,
+        '-t', String(this.threads),
+        '-oj',
+        '-of', outputBase,
+        '-np'
+      ], `whisper.cpp ${path.basename(filePath)}`);
+
+      const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+      return this.parseOutput(output);
+
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Map whisper.cpp JSON output (-oj) to engine-neutral segments
+   */
+  parseOutput(output) {
+    const segments = (output.transcription || [])
+      .map(entry => ({
+        startMs: entry.offsets ? entry.offsets.from : 0,
+        endMs: entry.offsets ? entry.offsets.to : 0,
+        text: (entry.text || '').trim()
+      }))
+      .filter(segment => segment.text.length > 0 && segment.text !== '[BLANK_AUDIO]');
+
+    return {
+      language: (output.result && output.result.language) || this.language,
+      segments
+    };
+  }
+
+  async resolveBinary() {
+    if (this.binaryPath) {
+      return (await this.isExecutable(this.binaryPath)) ? this.binaryPath : null;
+    }
+
+    const searchDirs = [
+      ...(process.env.PATH || '').split(path.delimiter).filter(Boolean),
+      ...EXTRA_SEARCH_DIRS
+    ];
+
+    for (const dir of searchDirs) {
+      for (const name of BINARY_CANDIDATES) {
+        const candidate = path.join(dir, name);
+        if (await this.isExecutable(candidate)) {
+          return candidate;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  async isExecutable(filePath) {
+    try {
+      await fs.access(filePath, fsConstants.X_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async isReadable(filePath) {
+    try {
+      await fs.access(filePath, fsConstants.R_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  runProcess(command, args, description) {
+    return new Promise((resolve, reject) => {
+      const proc = spawn(command, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+
+      // Track the process globally for cleanup
+      if (global.trackProcess) {
+        global.trackProcess(proc, description);
+      }
+
+      let stderr = '';
+      proc.stderr.on('data', (data) => {
+        // Keep only the tail - whisper.cpp is chatty
+        stderr = (stderr + data.toString()).slice(-4000);
+      });
+
+      proc.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+        }
+      });
+
+      proc.on('error', reject);
+    });
+  }
+}
+
+module.exports = WhisperCppEngine;